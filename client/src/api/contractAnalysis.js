@@ -1,41 +1,22 @@
-// Remove unused import:
-// import { ethers } from 'ethers'; (only used in one function, can be imported locally if needed)
+import apiClient from '../services/apiClient';
 
-// The ethers import is only used in getContractBalance function
-// Consider importing it locally in that function if needed
-
-// Mock API endpoints - replace with actual blockchain API services
-const API_ENDPOINTS = {
-  ethereum: 'https://api.etherscan.io/api',
-  polygon: 'https://api.polygonscan.com/api',
-  bsc: 'https://api.bscscan.com/api',
-  arbitrum: 'https://api.arbiscan.io/api'
-};
-
-// Replace with your actual API keys
-const API_KEYS = {
-  ethereum: process.env.REACT_APP_ETHERSCAN_API_KEY || 'YourEtherscanAPIKey',
-  polygon: process.env.REACT_APP_POLYGONSCAN_API_KEY || 'YourPolygonscanAPIKey',
-  bsc: process.env.REACT_APP_BSCSCAN_API_KEY || 'YourBscscanAPIKey',
-  arbitrum: process.env.REACT_APP_ARBISCAN_API_KEY || 'YourArbiscanAPIKey'
-};
-
-export const analyzeContract = async (contractAddress, network = 'ethereum', provider = null) => {
+// Explorer data is fetched by the backend so no API keys ship in the browser bundle
+export const analyzeContract = async (contractAddress, network = 'ethereum') => {
   try {
-    // Basic contract info from blockchain
-    const contractInfo = await getContractInfo(contractAddress, network, provider);
+    // On-chain profile: contract check and native balance
+    const profile = await getAddressProfile(contractAddress, network);
+    if (!profile.isContract) {
+      throw new Error('Address is not a contract');
+    }
     
-    // Get source code if verified
-    const sourceCode = await getSourceCode(contractAddress, network);
+    // Name, compiler and source code if verified
+    const contractInfo = await getContractInfo(contractAddress, network);
     
     // Get transaction history
     const transactions = await getTransactionHistory(contractAddress, network);
     
     // Perform security analysis
-    const securityAnalysis = await performSecurityAnalysis(sourceCode, contractAddress);
-    
-    // Get contract balance
-    const balance = await getContractBalance(contractAddress, provider);
+    const securityAnalysis = await performSecurityAnalysis(contractAddress, network);
     
     return {
       address: contractAddress,
@@ -43,12 +24,16 @@ export const analyzeContract = async (contractAddress, network = 'ethereum', pro
       name: contractInfo.name,
       compiler: contractInfo.compiler,
       verified: contractInfo.verified,
-      sourceCode: sourceCode,
-      balance: balance,
+      sourceCode: contractInfo.sourceCode,
+      balance: profile.nativeBalance,
       transactionCount: transactions.length,
       uniqueAddresses: getUniqueAddresses(transactions).length,
       lastActivity: getLastActivity(transactions),
-      securityAnalysis: securityAnalysis
+      securityScore: securityAnalysis.securityScore,
+      riskLevel: securityAnalysis.riskLevel,
+      securityAnalysis: securityAnalysis.risks,
+      proxy: securityAnalysis.proxy || null,
+      insiderTrades: securityAnalysis.insiderTrades || []
     };
   } catch (error) {
     console.error('Contract analysis error:', error);
@@ -56,106 +41,76 @@ export const analyzeContract = async (contractAddress, network = 'ethereum', pro
   }
 };
 
-const getContractInfo = async (address, network, provider) => {
+// Buy, transfer and sell the token on a fork to see whether it can be sold
+export const simulateTrade = async (contractAddress, network = 'ethereum', amountIn = '0.1') => {
   try {
-    if (provider) {
-      const code = await provider.getCode(address);
-      if (code === '0x') {
-        throw new Error('Address is not a contract');
-      }
-    }
-    
-    // Mock data - replace with actual API calls
-    return {
-      name: 'Sample Contract',
-      compiler: 'v0.8.19+commit.7dd6d404',
-      verified: true
-    };
+    const response = await apiClient.post(`/tokens/${contractAddress}/simulate-trade`, { network, amountIn });
+    return response.data.data;
   } catch (error) {
-    throw new Error('Failed to get contract info');
+    console.error('Trade simulation error:', error);
+    throw new Error(error.response?.data?.error || 'Failed to simulate trade');
   }
 };
 
-const getSourceCode = async (address, network) => {
+const getAddressProfile = async (address, network) => {
   try {
-    const endpoint = API_ENDPOINTS[network];
-    const apiKey = API_KEYS[network];
-    
-    const response = await fetch(
-      `${endpoint}?module=contract&action=getsourcecode&address=${address}&apikey=${apiKey}`
-    );
-    
-    const data = await response.json();
-    
-    if (data.status === '1' && data.result[0].SourceCode) {
-      return data.result[0].SourceCode;
-    }
-    
-    // Return mock source code if not available
-    return `// Contract source code not available or not verified\n// Address: ${address}\n// Network: ${network}`;
+    const response = await apiClient.get(`/wallets/analyze/${address}`, { params: { network } });
+    return response.data.data;
   } catch (error) {
-    console.error('Error fetching source code:', error);
-    return null;
+    throw new Error(error.response?.data?.error || 'Failed to get contract info');
   }
 };
 
-const getTransactionHistory = async (address, network) => {
+const getContractInfo = async (address, network) => {
   try {
-    const endpoint = API_ENDPOINTS[network];
-    const apiKey = API_KEYS[network];
-    
-    const response = await fetch(
-      `${endpoint}?module=account&action=txlist&address=${address}&startblock=0&endblock=99999999&sort=desc&apikey=${apiKey}`
-    );
-    
-    const data = await response.json();
+    const response = await apiClient.get(`/tokens/${address}/source`, { params: { network } });
+    const source = response.data.data;
     
-    if (data.status === '1') {
-      return data.result.slice(0, 100); // Limit to last 100 transactions
-    }
-    
-    // Return mock data if API fails
-    return generateMockTransactions();
+    return {
+      name: source.contractName,
+      compiler: source.compiler,
+      verified: true,
+      sourceCode: source.files.map(file => `// File: ${file.path}\n${file.content}`).join('\n\n')
+    };
   } catch (error) {
-    console.error('Error fetching transactions:', error);
-    return generateMockTransactions();
+    if (error.response?.status !== 404) {
+      console.error('Error fetching source code:', error);
+    }
+    return {
+      name: null,
+      compiler: null,
+      verified: false,
+      sourceCode: null
+    };
   }
 };
 
-const getContractBalance = async (address, provider) => {
+const getTransactionHistory = async (address, network) => {
   try {
-    if (provider) {
-      const balance = await provider.getBalance(address);
-      return ethers.formatEther(balance);
-    }
-    return '0.0';
+    const response = await apiClient.get(`/wallets/${address}/transactions`, {
+      params: { network, limit: 100, sort: 'desc' }
+    });
+    return response.data.data;
   } catch (error) {
-    console.error('Error getting balance:', error);
-    return '0.0';
+    console.error('Error fetching transactions:', error);
+    return [];
   }
 };
 
-const performSecurityAnalysis = async (sourceCode, address) => {
-  // Mock security analysis - replace with actual security scanning
-  const issues = [
-    {
-      severity: 'medium',
-      title: 'Reentrancy Risk',
-      description: 'Potential reentrancy vulnerability detected in transfer function'
-    },
-    {
-      severity: 'low',
-      title: 'Gas Optimization',
-      description: 'Consider using unchecked blocks for gas optimization'
-    },
-    {
-      severity: 'high',
-      title: 'Access Control',
-      description: 'Missing access control on critical functions'
-    }
-  ];
-  
-  return issues;
+const performSecurityAnalysis = async (address, network) => {
+  try {
+    // Static analysis runs on the backend against the verified source
+    const response = await apiClient.post('/tokens/analyze', { address, network });
+    return response.data.data;
+  } catch (error) {
+    console.error('Error running security analysis:', error);
+    return {
+      securityScore: null,
+      riskLevel: 'unknown',
+      risks: [],
+      analysis: error.response?.data?.error || 'Security analysis unavailable'
+    };
+  }
 };
 
 const getUniqueAddresses = (transactions) => {
@@ -171,17 +126,6 @@ const getLastActivity = (transactions) => {
   if (transactions.length === 0) return 'No activity';
   
   const lastTx = transactions[0];
-  const date = new Date(parseInt(lastTx.timeStamp) * 1000);
+  const date = new Date(lastTx.timestamp);
   return date.toLocaleDateString();
 };
-
-const generateMockTransactions = () => {
-  return Array.from({ length: 50 }, (_, i) => ({
-    hash: `0x${Math.random().toString(16).substr(2, 64)}`,
-    from: `0x${Math.random().toString(16).substr(2, 40)}`,
-    to: `0x${Math.random().toString(16).substr(2, 40)}`,
-    value: (Math.random() * 1000000000000000000).toString(),
-    timeStamp: (Date.now() / 1000 - i * 3600).toString(),
-    blockNumber: (18000000 - i).toString()
-  }));
-};
\ No newline at end of file
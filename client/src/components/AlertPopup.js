@@ -1,16 +1,45 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { X, ExternalLink, TrendingUp, TrendingDown, Wallet, DollarSign, Clock } from 'lucide-react';
+import { formatDisplay } from '../services/tokenAmount';
+import AlertStream from '../services/AlertStream';
 
-const AlertPopup = ({ alert, onClose, autoClose = true }) => {
-  const [timeLeft, setTimeLeft] = useState(10);
+const AUTO_CLOSE_SECONDS = 10;
 
+// Shows the alert it is given, or with monitorId/token set, each alert pushed live by the server
+const AlertPopup = ({ alert: givenAlert, onClose, autoClose = true, monitorId, token }) => {
+  const [timeLeft, setTimeLeft] = useState(AUTO_CLOSE_SECONDS);
+  const [liveAlert, setLiveAlert] = useState(null);
+
+  const alert = liveAlert || givenAlert;
+  const alertId = alert?.id;
+
+  useEffect(() => {
+    if (!monitorId && !token) return undefined;
+
+    const stream = new AlertStream({ monitor: monitorId, token });
+    stream.on('alert', (alert) => {
+      // Alert rules that leave out the app channel only go to their other channels
+      if (!alert.data?.channels || alert.data.channels.includes('app')) setLiveAlert(alert);
+    });
+    stream.connect();
+
+    return () => stream.close();
+  }, [monitorId, token]);
+
+  const handleClose = useCallback(() => {
+    setLiveAlert(null);
+    if (onClose) onClose();
+  }, [onClose]);
+
+  // Restarts for every new alert
   useEffect(() => {
-    if (autoClose) {
+    if (autoClose && alertId) {
+      setTimeLeft(AUTO_CLOSE_SECONDS);
       const timer = setInterval(() => {
         setTimeLeft(prev => {
           if (prev <= 1) {
-            onClose();
+            handleClose();
             return 0;
           }
           return prev - 1;
@@ -19,15 +48,26 @@ const AlertPopup = ({ alert, onClose, autoClose = true }) => {
 
       return () => clearInterval(timer);
     }
-  }, [autoClose, onClose]);
+  }, [autoClose, handleClose, alertId]);
 
   if (!alert) return null;
 
-  const isSell = alert.transactionType === 'sell';
-  const bgColor = isSell ? 'bg-red-900/90' : 'bg-green-900/90';
-  const borderColor = isSell ? 'border-red-500' : 'border-green-500';
-  const textColor = isSell ? 'text-red-300' : 'text-green-300';
-  const icon = isSell ? TrendingDown : TrendingUp;
+  // Stored alerts keep the wallet details under data
+  const details = alert.data || alert;
+  const isSell = alert.type === 'WALLET_SELL' || details.transactionType === 'sell' || details.action === 'sell';
+  const isBuy = alert.type === 'WALLET_BUY' || details.transactionType === 'buy' || details.action === 'buy';
+  // Coordinated dumps sum up several wallets instead of naming one
+  const isDump = alert.type === 'COORDINATED_DUMP' || details.event === 'coordinated_dump';
+  const amount = isDump ? details.totalAmount : details.amount;
+  const usdValue = isDump ? details.totalValue : details.usdValue;
+  // Alerts raised by a rule carry the rule's name
+  const title = details.ruleName
+    ? `🔔 ${details.ruleName}`
+    : isSell ? '🔴 SELL ALERT' : isBuy ? '🟢 BUY ALERT' : `⚠️ ${alert.type.replace(/_/g, ' ')}`;
+  const bgColor = isBuy ? 'bg-green-900/90' : 'bg-red-900/90';
+  const borderColor = isBuy ? 'border-green-500' : 'border-red-500';
+  const textColor = isBuy ? 'text-green-300' : 'text-red-300';
+  const icon = isBuy ? TrendingUp : TrendingDown;
   const IconComponent = icon;
 
   return (
@@ -45,9 +85,9 @@ const AlertPopup = ({ alert, onClose, autoClose = true }) => {
             <div className="flex items-center gap-2">
               <IconComponent className={`w-5 h-5 ${textColor}`} />
               <span className={`font-bold text-lg ${textColor}`}>
-                {isSell ? '🔴 SELL ALERT' : '🟢 BUY ALERT'}
+                {title}
               </span>
-              {alert.isRealTime && (
+              {(alert === liveAlert || alert.isRealTime) && (
                 <span className="bg-blue-600 text-white text-xs px-2 py-1 rounded-full">
                   LIVE
                 </span>
@@ -58,7 +98,7 @@ const AlertPopup = ({ alert, onClose, autoClose = true }) => {
                 <span className="text-gray-400 text-sm">{timeLeft}s</span>
               )}
               <button
-                onClick={onClose}
+                onClick={handleClose}
                 className="text-gray-400 hover:text-white transition-colors"
               >
                 <X className="w-4 h-4" />
@@ -67,33 +107,53 @@ const AlertPopup = ({ alert, onClose, autoClose = true }) => {
           </div>
 
           {/* Wallet Info */}
-          <div className="mb-3">
-            <div className="flex items-center gap-2 mb-1">
-              <Wallet className="w-4 h-4 text-gray-400" />
-              <span className="text-gray-300 text-sm">Wallet Type:</span>
-              <span className="text-white font-semibold">{alert.walletType}</span>
+          {isDump ? (
+            <div className="mb-3">
+              <div className="flex items-center gap-2 mb-1">
+                <Wallet className="w-4 h-4 text-gray-400" />
+                <span className="text-white font-semibold">{details.walletCount} linked wallets</span>
+                <span className="text-gray-400 text-xs">blocks {details.fromBlock}-{details.toBlock}</span>
+              </div>
+              {(details.wallets || []).map(wallet => (
+                <div key={wallet.address} className="text-gray-400 text-xs font-mono break-all">
+                  {wallet.type}: {wallet.address} ({formatDisplay(wallet.amount, 2)})
+                </div>
+              ))}
             </div>
-            <div className="text-gray-400 text-xs font-mono break-all">
-              {alert.walletAddress}
+          ) : (
+            <div className="mb-3">
+              <div className="flex items-center gap-2 mb-1">
+                <Wallet className="w-4 h-4 text-gray-400" />
+                <span className="text-gray-300 text-sm">Wallet Type:</span>
+                <span className="text-white font-semibold">{details.walletType}</span>
+              </div>
+              <div className="text-gray-400 text-xs font-mono break-all">
+                {alert.wallet || details.walletAddress}
+              </div>
+              {details.counterparty && (
+                <div className="text-gray-400 text-xs mt-1">
+                  → {details.counterpartyLabel || details.counterparty}{details.dex && !details.counterpartyLabel ? ` on ${details.dex}` : ''}
+                </div>
+              )}
             </div>
-          </div>
+          )}
 
           {/* Transaction Details */}
           <div className="grid grid-cols-2 gap-3 mb-3">
             <div className="bg-gray-800/50 p-2 rounded-lg">
               <div className="text-gray-400 text-xs mb-1">Amount</div>
               <div className="text-white font-semibold">
-                {alert.amount.toFixed(4)}
+                {formatDisplay(amount, 4)}
               </div>
               <div className="text-gray-500 text-xs">tokens</div>
             </div>
             <div className="bg-gray-800/50 p-2 rounded-lg">
               <div className="text-gray-400 text-xs mb-1">USD Value</div>
               <div className="text-green-400 font-semibold">
-                ${alert.usdValue.toFixed(2)}
+                {usdValue != null ? `$${usdValue.toFixed(2)}` : 'N/A'}
               </div>
               <div className="text-gray-500 text-xs">
-                {alert.changePercentage}% change
+                {isDump ? `${details.supplyPercent ?? 'N/A'}% of supply` : `${details.changePercentage}% change`}
               </div>
             </div>
           </div>
@@ -104,7 +164,7 @@ const AlertPopup = ({ alert, onClose, autoClose = true }) => {
               <div>
                 <div className="text-gray-400 text-xs">Token Price</div>
                 <div className="text-white font-semibold">
-                  ${alert.currentPrice?.toFixed(6) || 'N/A'}
+                  {details.currentPrice != null ? `$${details.currentPrice.toFixed(6)}` : 'N/A'}
                 </div>
               </div>
               <div className="text-right">
@@ -122,14 +182,16 @@ const AlertPopup = ({ alert, onClose, autoClose = true }) => {
               <Clock className="w-3 h-3" />
               {new Date(alert.timestamp).toLocaleTimeString()}
             </div>
-            <a
-              href={alert.explorerLink}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="flex items-center gap-1 bg-blue-600 hover:bg-blue-700 text-white text-xs px-3 py-1 rounded-lg transition-colors"
-            >
-              View Tx <ExternalLink className="w-3 h-3" />
-            </a>
+            {details.explorerLink && (
+              <a
+                href={details.explorerLink}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-1 bg-blue-600 hover:bg-blue-700 text-white text-xs px-3 py-1 rounded-lg transition-colors"
+              >
+                View Tx <ExternalLink className="w-3 h-3" />
+              </a>
+            )}
           </div>
         </div>
       </motion.div>
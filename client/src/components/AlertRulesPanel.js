@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Bell, Plus, Trash2 } from 'lucide-react';
+import AlertRuleService from '../services/AlertRuleService';
+
+// Events a rule can watch, with the measurements each one offers its condition
+const EVENTS = {
+  sell: { label: 'Sell', metrics: ['supplyPercent', 'balancePercent', 'usdValue'] },
+  buy: { label: 'Buy', metrics: ['supplyPercent', 'usdValue'] },
+  transfer_to_cex: { label: 'Transfer to exchange', metrics: ['supplyPercent', 'balancePercent', 'usdValue'] },
+  transfer_to_fresh_wallet: { label: 'Transfer to fresh wallet', metrics: ['supplyPercent', 'balancePercent', 'usdValue'] },
+  transfer: { label: 'Other transfer', metrics: ['supplyPercent', 'balancePercent', 'usdValue'] },
+  lp_removal: { label: 'Liquidity removed', metrics: ['liquidityPercent', 'supplyPercent', 'usdValue'] },
+  lp_add: { label: 'Liquidity added', metrics: ['liquidityPercent', 'supplyPercent', 'usdValue'] },
+  lp_unlock: { label: 'LP unlock', metrics: ['liquidityPercent'] },
+  pending_sell: { label: 'Pending sell', metrics: ['supplyPercent', 'balancePercent', 'usdValue'] },
+  coordinated_dump: { label: 'Coordinated dump', metrics: ['walletCount', 'supplyPercent', 'usdValue'] },
+  price_change: { label: 'Price change', metrics: ['priceChangePercent'] }
+};
+
+const METRICS = {
+  supplyPercent: '% of supply',
+  balancePercent: '% of wallet balance',
+  usdValue: 'USD value',
+  liquidityPercent: '% of pool liquidity',
+  walletCount: 'wallets',
+  priceChangePercent: '% price change'
+};
+
+const OPERATORS = { gt: '>', gte: '≥', lt: '<', lte: '≤' };
+const CHANNELS = ['app', 'telegram', 'webhook'];
+
+const EMPTY_RULE = {
+  name: '',
+  event: 'sell',
+  walletType: '',
+  metric: 'supplyPercent',
+  operator: 'gt',
+  value: '',
+  windowMinutes: 5,
+  severity: 'high',
+  cooldownMinutes: 15,
+  channels: ['app', 'telegram'],
+  webhookUrl: ''
+};
+
+const describeRule = (rule) => {
+  const who = rule.walletType ? `${rule.walletType} wallet ` : '';
+  const condition = rule.metric
+    ? ` ${OPERATORS[rule.operator]} ${rule.value}${METRICS[rule.metric].startsWith('%') ? '' : ' '}${METRICS[rule.metric]}`
+    : '';
+  const window = rule.event === 'price_change' ? ` in ${rule.windowMinutes}m` : '';
+  return `${who}${EVENTS[rule.event]?.label || rule.event}${condition}${window}`;
+};
+
+// Lists and edits the alert rules of one token; tokens without rules are watched with the defaults
+const AlertRulesPanel = ({ token, network }) => {
+  const [rules, setRules] = useState([]);
+  const [form, setForm] = useState(EMPTY_RULE);
+  const [showForm, setShowForm] = useState(false);
+  const [error, setError] = useState(null);
+  const ruleService = useRef(new AlertRuleService());
+
+  const loadRules = useCallback(async () => {
+    try {
+      setRules(await ruleService.current.list(token, network));
+    } catch (error) {
+      console.error('❌ Failed to load alert rules:', error);
+    }
+  }, [token, network]);
+
+  useEffect(() => {
+    if (token) loadRules();
+  }, [token, loadRules]);
+
+  const usingDefaults = rules.length > 0 && rules.every(rule => rule.isDefault);
+
+  const updateForm = (changes) => {
+    setForm(prev => {
+      const next = { ...prev, ...changes };
+      // Keep the metric one the chosen event offers; price rules always need one
+      const offered = changes.event && EVENTS[changes.event].metrics;
+      if (offered && !offered.includes(next.metric) && (next.metric || changes.event === 'price_change')) {
+        next.metric = EVENTS[changes.event].metrics[0];
+      }
+      return next;
+    });
+  };
+
+  const toggleChannel = (channel) => {
+    updateForm({
+      channels: form.channels.includes(channel)
+        ? form.channels.filter(existing => existing !== channel)
+        : [...form.channels, channel]
+    });
+  };
+
+  const saveRule = async (event) => {
+    event.preventDefault();
+    setError(null);
+
+    try {
+      await ruleService.current.create({
+        token,
+        network,
+        name: form.name,
+        event: form.event,
+        walletType: form.walletType || null,
+        metric: form.metric || null,
+        operator: form.metric ? form.operator : null,
+        value: form.metric ? Number(form.value) : null,
+        windowMinutes: form.event === 'price_change' ? Number(form.windowMinutes) : null,
+        severity: form.severity,
+        cooldownMinutes: Number(form.cooldownMinutes),
+        channels: form.channels,
+        webhookUrl: form.channels.includes('webhook') ? form.webhookUrl : null
+      });
+      setForm(EMPTY_RULE);
+      setShowForm(false);
+      await loadRules();
+    } catch (error) {
+      setError(error.response?.data?.error || error.message);
+    }
+  };
+
+  const toggleRule = async (rule) => {
+    try {
+      const updated = await ruleService.current.update(rule.id, { enabled: !rule.enabled });
+      setRules(prev => prev.map(existing => (existing.id === rule.id ? updated : existing)));
+    } catch (error) {
+      setError(error.response?.data?.error || error.message);
+    }
+  };
+
+  const deleteRule = async (id) => {
+    try {
+      await ruleService.current.remove(id);
+      await loadRules();
+    } catch (error) {
+      setError(error.response?.data?.error || error.message);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500';
+  const metrics = EVENTS[form.event].metrics;
+
+  return (
+    <motion.div
+      className="bg-gray-900/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-white flex items-center gap-2">
+          <Bell className="w-5 h-5" />
+          Alert Rules
+        </h3>
+        <button
+          onClick={() => setShowForm(prev => !prev)}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors flex items-center gap-2"
+        >
+          <Plus className="w-4 h-4" />
+          Add Rule
+        </button>
+      </div>
+
+      {usingDefaults && (
+        <p className="text-gray-400 text-sm mb-3">
+          This token has no rules of its own, so it is watched with the defaults below. Adding a rule replaces them.
+        </p>
+      )}
+
+      {error && <p className="text-red-400 text-sm mb-3">{error}</p>}
+
+      {showForm && (
+        <form onSubmit={saveRule} className="bg-gray-800/50 p-4 rounded-lg mb-4 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => updateForm({ name: e.target.value })}
+              placeholder="Rule name, e.g. Team wallet dumps"
+              className={`${inputClass} md:col-span-3`}
+            />
+            <select value={form.event} onChange={(e) => updateForm({ event: e.target.value })} className={inputClass}>
+              {Object.entries(EVENTS).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            <select value={form.walletType} onChange={(e) => updateForm({ walletType: e.target.value })} className={inputClass}>
+              <option value="">Any wallet</option>
+              <option value="team">Team wallets</option>
+              <option value="bundle">Bundle wallets</option>
+            </select>
+            <select value={form.severity} onChange={(e) => updateForm({ severity: e.target.value })} className={inputClass}>
+              <option value="low">Low severity</option>
+              <option value="medium">Medium severity</option>
+              <option value="high">High severity</option>
+            </select>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <select value={form.metric} onChange={(e) => updateForm({ metric: e.target.value })} className={inputClass}>
+              {form.event !== 'price_change' && <option value="">Any amount</option>}
+              {metrics.map(metric => (
+                <option key={metric} value={metric}>{METRICS[metric]}</option>
+              ))}
+            </select>
+            <select
+              value={form.operator}
+              onChange={(e) => updateForm({ operator: e.target.value })}
+              disabled={!form.metric}
+              className={inputClass}
+            >
+              {Object.entries(OPERATORS).map(([id, symbol]) => (
+                <option key={id} value={id}>{symbol}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              step="any"
+              value={form.value}
+              onChange={(e) => updateForm({ value: e.target.value })}
+              disabled={!form.metric}
+              placeholder="Value"
+              className={inputClass}
+            />
+            {form.event === 'price_change' && (
+              <input
+                type="number"
+                min="1"
+                max="60"
+                value={form.windowMinutes}
+                onChange={(e) => updateForm({ windowMinutes: e.target.value })}
+                placeholder="Window (minutes)"
+                className={inputClass}
+              />
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-300">
+            <label className="flex items-center gap-2">
+              Cooldown
+              <input
+                type="number"
+                min="0"
+                value={form.cooldownMinutes}
+                onChange={(e) => updateForm({ cooldownMinutes: e.target.value })}
+                className="w-20 px-2 py-1 bg-gray-800 border border-gray-600 rounded text-white"
+              />
+              min
+            </label>
+            {CHANNELS.map(channel => (
+              <label key={channel} className="flex items-center gap-1 capitalize">
+                <input type="checkbox" checked={form.channels.includes(channel)} onChange={() => toggleChannel(channel)} />
+                {channel}
+              </label>
+            ))}
+          </div>
+
+          {form.channels.includes('webhook') && (
+            <input
+              type="url"
+              value={form.webhookUrl}
+              onChange={(e) => updateForm({ webhookUrl: e.target.value })}
+              placeholder="https://example.com/webhook"
+              className={inputClass}
+            />
+          )}
+
+          <button type="submit" className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors">
+            Save Rule
+          </button>
+        </form>
+      )}
+
+      <div className="space-y-2">
+        {rules.map(rule => (
+          <div key={rule.id} className="bg-gray-800/50 p-3 rounded-lg flex items-center justify-between gap-4">
+            <div className={rule.enabled ? '' : 'opacity-50'}>
+              <div className="text-white font-semibold">{rule.name}</div>
+              <div className="text-gray-400 text-sm">
+                {describeRule(rule)} · {rule.severity} · {rule.channels.join(', ')}
+                {rule.cooldownMinutes > 0 && ` · ${rule.cooldownMinutes}m cooldown`}
+              </div>
+            </div>
+            {!rule.isDefault && (
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => toggleRule(rule)}
+                  className="px-3 py-1 text-sm bg-gray-700 hover:bg-gray-600 text-white rounded transition-colors"
+                >
+                  {rule.enabled ? 'Disable' : 'Enable'}
+                </button>
+                <button
+                  onClick={() => deleteRule(rule.id)}
+                  className="p-1 text-gray-400 hover:text-red-400 transition-colors"
+                  title="Delete rule"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </motion.div>
+  );
+};
+
+export default AlertRulesPanel;
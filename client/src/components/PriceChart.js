@@ -0,0 +1,133 @@
+import React, { useMemo, useState } from 'react';
+import { formatDisplay } from '../services/tokenAmount';
+
+const WIDTH = 800;
+const PRICE_HEIGHT = 220;
+const VOLUME_TOP = 240;
+const VOLUME_HEIGHT = 60;
+const HEIGHT = VOLUME_TOP + VOLUME_HEIGHT + 20;
+const AXIS_WIDTH = 70;
+
+// Prices this small lose everything but leading zeros with toFixed
+const formatPrice = (value) => (value >= 0.0001 ? value.toFixed(6) : value.toExponential(3));
+
+// Candlesticks over volume bars; sell markers sit above the candle the sell fell into
+const PriceChart = ({ candles = [], interval = 300, markers = [], quote = '' }) => {
+  const [hovered, setHovered] = useState(null);
+
+  const chart = useMemo(() => {
+    if (candles.length === 0) return null;
+
+    const parsed = candles.map(candle => ({
+      ...candle,
+      open: Number(candle.open),
+      high: Number(candle.high),
+      low: Number(candle.low),
+      close: Number(candle.close),
+      volume: Number(candle.volume),
+      volumeText: candle.volume
+    }));
+
+    const high = Math.max(...parsed.map(candle => candle.high));
+    const low = Math.min(...parsed.map(candle => candle.low));
+    const range = high - low || high || 1;
+    const maxVolume = Math.max(...parsed.map(candle => candle.volume)) || 1;
+    const step = (WIDTH - AXIS_WIDTH) / parsed.length;
+
+    const y = price => 10 + (PRICE_HEIGHT - 20) * (1 - (price - low) / range);
+    const index = new Map(parsed.map((candle, position) => [candle.time, position]));
+
+    // Alerts carry millisecond timestamps; candles start on interval boundaries in seconds
+    const placed = markers
+      .map(marker => {
+        const time = Math.floor(marker.timestamp / 1000 / interval) * interval;
+        return index.has(time) ? { ...marker, position: index.get(time) } : null;
+      })
+      .filter(Boolean);
+
+    return { parsed, high, low, maxVolume, step, y, placed };
+  }, [candles, interval, markers]);
+
+  if (!chart) {
+    return <div className="text-center text-gray-400 text-sm py-8">No trades in this period</div>;
+  }
+
+  const { parsed, high, low, maxVolume, step, y, placed } = chart;
+  const bodyWidth = Math.max(1, step * 0.6);
+  const active = hovered !== null ? parsed[hovered] : parsed[parsed.length - 1];
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-4 text-xs text-gray-300 mb-2 font-mono">
+        <span>{new Date(active.time * 1000).toLocaleString()}</span>
+        <span>O {formatPrice(active.open)}</span>
+        <span>H {formatPrice(active.high)}</span>
+        <span>L {formatPrice(active.low)}</span>
+        <span>C {formatPrice(active.close)} {quote}</span>
+        <span>Vol {formatDisplay(active.volumeText, 2)}</span>
+        <span className="text-green-400">{active.buys} buys</span>
+        <span className="text-red-400">{active.sells} sells</span>
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" onMouseLeave={() => setHovered(null)}>
+        <text x={WIDTH - AXIS_WIDTH + 6} y={y(high) + 4} className="fill-gray-400" fontSize="10">{formatPrice(high)}</text>
+        <text x={WIDTH - AXIS_WIDTH + 6} y={y(low) + 4} className="fill-gray-400" fontSize="10">{formatPrice(low)}</text>
+        <line x1="0" x2={WIDTH - AXIS_WIDTH} y1={VOLUME_TOP - 10} y2={VOLUME_TOP - 10} stroke="#374151" />
+
+        {parsed.map((candle, position) => {
+          const x = position * step + step / 2;
+          const rising = candle.close >= candle.open;
+          const color = rising ? '#4ade80' : '#f87171';
+          const volumeHeight = (candle.volume / maxVolume) * VOLUME_HEIGHT;
+
+          return (
+            <g key={candle.time} onMouseEnter={() => setHovered(position)}>
+              <rect x={position * step} y="0" width={step} height={HEIGHT} fill={hovered === position ? '#1f2937' : 'transparent'} />
+              <line x1={x} x2={x} y1={y(candle.high)} y2={y(candle.low)} stroke={color} />
+              <rect
+                x={x - bodyWidth / 2}
+                y={y(Math.max(candle.open, candle.close))}
+                width={bodyWidth}
+                height={Math.max(1, Math.abs(y(candle.open) - y(candle.close)))}
+                fill={color}
+              />
+              <rect
+                x={x - bodyWidth / 2}
+                y={VOLUME_TOP + VOLUME_HEIGHT - volumeHeight}
+                width={bodyWidth}
+                height={volumeHeight}
+                fill={color}
+                opacity="0.4"
+              />
+            </g>
+          );
+        })}
+
+        {placed.map(marker => {
+          const x = marker.position * step + step / 2;
+          const top = y(parsed[marker.position].high) - 6;
+          const walletType = marker.data?.walletType || 'Wallet';
+          const isTeam = walletType.toLowerCase().includes('team');
+
+          return (
+            <g key={marker.id}>
+              <title>
+                {`${walletType} sold ${formatDisplay(marker.data?.amount, 2)} (${marker.wallet})`}
+              </title>
+              <path d={`M ${x - 5} ${top - 8} L ${x + 5} ${top - 8} L ${x} ${top} Z`} fill={isTeam ? '#f97316' : '#a855f7'} />
+            </g>
+          );
+        })}
+      </svg>
+
+      {placed.length > 0 && (
+        <div className="flex gap-4 text-xs text-gray-400 mt-1">
+          <span><span className="text-orange-500">▼</span> Team wallet sell</span>
+          <span><span className="text-purple-500">▼</span> Bundle wallet sell</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriceChart;
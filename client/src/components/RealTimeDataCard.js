@@ -1,15 +1,20 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { Copy, ExternalLink, RefreshCw, TrendingUp, TrendingDown } from 'lucide-react';
-import DexScreenerService from '../services/DexScreenerService';
+import MarketDataService from '../services/MarketDataService';
+import PriceChart from './PriceChart';
 
-const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
+const CANDLE_INTERVALS = { '1m': 60, '5m': 300, '1h': 3600 };
+
+const RealTimeDataCard = ({ contractAddress, network = 'ethereum', sellAlerts = [] }) => {
   const [tokenData, setTokenData] = useState(null);
+  const [candles, setCandles] = useState(null);
+  const [candleInterval, setCandleInterval] = useState('5m');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
   
-  const dexScreenerService = new DexScreenerService();
+  const marketDataService = useRef(new MarketDataService());
 
   useEffect(() => {
     if (contractAddress) {
@@ -21,12 +26,31 @@ const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
     }
   }, [contractAddress, network]);
 
+  // Candles are optional; the card still shows market data when the pair cannot be read
+  useEffect(() => {
+    if (!contractAddress) return undefined;
+
+    const fetchCandles = async () => {
+      try {
+        const data = await marketDataService.current.getCandles(contractAddress, network, { interval: candleInterval });
+        setCandles(data);
+      } catch (err) {
+        console.error('Error fetching candles:', err);
+        setCandles(null);
+      }
+    };
+
+    fetchCandles();
+    const interval = setInterval(fetchCandles, 30000);
+    return () => clearInterval(interval);
+  }, [contractAddress, network, candleInterval]);
+
   const fetchRealTimeData = async () => {
     setLoading(true);
     setError(null);
     
     try {
-      const data = await dexScreenerService.getTokenData(contractAddress, network);
+      const data = await marketDataService.current.getTokenData(contractAddress, network);
       setTokenData(data);
       setLastUpdated(new Date());
     } catch (err) {
@@ -61,7 +85,7 @@ const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
     return (
       <div className="bg-gray-900/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6 text-center">
         <RefreshCw className="w-8 h-8 text-blue-400 animate-spin mx-auto mb-4" />
-        <p className="text-gray-300">Fetching real-time data from DexScreener...</p>
+        <p className="text-gray-300">Fetching real-time market data...</p>
       </div>
     );
   }
@@ -105,10 +129,10 @@ const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
       icon: "💰",
       content: (
         <div className="text-xs">
-          <div className="font-semibold">{dexScreenerService.formatPrice(tokenData.price)}</div>
-          <div className={`flex items-center gap-1 ${getPriceChangeColor(tokenData.priceChange24h)}`}>
-            {getPriceChangeIcon(tokenData.priceChange24h)}
-            {dexScreenerService.formatPercentage(tokenData.priceChange24h)}
+          <div className="font-semibold">{marketDataService.current.formatPrice(tokenData.price)}</div>
+          <div className={`flex items-center gap-1 ${getPriceChangeColor(tokenData.priceChange.h24)}`}>
+            {getPriceChangeIcon(tokenData.priceChange.h24)}
+            {marketDataService.current.formatPercentage(tokenData.priceChange.h24)}
           </div>
         </div>
       ),
@@ -119,7 +143,7 @@ const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
       icon: "📊",
       content: (
         <div className="text-xs">
-          <div className="font-semibold">{dexScreenerService.formatLargeNumber(tokenData.volume24h)}</div>
+          <div className="font-semibold">{marketDataService.current.formatLargeNumber(tokenData.volume.h24)}</div>
           <div className="text-gray-400">24h trading</div>
         </div>
       ),
@@ -130,7 +154,7 @@ const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
       icon: "💧",
       content: (
         <div className="text-xs">
-          <div className="font-semibold">{dexScreenerService.formatLargeNumber(tokenData.liquidity)}</div>
+          <div className="font-semibold">{marketDataService.current.formatLargeNumber(tokenData.liquidity)}</div>
           <div className="text-gray-400">Total liquidity</div>
         </div>
       ),
@@ -141,7 +165,7 @@ const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
       icon: "🧢",
       content: (
         <div className="text-xs">
-          <div className="font-semibold">{dexScreenerService.formatLargeNumber(tokenData.marketCap)}</div>
+          <div className="font-semibold">{marketDataService.current.formatLargeNumber(tokenData.marketCap)}</div>
           <div className="text-gray-400">Market cap</div>
         </div>
       ),
@@ -151,10 +175,10 @@ const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
       title: "5m Change",
       icon: "⚡",
       content: (
-        <div className={`text-xs ${getPriceChangeColor(tokenData.priceChange5m)}`}>
+        <div className={`text-xs ${getPriceChangeColor(tokenData.priceChange.m5)}`}>
           <div className="flex items-center gap-1">
-            {getPriceChangeIcon(tokenData.priceChange5m)}
-            <span className="font-semibold">{dexScreenerService.formatPercentage(tokenData.priceChange5m)}</span>
+            {getPriceChangeIcon(tokenData.priceChange.m5)}
+            <span className="font-semibold">{marketDataService.current.formatPercentage(tokenData.priceChange.m5)}</span>
           </div>
           <div className="text-gray-400">5min change</div>
         </div>
@@ -165,10 +189,10 @@ const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
       title: "1h Change",
       icon: "🕐",
       content: (
-        <div className={`text-xs ${getPriceChangeColor(tokenData.priceChange1h)}`}>
+        <div className={`text-xs ${getPriceChangeColor(tokenData.priceChange.h1)}`}>
           <div className="flex items-center gap-1">
-            {getPriceChangeIcon(tokenData.priceChange1h)}
-            <span className="font-semibold">{dexScreenerService.formatPercentage(tokenData.priceChange1h)}</span>
+            {getPriceChangeIcon(tokenData.priceChange.h1)}
+            <span className="font-semibold">{marketDataService.current.formatPercentage(tokenData.priceChange.h1)}</span>
           </div>
           <div className="text-gray-400">1hr change</div>
         </div>
@@ -180,8 +204,8 @@ const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
       icon: "🔄",
       content: (
         <div className="text-xs">
-          <div className="text-green-400">Buys: {tokenData.txns24h.buys}</div>
-          <div className="text-red-400">Sells: {tokenData.txns24h.sells}</div>
+          <div className="text-green-400">Buys: {tokenData.txns.h24.buys}</div>
+          <div className="text-red-400">Sells: {tokenData.txns.h24.sells}</div>
         </div>
       ),
       color: "text-indigo-400"
@@ -191,8 +215,8 @@ const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
       icon: "🏪",
       content: (
         <div className="text-xs">
-          <div className="font-semibold">{tokenData.dexId}</div>
-          <div className="text-gray-400">{tokenData.chainId}</div>
+          <div className="font-semibold">{tokenData.mainPair.dex}</div>
+          <div className="text-gray-400">{tokenData.network}</div>
         </div>
       ),
       color: "text-teal-400"
@@ -202,7 +226,7 @@ const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
       icon: "💎",
       content: (
         <div className="text-xs">
-          <div className="font-semibold">{dexScreenerService.formatLargeNumber(tokenData.fdv)}</div>
+          <div className="font-semibold">{marketDataService.current.formatLargeNumber(tokenData.fdv)}</div>
           <div className="text-gray-400">Fully diluted</div>
         </div>
       ),
@@ -274,9 +298,39 @@ const RealTimeDataCard = ({ contractAddress, network = 'ethereum' }) => {
         ))}
       </div>
 
+      {/* Price Chart */}
+      <div className="mt-6 p-4 bg-gray-800/50 border border-gray-600 rounded-lg">
+        <div className="flex items-center justify-between mb-3">
+          <div className="text-sm font-semibold text-white">
+            Price Chart {candles && <span className="text-gray-400 font-normal">({candles.pair.dex}, in {candles.pair.quote})</span>}
+          </div>
+          <div className="flex gap-1">
+            {Object.keys(CANDLE_INTERVALS).map(interval => (
+              <button
+                key={interval}
+                onClick={() => setCandleInterval(interval)}
+                className={`px-2 py-1 text-xs rounded ${candleInterval === interval ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+              >
+                {interval}
+              </button>
+            ))}
+          </div>
+        </div>
+        {candles ? (
+          <PriceChart
+            candles={candles.candles}
+            interval={CANDLE_INTERVALS[candleInterval]}
+            markers={sellAlerts}
+            quote={candles.pair.quote}
+          />
+        ) : (
+          <div className="text-center text-gray-400 text-sm py-8">Price history unavailable</div>
+        )}
+      </div>
+
       {/* Last Updated */}
       <div className="mt-6 text-center text-xs text-gray-400">
-        <div>Data from DexScreener</div>
+        <div>Data from {tokenData.provider}</div>
         <div>Last updated: {lastUpdated ? lastUpdated.toLocaleString() : 'Never'}</div>
         <div className="text-green-400 mt-1">🟢 Auto-refreshing every 30 seconds</div>
       </div>
@@ -3,7 +3,11 @@ import { motion } from 'framer-motion';
 import { Search, Users, Activity, AlertTriangle, TrendingDown, Zap, X, Shield, Eye, Bell } from 'lucide-react';
 import WalletAnalyticsService from '../services/WalletAnalyticsService';
 import RealTimeMonitor from '../services/RealTimeMonitor';
-import TelegramAlertService from '../services/TelegramAlertService';
+import AlertService from '../services/AlertService';
+import RealTimeDataCard from './RealTimeDataCard';
+import AlertPopup from './AlertPopup';
+import AlertRulesPanel from './AlertRulesPanel';
+import { formatAmount, formatDisplay } from '../services/tokenAmount';
 
 const TeamBundleWalletPage = () => {
   // Core state
@@ -22,7 +26,40 @@ const TeamBundleWalletPage = () => {
   // Services
   const walletService = useRef(new WalletAnalyticsService());
   const realTimeMonitor = useRef(new RealTimeMonitor());
-  const telegramService = useRef(new TelegramAlertService());
+  const alertService = useRef(new AlertService());
+  const analysisAbort = useRef(null);
+
+  // Live alerts start from the stored ones, so a refresh does not lose them
+  const loadAlerts = useCallback(async (tokenAddress) => {
+    try {
+      const alerts = await alertService.current.list({ token: tokenAddress || undefined, limit: 50 });
+      setLiveAlerts(alerts);
+    } catch (error) {
+      console.error('❌ Failed to load stored alerts:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts]);
+
+  const acknowledgeAlert = async (id) => {
+    try {
+      const updated = await alertService.current.acknowledge(id);
+      setLiveAlerts(prev => prev.map(alert => (alert.id === id ? updated : alert)));
+    } catch (error) {
+      console.error('❌ Failed to acknowledge alert:', error);
+    }
+  };
+
+  const deleteAlert = async (id) => {
+    try {
+      await alertService.current.remove(id);
+      setLiveAlerts(prev => prev.filter(alert => alert.id !== id));
+    } catch (error) {
+      console.error('❌ Failed to delete alert:', error);
+    }
+  };
 
   const blockchains = [
     { id: 'ethereum', name: 'Ethereum', chainId: 1 },
@@ -44,6 +81,11 @@ const TeamBundleWalletPage = () => {
     setError(null);
     setAnalysisResults(null);
 
+    // A new analysis, or leaving the page, stops polling the previous one
+    analysisAbort.current?.abort();
+    const controller = new AbortController();
+    analysisAbort.current = controller;
+
     try {
       console.log(`🔍 Starting analysis for ${contractAddress} on ${blockchain}`);
       
@@ -69,11 +111,13 @@ const TeamBundleWalletPage = () => {
         topHolders,
         deployer, // May be null
         tokenMetadata,
-        blockchain
+        blockchain,
+        { signal: controller.signal }
       );
       console.log('✅ Classification complete:', {
         teamWallets: classification.teamWallets.length,
         bundleWallets: classification.bundleWallets.length,
+        mevWallets: classification.mevWallets.length,
         regularWallets: classification.regularWallets.length
       });
       
@@ -85,21 +129,25 @@ const TeamBundleWalletPage = () => {
         topHolders,
         teamWallets: classification.teamWallets,
         bundleWallets: classification.bundleWallets,
+        mevWallets: classification.mevWallets,
+        lpLocks: classification.lpLocks,
         analysisTimestamp: Date.now()
       };
       
       setAnalysisResults(results);
-      
+      await loadAlerts(contractAddress);
+
       // Auto-start real-time monitoring
       setTimeout(() => {
         startRealTimeMonitoring(results);
       }, 1000);
       
     } catch (error) {
+      if (controller.signal.aborted) return;
       console.error('❌ Analysis error:', error);
       setError(`Analysis failed: ${error.message}`);
     } finally {
-      setIsLoading(false);
+      if (!controller.signal.aborted) setIsLoading(false);
     }
   };
 
@@ -143,12 +191,11 @@ const TeamBundleWalletPage = () => {
       
       // Subscribe to alerts
       realTimeMonitor.current.onAlert((alert) => {
-        setLiveAlerts(prev => [alert, ...prev.slice(0, 49)]); // Keep last 50 alerts
-        
-        // Send Telegram alert for suspicious activity
-        if (alert.severity === 'high') {
-          telegramService.current.sendAlert(alert);
-        }
+        setLiveAlerts(prev => [alert, ...prev.filter(existing => existing.id !== alert.id).slice(0, 49)]); // Keep last 50 alerts
+      });
+      
+      realTimeMonitor.current.onAlertUpdate((alert) => {
+        setLiveAlerts(prev => prev.map(existing => (existing.id === alert.id ? alert : existing)));
       });
       
       // Subscribe to wallet updates
@@ -165,6 +212,7 @@ const TeamBundleWalletPage = () => {
       
       if (started) {
         setMonitoringActive(true);
+        setMonitoringStatus(realTimeMonitor.current.getStatus());
         console.log('✅ Monitoring started successfully');
       } else {
         console.error('❌ Failed to start monitoring');
@@ -190,22 +238,17 @@ const TeamBundleWalletPage = () => {
   }, []);
 
   // Format utilities
-  const formatTokenAmount = (amount) => {
-    if (!amount) return '0';
-    return new Intl.NumberFormat('en-US', {
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 2
-    }).format(amount);
-  };
+  // Amounts arrive as decimal strings so large supplies keep every digit
+  const formatTokenAmount = (amount) => formatDisplay(amount, 2);
 
-  // Cleanup on unmount
+  // Leaving the page only detaches it; the server monitor keeps watching until stopped
   useEffect(() => {
+    const monitor = realTimeMonitor.current;
     return () => {
-      if (monitoringActive) {
-        stopMonitoring();
-      }
+      analysisAbort.current?.abort();
+      monitor.disconnect();
     };
-  }, [monitoringActive, stopMonitoring]);
+  }, []);
 
   const formatPercentage = (percentage) => {
     if (!percentage) return '0%';
@@ -350,6 +393,16 @@ const TeamBundleWalletPage = () => {
         </motion.div>
       )}
 
+      {/* Alert rules of the analysed token */}
+      {analysisResults && (
+        <AlertRulesPanel token={analysisResults.contractAddress} network={analysisResults.blockchain} />
+      )}
+
+      {/* Pops up each alert the server monitor pushes */}
+      {monitoringActive && monitoringStatus?.monitorId && (
+        <AlertPopup monitorId={monitoringStatus.monitorId} />
+      )}
+
       {/* Error Display */}
       {error && (
         <motion.div
@@ -378,7 +431,7 @@ const TeamBundleWalletPage = () => {
           </h3>
           <div className="space-y-2 max-h-60 overflow-y-auto">
             {liveAlerts.slice(0, 10).map((alert, index) => (
-              <div key={index} className="bg-gray-800/50 p-3 rounded-lg">
+              <div key={alert.id || index} className={`bg-gray-800/50 p-3 rounded-lg ${alert.acknowledged ? 'opacity-50' : ''}`}>
                 <div className="flex items-center justify-between">
                   <div className="flex items-center gap-2">
                     <div className={`w-2 h-2 rounded-full ${
@@ -386,14 +439,42 @@ const TeamBundleWalletPage = () => {
                       alert.severity === 'medium' ? 'bg-yellow-400' : 'bg-blue-400'
                     }`} />
                     <span className="text-white font-medium">{alert.type}</span>
+                    {alert.data?.status && (
+                      <span className={`text-xs px-2 py-0.5 rounded-full ${
+                        alert.data.status === 'pending' ? 'bg-yellow-600 text-white' :
+                        alert.data.status === 'confirmed' ? 'bg-red-600 text-white' : 'bg-gray-600 text-gray-200'
+                      }`}>
+                        {alert.data.status}
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className="text-gray-400 text-sm">
+                      {new Date(alert.timestamp).toLocaleTimeString()}
+                    </span>
+                    {alert.id && !alert.acknowledged && (
+                      <button
+                        onClick={() => acknowledgeAlert(alert.id)}
+                        className="text-green-400 hover:text-green-300 text-xs"
+                        title="Acknowledge"
+                      >
+                        Ack
+                      </button>
+                    )}
+                    {alert.id && (
+                      <button
+                        onClick={() => deleteAlert(alert.id)}
+                        className="text-gray-400 hover:text-red-400"
+                        title="Delete"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    )}
                   </div>
-                  <span className="text-gray-400 text-sm">
-                    {new Date(alert.timestamp).toLocaleTimeString()}
-                  </span>
                 </div>
                 <p className="text-gray-300 text-sm mt-1">{alert.message}</p>
-                {alert.walletAddress && (
-                  <p className="text-blue-400 text-xs mt-1 font-mono">{alert.walletAddress}</p>
+                {(alert.wallet || alert.walletAddress) && (
+                  <p className="text-blue-400 text-xs mt-1 font-mono">{alert.wallet || alert.walletAddress}</p>
                 )}
               </div>
             ))}
@@ -409,6 +490,13 @@ const TeamBundleWalletPage = () => {
           animate={{ opacity: 1, y: 0 }}
           transition={{ duration: 0.6, delay: 0.2 }}
         >
+          {/* Market Data and Price Chart */}
+          <RealTimeDataCard
+            contractAddress={analysisResults.contractAddress}
+            network={analysisResults.blockchain}
+            sellAlerts={realTimeMonitor.current.getAlertHistory(analysisResults.contractAddress).filter(alert => alert.type === 'WALLET_SELL')}
+          />
+
           {/* Token Metadata */}
           <div className="bg-gray-900/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6">
             <h3 className="text-xl font-bold text-white mb-4 flex items-center gap-2">
@@ -427,7 +515,7 @@ const TeamBundleWalletPage = () => {
               <div>
                 <div className="text-gray-400 text-sm">Total Supply</div>
                 <div className="text-white font-semibold">
-                  {formatTokenAmount(analysisResults.tokenMetadata.totalSupply)}
+                  {formatTokenAmount(formatAmount(analysisResults.tokenMetadata.totalSupply, analysisResults.tokenMetadata.decimals))}
                 </div>
               </div>
               <div>
@@ -1,11 +1,27 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Shield, AlertTriangle, CheckCircle, TrendingUp, Clock, Globe, Server, Bug, Zap } from 'lucide-react';
+import { simulateTrade } from '../api/contractAnalysis';
+
+// Chains the trade simulation can fork, with the coin it buys with
+const NETWORKS = [
+  { id: 'ethereum', name: 'Ethereum', nativeSymbol: 'ETH' },
+  { id: 'bsc', name: 'BSC', nativeSymbol: 'BNB' },
+  { id: 'base', name: 'Base', nativeSymbol: 'ETH' },
+  { id: 'polygon', name: 'Polygon', nativeSymbol: 'POL' },
+  { id: 'arbitrum', name: 'Arbitrum', nativeSymbol: 'ETH' }
+];
+
+const formatTax = (tax) => (tax === null || tax === undefined ? 'N/A' : `${tax}%`);
 
 const TokenSecurityPage = ({ title }) => {
   const [tokenAddress, setTokenAddress] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [urlScanResults, setUrlScanResults] = useState(null);
+  const [scanType, setScanType] = useState('url');
+  const [network, setNetwork] = useState('ethereum');
+  const [simulation, setSimulation] = useState(null);
+  const [simulationError, setSimulationError] = useState(null);
 
   // Trusted domains whitelist
   const trustedDomains = [
@@ -129,8 +145,24 @@ const TokenSecurityPage = ({ title }) => {
     }
   };
 
+  // Buys, transfers and sells the token on a fork of the chain, so taxes are measured rather than read from source
+  const handleSimulate = async () => {
+    setIsLoading(true);
+    setSimulation(null);
+    setSimulationError(null);
+
+    try {
+      setSimulation(await simulateTrade(tokenAddress.trim(), network));
+    } catch (error) {
+      setSimulationError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleCheck = async () => {
     if (!tokenAddress.trim()) return;
+    if (scanType === 'honeypot') return handleSimulate();
     
     setIsLoading(true);
     
@@ -228,6 +260,9 @@ const TokenSecurityPage = ({ title }) => {
   };
 
   const serviceInfo = getServiceInfo();
+  const simulationNetwork = simulation && NETWORKS.find(chain => chain.id === simulation.network);
+  // A buy that reverts never reaches the sell
+  const revertReason = simulation && (simulation.buy.reverted ? simulation.buy.revertReason : simulation.sell?.revertReason);
 
   return (
     <div className="space-y-8">
@@ -253,13 +288,29 @@ const TokenSecurityPage = ({ title }) => {
         <div className="bg-gradient-to-r from-blue-600/20 to-purple-600/20 rounded-2xl p-8 mb-8">
           <div className="flex flex-col space-y-4">
             <div className="flex items-center space-x-4">
-              <select className="bg-gray-800 border border-gray-600 rounded-lg px-4 py-3 text-white focus:outline-none focus:border-blue-500">
-                <option>Phishing link scanner</option>
+              <select
+                value={scanType}
+                onChange={(e) => setScanType(e.target.value)}
+                className="bg-gray-800 border border-gray-600 rounded-lg px-4 py-3 text-white focus:outline-none focus:border-blue-500"
+              >
+                <option value="url">Phishing link scanner</option>
+                <option value="honeypot">Honeypot trade simulation</option>
               </select>
+              {scanType === 'honeypot' && (
+                <select
+                  value={network}
+                  onChange={(e) => setNetwork(e.target.value)}
+                  className="bg-gray-800 border border-gray-600 rounded-lg px-4 py-3 text-white focus:outline-none focus:border-blue-500"
+                >
+                  {NETWORKS.map(chain => (
+                    <option key={chain.id} value={chain.id}>{chain.name}</option>
+                  ))}
+                </select>
+              )}
               <div className="flex-1 relative">
                 <input
                   type="text"
-                  placeholder="Enter URL to Check (e.g., https://example.com)"
+                  placeholder={scanType === 'honeypot' ? 'Enter token address (0x...)' : 'Enter URL to Check (e.g., https://example.com)'}
                   value={tokenAddress}
                   onChange={(e) => setTokenAddress(e.target.value)}
                   className="w-full bg-gray-800 border border-gray-600 rounded-lg px-4 py-3 text-white placeholder-gray-400 focus:outline-none focus:border-blue-500"
@@ -272,113 +323,169 @@ const TokenSecurityPage = ({ title }) => {
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
               >
-                {isLoading ? 'Scanning...' : 'Scan URL'}
+                {scanType === 'honeypot' ? (isLoading ? 'Simulating...' : 'Simulate Trade') : (isLoading ? 'Scanning...' : 'Scan URL')}
               </motion.button>
             </div>
             <p className="text-gray-400 text-sm">
-              Note: Our intelligent system analyzes URLs using trusted domain verification and advanced pattern matching to minimize false positives while detecting real threats.
+              {scanType === 'honeypot'
+                ? 'Note: The token is bought, transferred and sold on a fork of the chain, so the taxes shown are what a real trade would lose.'
+                : 'Note: Our intelligent system analyzes URLs using trusted domain verification and advanced pattern matching to minimize false positives while detecting real threats.'}
             </p>
           </div>
         </div>
 
-        {/* Service Information Card - Now Dynamic */}
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ duration: 0.6, delay: 0.2 }}
-          className="bg-gradient-to-br from-gray-900/80 to-gray-800/80 backdrop-blur-sm border border-gray-700/50 rounded-2xl p-8 mb-8"
-        >
-          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-            {/* Service Overview */}
-            <div className="space-y-6">
+        {/* Trade Simulation Results */}
+        {scanType === 'honeypot' && simulationError && (
+          <div className="bg-gradient-to-br from-red-900/50 to-red-800/50 backdrop-blur-sm border border-red-700/50 rounded-2xl p-6 mb-8">
+            <p className="text-red-300">{simulationError}</p>
+          </div>
+        )}
+
+        {scanType === 'honeypot' && simulation && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+            className={`bg-gradient-to-br ${
+              simulation.isHoneypot ? 'from-red-900/50 to-red-800/50 border-red-700/50' : 'from-green-900/50 to-green-800/50 border-green-700/50'
+            } backdrop-blur-sm border rounded-2xl p-6 mb-8`}
+          >
+            <h3 className="text-xl font-bold text-white mb-4 flex items-center">
+              <Zap className={`w-6 h-6 mr-2 ${simulation.isHoneypot ? 'text-red-400' : 'text-green-400'}`} />
+              TRADE SIMULATION
+            </h3>
+            <p className={`font-semibold mb-4 ${simulation.isHoneypot ? 'text-red-300' : 'text-green-300'}`}>
+              {simulation.isHoneypot
+                ? 'HONEYPOT - Tokens bought here cannot be sold back at a fair price'
+                : 'SELLABLE - The token could be bought, transferred and sold'}
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
               <div>
-                <h2 className="text-2xl font-bold text-white mb-3">{serviceInfo.title}</h2>
-                <p className="text-gray-300 leading-relaxed">{serviceInfo.description}</p>
+                <p className="text-gray-400 text-sm">Buy Tax</p>
+                <p className="text-white text-lg font-semibold">{formatTax(simulation.buyTax)}</p>
               </div>
-              
-              {/* Key Features */}
               <div>
-                <h3 className="text-lg font-semibold text-white mb-4">Analysis Details</h3>
-                <div className="space-y-3">
-                  {serviceInfo.features.map((feature, index) => (
-                    <motion.div
-                      key={index}
-                      initial={{ opacity: 0, x: -20 }}
-                      animate={{ opacity: 1, x: 0 }}
-                      transition={{ duration: 0.4, delay: 0.3 + index * 0.1 }}
-                      className="flex items-center space-x-3"
-                    >
-                      <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
-                      <span className="text-gray-300">{feature}</span>
-                    </motion.div>
-                  ))}
-                </div>
+                <p className="text-gray-400 text-sm">Transfer Tax</p>
+                <p className="text-white text-lg font-semibold">{formatTax(simulation.transferTax)}</p>
+              </div>
+              <div>
+                <p className="text-gray-400 text-sm">Sell Tax</p>
+                <p className="text-white text-lg font-semibold">{formatTax(simulation.sellTax)}</p>
+              </div>
+              <div>
+                <p className="text-gray-400 text-sm">Sell Reverted</p>
+                <p className={`text-lg font-semibold ${simulation.sellReverted === false ? 'text-green-400' : 'text-red-400'}`}>
+                  {simulation.sellReverted === null ? 'Not reached' : simulation.sellReverted ? 'Yes' : 'No'}
+                </p>
               </div>
             </div>
+            {revertReason && <p className="text-red-300 mt-4">Revert reason: {revertReason}</p>}
+            <p className="text-gray-400 text-sm mt-4">
+              Bought with {simulation.amountIn} {simulationNetwork?.nativeSymbol} on {simulation.dex}
+            </p>
+          </motion.div>
+        )}
 
-            {/* Statistics Grid */}
-            <div className="space-y-6">
-              <h3 className="text-lg font-semibold text-white">Scan Metrics</h3>
-              <div className="grid grid-cols-2 gap-4">
-                {serviceInfo.stats.map((stat, index) => {
-                  const Icon = stat.icon;
-                  return (
-                    <motion.div
-                      key={index}
-                      initial={{ opacity: 0, scale: 0.8 }}
-                      animate={{ opacity: 1, scale: 1 }}
-                      transition={{ duration: 0.4, delay: 0.4 + index * 0.1 }}
-                      className="bg-gradient-to-br from-blue-600/20 to-purple-600/20 rounded-xl p-4 border border-gray-600/30"
-                    >
-                      <div className="flex items-center justify-between mb-2">
-                        <Icon className="w-5 h-5 text-blue-400" />
-                        <span className="text-2xl font-bold text-white">{stat.value}</span>
-                      </div>
-                      <p className="text-gray-400 text-sm">{stat.label}</p>
-                    </motion.div>
-                  );
-                })}
+        {/* Service Information Card - Now Dynamic */}
+        {scanType === 'url' && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6, delay: 0.2 }}
+            className="bg-gradient-to-br from-gray-900/80 to-gray-800/80 backdrop-blur-sm border border-gray-700/50 rounded-2xl p-8 mb-8"
+          >
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              {/* Service Overview */}
+              <div className="space-y-6">
+                <div>
+                  <h2 className="text-2xl font-bold text-white mb-3">{serviceInfo.title}</h2>
+                  <p className="text-gray-300 leading-relaxed">{serviceInfo.description}</p>
+                </div>
+              
+                {/* Key Features */}
+                <div>
+                  <h3 className="text-lg font-semibold text-white mb-4">Analysis Details</h3>
+                  <div className="space-y-3">
+                    {serviceInfo.features.map((feature, index) => (
+                      <motion.div
+                        key={index}
+                        initial={{ opacity: 0, x: -20 }}
+                        animate={{ opacity: 1, x: 0 }}
+                        transition={{ duration: 0.4, delay: 0.3 + index * 0.1 }}
+                        className="flex items-center space-x-3"
+                      >
+                        <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
+                        <span className="text-gray-300">{feature}</span>
+                      </motion.div>
+                    ))}
+                  </div>
+                </div>
               </div>
+
+              {/* Statistics Grid */}
+              <div className="space-y-6">
+                <h3 className="text-lg font-semibold text-white">Scan Metrics</h3>
+                <div className="grid grid-cols-2 gap-4">
+                  {serviceInfo.stats.map((stat, index) => {
+                    const Icon = stat.icon;
+                    return (
+                      <motion.div
+                        key={index}
+                        initial={{ opacity: 0, scale: 0.8 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        transition={{ duration: 0.4, delay: 0.4 + index * 0.1 }}
+                        className="bg-gradient-to-br from-blue-600/20 to-purple-600/20 rounded-xl p-4 border border-gray-600/30"
+                      >
+                        <div className="flex items-center justify-between mb-2">
+                          <Icon className="w-5 h-5 text-blue-400" />
+                          <span className="text-2xl font-bold text-white">{stat.value}</span>
+                        </div>
+                        <p className="text-gray-400 text-sm">{stat.label}</p>
+                      </motion.div>
+                    );
+                  })}
+                </div>
               
-              {/* Status Indicator */}
-              <div className={`${
-                urlScanResults ? 
-                  urlScanResults.riskAssessment.overallRisk === 'CRITICAL' ? 'bg-red-600/20 border-red-600/30' :
-                  urlScanResults.riskAssessment.overallRisk === 'HIGH' ? 'bg-orange-600/20 border-orange-600/30' :
-                  urlScanResults.riskAssessment.overallRisk === 'MEDIUM' ? 'bg-yellow-600/20 border-yellow-600/30' :
-                  'bg-green-600/20 border-green-600/30'
-                : 'bg-green-600/20 border-green-600/30'
-              } rounded-lg p-4`}>
-                <div className="flex items-center space-x-3">
-                  <div className={`w-3 h-3 ${
-                    urlScanResults ? 
-                      urlScanResults.riskAssessment.overallRisk === 'CRITICAL' ? 'bg-red-500' :
-                      urlScanResults.riskAssessment.overallRisk === 'HIGH' ? 'bg-orange-500' :
-                      urlScanResults.riskAssessment.overallRisk === 'MEDIUM' ? 'bg-yellow-500' :
-                      'bg-green-500'
-                    : 'bg-green-500'
-                  } rounded-full animate-pulse`}></div>
-                  <span className={`${
-                    urlScanResults ? 
-                      urlScanResults.riskAssessment.overallRisk === 'CRITICAL' ? 'text-red-400' :
-                      urlScanResults.riskAssessment.overallRisk === 'HIGH' ? 'text-orange-400' :
-                      urlScanResults.riskAssessment.overallRisk === 'MEDIUM' ? 'text-yellow-400' :
-                      'text-green-400'
-                    : 'text-green-400'
-                  } font-medium`}>
-                    {urlScanResults ? `Risk Level: ${urlScanResults.riskAssessment.overallRisk}` : 'Scanner Ready'}
-                  </span>
-                  <span className="text-gray-400 text-sm ml-auto">
-                    {urlScanResults ? `Scanned: ${new Date(urlScanResults.scanMetadata.scanTime).toLocaleTimeString()}` : 'Awaiting URL input'}
-                  </span>
+                {/* Status Indicator */}
+                <div className={`${
+                  urlScanResults ? 
+                    urlScanResults.riskAssessment.overallRisk === 'CRITICAL' ? 'bg-red-600/20 border-red-600/30' :
+                    urlScanResults.riskAssessment.overallRisk === 'HIGH' ? 'bg-orange-600/20 border-orange-600/30' :
+                    urlScanResults.riskAssessment.overallRisk === 'MEDIUM' ? 'bg-yellow-600/20 border-yellow-600/30' :
+                    'bg-green-600/20 border-green-600/30'
+                  : 'bg-green-600/20 border-green-600/30'
+                } rounded-lg p-4`}>
+                  <div className="flex items-center space-x-3">
+                    <div className={`w-3 h-3 ${
+                      urlScanResults ? 
+                        urlScanResults.riskAssessment.overallRisk === 'CRITICAL' ? 'bg-red-500' :
+                        urlScanResults.riskAssessment.overallRisk === 'HIGH' ? 'bg-orange-500' :
+                        urlScanResults.riskAssessment.overallRisk === 'MEDIUM' ? 'bg-yellow-500' :
+                        'bg-green-500'
+                      : 'bg-green-500'
+                    } rounded-full animate-pulse`}></div>
+                    <span className={`${
+                      urlScanResults ? 
+                        urlScanResults.riskAssessment.overallRisk === 'CRITICAL' ? 'text-red-400' :
+                        urlScanResults.riskAssessment.overallRisk === 'HIGH' ? 'text-orange-400' :
+                        urlScanResults.riskAssessment.overallRisk === 'MEDIUM' ? 'text-yellow-400' :
+                        'text-green-400'
+                      : 'text-green-400'
+                    } font-medium`}>
+                      {urlScanResults ? `Risk Level: ${urlScanResults.riskAssessment.overallRisk}` : 'Scanner Ready'}
+                    </span>
+                    <span className="text-gray-400 text-sm ml-auto">
+                      {urlScanResults ? `Scanned: ${new Date(urlScanResults.scanMetadata.scanTime).toLocaleTimeString()}` : 'Awaiting URL input'}
+                    </span>
+                  </div>
                 </div>
               </div>
             </div>
-          </div>
-        </motion.div>
+          </motion.div>
+        )}
 
         {/* Real-time URL Scan Results */}
-        {urlScanResults && (
+        {scanType === 'url' && urlScanResults && (
           <motion.div
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
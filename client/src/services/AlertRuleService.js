@@ -0,0 +1,26 @@
+import apiClient from './apiClient';
+
+// Per-token alert rules the server monitor checks every event against
+class AlertRuleService {
+  // The token's rules, or the defaults (marked isDefault) while it has none of its own
+  async list(token, network) {
+    const response = await apiClient.get('/alert-rules', { params: { token, network } });
+    return response.data.data;
+  }
+
+  async create(rule) {
+    const response = await apiClient.post('/alert-rules', rule);
+    return response.data.data;
+  }
+
+  async update(id, changes) {
+    const response = await apiClient.patch(`/alert-rules/${encodeURIComponent(id)}`, changes);
+    return response.data.data;
+  }
+
+  async remove(id) {
+    await apiClient.delete(`/alert-rules/${encodeURIComponent(id)}`);
+  }
+}
+
+export default AlertRuleService;
@@ -0,0 +1,27 @@
+import apiClient from './apiClient';
+
+// Alerts persisted by the backend, so they outlive the page that raised them
+class AlertService {
+  // Store an alert; the same id sent twice is stored once
+  async create(alert) {
+    const response = await apiClient.post('/alerts', alert);
+    return response.data.data;
+  }
+
+  // Newest first; filters are token, wallet, type, severity, network, from, to, acknowledged, limit and offset
+  async list(filters = {}) {
+    const response = await apiClient.get('/alerts', { params: filters });
+    return response.data.data.alerts;
+  }
+
+  async acknowledge(id) {
+    const response = await apiClient.post(`/alerts/${encodeURIComponent(id)}/acknowledge`);
+    return response.data.data;
+  }
+
+  async remove(id) {
+    await apiClient.delete(`/alerts/${encodeURIComponent(id)}`);
+  }
+}
+
+export default AlertService;
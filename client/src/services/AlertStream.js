@@ -0,0 +1,96 @@
+import apiClient from './apiClient';
+
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+// Live alert and wallet-update events from /api/stream. Filters are monitor (one id or a comma
+// separated list) and token. Reconnects on its own and resumes after the last event it received.
+class AlertStream {
+  constructor(filters = {}) {
+    this.filters = filters;
+    this.listeners = new Map();
+    this.source = null;
+    this.lastEventId = null;
+    this.retryDelay = MIN_RETRY_DELAY;
+    this.retryTimer = null;
+    this.connected = false;
+  }
+
+  // Listen for one event type ('alert' or 'wallet-update'); returns the unsubscribe function
+  on(type, callback) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+      if (this.source) this.listen(type);
+    }
+    this.listeners.get(type).add(callback);
+
+    return () => {
+      this.listeners.get(type)?.delete(callback);
+    };
+  }
+
+  connect() {
+    this.close();
+
+    const params = new URLSearchParams();
+    Object.entries(this.filters).forEach(([name, value]) => {
+      if (value) params.set(name, value);
+    });
+    if (this.lastEventId) params.set('lastEventId', this.lastEventId);
+
+    this.source = new EventSource(`${apiClient.defaults.baseURL}/stream?${params}`);
+    this.source.onopen = () => {
+      this.connected = true;
+      this.retryDelay = MIN_RETRY_DELAY;
+    };
+    this.source.onerror = () => {
+      this.connected = false;
+      // The browser retries dropped streams itself; a closed source means it gave up, so start over
+      if (this.source.readyState === EventSource.CLOSED) this.scheduleReconnect();
+    };
+
+    this.listeners.forEach((callbacks, type) => this.listen(type));
+  }
+
+  listen(type) {
+    this.source.addEventListener(type, (event) => {
+      this.lastEventId = event.lastEventId || this.lastEventId;
+
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (error) {
+        console.error(`Malformed ${type} event:`, error);
+        return;
+      }
+
+      this.listeners.get(type)?.forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error notifying ${type} listener:`, error);
+        }
+      });
+    });
+  }
+
+  // Doubles the wait after every failed attempt, up to MAX_RETRY_DELAY
+  scheduleReconnect() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+    this.retryDelay = Math.min(this.retryDelay * 2, MAX_RETRY_DELAY);
+  }
+
+  close() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.connected = false;
+
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+  }
+}
+
+export default AlertStream;
@@ -0,0 +1,211 @@
+// WebSocket JSON-RPC endpoint of each chain; any node or provider that implements eth_subscribe works
+const WS_URLS = {
+  ethereum: process.env.REACT_APP_ETHEREUM_WS_URL,
+  bsc: process.env.REACT_APP_BSC_WS_URL,
+  base: process.env.REACT_APP_BASE_WS_URL,
+  polygon: process.env.REACT_APP_POLYGON_WS_URL,
+  arbitrum: process.env.REACT_APP_ARBITRUM_WS_URL,
+  local: process.env.REACT_APP_LOCAL_WS_URL
+};
+
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+const REQUEST_TIMEOUT = 30000;
+// eth_getLogs window while backfilling, and the most blocks a single reconnect backfills
+const BACKFILL_CHUNK_SIZE = 2000;
+const MAX_BACKFILL_BLOCKS = 20000;
+// Logs remembered so a log seen live and again in a backfill is only delivered once
+const MAX_SEEN_LOGS = 5000;
+
+const toHex = (number) => `0x${number.toString(16)}`;
+
+// Standard eth_subscribe `logs` and `newHeads` subscriptions over a chain's WebSocket endpoint.
+// Subscriptions are re-created after every reconnect, and logs from the blocks missed while
+// disconnected are fetched with eth_getLogs before live ones resume.
+class ChainSubscriber {
+  constructor(blockchain, url = WS_URLS[blockchain]) {
+    this.blockchain = blockchain;
+    this.url = url;
+    this.socket = null;
+    this.connected = false;
+    this.closed = true;
+    this.nextRequestId = 1;
+    this.nextSubscriptionId = 1;
+    this.pending = new Map();
+    this.subscriptions = new Map();
+    this.seenLogs = new Set();
+    this.lastBlock = null;
+    this.retryDelay = MIN_RETRY_DELAY;
+    this.retryTimer = null;
+
+    // Heads are always followed, they mark how far a backfill has to reach back
+    this.subscribeHeads(() => {});
+  }
+
+  static isSupported(blockchain) {
+    return Boolean(WS_URLS[blockchain]);
+  }
+
+  connect() {
+    if (!this.url) {
+      throw new Error(`No WebSocket RPC endpoint configured for ${this.blockchain}`);
+    }
+
+    this.closed = false;
+    clearTimeout(this.retryTimer);
+
+    this.socket = new WebSocket(this.url);
+    this.socket.onopen = () => this.handleOpen();
+    this.socket.onmessage = (event) => this.handleMessage(event);
+    this.socket.onerror = () => {
+      console.warn(`⚠️ WebSocket error on ${this.blockchain}`);
+    };
+    this.socket.onclose = () => this.handleClose();
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  // filter is an eth_getLogs filter without a block range; returns the unsubscribe function
+  subscribeLogs(filter, callback) {
+    return this.addSubscription({ kind: 'logs', filter, callback });
+  }
+
+  subscribeHeads(callback) {
+    return this.addSubscription({ kind: 'newHeads', callback });
+  }
+
+  addSubscription(subscription) {
+    const id = this.nextSubscriptionId++;
+    this.subscriptions.set(id, { ...subscription, remoteId: null });
+    if (this.connected) this.subscribeRemote(id).catch(error => console.warn('⚠️ Subscription failed:', error.message));
+
+    return () => {
+      const { remoteId } = this.subscriptions.get(id) || {};
+      this.subscriptions.delete(id);
+      if (remoteId && this.connected) this.request('eth_unsubscribe', [remoteId]).catch(() => {});
+    };
+  }
+
+  async subscribeRemote(id) {
+    const subscription = this.subscriptions.get(id);
+    const params = subscription.kind === 'logs' ? ['logs', subscription.filter] : ['newHeads'];
+    subscription.remoteId = await this.request('eth_subscribe', params);
+  }
+
+  request(method, params = []) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextRequestId++;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${method} timed out`));
+      }, REQUEST_TIMEOUT);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.socket.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    });
+  }
+
+  // Subscribe first and backfill after, so no block falls between the two; duplicates are dropped
+  async handleOpen() {
+    this.connected = true;
+    this.retryDelay = MIN_RETRY_DELAY;
+    console.log(`🔌 WebSocket connected (${this.blockchain})`);
+
+    try {
+      for (const id of this.subscriptions.keys()) {
+        await this.subscribeRemote(id);
+      }
+
+      const head = parseInt(await this.request('eth_blockNumber'), 16);
+      if (this.lastBlock !== null && head >= this.lastBlock) {
+        await this.backfill(Math.max(this.lastBlock, head - MAX_BACKFILL_BLOCKS), head);
+      }
+      this.lastBlock = Math.max(this.lastBlock ?? head, head);
+    } catch (error) {
+      console.warn(`⚠️ Resubscribing on ${this.blockchain} failed:`, error.message);
+      this.socket?.close();
+    }
+  }
+
+  // The block the connection dropped in is read again, since only some of its logs may have arrived
+  async backfill(fromBlock, toBlock) {
+    const logSubscriptions = Array.from(this.subscriptions.values()).filter(subscription => subscription.kind === 'logs');
+
+    for (const subscription of logSubscriptions) {
+      for (let start = fromBlock; start <= toBlock; start += BACKFILL_CHUNK_SIZE) {
+        const end = Math.min(start + BACKFILL_CHUNK_SIZE - 1, toBlock);
+        const logs = await this.request('eth_getLogs', [{ ...subscription.filter, fromBlock: toHex(start), toBlock: toHex(end) }]);
+        logs.forEach(log => this.deliver(subscription, log));
+      }
+    }
+  }
+
+  handleMessage(event) {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+
+    if (message.id !== undefined && this.pending.has(message.id)) {
+      const { resolve, reject, timer } = this.pending.get(message.id);
+      clearTimeout(timer);
+      this.pending.delete(message.id);
+      if (message.error) reject(new Error(message.error.message));
+      else resolve(message.result);
+      return;
+    }
+
+    if (message.method === 'eth_subscription') {
+      const subscription = Array.from(this.subscriptions.values())
+        .find(candidate => candidate.remoteId === message.params.subscription);
+      if (subscription) this.deliver(subscription, message.params.result);
+    }
+  }
+
+  deliver(subscription, result) {
+    if (subscription.kind === 'newHeads') {
+      this.lastBlock = Math.max(this.lastBlock ?? 0, parseInt(result.number, 16));
+    } else {
+      const key = `${result.transactionHash}-${result.logIndex}-${result.removed ? 'removed' : 'added'}`;
+      if (this.seenLogs.has(key)) return;
+      this.seenLogs.add(key);
+      if (this.seenLogs.size > MAX_SEEN_LOGS) this.seenLogs.delete(this.seenLogs.values().next().value);
+    }
+
+    try {
+      subscription.callback(result);
+    } catch (error) {
+      console.error(`Error in ${subscription.kind} subscriber:`, error);
+    }
+  }
+
+  // Doubles the wait after every failed attempt, with jitter so many tabs do not reconnect in step
+  handleClose() {
+    this.connected = false;
+    this.subscriptions.forEach(subscription => { subscription.remoteId = null; });
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('WebSocket closed'));
+    });
+    this.pending.clear();
+
+    if (this.closed) return;
+
+    const delay = this.retryDelay * (0.5 + Math.random() / 2);
+    console.log(`🔌 WebSocket disconnected (${this.blockchain}), reconnecting in ${Math.round(delay / 1000)}s`);
+    this.retryTimer = setTimeout(() => this.connect(), delay);
+    this.retryDelay = Math.min(this.retryDelay * 2, MAX_RETRY_DELAY);
+  }
+}
+
+export default ChainSubscriber;
@@ -1,34 +1,38 @@
+import { ethers } from 'ethers';
 import WalletAnalyticsService from './WalletAnalyticsService';
+import MarketDataService from './MarketDataService';
+import ChainSubscriber from './ChainSubscriber';
+import { toBigInt, percentOf, amountToNumber } from './tokenAmount';
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+// Polled balance changes above changePercent raise an alert, high severity from highPercent
+const DEFAULT_THRESHOLDS = { changePercent: 5, highPercent: 20 };
 
 class EnhancedRealTimeMonitor {
   constructor() {
     this.walletService = new WalletAnalyticsService();
+    this.marketDataService = new MarketDataService();
     this.monitoredWallets = new Map();
     this.alertCallbacks = new Set();
     this.updateCallbacks = new Set();
     this.isMonitoring = false;
     this.monitorInterval = null;
-    this.websocketConnection = null;
-    
-    // DEX addresses for sell detection
-    this.dexAddresses = new Set([
-      '0x7a250d5630b4cf539739df2c5dacb4c659f2488d', // Uniswap V2 Router
-      '0xe592427a0aece92de3edee1f18e0157c05861564', // Uniswap V3 Router
-      '0x10ed43c718714eb63d5aa57b78b54704e256024e', // PancakeSwap Router
-      '0x1b02da8cb0d097eb8d57a175b88c7d8b47997506', // SushiSwap Router
-    ]);
+    this.subscriber = null;
   }
 
   // Initialize monitoring
-  async initialize({ tokenAddress, blockchain, wallets }) {
+  async initialize({ tokenAddress, blockchain, wallets, thresholds = {} }) {
     this.tokenAddress = tokenAddress;
     this.blockchain = blockchain;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
     
     // Setup monitored wallets
     for (const wallet of wallets) {
-      this.monitoredWallets.set(wallet.address, {
+      this.monitoredWallets.set(wallet.address.toLowerCase(), {
         ...wallet,
-        lastBalance: wallet.balance,
+        // Raw integer string; classified holders carry it as balanceRaw
+        lastBalance: wallet.balanceRaw ?? null,
         lastChecked: Date.now(),
         alertCount: 0,
         isActive: false
@@ -45,14 +49,12 @@ class EnhancedRealTimeMonitor {
     this.isMonitoring = true;
     console.log('🚀 Starting real-time monitoring...');
     
-    // Start WebSocket connection for real-time updates
-    await this.initializeWebSocket();
-    
-    // Start polling for balance changes
-    this.startPolling();
-    
-    // Start transaction monitoring
-    this.startTransactionMonitoring();
+    // Transfers arrive over the chain's WebSocket endpoint; without one, balances are polled
+    if (ChainSubscriber.isSupported(this.blockchain)) {
+      this.initializeWebSocket();
+    } else {
+      this.startPolling();
+    }
   }
 
   // Stop monitoring
@@ -64,104 +66,46 @@ class EnhancedRealTimeMonitor {
       this.monitorInterval = null;
     }
     
-    if (this.websocketConnection) {
-      this.websocketConnection.close();
-      this.websocketConnection = null;
+    if (this.subscriber) {
+      this.subscriber.close();
+      this.subscriber = null;
     }
     
     console.log('⏹️ Stopped real-time monitoring');
   }
 
-  // Initialize WebSocket connection
-  async initializeWebSocket() {
-    try {
-      // Use Alchemy WebSocket for real-time updates
-      const wsUrl = `wss://eth-mainnet.alchemyapi.io/v2/${process.env.REACT_APP_ALCHEMY_API_KEY}`;
-      
-      this.websocketConnection = new WebSocket(wsUrl);
-      
-      this.websocketConnection.onopen = () => {
-        console.log('🔌 WebSocket connected');
-        
-        // Subscribe to address activity
-        const addresses = Array.from(this.monitoredWallets.keys());
-        this.websocketConnection.send(JSON.stringify({
-          jsonrpc: '2.0',
-          id: 1,
-          method: 'eth_subscribe',
-          params: ['alchemy_pendingTransactions', {
-            fromAddress: addresses,
-            toAddress: addresses
-          }]
-        }));
-      };
-      
-      this.websocketConnection.onmessage = (event) => {
-        const data = JSON.parse(event.data);
-        if (data.method === 'eth_subscription') {
-          this.handleWebSocketTransaction(data.params.result);
-        }
-      };
-      
-      this.websocketConnection.onerror = (error) => {
-        console.error('❌ WebSocket error:', error);
-      };
-      
-      this.websocketConnection.onclose = () => {
-        console.log('🔌 WebSocket disconnected');
-        // Attempt to reconnect after 5 seconds
-        setTimeout(() => {
-          if (this.isMonitoring) {
-            this.initializeWebSocket();
-          }
-        }, 5000);
-      };
-      
-    } catch (error) {
-      console.error('❌ WebSocket initialization error:', error);
-    }
-  }
+  // Subscribe to the token's Transfer logs sent or received by the monitored wallets
+  initializeWebSocket() {
+    const walletTopics = Array.from(this.monitoredWallets.keys()).map(address => ethers.zeroPadValue(address, 32));
 
-  // Handle WebSocket transaction
-  handleWebSocketTransaction(tx) {
-    const fromWallet = this.monitoredWallets.get(tx.from?.toLowerCase());
-    const toWallet = this.monitoredWallets.get(tx.to?.toLowerCase());
-    
-    if (fromWallet || toWallet) {
-      // Check if it's a DEX transaction (potential sell)
-      if (this.dexAddresses.has(tx.to?.toLowerCase())) {
-        this.handlePotentialSell(tx, fromWallet);
-      }
-      
-      // Update wallet activity
-      if (fromWallet) {
-        fromWallet.isActive = true;
-        fromWallet.lastActivity = Date.now();
-      }
-      if (toWallet) {
-        toWallet.isActive = true;
-        toWallet.lastActivity = Date.now();
-      }
-    }
+    this.subscriber = new ChainSubscriber(this.blockchain);
+    this.subscriber.subscribeLogs(
+      { address: this.tokenAddress, topics: [TRANSFER_TOPIC, walletTopics] },
+      (log) => this.handleTransferLog(log)
+    );
+    this.subscriber.subscribeLogs(
+      { address: this.tokenAddress, topics: [TRANSFER_TOPIC, null, walletTopics] },
+      (log) => this.handleTransferLog(log)
+    );
+    this.subscriber.connect();
   }
 
-  // Handle potential sell transaction
-  handlePotentialSell(tx, wallet) {
-    if (!wallet) return;
-    
-    const alert = {
-      type: 'DEX_SELL_DETECTED',
-      severity: 'high',
-      message: `${wallet.type} detected selling to DEX`,
-      walletAddress: wallet.address,
-      walletType: wallet.type,
-      txHash: tx.hash,
-      dexAddress: tx.to,
-      timestamp: Date.now()
-    };
-    
-    this.triggerAlert(alert);
-    wallet.alertCount++;
+  // A transfer touching a monitored wallet triggers an immediate balance check of that wallet
+  handleTransferLog(log) {
+    if (log.removed) return;
+
+    const from = ethers.getAddress(ethers.dataSlice(log.topics[1], 12));
+    const to = ethers.getAddress(ethers.dataSlice(log.topics[2], 12));
+
+    for (const address of [from, to]) {
+      const wallet = this.monitoredWallets.get(address.toLowerCase());
+      if (!wallet) continue;
+
+      wallet.isActive = true;
+      wallet.lastActivity = Date.now();
+      wallet.lastTxHash = log.transactionHash;
+      this.checkWalletChanges(wallet);
+    }
   }
 
   // Start polling for balance changes
@@ -171,14 +115,6 @@ class EnhancedRealTimeMonitor {
     }, 30000); // Check every 30 seconds
   }
 
-  // Start transaction monitoring
-  startTransactionMonitoring() {
-    // Monitor for large transfers, coordinated sells, etc.
-    setInterval(async () => {
-      await this.checkCoordinatedActivity();
-    }, 60000); // Check every minute
-  }
-
   // Check all monitored wallets
   async checkAllWallets() {
     const promises = Array.from(this.monitoredWallets.values()).map(wallet => 
@@ -197,21 +133,22 @@ class EnhancedRealTimeMonitor {
         this.blockchain
       );
       
-      if (currentBalance !== null && currentBalance !== wallet.lastBalance) {
-        const balanceChange = currentBalance - wallet.lastBalance;
-        const percentChange = (balanceChange / wallet.lastBalance) * 100;
+      if (currentBalance !== null && currentBalance.raw !== wallet.lastBalance) {
+        const balanceChange = toBigInt(currentBalance.raw) - toBigInt(wallet.lastBalance);
+        const percentChange = wallet.lastBalance === null ? 0 : percentOf(balanceChange, wallet.lastBalance);
         
         // Detect significant balance changes
-        if (Math.abs(percentChange) > 5) {
+        if (Math.abs(percentChange) > this.thresholds.changePercent) {
           const alert = {
-            type: balanceChange > 0 ? 'BALANCE_INCREASE' : 'BALANCE_DECREASE',
-            severity: Math.abs(percentChange) > 20 ? 'high' : 'medium',
+            type: balanceChange > 0n ? 'BALANCE_INCREASE' : 'BALANCE_DECREASE',
+            severity: Math.abs(percentChange) > this.thresholds.highPercent ? 'high' : 'medium',
             message: `${wallet.type} balance changed by ${percentChange.toFixed(2)}%`,
             walletAddress: wallet.address,
             walletType: wallet.type,
             oldBalance: wallet.lastBalance,
-            newBalance: currentBalance,
+            newBalance: currentBalance.raw,
             changePercent: percentChange,
+            txHash: wallet.lastTxHash || null,
             timestamp: Date.now()
           };
           
@@ -219,17 +156,17 @@ class EnhancedRealTimeMonitor {
         }
         
         // Update wallet data
-        wallet.lastBalance = currentBalance;
-        wallet.currentBalance = currentBalance;
+        wallet.lastBalance = currentBalance.raw;
+        wallet.currentBalance = currentBalance.formatted;
         wallet.lastChecked = Date.now();
         
         // Trigger update callback
         this.triggerUpdate({
           address: wallet.address,
-          currentBalance,
+          currentBalance: currentBalance.formatted,
           lastActivity: wallet.lastActivity,
           isActive: wallet.isActive,
-          usdValue: currentBalance * (await this.getTokenPrice()),
+          usdValue: amountToNumber(currentBalance.raw, currentBalance.decimals) * (await this.getTokenPrice()),
           sellPressure: await this.calculateSellPressure(wallet)
         });
       }
@@ -239,30 +176,6 @@ class EnhancedRealTimeMonitor {
     }
   }
 
-  // Check for coordinated activity
-  async checkCoordinatedActivity() {
-    try {
-      const wallets = Array.from(this.monitoredWallets.values());
-      const recentActivity = wallets.filter(w => 
-        w.lastActivity && Date.now() - w.lastActivity < 5 * 60 * 1000 // Last 5 minutes
-      );
-      
-      if (recentActivity.length >= 3) {
-        const alert = {
-          type: 'COORDINATED_ACTIVITY',
-          severity: 'high',
-          message: `${recentActivity.length} wallets showing coordinated activity`,
-          walletAddresses: recentActivity.map(w => w.address),
-          timestamp: Date.now()
-        };
-        
-        this.triggerAlert(alert);
-      }
-    } catch (error) {
-      console.error('❌ Error checking coordinated activity:', error);
-    }
-  }
-
   // Calculate sell pressure
   async calculateSellPressure(wallet) {
     try {
@@ -291,18 +204,7 @@ class EnhancedRealTimeMonitor {
 
   // Get current token price
   async getTokenPrice() {
-    try {
-      const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${this.tokenAddress}`);
-      const data = await response.json();
-      
-      if (data.pairs && data.pairs.length > 0) {
-        return parseFloat(data.pairs[0].priceUsd);
-      }
-      
-      return 0;
-    } catch (error) {
-      return 0;
-    }
+    return this.marketDataService.getTokenPrice(this.tokenAddress, this.blockchain);
   }
 
   // Trigger alert
@@ -345,7 +247,7 @@ class EnhancedRealTimeMonitor {
     return {
       isMonitoring: this.isMonitoring,
       walletCount: this.monitoredWallets.size,
-      connected: this.websocketConnection?.readyState === WebSocket.OPEN,
+      connected: Boolean(this.subscriber?.connected),
       lastCheck: Math.max(...Array.from(this.monitoredWallets.values()).map(w => w.lastChecked || 0))
     };
   }
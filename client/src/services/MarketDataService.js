@@ -0,0 +1,73 @@
+import apiClient from './apiClient';
+
+// Market data comes from the backend, which caches it and picks the provider
+class MarketDataService {
+  // Price, volume, liquidity and market cap aggregated across the token's pairs
+  async getTokenData(contractAddress, network = 'ethereum') {
+    try {
+      const response = await apiClient.get(`/analytics/market/${contractAddress}`, {
+        params: { network }
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching market data:', error);
+      throw new Error(error.response?.data?.error || error.message);
+    }
+  }
+
+  // OHLCV candles from the token's main pair; from and to are unix seconds
+  async getCandles(contractAddress, network = 'ethereum', { interval = '5m', from, to } = {}) {
+    try {
+      const response = await apiClient.get(`/analytics/candles/${contractAddress}`, {
+        params: { network, interval, from, to }
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching candles:', error);
+      throw new Error(error.response?.data?.error || error.message);
+    }
+  }
+
+  // USD price, or 0 when the token has no market
+  async getTokenPrice(contractAddress, network = 'ethereum') {
+    try {
+      const data = await this.getTokenData(contractAddress, network);
+      return data.price || 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // Get multiple tokens data
+  async getMultipleTokensData(contractAddresses, network = 'ethereum') {
+    const promises = contractAddresses.map(address => 
+      this.getTokenData(address, network).catch(error => ({ error, address }))
+    );
+    
+    return Promise.all(promises);
+  }
+
+  // Format price for display
+  formatPrice(price) {
+    if (price >= 1) return `$${price.toFixed(4)}`;
+    if (price >= 0.01) return `$${price.toFixed(6)}`;
+    if (price >= 0.0001) return `$${price.toFixed(8)}`;
+    return `$${price.toExponential(2)}`;
+  }
+
+  // Format volume/market cap
+  formatLargeNumber(num) {
+    if (num >= 1e9) return `$${(num / 1e9).toFixed(2)}B`;
+    if (num >= 1e6) return `$${(num / 1e6).toFixed(2)}M`;
+    if (num >= 1e3) return `$${(num / 1e3).toFixed(2)}K`;
+    return `$${num.toFixed(2)}`;
+  }
+
+  // Format percentage change
+  formatPercentage(percentage) {
+    const sign = percentage >= 0 ? '+' : '';
+    return `${sign}${percentage.toFixed(2)}%`;
+  }
+}
+
+export default MarketDataService;
\ No newline at end of file
@@ -1,55 +1,46 @@
-import axios from 'axios';
-import WalletAnalyticsService from './WalletAnalyticsService';
+import apiClient from './apiClient';
+import AlertService from './AlertService';
+import AlertStream from './AlertStream';
 
+const MAX_ALERT_HISTORY = 500;
+
+// Browser side of a server monitor: the server polls the wallets and stores alerts, this
+// only starts or stops the monitor and relays its live events to the page
 class RealTimeMonitor {
   constructor() {
+    this.alertService = new AlertService();
     this.monitoredWallets = new Map();
     this.alertSubscribers = new Set();
+    this.alertUpdateSubscribers = new Set();
     this.updateSubscribers = new Set();
+    this.alertHistory = [];
     this.isMonitoring = false;
-    this.monitorInterval = null;
+    this.stream = null;
+    this.monitorId = null;
     this.tokenAddress = null;
     this.blockchain = null;
+    this.lastCheck = null;
   }
 
-  // Add initialize method (place this after constructor)
-  async initialize({ tokenAddress, blockchain, wallets }) {
+  initialize({ tokenAddress, blockchain, wallets }) {
     this.tokenAddress = tokenAddress;
     this.blockchain = blockchain;
-    
-    // Clear existing wallets
     this.monitoredWallets.clear();
-    
+
     // Ensure wallets is an array
     if (!Array.isArray(wallets)) {
       console.error('❌ Wallets parameter must be an array');
       throw new Error('Wallets parameter must be an array');
     }
-    
-    // Check if wallets array is empty
-    if (wallets.length === 0) {
-      console.log('⚠️ No wallets provided for monitoring');
-      return true;
-    }
-    
-    // Setup monitored wallets
+
     for (const wallet of wallets) {
       if (!wallet || !wallet.address) {
         console.warn('⚠️ Skipping invalid wallet:', wallet);
         continue;
       }
-      
-      this.monitoredWallets.set(wallet.address.toLowerCase(), {
-        ...wallet,
-        tokenAddress,
-        network: blockchain,
-        lastBalance: null,
-        lastChecked: null,
-        alertCount: 0,
-        totalVolumeSold: 0
-      });
+      this.monitoredWallets.set(wallet.address.toLowerCase(), { address: wallet.address, type: wallet.type });
     }
-    
+
     console.log(`🔍 Initialized monitoring for ${this.monitoredWallets.size} wallets`);
     return true;
   }
@@ -59,16 +50,23 @@ class RealTimeMonitor {
     return this.subscribe(callback);
   }
 
-  // Add onWalletUpdate method
+  // Alerts that changed after they were raised, e.g. a pending sell that was confirmed or dropped
+  onAlertUpdate(callback) {
+    this.alertUpdateSubscribers.add(callback);
+
+    return () => {
+      this.alertUpdateSubscribers.delete(callback);
+    };
+  }
+
   onWalletUpdate(callback) {
     this.updateSubscribers.add(callback);
-    
+
     return () => {
       this.updateSubscribers.delete(callback);
     };
   }
 
-  // Update notifySubscribers to handle wallet updates
   notifyWalletUpdate(walletData) {
     this.updateSubscribers.forEach(callback => {
       try {
@@ -79,308 +77,139 @@ class RealTimeMonitor {
     });
   }
 
-  // Start monitoring flagged wallets
-  // Add these methods to RealTimeMonitor class
-  
-  // Enhanced monitoring with better performance
-  async startMonitoring() {
+  // Whether a server monitor watches exactly these wallets with these thresholds
+  matchesMonitor(monitor, thresholds = {}) {
+    const wallets = new Map(monitor.wallets.map(wallet => [wallet.address.toLowerCase(), wallet.type]));
+
+    return wallets.size === this.monitoredWallets.size &&
+      // The server stores untyped wallets as 'Wallet'
+      Array.from(this.monitoredWallets).every(([key, wallet]) => wallets.get(key) === (wallet.type || 'Wallet')) &&
+      Object.entries(thresholds).every(([name, value]) => monitor.thresholds?.[name] === value);
+  }
+
+  // Reuses a server monitor already watching these wallets, so a page refresh does not start a second
+  // one; otherwise starts a new one. Monitors of other tabs or clients are left alone, and the one used
+  // here is only removed by stopMonitoring().
+  async startMonitoring({ thresholds } = {}) {
     if (!this.tokenAddress || !this.blockchain) {
       throw new Error('Monitor not initialized. Call initialize() first.');
     }
-    
+
     if (this.monitoredWallets.size === 0) {
       console.log('⚠️ No wallets to monitor');
       return false;
     }
-    
+
     if (this.isMonitoring) {
       console.log('⚠️ Monitoring already active');
       return true;
     }
-    
-    this.isMonitoring = true;
-    this.startPolling();
-    
-    console.log(`🔍 Started monitoring ${this.monitoredWallets.size} wallets`);
-    return true;
-  }
 
-  // Update the existing startMonitoring method to avoid conflicts
-  startMonitoringLegacy(wallets, tokenAddress, network = 'ethereum') {
-    if (this.isMonitoring) {
-      this.stopMonitoring();
-    }
-    
-    // Ensure wallets is an array
-    if (!Array.isArray(wallets)) {
-      console.error('❌ Wallets parameter must be an array');
+    try {
+      const existing = await apiClient.get('/monitors', {
+        params: { token: this.tokenAddress, network: this.blockchain }
+      });
+      const monitor = existing.data.data.find(candidate => this.matchesMonitor(candidate, thresholds)) ||
+        (await apiClient.post('/monitors', {
+          token: this.tokenAddress,
+          network: this.blockchain,
+          wallets: Array.from(this.monitoredWallets.values()),
+          thresholds
+        })).data.data;
+
+      this.monitorId = monitor.id;
+      this.alertHistory = await this.alertService.list({ token: this.tokenAddress, limit: MAX_ALERT_HISTORY });
+      this.handleWalletUpdate(monitor);
+    } catch (error) {
+      console.error('❌ Failed to start server monitor:', error.response?.data?.error || error.message);
       return false;
     }
-    
-    // Add wallets to monitoring list with enhanced data
-    wallets.forEach(wallet => {
-      this.monitoredWallets.set(wallet.address, {
-        ...wallet,
-        tokenAddress,
-        network,
-        lastBalance: null,
-        lastChecked: null,
-        alertCount: 0,
-        totalVolumeSold: 0
-      });
-    });
-    
+
     this.isMonitoring = true;
-    this.startPolling();
-    
-    console.log(`🔍 Started enhanced monitoring for ${wallets.length} wallets`);
+    this.stream = new AlertStream({ monitor: this.monitorId });
+    this.stream.on('alert', alert => this.handleAlert(alert));
+    this.stream.on('alert-update', alert => this.handleAlertUpdate(alert));
+    this.stream.on('wallet-update', update => this.handleWalletUpdate(update));
+    this.stream.connect();
+
+    console.log(`🔍 Started monitoring ${this.monitoredWallets.size} wallets (monitor ${this.monitorId})`);
     return true;
   }
 
-  // Enhanced polling with staggered checks (keep this version)
-  startPolling() {
-    this.monitorInterval = setInterval(async () => {
-      await this.checkAllWalletsStaggered();
-    }, 20000); // Check every 20 seconds
-  }
+  // A replayed event after a reconnect can repeat an alert already in the history
+  handleAlert(alert) {
+    if (this.alertHistory.some(existing => existing.id === alert.id)) return;
 
-  // Staggered wallet checking to prevent rate limiting
-  async checkAllWalletsStaggered() {
-    const wallets = Array.from(this.monitoredWallets.values());
-    const batchSize = 3;
-    
-    for (let i = 0; i < wallets.length; i += batchSize) {
-      const batch = wallets.slice(i, i + batchSize);
-      const promises = batch.map(wallet => this.checkWalletChanges(wallet));
-      
-      await Promise.all(promises);
-      
-      // Small delay between batches
-      if (i + batchSize < wallets.length) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-    }
+    this.alertHistory = [alert, ...this.alertHistory.slice(0, MAX_ALERT_HISTORY - 1)];
+    this.notifySubscribers(alert);
   }
 
-  // Enhanced sell detection with better accuracy (keep this version)
-  async handleSellDetected(wallet, amountSold, newBalance) {
-    try {
-      console.log(`🚨 Sell detected for ${wallet.type}: ${amountSold.toFixed(4)} tokens`);
-      
-      // Get token price for USD calculation
-      const tokenPrice = await this.getTokenPrice(wallet.tokenAddress, wallet.network);
-      const usdValue = amountSold * (tokenPrice || 0);
-      
-      // Update wallet stats
-      wallet.alertCount = (wallet.alertCount || 0) + 1;
-      wallet.totalVolumeSold = (wallet.totalVolumeSold || 0) + usdValue;
-      
-      const alertData = {
-        id: Date.now() + Math.random(),
-        walletAddress: wallet.address,
-        walletType: wallet.type,
-        tokenAddress: wallet.tokenAddress,
-        network: wallet.network,
-        amountSold,
-        usdValue,
-        previousBalance: wallet.lastBalance,
-        newBalance,
-        changePercentage: ((amountSold / wallet.lastBalance) * 100).toFixed(2),
-        timestamp: Date.now(),
-        alertCount: wallet.alertCount,
-        totalVolumeSold: wallet.totalVolumeSold
-      };
-      
-      // Send alerts
-      await this.sendAlert(alertData);
-      
-      // Notify subscribers immediately
-      this.notifySubscribers(alertData);
-      
-    } catch (error) {
-      console.error('Error handling sell detection:', error);
-    }
-  }
+  handleAlertUpdate(alert) {
+    this.alertHistory = this.alertHistory.map(existing => (existing.id === alert.id ? alert : existing));
 
-  // Get token price (same as WalletAnalyticsService)
-  async getTokenPrice(tokenAddress, network = 'ethereum') {
-    try {
-      const dexData = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`);
-      if (dexData.ok) {
-        const data = await dexData.json();
-        if (data.pairs && data.pairs.length > 0) {
-          return parseFloat(data.pairs[0].priceUsd);
-        }
+    this.alertUpdateSubscribers.forEach(callback => {
+      try {
+        callback(alert);
+      } catch (error) {
+        console.error('Error notifying alert update subscriber:', error);
       }
-      return 0;
-    } catch (error) {
-      console.error('Error fetching token price:', error);
-      return 0;
-    }
-  }
-
-  // Get enhanced monitoring statistics
-  getEnhancedStatus() {
-    const wallets = Array.from(this.monitoredWallets.values());
-    const totalAlerts = wallets.reduce((sum, w) => sum + (w.alertCount || 0), 0);
-    const totalVolume = wallets.reduce((sum, w) => sum + (w.totalVolumeSold || 0), 0);
-    
-    return {
-      isMonitoring: this.isMonitoring,
-      walletCount: this.monitoredWallets.size,
-      subscriberCount: this.alertSubscribers.size,
-      totalAlerts,
-      totalVolume,
-      lastChecked: Math.max(...wallets.map(w => w.lastChecked || 0)),
-      bundleWallets: wallets.filter(w => w.type === 'Bundle Wallet').length,
-      teamWallets: wallets.filter(w => w.type === 'Team Wallet').length
-    };
+    });
   }
 
-  // Stop monitoring
-  stopMonitoring() {
-    this.isMonitoring = false;
-    
-    if (this.monitorInterval) {
-      clearInterval(this.monitorInterval);
-      this.monitorInterval = null;
+  // Balances the server saw on its last check, from a monitor or a wallet-update event
+  handleWalletUpdate({ wallets, lastCheckedAt }) {
+    for (const wallet of wallets) {
+      if (!wallet.balance) continue;
+      this.notifyWalletUpdate({
+        address: wallet.address,
+        type: wallet.type,
+        currentBalance: wallet.balance.formatted,
+        balanceRaw: wallet.balance.raw,
+        usdValue: wallet.usdValue,
+        lastActivity: wallet.lastActivity,
+        isActive: Boolean(wallet.lastActivity)
+      });
     }
-    
-    console.log('Stopped wallet monitoring');
-  }
 
-  // Check all monitored wallets for changes
-  async checkAllWallets() {
-    const promises = Array.from(this.monitoredWallets.values()).map(wallet => 
-      this.checkWalletChanges(wallet)
-    );
-    
-    await Promise.all(promises);
+    this.lastCheck = lastCheckedAt ? new Date(lastCheckedAt).getTime() : this.lastCheck;
   }
 
-  // Check individual wallet for balance changes
-  async checkWalletChanges(wallet) {
-    try {
-      const currentBalance = await WalletAnalyticsService.getTokenBalance(
-        wallet.address,
-        wallet.tokenAddress,
-        wallet.network
-      );
-      
-      if (!currentBalance) return;
-      
-      const currentBalanceNum = parseFloat(currentBalance.formatted);
-      
-      // First time checking this wallet
-      if (wallet.lastBalance === null) {
-        wallet.lastBalance = currentBalanceNum;
-        wallet.lastChecked = Date.now();
-        return;
-      }
-      
-      // Check for significant balance decrease (potential sell)
-      const balanceChange = wallet.lastBalance - currentBalanceNum;
-      const changePercentage = (balanceChange / wallet.lastBalance) * 100;
-      
-      if (balanceChange > 0 && changePercentage > 1) { // More than 1% decrease
-        await this.handleSellDetected(wallet, balanceChange, currentBalanceNum);
-      }
-      
-      // Update wallet data
-      wallet.lastBalance = currentBalanceNum;
-      wallet.lastChecked = Date.now();
-      
-    } catch (error) {
-      console.error(`Error checking wallet ${wallet.address}:`, error);
-    }
+  // Sell alerts seen so far, newest first, optionally for one token only
+  getAlertHistory(tokenAddress = null) {
+    if (!tokenAddress) return this.alertHistory;
+    return this.alertHistory.filter(alert => alert.token?.toLowerCase() === tokenAddress.toLowerCase());
   }
 
-  // Send alert via multiple channels
-  async sendAlert(alertData) {
-    // Send Telegram alert
-    await this.sendTelegramAlert(alertData);
-    
-    // Send dashboard notification
-    await this.sendDashboardAlert(alertData);
-  }
-
-  // Send Telegram alert
-  async sendTelegramAlert(alertData) {
-    try {
-      const message = this.formatTelegramMessage(alertData);
-      
-      await axios.post(`https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
-        chat_id: process.env.TELEGRAM_CHAT_ID,
-        text: message,
-        parse_mode: 'HTML'
-      });
-    } catch (error) {
-      console.error('Error sending Telegram alert:', error);
-    }
-  }
+  // Stop relaying updates; the server monitor keeps running
+  disconnect() {
+    this.isMonitoring = false;
 
-  // Send dashboard alert
-  async sendDashboardAlert(alertData) {
-    try {
-      await axios.post('/api/alerts', {
-        type: 'wallet_sell',
-        data: alertData,
-        timestamp: Date.now()
-      });
-    } catch (error) {
-      console.error('Error sending dashboard alert:', error);
+    if (this.stream) {
+      this.stream.close();
+      this.stream = null;
     }
   }
 
-  // Format Telegram message
-  formatTelegramMessage(alertData) {
-    return `
-🚨 <b>WALLET SELL ALERT</b> 🚨
-
-💼 <b>Wallet:</b> <code>${alertData.walletAddress}</code>
-🏷️ <b>Type:</b> ${alertData.walletType}
-
-💰 <b>Amount Sold:</b> ${alertData.amountSold.toFixed(4)} tokens
-💵 <b>USD Value:</b> $${alertData.usdValue.toFixed(2)}
-
-📊 <b>Balance Change:</b>
-   • Previous: ${alertData.previousBalance.toFixed(4)}
-   • New: ${alertData.newBalance.toFixed(4)}
-   • Change: -${alertData.changePercentage}%
-
-🏪 <b>DEX:</b> ${alertData.destination}
-🌐 <b>Network:</b> ${alertData.network.toUpperCase()}
-
-🔗 <b>Transaction:</b> <a href="${alertData.explorerLink}">${alertData.transactionHash.substring(0, 10)}...</a>
+  // Stop relaying updates and delete the server monitor
+  async stopMonitoring() {
+    this.disconnect();
 
-⏰ <b>Time:</b> ${new Date(alertData.timestamp).toLocaleString()}
-    `;
-  }
-
-  // Store alert in database
-  async storeAlert(alertData) {
-    try {
-      await axios.post('/api/alerts/store', alertData);
-    } catch (error) {
-      console.error('Error storing alert:', error);
+    if (this.monitorId) {
+      try {
+        await apiClient.delete(`/monitors/${this.monitorId}`);
+      } catch (error) {
+        console.error('Error stopping server monitor:', error.response?.data?.error || error.message);
+      }
+      this.monitorId = null;
     }
-  }
 
-  // Get explorer link
-  getExplorerLink(txHash, network) {
-    const explorers = {
-      ethereum: `https://etherscan.io/tx/${txHash}`,
-      bsc: `https://bscscan.com/tx/${txHash}`,
-      polygon: `https://polygonscan.com/tx/${txHash}`
-    };
-    
-    return explorers[network] || `#${txHash}`;
+    console.log('Stopped wallet monitoring');
   }
 
   // Subscribe to alerts
   subscribe(callback) {
     this.alertSubscribers.add(callback);
-    
+
     return () => {
       this.alertSubscribers.delete(callback);
     };
@@ -399,15 +228,15 @@ class RealTimeMonitor {
 
   // Get monitoring status
   getStatus() {
-    const wallets = Array.from(this.monitoredWallets.values());
     return {
       isMonitoring: this.isMonitoring,
+      monitorId: this.monitorId,
       walletCount: this.monitoredWallets.size,
       subscriberCount: this.alertSubscribers.size,
-      connected: this.isMonitoring, // Add this
-      lastChecked: wallets.length > 0 ? Math.max(...wallets.map(w => w.lastChecked || 0)) : 0
+      connected: Boolean(this.stream?.connected),
+      lastCheck: this.lastCheck
     };
   }
 }
 
-export default RealTimeMonitor;
\ No newline at end of file
+export default RealTimeMonitor;
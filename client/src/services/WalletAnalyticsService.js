@@ -1,11 +1,10 @@
 import axios from 'axios';
+import apiClient from './apiClient';
+import { tokenAmount, percentOf, formatDisplay } from './tokenAmount';
 
 class WalletAnalyticsService {
   constructor() {
     this.moralisApiKey = process.env.REACT_APP_MORALIS_API_KEY;
-    // Remove this unused line:
-    // this.covalentApiKey = process.env.REACT_APP_COVALENT_API_KEY;
-    this.etherscanApiKey = process.env.REACT_APP_ETHERSCAN_API_KEY;
     
     this.chainIds = {
       ethereum: 1,
@@ -14,14 +13,6 @@ class WalletAnalyticsService {
       polygon: 137,
       arbitrum: 42161  // Add Arbitrum chain ID
     };
-    
-    this.explorerApis = {
-      ethereum: 'https://api.etherscan.io/api',
-      bsc: 'https://api.bscscan.com/api',
-      base: 'https://api.basescan.org/api',
-      polygon: 'https://api.polygonscan.com/api',
-      arbitrum: 'https://api.arbiscan.io/api'  // Add Arbiscan API
-    };
   }
 
   async analyzeToken(contractAddress, blockchain = 'ethereum') {
@@ -62,28 +53,17 @@ class WalletAnalyticsService {
 
   async getContractDeployer(contractAddress, blockchain) {
     try {
-      const apiUrl = this.explorerApis[blockchain];
-      const apiKey = this.getApiKey(blockchain);
-      
       console.log(`🔍 Attempting to get deployer for ${contractAddress} on ${blockchain}`);
       
-      const response = await axios.get(apiUrl, {
-        params: {
-          module: 'contract',
-          action: 'getcontractcreation',
-          contractaddresses: contractAddress,
-          apikey: apiKey
-        }
+      // Explorer lookups go through the backend so API keys stay server-side
+      const response = await apiClient.get(`/tokens/${contractAddress}/deployer`, {
+        params: { network: blockchain }
       });
       
-      if (response.data.status === '1' && response.data.result && response.data.result.length > 0) {
-        const result = response.data.result[0];
-        console.log(`✅ Deployer found: ${result.contractCreator}`);
-        return {
-          address: result.contractCreator,
-          txHash: result.txHash,
-          blockNumber: result.blockNumber
-        };
+      if (response.data && response.data.success) {
+        const result = response.data.data;
+        console.log(`✅ Deployer found: ${result.address}`);
+        return result;
       }
       
       console.warn(`⚠️ No deployer information available for ${contractAddress}`);
@@ -96,25 +76,20 @@ class WalletAnalyticsService {
 
   async getTokenMetadata(contractAddress, blockchain) {
     try {
-      const chainId = this.chainIds[blockchain];
-      
-      const response = await axios.get(`https://deep-index.moralis.io/api/v2/erc20/metadata`, {
-        params: {
-          chain: `0x${chainId.toString(16)}`,
-          addresses: [contractAddress]
-        },
-        headers: {
-          'X-API-Key': this.moralisApiKey
-        }
+      // Token facts are read on-chain by the backend
+      const response = await apiClient.get(`/tokens/${contractAddress}`, {
+        params: { network: blockchain }
       });
       
-      if (response.data && response.data.length > 0) {
-        const token = response.data[0];
+      if (response.data && response.data.success) {
+        const token = response.data.data;
         return {
           name: token.name,
           symbol: token.symbol,
           decimals: token.decimals,
-          totalSupply: token.total_supply,
+          totalSupply: token.totalSupply,
+          owner: token.owner,
+          proxy: token.proxy,
           contractAddress: token.address
         };
       }
@@ -122,7 +97,7 @@ class WalletAnalyticsService {
       throw new Error('Token metadata not found');
     } catch (error) {
       console.error('❌ Failed to get metadata:', error);
-      throw error;
+      throw new Error(error.response?.data?.error || error.message);
     }
   }
 
@@ -157,32 +132,17 @@ class WalletAnalyticsService {
         // Get token metadata to calculate total supply
         const metadata = await this.getTokenMetadata(contractAddress, blockchain);
         const decimals = parseInt(metadata.decimals || '18');
-        const totalSupply = parseFloat(metadata.totalSupply || '0');
-        
-        // Convert total supply from smallest unit to human-readable format
-        const totalSupplyFormatted = totalSupply / Math.pow(10, decimals);
+        const totalSupply = tokenAmount(metadata.totalSupply || '0', decimals);
         
-        console.log(`📊 Total supply: ${totalSupply} (raw), ${totalSupplyFormatted} (formatted), decimals: ${decimals}`);
+        console.log(`📊 Total supply: ${totalSupply.raw} (raw), ${totalSupply.formatted} (formatted), decimals: ${decimals}`);
         
-        const holders = response.data.result.map(holder => {
-          const balanceRaw = parseFloat(holder.balance);
-          // Convert balance from smallest unit to human-readable format
-          const balanceFormatted = balanceRaw / Math.pow(10, decimals);
-          const percentage = totalSupplyFormatted > 0 ? (balanceFormatted / totalSupplyFormatted) * 100 : 0;
-          
-          return {
-            address: holder.owner_address,
-            balance: balanceFormatted, // Store formatted balance
-            balanceRaw: balanceRaw,    // Keep raw balance for reference
-            percentage: percentage
-          };
-        });
+        const holders = response.data.result.map(holder => this.toHolder(holder.owner_address, holder.balance, totalSupply));
         
         console.log(`✅ Processed ${holders.length} holders from Moralis`);
         console.log('📊 Top 3 holders:', holders.slice(0, 3).map(h => ({
           address: h.address.slice(0, 8) + '...',
           percentage: h.percentage.toFixed(4) + '%',
-          balance: h.balance.toFixed(4)
+          balance: formatDisplay(h.balance, 4)
         })));
         
         return holders;
@@ -192,73 +152,58 @@ class WalletAnalyticsService {
       throw new Error('No holders data found from Moralis');
     } catch (error) {
       console.error('❌ Failed to get holders from Moralis:', error.message);
-      console.log('🔄 Falling back to transaction analysis...');
-      // Fallback to transaction analysis
-      return await this.getHoldersFromTransactions(contractAddress, blockchain);
+      console.log('🔄 Falling back to the Transfer log index...');
+      // Fallback to replaying Transfer logs on the backend
+      return await this.getHoldersFromIndexer(contractAddress, blockchain);
     }
   }
 
-  async getHoldersFromTransactions(contractAddress, blockchain) {
+  // Exact balances from the backend's Transfer log index
+  async getHoldersFromIndexer(contractAddress, blockchain) {
     try {
-      const apiUrl = this.explorerApis[blockchain];
-      const apiKey = this.getApiKey(blockchain);
-      
-      // Get token metadata to calculate total supply
       const metadata = await this.getTokenMetadata(contractAddress, blockchain);
       const decimals = parseInt(metadata.decimals || '18');
-      const totalSupply = parseFloat(metadata.totalSupply || '0');
+      const totalSupply = tokenAmount(metadata.totalSupply || '0', decimals);
       
-      // Convert total supply from smallest unit to human-readable format
-      const totalSupplyFormatted = totalSupply / Math.pow(10, decimals);
+      const params = { network: blockchain, limit: 100 };
+      let response = await apiClient.get(`/tokens/${contractAddress}/holders`, { params });
       
-      const response = await axios.get(apiUrl, {
-        params: {
-          module: 'account',
-          action: 'tokentx',
-          contractaddress: contractAddress,
-          page: 1,
-          offset: 1000,
-          sort: 'desc',
-          apikey: apiKey
-        }
-      });
+      // A token the backend has not indexed yet is replayed by a job first
+      if (response.status === 202) {
+        await this.waitForJob(
+          () => this.getHolderIndexJob(contractAddress, response.data.data.id),
+          { label: 'Indexing holders', maxWait: 30 * 60 * 1000 }
+        );
+        response = await apiClient.get(`/tokens/${contractAddress}/holders`, { params });
+      }
       
-      if (response.data.status === '1') {
-        const holders = new Map();
-        
-        response.data.result.forEach(tx => {
-          if (tx.to && tx.to !== '0x0000000000000000000000000000000000000000') {
-            const current = holders.get(tx.to) || 0;
-            const valueRaw = parseFloat(tx.value);
-            holders.set(tx.to, current + valueRaw);
-          }
-        });
+      if (response.data && response.data.success) {
+        console.log(`✅ Indexed ${response.data.data.holderCount} holders up to block ${response.data.data.headBlock}`);
         
-        return Array.from(holders.entries())
-          .map(([address, balanceRaw]) => {
-            // Convert balance from smallest unit to human-readable format
-            const balanceFormatted = balanceRaw / Math.pow(10, decimals);
-            const percentage = totalSupplyFormatted > 0 ? (balanceFormatted / totalSupplyFormatted) * 100 : 0;
-            
-            return { 
-              address, 
-              balance: balanceFormatted,
-              balanceRaw: balanceRaw,
-              percentage: percentage
-            };
-          })
-          .sort((a, b) => b.balance - a.balance)
-          .slice(0, 100);
+        return response.data.data.holders.map(holder => this.toHolder(holder.address, holder.balance, totalSupply));
       }
       
       return [];
     } catch (error) {
-      console.error('❌ Failed to get holders from transactions:', error);
+      console.error('❌ Failed to get holders from the holder index:', error);
       return [];
     }
   }
 
-  async classifyWallets(holders, deployer, metadata, blockchain) {
+  // balance is the decimal string and balanceRaw the integer string in the token's smallest unit
+  toHolder(address, balance, totalSupply) {
+    const amount = tokenAmount(balance, totalSupply.decimals);
+    
+    return {
+      address,
+      balance: amount.formatted,
+      balanceRaw: amount.raw,
+      percentage: percentOf(amount.raw, totalSupply.raw)
+    };
+  }
+
+  // Classification runs as a job on the backend; poll it until it finishes or the signal aborts
+  async classifyWallets(holders, deployer, metadata, blockchain, { signal } = {}) {
     console.log('🔍 Starting wallet classification:', {
       holdersCount: holders?.length || 0,
       deployer: deployer?.address,
@@ -266,270 +211,97 @@ class WalletAnalyticsService {
       metadata: metadata?.symbol
     });
     
-    const teamWallets = [];
-    const bundleWallets = [];
-    const regularWallets = [];
-    
-    // Ensure holders is an array
-    if (!Array.isArray(holders)) {
-      console.warn('⚠️ Holders is not an array:', holders);
-      return {
-        teamWallets: [],
-        bundleWallets: [],
-        regularWallets: [],
-        riskAssessment: this.assessRisk([], [])
-      };
-    }
-    
-    if (holders.length === 0) {
+    if (!Array.isArray(holders) || holders.length === 0) {
       console.warn('⚠️ No holders found to classify');
       return {
         teamWallets: [],
         bundleWallets: [],
+        mevWallets: [],
         regularWallets: [],
-        riskAssessment: this.assessRisk([], [])
+        riskAssessment: null
       };
     }
     
-    console.log('📊 Top 5 holder percentages:', holders.slice(0, 5).map(h => ({
-      address: h.address.slice(0, 8) + '...',
-      percentage: h.percentage?.toFixed(4) || 'undefined'
-    })));
+    const response = await apiClient.post('/wallets/classify', {
+      token: metadata?.contractAddress,
+      network: blockchain,
+      deployer: deployer?.address,
+      holders: holders.map(({ address, balance, balanceRaw, percentage }) => ({ address, balance, balanceRaw, percentage }))
+    }, { signal });
     
-    for (const holder of holders) {
-      try {
-        const classification = await this.classifyWallet(holder, deployer, metadata, blockchain);
-        
-        console.log(`📝 Classified ${holder.address.slice(0, 8)}... as ${classification.type} (${holder.percentage?.toFixed(4)}%)`);
-        
-        switch (classification.type) {
-          case 'team':
-            teamWallets.push({ ...holder, ...classification });
-            break;
-          case 'bundle':
-            bundleWallets.push({ ...holder, ...classification });
-            break;
-          default:
-            regularWallets.push({ ...holder, ...classification });
-        }
-      } catch (error) {
-        console.error(`❌ Failed to classify wallet ${holder.address}:`, error);
-        regularWallets.push({ ...holder, type: 'unknown', reason: 'Classification failed' });
-      }
-    }
+    const job = await this.waitForClassification(response.data.data.id, { signal });
     
     console.log('✅ Classification results:', {
-      teamWallets: teamWallets.length,
-      bundleWallets: bundleWallets.length,
-      regularWallets: regularWallets.length
+      jobId: job.id,
+      teamWallets: job.result.teamWallets.length,
+      bundleWallets: job.result.bundleWallets.length,
+      mevWallets: job.result.mevWallets.length,
+      regularWallets: job.result.regularWallets.length
     });
     
-    return {
-      teamWallets,
-      bundleWallets,
-      regularWallets,
-      riskAssessment: this.assessRisk(teamWallets, bundleWallets)
-    };
+    return { ...job.result, jobId: job.id };
   }
 
-  async classifyWallet(holder, deployer, metadata, blockchain) {
-    const { address, percentage } = holder;
-    
-    console.log(`🔍 Classifying wallet ${address.slice(0, 8)}... with ${percentage?.toFixed(4)}% holdings`);
-    
-    // Team wallet criteria (LOWERED threshold for testing)
-    if (percentage > 0.1) {  // Changed from 0.5% to 0.1% for testing
-      console.log(`✅ Team wallet detected: ${percentage.toFixed(4)}% > 0.1%`);
-      return {
-        type: 'team',
-        reason: `Holds ${percentage.toFixed(2)}% of total supply`,
-        riskLevel: percentage > 10 ? 'high' : 'medium'
-      };
-    }
-    
-    // Check if funded by deployer (only if deployer info is available)
-    if (deployer?.address) {
-      const fundedByDeployer = await this.checkDeployerFunding(address, deployer.address, blockchain);
-      if (fundedByDeployer) {
-        console.log(`✅ Bundle wallet detected: funded by deployer`);
-        return {
-          type: 'bundle',
-          reason: 'Funded by contract deployer',
-          riskLevel: 'high'
-        };
-      }
-    } else {
-      console.log(`ℹ️ Skipping deployer funding check - no deployer info available`);
-    }
-    
-    // Bundle wallet detection
-    const bundlePattern = await this.detectBundlePattern(address, blockchain);
-    if (bundlePattern.isBundle) {
-      console.log(`✅ Bundle wallet detected: ${bundlePattern.reason}`);
-      return {
-        type: 'bundle',
-        reason: bundlePattern.reason,
-        riskLevel: 'medium'
-      };
-    }
-    
-    return {
-      type: 'regular',
-      reason: 'Normal wallet activity',
-      riskLevel: 'low'
-    };
+  async getClassificationJob(jobId, { signal } = {}) {
+    const response = await apiClient.get(`/wallets/classify/${jobId}`, { signal });
+    return response.data.data;
   }
 
-  async checkDeployerFunding(walletAddress, deployerAddress, blockchain) {
-    try {
-      const apiUrl = this.explorerApis[blockchain];
-      const apiKey = this.getApiKey(blockchain);
-      
-      const response = await axios.get(apiUrl, {
-        params: {
-          module: 'account',
-          action: 'txlist',
-          address: walletAddress,
-          startblock: 0,
-          endblock: 99999999,
-          page: 1,
-          offset: 100,
-          sort: 'asc',
-          apikey: apiKey
-        }
-      });
-      
-      if (response.data.status === '1') {
-        return response.data.result.some(tx => 
-          tx.from.toLowerCase() === deployerAddress.toLowerCase()
-        );
-      }
-      
-      return false;
-    } catch (error) {
-      console.error('❌ Failed to check deployer funding:', error);
-      return false;
-    }
+  async getHolderIndexJob(contractAddress, jobId) {
+    const response = await apiClient.get(`/tokens/${contractAddress}/holders/jobs/${jobId}`);
+    return response.data.data;
   }
 
-  async detectBundlePattern(address, blockchain) {
-    try {
-      const transactions = await this.getWalletTransactions(address, blockchain);
-      
-      // Look for patterns indicating bundle behavior
-      const sellTransactions = transactions.filter(tx => tx.type === 'sell');
-      const buyTransactions = transactions.filter(tx => tx.type === 'buy');
-      
-      // Bundle indicators
-      const hasQuickSells = sellTransactions.some(tx => 
-        Date.now() - tx.timestamp < 24 * 60 * 60 * 1000 // Sold within 24 hours
-      );
-      
-      const hasLowActivity = transactions.length < 10;
-      const hasHighSellRatio = sellTransactions.length > buyTransactions.length;
-      
-      if (hasQuickSells && hasLowActivity) {
-        return {
-          isBundle: true,
-          reason: 'Quick sell pattern detected'
-        };
-      }
-      
-      if (hasHighSellRatio && hasLowActivity) {
-        return {
-          isBundle: true,
-          reason: 'High sell ratio with low activity'
+  waitForClassification(jobId, { signal, ...options } = {}) {
+    return this.waitForJob(() => this.getClassificationJob(jobId, { signal }), { label: 'Classifying wallets', signal, ...options });
+  }
+
+  // Polls a backend job; gives up after maxWait so a job stuck in running does not keep the page polling
+  async waitForJob(fetchJob, { label, interval = 2000, maxWait = 15 * 60 * 1000, signal } = {}) {
+    const deadline = Date.now() + maxWait;
+    
+    for (;;) {
+      const job = await fetchJob();
+      
+      if (job.status === 'completed') return job;
+      if (job.status === 'failed') throw new Error(job.error || `${label} failed`);
+      if (Date.now() + interval > deadline) throw new Error(`${label} is taking too long, try again later`);
+      
+      console.log(`⏳ ${label}: ${job.progress.done}/${job.progress.total}`);
+      signal?.throwIfAborted();
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(signal.reason);
         };
-      }
-      
-      return { isBundle: false, reason: 'Normal activity pattern' };
-    } catch (error) {
-      console.error('❌ Failed to detect bundle pattern:', error);
-      return { isBundle: false, reason: 'Pattern detection failed' };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, interval);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
     }
   }
 
-  async getWalletTransactions(address, blockchain) {
+  // Funding source, age, counterparties, balances and labels, built by the backend
+  async analyzeWallet(address, blockchain = 'ethereum') {
     try {
-      const apiUrl = this.explorerApis[blockchain];
-      const apiKey = this.getApiKey(blockchain);
-      
-      const response = await axios.get(apiUrl, {
-        params: {
-          module: 'account',
-          action: 'txlist',
-          address: address,
-          startblock: 0,
-          endblock: 99999999,
-          page: 1,
-          offset: 100,
-          sort: 'desc',
-          apikey: apiKey
-        }
+      const response = await apiClient.get(`/wallets/analyze/${address}`, {
+        params: { network: blockchain }
       });
       
-      if (response.data.status === '1') {
-        return response.data.result.map(tx => ({
-          hash: tx.hash,
-          from: tx.from,
-          to: tx.to,
-          value: tx.value,
-          timestamp: parseInt(tx.timeStamp) * 1000,
-          type: tx.from.toLowerCase() === address.toLowerCase() ? 'sell' : 'buy'
-        }));
+      if (response.data && response.data.success) {
+        return response.data.data;
       }
       
-      return [];
+      throw new Error('Wallet analysis failed');
     } catch (error) {
-      console.error('❌ Failed to get wallet transactions:', error);
-      return [];
-    }
-  }
-
-  assessRisk(teamWallets, bundleWallets) {
-    const teamSupply = teamWallets.reduce((sum, wallet) => sum + wallet.percentage, 0);
-    const bundleSupply = bundleWallets.reduce((sum, wallet) => sum + wallet.percentage, 0);
-    
-    let riskLevel = 'low';
-    let recommendation = 'Token appears to have low risk factors.';
-    
-    if (teamSupply > 20) {
-      riskLevel = 'high';
-      recommendation = 'HIGH RISK: Team controls significant portion of supply.';
-    } else if (bundleSupply > 15) {
-      riskLevel = 'high';
-      recommendation = 'HIGH RISK: Large bundle wallet presence detected.';
-    } else if (teamSupply > 10 || bundleSupply > 10) {
-      riskLevel = 'medium';
-      recommendation = 'MEDIUM RISK: Monitor team and bundle wallet activity.';
-    }
-    
-    return {
-      riskLevel,
-      recommendation,
-      teamSupplyPercentage: teamSupply,
-      bundleSupplyPercentage: bundleSupply,
-      totalRiskySupply: teamSupply + bundleSupply
-    };
-  }
-
-  getApiKey(blockchain) {
-    switch (blockchain) {
-      case 'ethereum':
-        return this.etherscanApiKey;
-      case 'bsc':
-        return process.env.REACT_APP_BSCSCAN_API_KEY;
-      case 'base':
-        return process.env.REACT_APP_BASESCAN_API_KEY;
-      case 'polygon':
-        return process.env.REACT_APP_POLYGONSCAN_API_KEY;
-      case 'arbitrum':
-        return process.env.REACT_APP_ARBISCAN_API_KEY;  // Add Arbitrum API key
-      default:
-        return this.etherscanApiKey;
+      console.error('❌ Failed to analyze wallet:', error);
+      throw new Error(error.response?.data?.error || error.message);
     }
   }
 
+  // Current balance as a token amount ({ raw, decimals, formatted }), or null when unavailable
   async getTokenBalance(walletAddress, tokenAddress, blockchain) {
     try {
       const chainId = this.chainIds[blockchain];
@@ -548,13 +320,14 @@ class WalletAnalyticsService {
       );
       
       if (response.data && response.data.length > 0) {
-        return parseFloat(response.data[0].balance);
+        return tokenAmount(response.data[0].balance, response.data[0].decimals);
       }
       
-      return 0;
+      // Moralis leaves out tokens the wallet no longer holds
+      return tokenAmount(0, 0);
     } catch (error) {
       console.error('❌ Failed to get token balance:', error);
-      return 0;
+      return null;
     }
   }
 }
@@ -0,0 +1,48 @@
+/* global BigInt */
+import { formatUnits, parseUnits } from 'ethers';
+
+// Token amounts are kept as integer strings in the token's smallest unit and only turned into
+// BigInt for arithmetic; a 1e27 supply does not survive a trip through a float
+
+// Raw amount from a BigInt, a safe integer or an integer string
+export const toBigInt = (value) => {
+  if (value === null || value === undefined || value === '') return 0n;
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'object' && 'raw' in value) return toBigInt(value.raw);
+  if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+    throw new Error(`Token amount ${value} is not an exact integer`);
+  }
+  return BigInt(value);
+};
+
+// { raw, decimals, formatted } with raw as an integer string, safe to JSON encode
+export const tokenAmount = (raw, decimals = 18) => {
+  const value = toBigInt(raw);
+  const places = Number(decimals) || 0;
+  return { raw: value.toString(), decimals: places, formatted: formatUnits(value, places) };
+};
+
+export const formatAmount = (raw, decimals = 18) => formatUnits(toBigInt(raw), Number(decimals) || 0);
+
+// Decimal string to raw amount, e.g. a user-entered threshold
+export const parseAmount = (formatted, decimals = 18) => parseUnits(String(formatted), Number(decimals) || 0);
+
+// Share of whole as a number with up to `digits` decimals, computed without floats
+export const percentOf = (part, whole, digits = 4) => {
+  const total = toBigInt(whole);
+  if (total === 0n) return 0;
+  const scale = 10n ** BigInt(digits);
+  return Number((toBigInt(part) * 100n * scale) / total) / Number(scale);
+};
+
+// Only for display and USD estimates, where float precision is fine
+export const amountToNumber = (raw, decimals = 18) => Number(formatAmount(raw, decimals));
+
+// Thousands separators and at most `fractionDigits` decimals, from a decimal string
+export const formatDisplay = (formatted, fractionDigits = 2) => {
+  if (formatted === null || formatted === undefined || formatted === '') return '0';
+  const [whole, fraction = ''] = String(formatted).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  const trimmed = fraction.slice(0, fractionDigits).replace(/0+$/, '');
+  return trimmed ? `${grouped}.${trimmed}` : grouped;
+};
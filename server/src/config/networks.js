@@ -0,0 +1,138 @@
+// Supported networks with their JSON-RPC endpoints, block explorers and DEXes.
+// Every RPC endpoint can be overridden through the environment, so a local
+// Anvil or Hardhat node can stand in for any chain. forkRpcUrl points at a
+// fork (e.g. `anvil --fork-url ...`) used for trade simulation. wsUrl is an optional
+// WebSocket endpoint of a node whose pending transactions are watched for early sell warnings.
+// hasExplorerApi marks chains Etherscan's unified API serves, queried by chainId with one key.
+// V2 DEXes are reached through their router, V3 ones through their factory; fee is the
+// swap fee in basis points. quoteTokens are stablecoins pools are looked up against besides
+// the wrapped native coin.
+const networks = {
+  ethereum: {
+    name: 'Ethereum',
+    chainId: 1,
+    rpcUrl: process.env.ETHEREUM_RPC_URL || 'https://eth.llamarpc.com',
+    wsUrl: process.env.ETHEREUM_WS_URL,
+    forkRpcUrl: process.env.ETHEREUM_FORK_RPC_URL || process.env.FORK_RPC_URL,
+    nativeSymbol: 'ETH',
+    explorerUrl: 'https://etherscan.io',
+    hasExplorerApi: true,
+    wrappedNative: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+    dexes: [
+      { name: 'Uniswap V2', version: 'v2', router: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', fee: 30 },
+      { name: 'SushiSwap', version: 'v2', router: '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F', fee: 30 },
+      { name: 'Uniswap V3', version: 'v3', factory: '0x1F98431c8aD98523E81A1c0B4fD8dE29d2fDb88F' }
+    ],
+    quoteTokens: [
+      { symbol: 'USDC', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+      { symbol: 'USDT', address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 }
+    ]
+  },
+  bsc: {
+    name: 'BSC',
+    chainId: 56,
+    rpcUrl: process.env.BSC_RPC_URL || 'https://bsc-dataseed.binance.org',
+    wsUrl: process.env.BSC_WS_URL,
+    forkRpcUrl: process.env.BSC_FORK_RPC_URL || process.env.FORK_RPC_URL,
+    nativeSymbol: 'BNB',
+    explorerUrl: 'https://bscscan.com',
+    hasExplorerApi: true,
+    wrappedNative: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
+    dexes: [
+      { name: 'PancakeSwap V2', version: 'v2', router: '0x10ED43C718714eb63d5aA57B78B54704E256024E', fee: 25 },
+      { name: 'SushiSwap', version: 'v2', router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506', fee: 30 },
+      { name: 'PancakeSwap V3', version: 'v3', factory: '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865', feeTiers: [100, 500, 2500, 10000] }
+    ],
+    quoteTokens: [
+      { symbol: 'USDT', address: '0x55d398326f99059fF775485246999027B3197955', decimals: 18 }
+    ]
+  },
+  base: {
+    name: 'Base',
+    chainId: 8453,
+    rpcUrl: process.env.BASE_RPC_URL || 'https://mainnet.base.org',
+    wsUrl: process.env.BASE_WS_URL,
+    forkRpcUrl: process.env.BASE_FORK_RPC_URL || process.env.FORK_RPC_URL,
+    nativeSymbol: 'ETH',
+    explorerUrl: 'https://basescan.org',
+    hasExplorerApi: true,
+    wrappedNative: '0x4200000000000000000000000000000000000006',
+    dexes: [
+      { name: 'Uniswap V2', version: 'v2', router: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24', fee: 30 },
+      { name: 'Uniswap V3', version: 'v3', factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD' }
+    ],
+    quoteTokens: [
+      { symbol: 'USDC', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 }
+    ]
+  },
+  polygon: {
+    name: 'Polygon',
+    chainId: 137,
+    rpcUrl: process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com',
+    wsUrl: process.env.POLYGON_WS_URL,
+    forkRpcUrl: process.env.POLYGON_FORK_RPC_URL || process.env.FORK_RPC_URL,
+    nativeSymbol: 'POL',
+    explorerUrl: 'https://polygonscan.com',
+    hasExplorerApi: true,
+    wrappedNative: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
+    dexes: [
+      { name: 'QuickSwap', version: 'v2', router: '0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff', fee: 30 },
+      { name: 'SushiSwap', version: 'v2', router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506', fee: 30 },
+      { name: 'Uniswap V3', version: 'v3', factory: '0x1F98431c8aD98523E81A1c0B4fD8dE29d2fDb88F' }
+    ],
+    quoteTokens: [
+      { symbol: 'USDC', address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6 }
+    ]
+  },
+  arbitrum: {
+    name: 'Arbitrum',
+    chainId: 42161,
+    rpcUrl: process.env.ARBITRUM_RPC_URL || 'https://arb1.arbitrum.io/rpc',
+    wsUrl: process.env.ARBITRUM_WS_URL,
+    forkRpcUrl: process.env.ARBITRUM_FORK_RPC_URL || process.env.FORK_RPC_URL,
+    nativeSymbol: 'ETH',
+    explorerUrl: 'https://arbiscan.io',
+    hasExplorerApi: true,
+    wrappedNative: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+    dexes: [
+      { name: 'SushiSwap', version: 'v2', router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506', fee: 30 },
+      { name: 'Uniswap V3', version: 'v3', factory: '0x1F98431c8aD98523E81A1c0B4fD8dE29d2fDb88F' }
+    ],
+    quoteTokens: [
+      { symbol: 'USDC', address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 }
+    ]
+  },
+  local: {
+    name: 'Local Node',
+    chainId: parseInt(process.env.LOCAL_CHAIN_ID || '31337'),
+    rpcUrl: process.env.LOCAL_RPC_URL || 'http://127.0.0.1:8545',
+    wsUrl: process.env.LOCAL_WS_URL,
+    forkRpcUrl: process.env.LOCAL_RPC_URL || 'http://127.0.0.1:8545',
+    nativeSymbol: 'ETH',
+    wrappedNative: process.env.LOCAL_WRAPPED_NATIVE,
+    dexes: process.env.LOCAL_V2_ROUTER
+      ? [{ name: 'Local V2', version: 'v2', router: process.env.LOCAL_V2_ROUTER, fee: 30 }]
+      : []
+  }
+};
+
+const DEFAULT_NETWORK = 'ethereum';
+
+// Own keys only, so ids like "constructor" or "toString" are not taken for networks
+const isSupportedNetwork = (networkId) => typeof networkId === 'string' && Object.hasOwn(networks, networkId);
+
+// Look up a network by id, throwing for unknown ids
+const getNetwork = (networkId = DEFAULT_NETWORK) => {
+  const network = isSupportedNetwork(networkId) ? networks[networkId] : null;
+  if (!network) {
+    throw new Error(`Unsupported network: ${networkId}`);
+  }
+  return { id: networkId, ...network };
+};
+
+module.exports = {
+  networks,
+  DEFAULT_NETWORK,
+  isSupportedNetwork,
+  getNetwork
+};
@@ -0,0 +1,76 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { isSupportedNetwork, DEFAULT_NETWORK } = require('../config/networks');
+const AlertRuleService = require('../services/AlertRuleService');
+
+const router = express.Router();
+const alertRules = new AlertRuleService();
+
+// GET /api/alert-rules?token=&network= - A token's rules, or the defaults it is watched with when it has none
+router.get('/', (req, res) => {
+  try {
+    const { token } = req.query;
+    const network = req.query.network || DEFAULT_NETWORK;
+    if (token !== undefined && !ethers.isAddress(token)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const rules = alertRules.list({ token, network });
+    const data = rules.length === 0 && token ? alertRules.defaults(token, network) : rules;
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/alert-rules - body { token, network, name, event, walletType, metric, operator, value, windowMinutes,
+// severity, cooldownMinutes, channels, webhookUrl, enabled }
+router.post('/', async (req, res) => {
+  try {
+    const body = { ...req.body, network: req.body.network || DEFAULT_NETWORK };
+    const error = await alertRules.validate(body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    res.status(201).json({ success: true, data: alertRules.create(body) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// PATCH /api/alert-rules/:id - Change any field but the token and network
+router.patch('/:id', async (req, res) => {
+  try {
+    const existing = alertRules.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+
+    const error = await alertRules.validate({ ...existing, ...req.body }, { create: false });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    res.json({ success: true, data: alertRules.update(req.params.id, req.body) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/alert-rules/:id - Once a token's last rule is gone it is watched with the defaults again
+router.delete('/:id', (req, res) => {
+  try {
+    if (!alertRules.delete(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+    res.json({ success: true, data: { id: req.params.id } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { isSupportedNetwork } = require('../config/networks');
+const AlertStore = require('../services/AlertStore');
+
+const router = express.Router();
+const alertStore = new AlertStore();
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+const isTimestamp = (value) => Number.isInteger(value) && value > 0;
+const optionalNumber = (value) => (value === undefined ? undefined : Number(value));
+
+// Problems with an alert body, or null when it can be stored
+const validateAlert = ({ type, severity, network, token, wallet, timestamp, message }) => {
+  if (typeof type !== 'string' || !type.trim()) return 'type is required';
+  if (severity !== undefined && !SEVERITIES.includes(severity)) return `severity must be one of ${SEVERITIES.join(', ')}`;
+  if (network !== undefined && !isSupportedNetwork(network)) return `Unsupported network: ${network}`;
+  if (token !== undefined && !ethers.isAddress(token)) return 'Invalid token address';
+  if (wallet !== undefined && !ethers.isAddress(wallet)) return 'Invalid wallet address';
+  if (timestamp !== undefined && !isTimestamp(timestamp)) return 'timestamp must be a unix time in milliseconds';
+  if (message !== undefined && typeof message !== 'string') return 'message must be a string';
+  return null;
+};
+
+// POST /api/alerts - Store an alert; resending the same id returns the stored one
+router.post('/', (req, res) => {
+  try {
+    const error = validateAlert(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const { id, type, severity, network, token, wallet, message, data, timestamp } = req.body;
+    const { alert } = alertStore.create({ id, type: type.trim(), severity, network, token, wallet, message, data, timestamp });
+    res.status(201).json({ success: true, data: alert });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/alerts?token=&wallet=&type=&severity=&network=&from=&to=&acknowledged=&limit=&offset= - Newest first
+router.get('/', (req, res) => {
+  try {
+    const { token, wallet, type, severity, network } = req.query;
+    const from = optionalNumber(req.query.from);
+    const to = optionalNumber(req.query.to);
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 100, 500));
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (token !== undefined && !ethers.isAddress(token)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (wallet !== undefined && !ethers.isAddress(wallet)) {
+      return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+    }
+    if (severity !== undefined && !SEVERITIES.includes(severity)) {
+      return res.status(400).json({ success: false, error: `severity must be one of ${SEVERITIES.join(', ')}` });
+    }
+    // A repeated parameter arrives as an array, which SQLite cannot bind
+    if (type !== undefined && typeof type !== 'string') {
+      return res.status(400).json({ success: false, error: 'type must be a single string' });
+    }
+    if (network !== undefined && !isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+    if ([from, to].some(value => value !== undefined && !isTimestamp(value))) {
+      return res.status(400).json({ success: false, error: 'from and to must be unix times in milliseconds' });
+    }
+    if (req.query.acknowledged !== undefined && !['true', 'false'].includes(req.query.acknowledged)) {
+      return res.status(400).json({ success: false, error: 'acknowledged must be true or false' });
+    }
+
+    const acknowledged = req.query.acknowledged === undefined ? undefined : req.query.acknowledged === 'true';
+    const data = alertStore.list({ token, wallet, type, severity, network, from, to, acknowledged, limit, offset: Math.max(offset, 0) });
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/alerts/:id
+router.get('/:id', (req, res) => {
+  try {
+    const alert = alertStore.get(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+    res.json({ success: true, data: alert });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/alerts/:id/acknowledge
+router.post('/:id/acknowledge', (req, res) => {
+  try {
+    const alert = alertStore.acknowledge(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+    res.json({ success: true, data: alert });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/alerts/:id
+router.delete('/:id', (req, res) => {
+  try {
+    if (!alertStore.delete(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+    res.json({ success: true, data: { id: req.params.id } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
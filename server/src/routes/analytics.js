@@ -1,48 +1,160 @@
 const express = require('express');
+const { ethers } = require('ethers');
+const { isSupportedNetwork, getNetwork, DEFAULT_NETWORK } = require('../config/networks');
+const LiquidityService = require('../services/LiquidityService');
+const LpLockService = require('../services/LpLockService');
+const MarketDataService = require('../services/MarketDataService');
+const CandleService = require('../services/CandleService');
+const { getProvider } = require('../services/providers');
+const { getQuoteTokens } = require('../services/pairs');
+const { getTransactionSwaps } = require('../services/traces');
+
 const router = express.Router();
+const liquidityService = new LiquidityService();
+const lpLockService = new LpLockService();
+const marketDataService = new MarketDataService();
+const candleService = new CandleService();
+
+const MAX_TRADE_SIZES = 10;
+const MAX_TRADE_SIZE_DIGITS = 15;
+
+// Sizes are amounts of whichever quote token a pool trades against, so none may have more decimals
+// than the network's least precise quote token
+const isTradeSize = (size, network) => {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(size);
+  const decimals = Math.min(18, ...getQuoteTokens(getNetwork(network)).map(quote => quote.decimals));
+  return Boolean(match) && match[1].length <= MAX_TRADE_SIZE_DIGITS && (match[2]?.length || 0) <= decimals;
+};
 
-// GET /api/analytics/liquidity/:address - Get liquidity data
+// GET /api/analytics/liquidity/:address?network=&sizes= - Pools, reserves, price impact and LP lock status
 router.get('/liquidity/:address', async (req, res) => {
   try {
     const { address } = req.params;
-    // TODO: Implement liquidity analysis
-    res.json({
-      success: true,
-      data: {
-        totalLiquidity: '500000',
-        liquidityPools: [
-          {
-            dex: 'Uniswap V2',
-            pair: 'ETH/TOKEN',
-            liquidity: '300000'
-          }
-        ],
-        priceImpact: '2.5%'
-      }
-    });
+    const network = req.query.network || DEFAULT_NETWORK;
+    const tradeSizes = req.query.sizes ? String(req.query.sizes).split(',').map(size => size.trim()) : undefined;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+    if (tradeSizes && (tradeSizes.length > MAX_TRADE_SIZES || !tradeSizes.every(size => isTradeSize(size, network)))) {
+      return res.status(400).json({
+        success: false,
+        error: `sizes must be up to ${MAX_TRADE_SIZES} comma-separated decimal amounts, below 1e${MAX_TRADE_SIZE_DIGITS} and no finer than the network's quote tokens`
+      });
+    }
+
+    const data = await liquidityService.analyze(address, network, { tradeSizes });
+    if (data.pools.length === 0) {
+      return res.status(404).json({ success: false, error: 'No liquidity pools found for this token' });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/analytics/liquidity/:address/locks?network= - LP burns, locker deposits and the unlock schedule
+router.get('/liquidity/:address/locks', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const network = req.query.network || DEFAULT_NETWORK;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const data = await lpLockService.verify(address, network);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'No V2 liquidity pairs found for this token' });
+    }
+
+    res.json({ success: true, data });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
-// GET /api/analytics/market/:address - Get market data
+// GET /api/analytics/market/:address?network= - Price, volume, liquidity and market cap across the token's pairs
 router.get('/market/:address', async (req, res) => {
   try {
     const { address } = req.params;
-    // TODO: Implement market data analysis
-    res.json({
-      success: true,
-      data: {
-        marketCap: '10000000',
-        price: '0.01',
-        volume24h: '500000',
-        priceChange24h: '+5.2%',
-        holders: 1250
-      }
-    });
+    const network = req.query.network || DEFAULT_NETWORK;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const data = await marketDataService.getMarket(address, network);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'No trading pairs found for this token' });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/analytics/candles/:address?network=&interval=1m|5m|1h&from=&to= - OHLCV from the main pair's swaps
+router.get('/candles/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const network = req.query.network || DEFAULT_NETWORK;
+    const [from, to] = [req.query.from, req.query.to].map(value => (value === undefined ? undefined : Number(value)));
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+    if ([from, to].some(value => value !== undefined && !(Number.isInteger(value) && value > 0))) {
+      return res.status(400).json({ success: false, error: 'from and to must be unix timestamps in seconds' });
+    }
+
+    const data = await candleService.getCandles(address, network, { interval: req.query.interval, from, to });
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'No V2 liquidity pairs found for this token' });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/analytics/transactions/:hash/swaps?network= - Swaps a transaction made, decoded from its calldata and receipt
+router.get('/transactions/:hash/swaps', async (req, res) => {
+  try {
+    const { hash } = req.params;
+    const network = req.query.network || DEFAULT_NETWORK;
+
+    if (!ethers.isHexString(hash, 32)) {
+      return res.status(400).json({ success: false, error: 'Invalid transaction hash' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const data = await getTransactionSwaps(getProvider(network), network, hash);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Transaction not found or not mined yet' });
+    }
+
+    res.json({ success: true, data });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -5,11 +5,19 @@ const router = express.Router();
 const tokenRoutes = require('./tokens');
 const walletRoutes = require('./wallets');
 const analyticsRoutes = require('./analytics');
+const alertRoutes = require('./alerts');
+const monitorRoutes = require('./monitors');
+const alertRuleRoutes = require('./alertRules');
+const streamRoutes = require('./stream');
 
 // Use routes
 router.use('/tokens', tokenRoutes);
 router.use('/wallets', walletRoutes);
 router.use('/analytics', analyticsRoutes);
+router.use('/alerts', alertRoutes);
+router.use('/monitors', monitorRoutes);
+router.use('/alert-rules', alertRuleRoutes);
+router.use('/stream', streamRoutes);
 
 // Base API route
 router.get('/', (req, res) => {
@@ -0,0 +1,111 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { isSupportedNetwork, DEFAULT_NETWORK } = require('../config/networks');
+const MonitorService = require('../services/MonitorService');
+
+const router = express.Router();
+const monitorService = new MonitorService();
+
+monitorService.resume();
+
+const MAX_MONITOR_WALLETS = parseInt(process.env.MAX_MONITOR_WALLETS) || 200;
+// Percentages, block and wallet counts, and USD amounts, each with the check its values must pass
+const THRESHOLDS = {
+  sellPercent: 'percent',
+  highPercent: 'percent',
+  dumpSupplyPercent: 'percent',
+  dumpWindowBlocks: 'count',
+  dumpMinWallets: 'count',
+  dumpCorrelationBlocks: 'count',
+  dumpUsdValue: 'usd'
+};
+const MAX_THRESHOLD_COUNT = 10000;
+
+const validateThreshold = (name, value) => {
+  if (!THRESHOLDS[name]) return `Unknown threshold: ${name}`;
+  if (typeof value !== 'number') return `${name} must be a number`;
+  if (THRESHOLDS[name] === 'percent' && !(value > 0 && value <= 100)) return `${name} must be a percentage between 0 and 100`;
+  if (THRESHOLDS[name] === 'count' && !(Number.isInteger(value) && value >= 1 && value <= MAX_THRESHOLD_COUNT)) {
+    return `${name} must be a whole number between 1 and ${MAX_THRESHOLD_COUNT}`;
+  }
+  if (THRESHOLDS[name] === 'usd' && !(value > 0 && Number.isFinite(value))) return `${name} must be a positive USD amount`;
+  return null;
+};
+
+// Problems with a monitor body, or null when it can be started
+const validateMonitor = ({ token, network, wallets, thresholds }) => {
+  if (!ethers.isAddress(token)) return 'Invalid token address';
+  if (!isSupportedNetwork(network)) return `Unsupported network: ${network}`;
+  if (!Array.isArray(wallets) || wallets.length === 0) return 'wallets must be a non-empty array';
+  if (wallets.length > MAX_MONITOR_WALLETS) return `At most ${MAX_MONITOR_WALLETS} wallets can be monitored`;
+  if (!wallets.every(wallet => wallet && ethers.isAddress(wallet.address))) return 'Every wallet needs a valid address';
+  if (!wallets.every(wallet => wallet.type === undefined || (typeof wallet.type === 'string' && wallet.type.length <= 32))) {
+    return 'Wallet type must be a string of at most 32 characters';
+  }
+  if (thresholds !== undefined) {
+    if (typeof thresholds !== 'object' || thresholds === null) return 'thresholds must be an object';
+    for (const [name, value] of Object.entries(thresholds)) {
+      const error = validateThreshold(name, value);
+      if (error) return error;
+    }
+  }
+  return null;
+};
+
+// POST /api/monitors - Start watching wallets of a token; body { token, network, wallets: [{ address, type }], thresholds }
+router.post('/', (req, res) => {
+  try {
+    const body = { ...req.body, network: req.body.network || DEFAULT_NETWORK };
+    const error = validateMonitor(body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const monitor = monitorService.create(body);
+    res.status(201).json({ success: true, data: monitorService.describe(monitor) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/monitors?token=&network=
+router.get('/', (req, res) => {
+  try {
+    const { token, network } = req.query;
+    if (token !== undefined && !ethers.isAddress(token)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+
+    const data = monitorService.list({ token, network }).map(monitor => monitorService.describe(monitor));
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/monitors/:id - Monitor with the last balance seen for each wallet
+router.get('/:id', (req, res) => {
+  try {
+    const monitor = monitorService.get(req.params.id);
+    if (!monitor) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+    res.json({ success: true, data: monitorService.describe(monitor) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/monitors/:id - Stop and forget a monitor; its alerts stay in the alert store
+router.delete('/:id', (req, res) => {
+  try {
+    if (!monitorService.delete(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+    res.json({ success: true, data: { id: req.params.id } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const events = require('../services/events');
+
+const router = express.Router();
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL = 15000;
+// How long the browser waits before reconnecting a dropped stream
+const RETRY_DELAY = 3000;
+
+// GET /api/stream?monitor=&token=&lastEventId= - Server-sent alert and wallet-update events.
+// monitor takes a comma separated list of monitor ids; a reconnecting client gets the events it missed
+// after Last-Event-ID (header or lastEventId query) replayed first.
+router.get('/', (req, res) => {
+  const monitors = req.query.monitor ? String(req.query.monitor).split(',').filter(Boolean) : null;
+  const { token } = req.query;
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+
+  if (token !== undefined && !ethers.isAddress(token)) {
+    return res.status(400).json({ success: false, error: 'Invalid token address' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+  const matches = event => (!monitors || monitors.includes(event.monitorId))
+    && (!token || event.token === token.toLowerCase());
+
+  const send = event => {
+    if (!matches(event)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  if (lastEventId > 0) {
+    events.since(lastEventId).forEach(send);
+  }
+
+  const unsubscribe = events.subscribe(send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
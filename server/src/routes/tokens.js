@@ -1,42 +1,252 @@
 const express = require('express');
+const { ethers } = require('ethers');
+const { isSupportedNetwork, DEFAULT_NETWORK } = require('../config/networks');
+const TokenService = require('../services/TokenService');
+const ContractAnalysisService = require('../services/ContractAnalysisService');
+const TradeSimulator = require('../services/TradeSimulator');
+const ExplorerService = require('../services/ExplorerService');
+const BundleDetector = require('../services/BundleDetector');
+const HolderIndexer = require('../services/HolderIndexer');
+const JobQueue = require('../services/JobQueue');
+
 const router = express.Router();
+const tokenService = new TokenService();
+const contractAnalysisService = new ContractAnalysisService();
+const tradeSimulator = new TradeSimulator();
+const explorerService = new ExplorerService();
+const bundleDetector = new BundleDetector();
+const holderIndexer = new HolderIndexer();
+const holderJobs = new JobQueue('holder-jobs');
+
+holderJobs.register('index-holders', (job, save) => holderIndexer.run(job, save));
+holderJobs.resume();
+
+// Characters of source accepted for analysis; the largest verified contracts stay well under this
+const MAX_SOURCE_LENGTH = 2 * 1024 * 1024;
 
-// GET /api/tokens - Get token information
+// A positive amount parseEther accepts: no exponents, trailing text or more than 18 decimals
+const isNativeAmount = (value) => {
+  try {
+    return ethers.parseEther(String(value)) > 0n;
+  } catch (error) {
+    return false;
+  }
+};
+
+// GET /api/tokens/:address?network= - Get on-chain token information
 router.get('/:address', async (req, res) => {
   try {
     const { address } = req.params;
-    // TODO: Implement token analysis logic
-    res.json({
-      success: true,
-      data: {
-        address,
-        name: 'Sample Token',
-        symbol: 'SAMPLE',
-        totalSupply: '1000000',
-        decimals: 18
-      }
-    });
+    const network = req.query.network || DEFAULT_NETWORK;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const data = await tokenService.getTokenInfo(address, network);
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/tokens/:address/deployer?network= - Contract creator and creation transaction
+router.get('/:address/deployer', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const network = req.query.network || DEFAULT_NETWORK;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const data = await explorerService.getContractCreation(address, network);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Deployer information not available' });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/tokens/:address/source?network= - Verified source files
+router.get('/:address/source', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const network = req.query.network || DEFAULT_NETWORK;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const data = await explorerService.getSourceCode(address, network);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Contract source code is not verified' });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/tokens/:address/transfers?network=&sort=&limit=&page= - Recent ERC-20 transfers of the token
+router.get('/:address/transfers', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const network = req.query.network || DEFAULT_NETWORK;
+    const sort = req.query.sort === 'asc' ? 'asc' : 'desc';
+    const offset = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const page = parseInt(req.query.page) || 1;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const data = await explorerService.getTokenTransfers({ contractAddress: address }, network, { sort, offset, page });
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/tokens/:address/holders?network=&limit= - Exact balances replayed from Transfer logs. A token
+// not indexed yet (or far behind) is replayed by a background job first: 202 with the job to poll
+router.get('/:address/holders', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const network = req.query.network || DEFAULT_NETWORK;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    if (!(await holderIndexer.isCurrent(address, network))) {
+      const token = ethers.getAddress(address);
+      const job = holderJobs.findUnfinished('index-holders', input => input.token === token && input.network === network) ||
+        holderJobs.create('index-holders', { token, network });
+      return res.status(202).json({ success: true, data: holderJobs.format(job) });
+    }
+
+    const data = await holderIndexer.getHolders(address, network, { limit });
+    res.json({ success: true, data });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
-// POST /api/tokens/analyze - Analyze token security
+// GET /api/tokens/:address/holders/jobs/:jobId - Poll a holder index job, then fetch the holders again
+router.get('/:address/holders/jobs/:jobId', async (req, res) => {
+  try {
+    const job = holderJobs.get(req.params.jobId);
+    if (!job || job.type !== 'index-holders' || job.input.token.toLowerCase() !== req.params.address.toLowerCase()) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.json({ success: true, data: holderJobs.format(job) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/tokens/:address/bundles?network= - Wallets that bought together at launch
+router.get('/:address/bundles', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const network = req.query.network || DEFAULT_NETWORK;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const data = await bundleDetector.analyze(address, network);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'No supported DEX pair found for this token' });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tokens/analyze - Analyze token security from verified source or bytecode
 router.post('/analyze', async (req, res) => {
   try {
-    const { address } = req.body;
-    // TODO: Implement security analysis
-    res.json({
-      success: true,
-      data: {
-        address,
-        securityScore: 85,
-        risks: [],
-        analysis: 'Token appears to be safe'
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    const { address, sourceCode, bytecode } = req.body;
+    const network = req.body.network || DEFAULT_NETWORK;
+
+    if (!address && !sourceCode && !bytecode) {
+      return res.status(400).json({ success: false, error: 'Provide a token address, source code or bytecode' });
+    }
+    if (sourceCode !== undefined && typeof sourceCode !== 'string') {
+      return res.status(400).json({ success: false, error: 'sourceCode must be a string' });
+    }
+    if (sourceCode && sourceCode.length > MAX_SOURCE_LENGTH) {
+      return res.status(400).json({ success: false, error: `sourceCode must be at most ${MAX_SOURCE_LENGTH} characters` });
+    }
+    if (bytecode && !(ethers.isHexString(bytecode) && bytecode.length % 2 === 0)) {
+      return res.status(400).json({ success: false, error: 'Bytecode must be a hex string' });
+    }
+    if (address && !ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const data = await contractAnalysisService.analyze({ address, network, sourceCode, bytecode });
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/tokens/:address/simulate-trade - Buy, transfer and sell on a fork
+router.post('/:address/simulate-trade', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { router: routerAddress, amountIn } = req.body;
+    const network = req.body.network || req.query.network || DEFAULT_NETWORK;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (routerAddress && !ethers.isAddress(routerAddress)) {
+      return res.status(400).json({ success: false, error: 'Invalid router address' });
+    }
+    if (amountIn !== undefined && !isNativeAmount(amountIn)) {
+      return res.status(400).json({ success: false, error: 'amountIn must be a positive native amount' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const data = await tradeSimulator.simulate({ token: address, network, router: routerAddress, amountIn });
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -1,42 +1,158 @@
 const express = require('express');
+const { ethers } = require('ethers');
+const { isSupportedNetwork, DEFAULT_NETWORK } = require('../config/networks');
+const WalletService = require('../services/WalletService');
+const ExplorerService = require('../services/ExplorerService');
+const WalletClassifier = require('../services/WalletClassifier');
+const JobQueue = require('../services/JobQueue');
+const { isRawAmount } = require('../services/tokenAmount');
+
 const router = express.Router();
+const walletService = new WalletService();
+const explorerService = new ExplorerService();
+const walletClassifier = new WalletClassifier();
+const jobQueue = new JobQueue();
+
+jobQueue.register('classify-wallets', (job, save) => walletClassifier.run(job, save));
+jobQueue.resume();
 
-// GET /api/wallets/analyze/:address - Analyze wallet
+const TRANSACTION_TYPES = ['normal', 'internal', 'token'];
+const MAX_CLASSIFY_HOLDERS = 1000;
+
+// GET /api/wallets/analyze/:address?network= - Build a wallet profile
 router.get('/analyze/:address', async (req, res) => {
   try {
     const { address } = req.params;
-    // TODO: Implement wallet analysis logic
-    res.json({
-      success: true,
-      data: {
-        address,
-        type: 'regular',
-        riskLevel: 'low',
-        transactions: 150,
-        balance: '1.5 ETH'
-      }
-    });
+    const network = req.query.network || DEFAULT_NETWORK;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const data = await walletService.analyze(address, network);
+    res.json({ success: true, data });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
-// POST /api/wallets/classify - Classify multiple wallets
+// GET /api/wallets/:address/transactions?network=&type=&sort=&limit=&page= - Explorer history
+router.get('/:address/transactions', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const network = req.query.network || DEFAULT_NETWORK;
+    const type = req.query.type || 'normal';
+    const sort = req.query.sort === 'asc' ? 'asc' : 'desc';
+    const offset = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const page = parseInt(req.query.page) || 1;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+    if (!TRANSACTION_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `type must be one of ${TRANSACTION_TYPES.join(', ')}` });
+    }
+
+    const options = { sort, offset, page };
+    let data;
+    if (type === 'internal') {
+      data = await explorerService.getInternalTransactions(address, network, options);
+    } else if (type === 'token') {
+      data = await explorerService.getTokenTransfers({ address }, network, options);
+    } else {
+      data = await explorerService.getTransactions(address, network, options);
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/wallets/classify - Start a classification job for a token's holders
 router.post('/classify', async (req, res) => {
   try {
-    const { addresses } = req.body;
-    // TODO: Implement wallet classification
-    res.json({
-      success: true,
-      data: {
-        teamWallets: [],
-        bundleWallets: [],
-        mevWallets: [],
-        regularWallets: addresses || []
-      }
+    const { token, deployer, teamThreshold, fundingDepth } = req.body;
+    const network = req.body.network || DEFAULT_NETWORK;
+
+    // Accept holder objects, or the older plain address list
+    const submitted = req.body.holders ?? (Array.isArray(req.body.addresses) ? req.body.addresses.map(address => ({ address })) : []);
+    if (!Array.isArray(submitted) || !submitted.every(holder => holder && typeof holder === 'object')) {
+      return res.status(400).json({ success: false, error: 'holders must be an array of holder objects' });
+    }
+    // Checked before anything walks the list, so an oversized body is turned away cheaply
+    if (submitted.length > MAX_CLASSIFY_HOLDERS) {
+      return res.status(400).json({ success: false, error: `At most ${MAX_CLASSIFY_HOLDERS} holders per job` });
+    }
+
+    // The first entry for each address wins
+    const seen = new Set();
+    const holders = submitted.filter(holder => {
+      const key = String(holder.address).toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
     });
+
+    if (holders.length === 0) {
+      return res.status(400).json({ success: false, error: 'Provide holders or addresses to classify' });
+    }
+    if (!holders.every(holder => ethers.isAddress(holder.address))) {
+      return res.status(400).json({ success: false, error: 'Every holder needs a valid address' });
+    }
+    if (token && !ethers.isAddress(token)) {
+      return res.status(400).json({ success: false, error: 'Invalid token address' });
+    }
+    if (deployer && !ethers.isAddress(deployer)) {
+      return res.status(400).json({ success: false, error: 'Invalid deployer address' });
+    }
+    if (teamThreshold !== undefined && !(typeof teamThreshold === 'number' && teamThreshold > 0 && teamThreshold <= 100)) {
+      return res.status(400).json({ success: false, error: 'teamThreshold must be a percentage above 0 and at most 100' });
+    }
+    if (fundingDepth !== undefined && !(Number.isInteger(fundingDepth) && fundingDepth > 0)) {
+      return res.status(400).json({ success: false, error: 'fundingDepth must be a positive integer' });
+    }
+    if (!isSupportedNetwork(network)) {
+      return res.status(400).json({ success: false, error: `Unsupported network: ${network}` });
+    }
+
+    const job = jobQueue.create('classify-wallets', {
+      token,
+      network,
+      deployer,
+      teamThreshold,
+      fundingDepth,
+      holders: holders.map(({ address, balance, balanceRaw, percentage }) => ({
+        address: ethers.getAddress(address),
+        balance,
+        balanceRaw: isRawAmount(balanceRaw) ? String(balanceRaw) : undefined,
+        percentage: typeof percentage === 'number' ? percentage : undefined
+      }))
+    });
+
+    res.status(202).json({ success: true, data: jobQueue.format(job) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/wallets/classify/:jobId - Poll a classification job
+router.get('/classify/:jobId', async (req, res) => {
+  try {
+    const job = jobQueue.get(req.params.jobId);
+    if (!job || job.type !== 'classify-wallets') {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.json({ success: true, data: jobQueue.format(job) });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { isSupportedNetwork } = require('../config/networks');
+const JsonStore = require('./JsonStore');
+const TelegramService = require('./TelegramService');
+
+// What a rule can watch, with the measurements each kind of event offers its condition
+const WALLET_METRICS = ['supplyPercent', 'balancePercent', 'usdValue'];
+const EVENTS = {
+  sell: WALLET_METRICS,
+  buy: ['supplyPercent', 'usdValue'],
+  transfer_to_cex: WALLET_METRICS,
+  transfer_to_fresh_wallet: WALLET_METRICS,
+  transfer: WALLET_METRICS,
+  lp_removal: ['liquidityPercent', 'supplyPercent', 'usdValue'],
+  lp_add: ['liquidityPercent', 'supplyPercent', 'usdValue'],
+  // An LP lock unlocking soon or already past its date; liquidityPercent is the share of the LP it holds
+  lp_unlock: ['liquidityPercent'],
+  pending_sell: WALLET_METRICS,
+  coordinated_dump: ['walletCount', 'supplyPercent', 'usdValue'],
+  price_change: ['priceChangePercent']
+};
+
+const OPERATORS = {
+  gt: (measured, value) => measured > value,
+  gte: (measured, value) => measured >= value,
+  lt: (measured, value) => measured < value,
+  lte: (measured, value) => measured <= value
+};
+
+const SEVERITIES = ['low', 'medium', 'high'];
+// app shows the alert in the browser; telegram and webhook are sent by the server
+const CHANNELS = ['app', 'telegram', 'webhook'];
+
+const MAX_NAME_LENGTH = 80;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+// Longest price window a rule can use; monitors keep this much price history
+const MAX_PRICE_WINDOW_MINUTES = 60;
+const DEFAULT_COOLDOWN_MINUTES = 15;
+const WEBHOOK_TIMEOUT = 10000;
+
+// Used for tokens without rules of their own; they raise what used to go to Telegram. Events are
+// reported once each, so only the price rule, which holds over many checks, needs a cooldown.
+const DEFAULT_RULES = [
+  { name: 'Wallet sells half its balance', event: 'sell', metric: 'balancePercent', operator: 'gte', value: 50 },
+  { name: 'Wallet sends half its balance to an exchange', event: 'transfer_to_cex', metric: 'balancePercent', operator: 'gte', value: 50 },
+  { name: 'Wallet sends half its balance to a fresh wallet', event: 'transfer_to_fresh_wallet', metric: 'balancePercent', operator: 'gte', value: 50 },
+  { name: 'Pending sell of half a balance', event: 'pending_sell', metric: 'balancePercent', operator: 'gte', value: 50 },
+  { name: 'Liquidity removed', event: 'lp_removal' },
+  { name: 'Coordinated dump', event: 'coordinated_dump' },
+  { name: 'Price drops 30% in 5 minutes', event: 'price_change', metric: 'priceChangePercent', operator: 'lte', value: -30, windowMinutes: 5, cooldownMinutes: 5 }
+].map((rule, index) => ({
+  id: `default-${index + 1}`,
+  walletType: null,
+  metric: null,
+  operator: null,
+  value: null,
+  windowMinutes: null,
+  severity: 'high',
+  cooldownMinutes: 0,
+  channels: ['app', 'telegram'],
+  webhookUrl: null,
+  enabled: true,
+  ...rule
+}));
+
+// Webhooks only reach public hosts, so a rule cannot make the server call into its own network:
+// loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges are refused
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// A problem with a webhook URL, or null when it is http(s) and its host resolves only to public addresses
+const checkWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'Webhook rules need an http(s) webhookUrl';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'Webhook rules need an http(s) webhookUrl';
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return `Could not resolve the webhook host ${host}`;
+  }
+  return addresses.some(({ address }) => isBlockedAddress(address)) ? 'webhookUrl must point to a public host' : null;
+};
+
+// Checks the addresses again as the request connects, so a host cannot resolve to a private
+// address after the URL was checked
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(Object.assign(new Error(`Webhook host ${hostname} resolves to a private address`), { code: 'EADDRNOTAVAIL' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const WEBHOOK_AGENTS = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// id -> rule, read from disk once. Shared by every instance, so rules the routes save reach the
+// monitors' matching without it going back to disk for each event.
+let cachedRules = null;
+
+// Per-token alert rules such as "team wallet sells > 0.5% of supply" or "price drops 30% in 5m".
+// Monitors hand every event to match(); each rule that holds and is not cooling down raises its own
+// alert with the rule's severity and delivery channels.
+class AlertRuleService {
+  constructor() {
+    this.store = new JsonStore('alert-rules');
+    // rule id:token -> when a default rule last fired; stored rules keep this on their record
+    this.defaultTriggers = new Map();
+    this.telegram = new TelegramService();
+  }
+
+  list({ token, network } = {}) {
+    return Array.from(this.rules().values())
+      .filter(rule => !token || rule.token.toLowerCase() === token.toLowerCase())
+      .filter(rule => !network || rule.network === network)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  get(id) {
+    return this.rules().get(id) || null;
+  }
+
+  rules() {
+    if (!cachedRules) cachedRules = new Map(this.store.list().map(rule => [rule.id, rule]));
+    return cachedRules;
+  }
+
+  save(rule) {
+    this.rules().set(rule.id, this.store.set(rule.id, rule));
+    return rule;
+  }
+
+  // The rules that apply to a token when it has none of its own
+  defaults(token, network) {
+    return DEFAULT_RULES.map(rule => ({ ...rule, token: ethers.getAddress(token), network, isDefault: true }));
+  }
+
+  // Problems with a rule, or null when it can be saved; token and network are only checked on create
+  async validate(rule, { create = true } = {}) {
+    const { token, network, name, event, walletType, metric, operator, value, windowMinutes, severity, cooldownMinutes, channels, webhookUrl, enabled } = rule;
+
+    if (create && !ethers.isAddress(token)) return 'Invalid token address';
+    if (create && !isSupportedNetwork(network)) return `Unsupported network: ${network}`;
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return `name must be a string of 1 to ${MAX_NAME_LENGTH} characters`;
+    }
+    if (!EVENTS[event]) return `event must be one of ${Object.keys(EVENTS).join(', ')}`;
+    if (walletType !== undefined && walletType !== null && (typeof walletType !== 'string' || walletType.length > 32)) {
+      return 'walletType must be a string of at most 32 characters';
+    }
+    if (event === 'price_change' && !metric) return 'Price rules need the priceChangePercent metric';
+    if (metric !== undefined && metric !== null) {
+      if (!EVENTS[event].includes(metric)) return `metric for ${event} must be one of ${EVENTS[event].join(', ')}`;
+      if (!OPERATORS[operator]) return `operator must be one of ${Object.keys(OPERATORS).join(', ')}`;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'value must be a number';
+    }
+    if (event === 'price_change' &&
+      !(Number.isInteger(windowMinutes) && windowMinutes >= 1 && windowMinutes <= MAX_PRICE_WINDOW_MINUTES)) {
+      return `windowMinutes must be a whole number between 1 and ${MAX_PRICE_WINDOW_MINUTES}`;
+    }
+    if (severity !== undefined && !SEVERITIES.includes(severity)) return `severity must be one of ${SEVERITIES.join(', ')}`;
+    if (cooldownMinutes !== undefined &&
+      !(typeof cooldownMinutes === 'number' && cooldownMinutes >= 0 && cooldownMinutes <= MAX_COOLDOWN_MINUTES)) {
+      return `cooldownMinutes must be between 0 and ${MAX_COOLDOWN_MINUTES}`;
+    }
+    if (channels !== undefined &&
+      (!Array.isArray(channels) || channels.length === 0 || !channels.every(channel => CHANNELS.includes(channel)))) {
+      return `channels must be a non-empty list of ${CHANNELS.join(', ')}`;
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') return 'enabled must be a boolean';
+    if (channels?.includes('webhook')) return checkWebhookUrl(webhookUrl);
+    return null;
+  }
+
+  create(fields) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    return this.save({
+      id,
+      token: ethers.getAddress(fields.token),
+      network: fields.network,
+      ...this.normalize(fields),
+      lastTriggeredAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Null when the rule does not exist; the token and network of a rule never change
+  update(id, fields) {
+    const existing = this.get(id);
+    if (!existing) return null;
+
+    const { token, network, ...changes } = fields;
+    return this.save({
+      ...existing,
+      ...this.normalize({ ...existing, ...changes }),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  delete(id) {
+    const existing = this.get(id);
+    if (existing) {
+      this.store.delete(id);
+      this.rules().delete(id);
+    }
+    return existing;
+  }
+
+  normalize(fields) {
+    const metric = fields.metric || null;
+    const channels = fields.channels || ['app'];
+    return {
+      name: fields.name.trim(),
+      event: fields.event,
+      walletType: fields.walletType || null,
+      metric,
+      operator: metric ? fields.operator : null,
+      value: metric ? fields.value : null,
+      windowMinutes: fields.event === 'price_change' ? fields.windowMinutes : null,
+      severity: fields.severity || 'medium',
+      cooldownMinutes: fields.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES,
+      channels,
+      webhookUrl: channels.includes('webhook') ? fields.webhookUrl : null,
+      enabled: fields.enabled ?? true
+    };
+  }
+
+  // The token's own enabled rules, or the defaults when it has none
+  rulesFor(token, network) {
+    const own = this.list({ token, network });
+    return own.length > 0 ? own.filter(rule => rule.enabled) : this.defaults(token, network);
+  }
+
+  // The rules an event sets off, each with the value its metric measured, leaving out rules still
+  // cooling down. event is { kind, token, network, walletType, metrics, priceHistory }; price_change
+  // events carry the { at, price } samples instead of metrics, measured over each rule's window.
+  match(event) {
+    const now = Date.now();
+
+    return this.rulesFor(event.token, event.network).flatMap(rule => {
+      if (rule.event !== event.kind) return [];
+      if (rule.walletType && rule.walletType.toLowerCase() !== event.walletType?.toLowerCase()) return [];
+
+      let measured = null;
+      if (rule.metric) {
+        measured = rule.metric === 'priceChangePercent'
+          ? this.priceChange(event.priceHistory || [], rule.windowMinutes, now)
+          : event.metrics?.[rule.metric] ?? null;
+        if (measured === null || !OPERATORS[rule.operator](measured, rule.value)) return [];
+      }
+
+      const last = rule.isDefault ? this.defaultTriggers.get(`${rule.id}:${event.token.toLowerCase()}`) : rule.lastTriggeredAt;
+      if (last && now - new Date(last).getTime() < rule.cooldownMinutes * 60 * 1000) return [];
+
+      return [{ rule, measured }];
+    });
+  }
+
+  // Percent change from the oldest price inside the window to the newest; null without two samples
+  priceChange(history, windowMinutes, now = Date.now()) {
+    const samples = history.filter(sample => sample.at >= now - windowMinutes * 60 * 1000 && sample.price > 0);
+    if (samples.length < 2) return null;
+
+    const [first, last] = [samples[0], samples[samples.length - 1]];
+    return Number((((last.price - first.price) / first.price) * 100).toFixed(2));
+  }
+
+  // Starts the rule's cooldown
+  trigger(rule, token) {
+    const now = new Date().toISOString();
+    if (rule.isDefault) {
+      this.defaultTriggers.set(`${rule.id}:${token.toLowerCase()}`, now);
+      return;
+    }
+
+    const current = this.get(rule.id);
+    if (current) this.save({ ...current, lastTriggeredAt: now });
+  }
+
+  // Sends the alert to the rule's Telegram chat and webhook, once per alert; the app channel is the
+  // browser showing it from the alert store
+  async deliver(rule, alert, { tokenSymbol } = {}) {
+    const sends = [];
+    if (rule.channels.includes('telegram')) sends.push(this.telegram.sendAlert(alert, { tokenSymbol }));
+    if (rule.channels.includes('webhook') && rule.webhookUrl) sends.push(this.postWebhook(rule, alert));
+    await Promise.all(sends);
+  }
+
+  async postWebhook(rule, alert) {
+    try {
+      const problem = await checkWebhookUrl(rule.webhookUrl);
+      if (problem) throw new Error(problem);
+
+      // Redirects are not followed, since they could lead anywhere
+      await axios.post(rule.webhookUrl, { rule: { id: rule.id, name: rule.name }, alert }, {
+        timeout: WEBHOOK_TIMEOUT,
+        maxRedirects: 0,
+        ...WEBHOOK_AGENTS
+      });
+    } catch (error) {
+      console.warn(`⚠️ Webhook for rule "${rule.name}" failed:`, error.message);
+    }
+  }
+}
+
+module.exports = AlertRuleService;
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const events = require('./events');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const DB_FILE = process.env.ALERTS_DB || path.join(DATA_DIR, 'alerts.db');
+
+const MAX_LIST_LIMIT = 500;
+
+// Alerts in an embedded SQLite database; addresses are stored lowercase so filters match any casing
+class AlertStore {
+  constructor(file = DB_FILE) {
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS alerts (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        network TEXT,
+        token TEXT,
+        wallet TEXT,
+        message TEXT,
+        data TEXT,
+        timestamp INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        acknowledged_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS alerts_token ON alerts (token, timestamp);
+      CREATE INDEX IF NOT EXISTS alerts_wallet ON alerts (wallet, timestamp);
+      CREATE INDEX IF NOT EXISTS alerts_timestamp ON alerts (timestamp);
+    `);
+  }
+
+  // A caller-supplied id makes retries idempotent: the first write wins. Returns { alert, created },
+  // with created false when an alert with the id was already stored.
+  create({ id, type, severity = 'medium', network = null, token = null, wallet = null, message = null, data = null, timestamp }) {
+    const alertId = id ? String(id) : crypto.randomUUID();
+
+    const { changes } = this.db.prepare(`
+      INSERT OR IGNORE INTO alerts (id, type, severity, network, token, wallet, message, data, timestamp, created_at)
+      VALUES (@id, @type, @severity, @network, @token, @wallet, @message, @data, @timestamp, @createdAt)
+    `).run({
+      id: alertId,
+      type,
+      severity,
+      network,
+      token: token?.toLowerCase() || null,
+      wallet: wallet?.toLowerCase() || null,
+      message,
+      data: data === null ? null : JSON.stringify(data),
+      timestamp: timestamp || Date.now(),
+      createdAt: Date.now()
+    });
+
+    const alert = this.get(alertId);
+    const created = changes > 0;
+    // Only new alerts are pushed to live streams, not retries of one already stored
+    if (created) {
+      events.publish('alert', alert, { monitorId: alert.data?.monitorId || null, token: alert.token });
+    }
+    return { alert, created };
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM alerts WHERE id = ?').get(String(id));
+    return row ? this.toAlert(row) : null;
+  }
+
+  // Newest first; `from` and `to` bound the alert timestamp in ms
+  list({ token, wallet, type, severity, network, from, to, acknowledged, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = {};
+    const where = (column, operator, value, name = column) => {
+      if (value === undefined || value === null) return;
+      conditions.push(`${column} ${operator} @${name}`);
+      params[name] = value;
+    };
+
+    where('token', '=', token?.toLowerCase());
+    where('wallet', '=', wallet?.toLowerCase());
+    where('type', '=', type);
+    where('severity', '=', severity);
+    where('network', '=', network);
+    where('timestamp', '>=', from, 'fromTime');
+    where('timestamp', '<=', to, 'toTime');
+    if (acknowledged !== undefined) {
+      conditions.push(acknowledged ? 'acknowledged_at IS NOT NULL' : 'acknowledged_at IS NULL');
+    }
+
+    const clause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM alerts ${clause}`).get(params);
+    const rows = this.db.prepare(`SELECT * FROM alerts ${clause} ORDER BY timestamp DESC, created_at DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit: Math.min(limit, MAX_LIST_LIMIT), offset });
+
+    return { total, alerts: rows.map(row => this.toAlert(row)) };
+  }
+
+  // Change an alert as what it reported develops, e.g. a pending sell that was mined; data is merged
+  // into the stored data. Null when the alert does not exist.
+  update(id, { severity, message, data } = {}) {
+    const existing = this.get(id);
+    if (!existing) return null;
+
+    this.db.prepare('UPDATE alerts SET severity = @severity, message = @message, data = @data WHERE id = @id').run({
+      id: String(id),
+      severity: severity ?? existing.severity,
+      message: message ?? existing.message,
+      data: JSON.stringify({ ...existing.data, ...data })
+    });
+
+    const alert = this.get(id);
+    events.publish('alert-update', alert, { monitorId: alert.data?.monitorId || null, token: alert.token });
+    return alert;
+  }
+
+  // Null when the alert does not exist; acknowledging twice keeps the first time
+  acknowledge(id) {
+    this.db.prepare('UPDATE alerts SET acknowledged_at = COALESCE(acknowledged_at, ?) WHERE id = ?').run(Date.now(), String(id));
+    return this.get(id);
+  }
+
+  delete(id) {
+    return this.db.prepare('DELETE FROM alerts WHERE id = ?').run(String(id)).changes > 0;
+  }
+
+  toAlert(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      severity: row.severity,
+      network: row.network,
+      token: row.token && ethers.getAddress(row.token),
+      wallet: row.wallet && ethers.getAddress(row.wallet),
+      message: row.message,
+      data: row.data ? JSON.parse(row.data) : null,
+      timestamp: row.timestamp,
+      createdAt: row.created_at,
+      acknowledged: row.acknowledged_at !== null,
+      acknowledgedAt: row.acknowledged_at
+    };
+  }
+}
+
+module.exports = AlertStore;
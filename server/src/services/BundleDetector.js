@@ -0,0 +1,272 @@
+const { ethers } = require('ethers');
+const { getProvider } = require('./providers');
+const { getLogsChunked } = require('./logs');
+const { mapWithConcurrency } = require('./concurrency');
+const { getLaunch, getSwaps, attachTransactions } = require('./swaps');
+const { getInternalCalls } = require('./traces');
+const { getFirstFunder } = require('./funding');
+const { formatAmount, percentOf, sumAmounts } = require('./tokenAmount');
+
+// Buys within this many blocks of pair creation are candidates for a launch bundle
+const BUNDLE_BLOCKS = parseInt(process.env.BUNDLE_BLOCKS) || 5;
+const LOOKUP_CONCURRENCY = 4;
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const ERC20_ABI = [
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)'
+];
+
+// Exchanges and routers fund or touch everyone, so they never link wallets
+const SHARED_INFRASTRUCTURE = ['exchange', 'dex'];
+
+// Wallets default to whole gwei gas prices, like BSC's 3 gwei, so those say nothing about who signed
+const GWEI = 10n ** 9n;
+// A fee setting shared by more than this share of a launch's buyers is the going rate, not a bundler's;
+// only judged once there are enough buyers for a share to mean anything
+const COMMON_FINGERPRINT_SHARE = 0.5;
+const MIN_BUYERS_FOR_COMMON_FINGERPRINT = 6;
+
+// Finds wallets that bought together at launch and were likely run by one party
+class BundleDetector {
+  async analyze(token, network) {
+    const provider = getProvider(network);
+    const launch = await getLaunch(token, network, provider);
+    if (!launch) return null;
+
+    const window = { fromBlock: launch.launchBlock, toBlock: launch.launchBlock + BUNDLE_BLOCKS };
+    const buys = (await getSwaps(provider, launch, [window])).filter(swap => swap.side === 'buy');
+    await attachTransactions(provider, buys);
+
+    const buyers = this.collectBuyers(buys, launch);
+    await this.attachSignals(provider, network, buyers, launch);
+
+    const clusters = this.cluster(Array.from(buyers.values()));
+    const totalSupply = await new ethers.Contract(token, ERC20_ABI, provider).totalSupply();
+    await this.attachOutcomes(provider, token, launch, clusters, totalSupply);
+
+    return {
+      pair: launch.pair,
+      dex: launch.dex,
+      launchBlock: launch.launchBlock,
+      windowBlocks: BUNDLE_BLOCKS,
+      buyers: buyers.size,
+      clusters,
+      // Same shape as TokenGrid's bundleWallets
+      summary: this.summarize(clusters, totalSupply)
+    };
+  }
+
+  // Group launch buys by the wallet that ended up with the tokens
+  collectBuyers(buys, launch) {
+    const buyers = new Map();
+    const router = launch.router.toLowerCase();
+
+    for (const swap of buys) {
+      const recipient = swap.recipient.toLowerCase();
+      const viaContract = recipient === router || recipient === swap.txTo?.toLowerCase();
+      const wallet = viaContract && swap.from ? swap.from : swap.recipient;
+      const key = wallet.toLowerCase();
+
+      const buyer = buyers.get(key) || {
+        address: ethers.getAddress(wallet),
+        signers: new Set(),
+        blocks: new Set(),
+        txHashes: [],
+        gasFingerprints: new Set(),
+        spent: 0n,
+        tokens: 0n
+      };
+
+      if (swap.from) buyer.signers.add(swap.from.toLowerCase());
+      buyer.blocks.add(swap.blockNumber);
+      buyer.txHashes.push(swap.txHash);
+      buyer.gasFingerprints.add(this.gasFingerprint(swap));
+      buyer.spent += BigInt(swap.quoteAmount);
+      buyer.tokens += BigInt(swap.tokenAmount);
+      buyers.set(key, buyer);
+    }
+
+    return buyers;
+  }
+
+  // Bundling tools sign every wallet's transaction with identical fee settings; null for a wallet default
+  gasFingerprint(swap) {
+    if (swap.maxPriorityFeePerGas !== null && swap.maxPriorityFeePerGas !== undefined) {
+      return `${swap.maxFeePerGas}/${swap.maxPriorityFeePerGas}`;
+    }
+    if (!swap.gasPrice || BigInt(swap.gasPrice) % GWEI === 0n) return null;
+    return `legacy:${swap.gasPrice}`;
+  }
+
+  // Funding source and bribe recipients for every buyer
+  async attachSignals(provider, network, buyers, launch) {
+    const ignored = new Set([launch.pair, launch.router, launch.quote].map(address => address.toLowerCase()));
+
+    await mapWithConcurrency(Array.from(buyers.values()), LOOKUP_CONCURRENCY, async buyer => {
+      buyer.funder = await getFirstFunder(buyer.address, network).catch(() => null);
+      buyer.bribeRecipients = new Set();
+
+      for (const txHash of buyer.txHashes) {
+        const calls = await getInternalCalls(provider, network, txHash).catch(() => []);
+        for (const call of calls) {
+          const to = call.to?.toLowerCase();
+          if (!to || call.value <= 0n || ignored.has(to) || to === buyer.address.toLowerCase()) continue;
+          buyer.bribeRecipients.add(to);
+        }
+      }
+    });
+  }
+
+  // Union buyers that share a funder, bribe recipient or uncommon gas fingerprint. Buying in the same
+  // block is not a link by itself, since every buyer of a busy launch does; it is only reported as
+  // evidence between wallets another signal already joined.
+  cluster(buyers) {
+    const parent = buyers.map((_, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const links = [];
+
+    const groupBy = (valuesOf, members = buyers.map((_, index) => index)) => {
+      const groups = new Map();
+      for (const index of members) {
+        for (const value of valuesOf(buyers[index])) {
+          if (value === null || value === undefined) continue;
+          if (!groups.has(value)) groups.set(value, []);
+          groups.get(value).push(index);
+        }
+      }
+      return Array.from(groups).filter(([, group]) => group.length >= 2);
+    };
+
+    const linkBy = (type, valuesOf, { maxMembers = Infinity } = {}) => {
+      for (const [value, members] of groupBy(valuesOf)) {
+        if (members.length > maxMembers) continue;
+        members.slice(1).forEach(index => { parent[find(index)] = find(members[0]); });
+        links.push({ type, value: String(value), members });
+      }
+    };
+
+    linkBy('funder', buyer =>
+      buyer.funder && !SHARED_INFRASTRUCTURE.includes(buyer.funder.label?.category) ? [buyer.funder.address.toLowerCase()] : []);
+    linkBy('bribe-recipient', buyer => buyer.bribeRecipients);
+    linkBy('gas-fingerprint', buyer => buyer.gasFingerprints, {
+      maxMembers: buyers.length >= MIN_BUYERS_FOR_COMMON_FINGERPRINT ? Math.floor(buyers.length * COMMON_FINGERPRINT_SHARE) : Infinity
+    });
+
+    const groups = new Map();
+    buyers.forEach((buyer, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(index);
+    });
+
+    return Array.from(groups.values())
+      .filter(members => members.length >= 2)
+      .map((members, id) => {
+        const wallets = members.map(index => buyers[index]);
+        const memberSet = new Set(members);
+        const sameBlock = groupBy(buyer => buyer.blocks, members)
+          .map(([value, group]) => ({ type: 'same-block', value: String(value), members: group }));
+
+        return {
+          id: id + 1,
+          wallets: wallets.map(buyer => ({
+            address: buyer.address,
+            blocks: Array.from(buyer.blocks),
+            spent: buyer.spent.toString(),
+            tokens: buyer.tokens.toString(),
+            funder: buyer.funder?.address || null,
+            bribeRecipients: Array.from(buyer.bribeRecipients).map(address => ethers.getAddress(address))
+          })),
+          links: [...links.filter(link => memberSet.has(link.members[0])), ...sameBlock]
+            .map(link => ({ type: link.type, value: link.value, wallets: link.members.map(index => buyers[index].address) })),
+          spent: wallets.reduce((sum, buyer) => sum + buyer.spent, 0n).toString(),
+          tokens: wallets.reduce((sum, buyer) => sum + buyer.tokens, 0n).toString()
+        };
+      });
+  }
+
+  // What happened to the bundled tokens: still held, sold into the pair or moved elsewhere
+  async attachOutcomes(provider, token, launch, clusters, totalSupply) {
+    const members = clusters.flatMap(cluster => cluster.wallets.map(wallet => wallet.address));
+    if (members.length === 0) return;
+
+    const contract = new ethers.Contract(token, ERC20_ABI, provider);
+    const balances = new Map(await Promise.all(
+      members.map(async address => [address.toLowerCase(), await contract.balanceOf(address).catch(() => 0n)])
+    ));
+
+    const logs = await getLogsChunked(
+      provider,
+      { address: token, topics: [TRANSFER_TOPIC, members.map(address => ethers.zeroPadValue(address, 32))] },
+      { fromBlock: launch.launchBlock }
+    );
+
+    const pair = launch.pair.toLowerCase();
+
+    for (const cluster of clusters) {
+      const inCluster = new Set(cluster.wallets.map(wallet => wallet.address.toLowerCase()));
+      let sold = 0n;
+      let transferred = 0n;
+
+      for (const log of logs) {
+        const from = ethers.dataSlice(log.topics[1], 12).toLowerCase();
+        const to = ethers.dataSlice(log.topics[2], 12).toLowerCase();
+        if (!inCluster.has(from) || inCluster.has(to)) continue;
+
+        const amount = BigInt(log.data);
+        if (to === pair) sold += amount;
+        else transferred += amount;
+      }
+
+      const bought = BigInt(cluster.tokens);
+      const held = cluster.wallets.reduce((sum, wallet) => sum + balances.get(wallet.address.toLowerCase()), 0n);
+
+      Object.assign(cluster, {
+        held: held.toString(),
+        sold: sold.toString(),
+        transferred: transferred.toString(),
+        supplyPercentage: percentOf(bought, totalSupply, 2),
+        holdPercentage: Math.min(100, percentOf(held, bought, 2)),
+        soldPercentage: Math.min(100, percentOf(sold, bought, 2)),
+        transferPercentage: Math.min(100, percentOf(transferred, bought, 2))
+      });
+    }
+  }
+
+  summarize(clusters, totalSupply) {
+    const total = (field) => sumAmounts(clusters.map(cluster => cluster[field]));
+    const tokens = total('tokens');
+
+    return {
+      total: clusters.reduce((sum, cluster) => sum + cluster.wallets.length, 0),
+      spent: formatAmount(total('spent')),
+      tokens: tokens.toString(),
+      supplyPercentage: percentOf(tokens, totalSupply, 2),
+      holdPercentage: Math.min(100, percentOf(total('held'), tokens, 2)),
+      soldPercentage: Math.min(100, percentOf(total('sold'), tokens, 2)),
+      transferPercentage: Math.min(100, percentOf(total('transferred'), tokens, 2))
+    };
+  }
+
+  // Verdict for one holder, or null when it was not part of a launch bundle
+  classify(address, bundles) {
+    const key = address.toLowerCase();
+    const cluster = bundles?.clusters?.find(candidate =>
+      candidate.wallets.some(wallet => wallet.address.toLowerCase() === key));
+    if (!cluster) return null;
+
+    const reasons = Array.from(new Set(cluster.links
+      .filter(link => link.wallets.some(wallet => wallet.toLowerCase() === key))
+      .map(link => link.type)));
+
+    return {
+      type: 'bundle',
+      reason: `Launch bundle #${cluster.id} with ${cluster.wallets.length - 1} other wallet(s): ${reasons.join(', ')}`,
+      riskLevel: 'high',
+      bundleId: cluster.id
+    };
+  }
+}
+
+module.exports = BundleDetector;
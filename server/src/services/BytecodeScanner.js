@@ -0,0 +1,167 @@
+const { ethers } = require('ethers');
+const signatureGroups = require('../data/signatures.json');
+
+const OPCODES = {
+  PUSH1: 0x60,
+  PUSH4: 0x63,
+  PUSH32: 0x7f,
+  EQ: 0x14,
+  CALLCODE: 0xf2,
+  DELEGATECALL: 0xf4,
+  SELFDESTRUCT: 0xff
+};
+
+const DANGEROUS_OPCODES = {
+  [OPCODES.SELFDESTRUCT]: {
+    id: 'selfdestruct',
+    name: 'SELFDESTRUCT',
+    title: 'Self-Destruct',
+    severity: 'critical',
+    description: 'Contract can destroy itself and take its balance with it'
+  },
+  [OPCODES.DELEGATECALL]: {
+    id: 'delegatecall',
+    name: 'DELEGATECALL',
+    title: 'Delegatecall',
+    severity: 'high',
+    description: 'Delegatecall runs external code against this contract\'s storage'
+  },
+  [OPCODES.CALLCODE]: {
+    id: 'callcode',
+    name: 'CALLCODE',
+    title: 'Callcode',
+    severity: 'high',
+    description: 'Deprecated CALLCODE runs external code against this contract\'s storage'
+  }
+};
+
+// selector -> { signature, category, privileged, ...group details }. Privileged selectors are functions
+// an owner would call: not a group's views, which only read the feature's state, nor informational groups
+const SIGNATURES = new Map();
+for (const [category, group] of Object.entries(signatureGroups)) {
+  const entries = [
+    ...group.signatures.map(signature => ({ signature, privileged: group.severity !== 'info' })),
+    ...(group.views || []).map(signature => ({ signature, privileged: false }))
+  ];
+
+  for (const { signature, privileged } of entries) {
+    SIGNATURES.set(ethers.id(signature).slice(0, 10), {
+      signature,
+      category,
+      privileged,
+      title: group.title,
+      severity: group.severity,
+      description: group.description
+    });
+  }
+}
+
+// Disassembles runtime bytecode for unverified contracts
+class BytecodeScanner {
+  scan(bytecode) {
+    const code = this.stripMetadata(ethers.getBytes(bytecode));
+    const instructions = this.disassemble(code);
+
+    const selectors = Array.from(this.extractSelectors(instructions), selector => ({
+      selector,
+      signature: SIGNATURES.get(selector)?.signature || null,
+      category: SIGNATURES.get(selector)?.category || null
+    }));
+
+    const opcodes = {};
+    for (const instruction of instructions) {
+      const dangerous = DANGEROUS_OPCODES[instruction.opcode];
+      if (dangerous) {
+        opcodes[dangerous.name] = opcodes[dangerous.name] || [];
+        opcodes[dangerous.name].push(instruction.pc);
+      }
+    }
+
+    return {
+      size: code.length,
+      selectors,
+      opcodes,
+      // Owner-callable functions found by selector, what checkOwnership weighs an unrenounced owner by
+      privilegedFunctions: selectors.filter(({ selector }) => SIGNATURES.get(selector)?.privileged).length,
+      findings: [...this.selectorFindings(selectors), ...this.opcodeFindings(opcodes)]
+    };
+  }
+
+  // Walk the code, skipping PUSH immediates so data bytes are not read as opcodes
+  disassemble(code) {
+    const instructions = [];
+    let pc = 0;
+
+    while (pc < code.length) {
+      const opcode = code[pc];
+      const pushSize = opcode >= OPCODES.PUSH1 && opcode <= OPCODES.PUSH32 ? opcode - OPCODES.PUSH1 + 1 : 0;
+
+      instructions.push({
+        pc,
+        opcode,
+        data: pushSize ? ethers.hexlify(code.slice(pc + 1, pc + 1 + pushSize)) : null
+      });
+
+      pc += 1 + pushSize;
+    }
+
+    return instructions;
+  }
+
+  // Solidity appends CBOR metadata whose length sits in the final two bytes
+  stripMetadata(code) {
+    if (code.length < 2) return code;
+
+    const metadataLength = (code[code.length - 2] << 8) + code[code.length - 1];
+    const start = code.length - 2 - metadataLength;
+    const isCbor = start >= 0 && code[start] >= 0xa1 && code[start] <= 0xa5;
+
+    return isCbor ? code.slice(0, start) : code;
+  }
+
+  // The function dispatcher compares calldata against each selector: PUSH4 <selector> EQ
+  extractSelectors(instructions) {
+    const selectors = new Set();
+
+    for (let i = 0; i < instructions.length - 1; i++) {
+      if (instructions[i].opcode === OPCODES.PUSH4 && instructions[i + 1].opcode === OPCODES.EQ) {
+        selectors.add(instructions[i].data);
+      }
+    }
+
+    return selectors;
+  }
+
+  // Selectors the contract's dispatcher handles, e.g. to check for an upgrade function
+  getSelectors(bytecode) {
+    return this.extractSelectors(this.disassemble(this.stripMetadata(ethers.getBytes(bytecode))));
+  }
+
+  selectorFindings(selectors) {
+    return selectors
+      .map(({ selector }) => ({ selector, match: SIGNATURES.get(selector) }))
+      .filter(({ match }) => match && match.severity !== 'info')
+      .map(({ selector, match }) => ({
+        id: `selector-${match.category}`,
+        title: match.title,
+        severity: match.severity,
+        description: `${match.description}: ${match.signature}`,
+        file: null,
+        line: null,
+        evidence: `${selector} ${match.signature}`
+      }));
+  }
+
+  opcodeFindings(opcodes) {
+    return Object.values(DANGEROUS_OPCODES)
+      .filter(({ name }) => opcodes[name])
+      .map(({ name, ...details }) => ({
+        ...details,
+        file: null,
+        line: null,
+        evidence: `${name} at pc ${opcodes[name].map(pc => `0x${pc.toString(16)}`).join(', ')}`
+      }));
+  }
+}
+
+module.exports = BytecodeScanner;
@@ -0,0 +1,161 @@
+const { ethers } = require('ethers');
+const { getProvider } = require('./providers');
+const { findBlockByTimestamp } = require('./blocks');
+const { findPools } = require('./pairs');
+const { getSwaps } = require('./swaps');
+const { mapWithConcurrency } = require('./concurrency');
+const TtlCache = require('./TtlCache');
+const { formatAmount, sumAmounts } = require('./tokenAmount');
+
+const INTERVALS = { '1m': 60, '5m': 300, '1h': 3600 };
+// Window returned when no `from` is given, in candles
+const DEFAULT_CANDLES = 288;
+const MAX_CANDLES = parseInt(process.env.MAX_CANDLES) || 1500;
+
+const BLOCK_CONCURRENCY = 8;
+// Prices are compared as integers scaled by this many decimals
+const PRICE_DECIMALS = 18;
+
+const ERC20_ABI = ['function decimals() view returns (uint8)'];
+const V2_PAIR_ABI = ['function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'];
+
+// OHLCV candles for a token, aggregated from the Swap events of its deepest V2 pair
+class CandleService {
+  constructor() {
+    // Block timestamps never change once confirmed, so they are kept for a day
+    this.blockTimes = new TtlCache({ ttl: 24 * 60 * 60 * 1000, max: 100000 });
+  }
+
+  async getCandles(token, network, { interval = '5m', from, to } = {}) {
+    const seconds = INTERVALS[interval];
+    if (!seconds) {
+      throw Object.assign(new Error(`interval must be one of ${Object.keys(INTERVALS).join(', ')}`), { status: 400 });
+    }
+
+    const provider = getProvider(network);
+    token = ethers.getAddress(token);
+
+    to = to ?? Math.floor(Date.now() / 1000);
+    from = from ?? to - seconds * DEFAULT_CANDLES;
+    if (from >= to) {
+      throw Object.assign(new Error('from must be before to'), { status: 400 });
+    }
+    if ((to - from) / seconds > MAX_CANDLES) {
+      throw Object.assign(new Error(`Range covers more than ${MAX_CANDLES} ${interval} candles`), { status: 400 });
+    }
+
+    const [pair, decimals] = await Promise.all([
+      this.getPair(token, network, provider),
+      new ethers.Contract(token, ERC20_ABI, provider).decimals().then(Number).catch(() => 18)
+    ]);
+    if (!pair) return null;
+
+    const [fromBlock, toBlock] = await Promise.all([
+      findBlockByTimestamp(provider, from),
+      findBlockByTimestamp(provider, to)
+    ]);
+
+    const swaps = await getSwaps(provider, { pair: pair.address, tokenIsToken0: pair.tokenIsToken0 }, [{ fromBlock, toBlock }]);
+    await this.attachTimestamps(provider, network, swaps);
+
+    const inRange = swaps.filter(swap => swap.timestamp >= from && swap.timestamp <= to);
+
+    return {
+      token,
+      network,
+      pair: { dex: pair.dex, address: pair.address, quote: pair.quote.symbol },
+      interval,
+      from,
+      to,
+      candles: this.aggregate(inRange, seconds, decimals, pair.quote.decimals)
+    };
+  }
+
+  // The deepest V2 pool, preferring the wrapped native coin as quote
+  async getPair(token, network, provider) {
+    const pools = (await findPools(token, network, provider)).filter(pool => pool.version === 'v2');
+
+    const reserves = await Promise.all(pools.map(async pool => {
+      try {
+        const [reserve0, reserve1] = await new ethers.Contract(pool.address, V2_PAIR_ABI, provider).getReserves();
+        return pool.tokenIsToken0 ? reserve1 : reserve0;
+      } catch (error) {
+        return 0n;
+      }
+    }));
+
+    const candidates = pools.map((pool, index) => ({ ...pool, quoteReserve: reserves[index] }));
+    const native = candidates.filter(pool => pool.quote.native);
+    return (native.length ? native : candidates).reduce((best, pool) =>
+      (!best || pool.quoteReserve > best.quoteReserve ? pool : best), null);
+  }
+
+  async attachTimestamps(provider, network, swaps) {
+    const blocks = Array.from(new Set(swaps.map(swap => swap.blockNumber)));
+
+    await mapWithConcurrency(blocks, BLOCK_CONCURRENCY, blockNumber =>
+      this.blockTimes.wrap(`${network}-${blockNumber}`, async () => (await provider.getBlock(blockNumber)).timestamp));
+
+    for (const swap of swaps) {
+      swap.timestamp = this.blockTimes.get(`${network}-${swap.blockNumber}`);
+    }
+  }
+
+  // Quote tokens per whole token, scaled to PRICE_DECIMALS
+  price(swap, decimals, quoteDecimals) {
+    const tokens = BigInt(swap.tokenAmount);
+    if (tokens === 0n) return null;
+    return (BigInt(swap.quoteAmount) * 10n ** BigInt(decimals + PRICE_DECIMALS)) / (tokens * 10n ** BigInt(quoteDecimals));
+  }
+
+  // Buckets swaps by interval; gaps between trades are filled with flat candles at the last close
+  aggregate(swaps, seconds, decimals, quoteDecimals) {
+    const buckets = new Map();
+
+    for (const swap of swaps) {
+      const price = this.price(swap, decimals, quoteDecimals);
+      if (price === null) continue;
+
+      const time = Math.floor(swap.timestamp / seconds) * seconds;
+      const bucket = buckets.get(time) || { time, open: price, high: price, low: price, close: price, tokens: [], quotes: [], buys: 0, sells: 0 };
+
+      if (price > bucket.high) bucket.high = price;
+      if (price < bucket.low) bucket.low = price;
+      bucket.close = price;
+      bucket.tokens.push(swap.tokenAmount);
+      bucket.quotes.push(swap.quoteAmount);
+      bucket[swap.side === 'buy' ? 'buys' : 'sells']++;
+
+      buckets.set(time, bucket);
+    }
+
+    const times = Array.from(buckets.keys()).sort((a, b) => a - b);
+    const candles = [];
+
+    for (let time = times[0]; times.length && time <= times[times.length - 1]; time += seconds) {
+      const bucket = buckets.get(time);
+      if (!bucket) {
+        const close = candles[candles.length - 1].close;
+        candles.push({ time, open: close, high: close, low: close, close, volume: '0.0', quoteVolume: '0.0', trades: 0, buys: 0, sells: 0 });
+        continue;
+      }
+
+      candles.push({
+        time,
+        open: formatAmount(bucket.open, PRICE_DECIMALS),
+        high: formatAmount(bucket.high, PRICE_DECIMALS),
+        low: formatAmount(bucket.low, PRICE_DECIMALS),
+        close: formatAmount(bucket.close, PRICE_DECIMALS),
+        volume: formatAmount(sumAmounts(bucket.tokens), decimals),
+        quoteVolume: formatAmount(sumAmounts(bucket.quotes), quoteDecimals),
+        trades: bucket.buys + bucket.sells,
+        buys: bucket.buys,
+        sells: bucket.sells
+      });
+    }
+
+    return candles;
+  }
+}
+
+module.exports = CandleService;
@@ -0,0 +1,208 @@
+const { ethers } = require('ethers');
+const TokenService = require('./TokenService');
+const ExplorerService = require('./ExplorerService');
+const SecurityAnalyzer = require('./SecurityAnalyzer');
+const BytecodeScanner = require('./BytecodeScanner');
+const ProxyDetector = require('./ProxyDetector');
+const { getProvider } = require('./providers');
+const { decodeSwapCalldata } = require('./swapDecoder');
+const { getLabelsByCategory } = require('./labels');
+
+// Recent transactions of the deployer and owner searched for router swaps of the token
+const INSIDER_TX_LIMIT = 100;
+
+// Combines on-chain facts, verified source and the static analyzer
+class ContractAnalysisService {
+  constructor() {
+    this.tokenService = new TokenService();
+    this.explorerService = new ExplorerService();
+    this.analyzer = new SecurityAnalyzer();
+    this.bytecodeScanner = new BytecodeScanner();
+    this.proxyDetector = new ProxyDetector();
+  }
+
+  async analyze({ address, network, sourceCode, bytecode }) {
+    const token = address ? await this.getTokenInfo(address, network) : null;
+    const proxy = address && !bytecode ? await this.detectProxy(address, network, token) : null;
+
+    // A proxy's own code is just a forwarder, so analyze the implementation behind it
+    const codeAddress = proxy?.implementation || address;
+    const insiderTrades = address ? await this.getInsiderTrades(address, network, token) : [];
+    const contextFindings = [...this.proxyDetector.getFindings(proxy), ...this.getInsiderFindings(insiderTrades)];
+
+    let source = null;
+    if (sourceCode) {
+      source = { contractName: null, compiler: null, files: this.explorerService.parseSourceFiles(sourceCode) };
+    } else if (codeAddress) {
+      source = await this.explorerService.getSourceCode(codeAddress, network);
+    }
+
+    if (!source) {
+      return this.analyzeBytecode({ address, codeAddress, network, bytecode, token, proxy, insiderTrades, contextFindings });
+    }
+
+    const sourceResult = this.analyzer.analyzeSource(source.files, { owner: token?.owner });
+    const result = this.analyzer.summarize([...contextFindings, ...sourceResult.risks]);
+
+    return {
+      address,
+      network,
+      analyzedAddress: codeAddress || null,
+      verified: true,
+      contractName: source.contractName,
+      compiler: source.compiler,
+      owner: token?.owner ?? null,
+      proxy,
+      insiderTrades,
+      ...result,
+      analysis: this.describe(result.risks)
+    };
+  }
+
+  // Unverified contracts fall back to selector and opcode scanning
+  async analyzeBytecode({ address, codeAddress, network, bytecode, token, proxy, insiderTrades, contextFindings }) {
+    const code = bytecode || (codeAddress ? await getProvider(network).getCode(codeAddress) : '0x');
+
+    if (!code || code === '0x') {
+      return {
+        address,
+        network,
+        verified: false,
+        proxy,
+        insiderTrades,
+        securityScore: null,
+        riskLevel: 'unknown',
+        risks: contextFindings,
+        analysis: 'No verified source or bytecode available, analysis was skipped'
+      };
+    }
+
+    const scan = this.bytecodeScanner.scan(code);
+    const result = this.analyzer.summarize([
+      ...contextFindings,
+      ...scan.findings,
+      ...this.analyzer.checkOwnership(token?.owner, scan.privilegedFunctions)
+    ]);
+
+    return {
+      address,
+      network,
+      analyzedAddress: bytecode ? null : codeAddress,
+      verified: false,
+      owner: token?.owner ?? null,
+      proxy,
+      insiderTrades,
+      ...result,
+      bytecode: {
+        size: scan.size,
+        selectors: scan.selectors,
+        opcodes: scan.opcodes
+      },
+      analysis: `Unverified contract, bytecode scan: ${this.describe(result.risks)}`
+    };
+  }
+
+  async getTokenInfo(address, network) {
+    try {
+      return await this.tokenService.getTokenInfo(address, network);
+    } catch (error) {
+      console.warn(`⚠️ Token lookup failed for ${address}:`, error.message);
+      return null;
+    }
+  }
+
+  // The token lookup already read the proxy slots, so its result only gains the upgrade history
+  async detectProxy(address, network, token) {
+    try {
+      const proxy = token ? token.proxy : await this.proxyDetector.detect(address, network);
+      if (!proxy?.upgradeable) return proxy;
+
+      return { ...proxy, history: await this.proxyDetector.getUpgradeHistory(getProvider(network), address, network) };
+    } catch (error) {
+      console.warn(`⚠️ Proxy detection failed for ${address}:`, error.message);
+      return null;
+    }
+  }
+
+  // Buys and sells of the token the deployer and owner sent to known DEX routers, newest first,
+  // decoded from the calldata of their recent transactions
+  async getInsiderTrades(address, network, token) {
+    try {
+      const creation = await this.explorerService.getContractCreation(address, network);
+      const insiders = new Map();
+      if (token?.owner && token.owner !== ethers.ZeroAddress) insiders.set(token.owner.toLowerCase(), 'owner');
+      if (creation?.address) insiders.set(creation.address.toLowerCase(), 'deployer');
+      if (insiders.size === 0) return [];
+
+      const routers = new Set(getLabelsByCategory(network, 'dex').map(label => label.address.toLowerCase()));
+      const trades = [];
+
+      for (const [wallet, role] of insiders) {
+        const transactions = await this.explorerService.getTransactions(wallet, network, { offset: INSIDER_TX_LIMIT });
+
+        for (const tx of transactions) {
+          if (tx.isError || !tx.input || !tx.to || tx.from.toLowerCase() !== wallet || !routers.has(tx.to.toLowerCase())) continue;
+
+          for (const swap of decodeSwapCalldata(tx.input, tx)) {
+            const side = swap.tokenIn.toLowerCase() === address.toLowerCase() ? 'sell'
+              : swap.tokenOut.toLowerCase() === address.toLowerCase() ? 'buy' : null;
+            if (!side) continue;
+
+            trades.push({
+              role,
+              wallet: ethers.getAddress(wallet),
+              side,
+              txHash: tx.hash,
+              blockNumber: tx.blockNumber,
+              timestamp: tx.timestamp,
+              router: ethers.getAddress(tx.to),
+              ...swap
+            });
+          }
+        }
+      }
+
+      return trades.sort((a, b) => b.blockNumber - a.blockNumber);
+    } catch (error) {
+      console.warn(`⚠️ Insider trade lookup failed for ${address}:`, error.message);
+      return [];
+    }
+  }
+
+  // Findings in the same shape as the analyzer's
+  getInsiderFindings(trades) {
+    const sells = trades.filter(trade => trade.side === 'sell');
+    if (sells.length === 0) return [];
+
+    const sellers = Array.from(new Set(sells.map(sell => `${sell.role} ${sell.wallet}`)));
+    return [{
+      id: 'insider-sells',
+      title: 'Deployer or Owner Sold',
+      severity: 'medium',
+      description: 'The deployer or owner has sold the token through a DEX router',
+      file: null,
+      line: null,
+      evidence: `${sells.length} sell(s) by ${sellers.join(', ')}, latest ${sells[0].txHash}`
+    }];
+  }
+
+  // One-line summary of the findings by severity
+  describe(risks) {
+    const issues = risks.filter(risk => risk.severity !== 'info');
+    if (issues.length === 0) return 'No honeypot patterns detected';
+
+    const counts = issues.reduce((acc, risk) => {
+      acc[risk.severity] = (acc[risk.severity] || 0) + 1;
+      return acc;
+    }, {});
+
+    const breakdown = ['critical', 'high', 'medium', 'low']
+      .filter(severity => counts[severity])
+      .map(severity => `${counts[severity]} ${severity}`)
+      .join(', ');
+
+    return `${issues.length} issue(s) found: ${breakdown}`;
+  }
+}
+
+module.exports = ContractAnalysisService;
@@ -0,0 +1,138 @@
+const { ethers } = require('ethers');
+const { getFirstFunder } = require('./funding');
+const { mapWithConcurrency } = require('./concurrency');
+const { tokenAmount, formatAmount, percentOf, sumAmounts } = require('./tokenAmount');
+const TtlCache = require('./TtlCache');
+
+const LOOKUP_CONCURRENCY = 4;
+// How a wallet was funded never changes; entries expire only so the cache stays bounded
+const FUNDER_CACHE_TTL = 24 * 60 * 60 * 1000;
+const MAX_CACHED_FUNDERS = 10000;
+
+// Exchanges and routers fund everyone, so a shared one says nothing about who runs the wallets
+const SHARED_INFRASTRUCTURE = ['exchange', 'dex'];
+
+// Tells a coordinated dump apart from wallets that merely sold in the same stretch of blocks: only
+// sellers linked to each other by a shared funder, or by selling within a few blocks of each other,
+// count, and their sells are weighted by the share of the supply and the USD value they moved
+class DumpDetector {
+  constructor() {
+    // network:wallet -> first funder, or null when it has none
+    this.funders = new TtlCache({ ttl: FUNDER_CACHE_TTL, max: MAX_CACHED_FUNDERS });
+  }
+
+  // sells are { wallet, type, blockNumber, txHash, amount } of monitored wallets inside the window.
+  // Wallets are grouped by selling within dumpCorrelationBlocks of each other or by a shared funder,
+  // and a timing group takes in the funding groups of its wallets. Each resulting cluster is judged on
+  // its own, so two unrelated pairs never add up to a dump. Null unless a cluster of enough wallets sold enough of the
+  // supply or enough USD worth; otherwise the heaviest such cluster.
+  async detect(sells, { network, decimals, totalSupply, price, thresholds }) {
+    const { dumpMinWallets, dumpCorrelationBlocks, dumpSupplyPercent, dumpUsdValue } = thresholds;
+    const addresses = new Map(sells.map(sell => [sell.wallet.toLowerCase(), sell.wallet]));
+    if (addresses.size < dumpMinWallets) return null;
+
+    const timed = this.findTimingClusters(sells, dumpCorrelationBlocks);
+    const funded = await this.findFundingClusters(Array.from(addresses.keys()), network);
+    const clusters = this.linkClusters(timed, funded).filter(cluster => cluster.wallets.size >= dumpMinWallets);
+
+    const weigh = amount => ({
+      supplyPercent: totalSupply ? percentOf(amount, totalSupply, 4) : null,
+      usdValue: price === null ? null : Number(formatAmount(amount, decimals)) * price
+    });
+
+    const dumps = clusters.map(cluster => {
+      const linkedSells = sells.filter(sell => cluster.wallets.has(sell.wallet.toLowerCase()));
+      const total = sumAmounts(linkedSells.map(sell => sell.amount));
+      return { cluster, linkedSells, total, ...weigh(total) };
+    }).filter(({ supplyPercent, usdValue }) => (supplyPercent !== null && supplyPercent >= dumpSupplyPercent) ||
+      (usdValue !== null && usdValue >= dumpUsdValue));
+    if (dumps.length === 0) return null;
+
+    const { cluster, linkedSells, total, supplyPercent, usdValue: totalValue } = dumps
+      .reduce((heaviest, dump) => (dump.total > heaviest.total ? dump : heaviest));
+
+    const wallets = Array.from(cluster.wallets).map(key => {
+      const own = linkedSells.filter(sell => sell.wallet.toLowerCase() === key);
+      const amount = sumAmounts(own.map(sell => sell.amount));
+      return {
+        address: addresses.get(key),
+        type: own[0].type,
+        amount: tokenAmount(amount, decimals).formatted,
+        ...weigh(amount),
+        txHashes: own.map(sell => sell.txHash)
+      };
+    }).sort((a, b) => Number(b.amount) - Number(a.amount));
+
+    const blocks = linkedSells.map(sell => sell.blockNumber);
+    return {
+      walletCount: wallets.length,
+      totalAmount: tokenAmount(total, decimals),
+      supplyPercent,
+      totalValue,
+      fromBlock: Math.min(...blocks),
+      toBlock: Math.max(...blocks),
+      correlation: {
+        timing: cluster.timing.size > 0
+          ? { withinBlocks: dumpCorrelationBlocks, wallets: Array.from(cluster.timing).map(key => addresses.get(key)) }
+          : null,
+        funding: cluster.funding.map(group => ({ funder: group.funder, wallets: group.wallets.map(key => addresses.get(key)) }))
+      },
+      wallets,
+      lastSell: linkedSells.reduce((last, sell) => (sell.blockNumber >= last.blockNumber ? sell : last))
+    };
+  }
+
+  // The distinct wallets of every longest run of sells that all land within withinBlocks blocks of
+  // each other, for runs of two or more wallets. Runs may overlap, but each spans withinBlocks at most.
+  findTimingClusters(sells, withinBlocks) {
+    const ordered = [...sells].sort((a, b) => a.blockNumber - b.blockNumber);
+    const clusters = new Map();
+    let start = 0;
+
+    for (let end = 0; end < ordered.length; end++) {
+      while (ordered[end].blockNumber - ordered[start].blockNumber > withinBlocks) start++;
+      // Only once the next sell falls outside the run, so shorter runs inside it are skipped
+      const next = ordered[end + 1];
+      if (next && next.blockNumber - ordered[start].blockNumber <= withinBlocks) continue;
+
+      const wallets = Array.from(new Set(ordered.slice(start, end + 1).map(sell => sell.wallet.toLowerCase())));
+      if (wallets.length >= 2) clusters.set(wallets.slice().sort().join(','), wallets);
+    }
+
+    return Array.from(clusters.values());
+  }
+
+  // Candidate clusters of { wallets, timing, funding }: each funding group, and each timing run joined
+  // with the funding groups of its wallets. Timing runs are never joined to each other, since
+  // overlapping runs would otherwise chain sells far more than withinBlocks apart into one cluster.
+  linkClusters(timed, funded) {
+    return [
+      ...funded.map(group => ({ wallets: new Set(group.wallets), timing: new Set(), funding: [group] })),
+      ...timed.map(run => {
+        const funding = funded.filter(group => group.wallets.some(wallet => run.includes(wallet)));
+        return { wallets: new Set([...run, ...funding.flatMap(group => group.wallets)]), timing: new Set(run), funding };
+      })
+    ];
+  }
+
+  // Sellers grouped by the first funder they share, for groups of two or more
+  async findFundingClusters(wallets, network) {
+    // A failed lookup is not cached, so the next candidate dump tries again
+    const funders = await mapWithConcurrency(wallets, LOOKUP_CONCURRENCY, wallet =>
+      this.funders.wrap(`${network}:${wallet}`, () => getFirstFunder(wallet, network)).catch(() => null));
+
+    const groups = new Map();
+    for (const [index, wallet] of wallets.entries()) {
+      const funder = funders[index];
+      if (!funder || SHARED_INFRASTRUCTURE.includes(funder.label?.category)) continue;
+
+      const key = funder.address.toLowerCase();
+      if (!groups.has(key)) groups.set(key, { funder: ethers.getAddress(funder.address), wallets: [] });
+      groups.get(key).wallets.push(wallet);
+    }
+
+    return Array.from(groups.values()).filter(group => group.wallets.length >= 2);
+  }
+}
+
+module.exports = DumpDetector;
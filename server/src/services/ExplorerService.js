@@ -0,0 +1,173 @@
+const axios = require('axios');
+const { getNetwork } = require('../config/networks');
+
+// Etherscan's unified API serves every supported chain, selected by chainid, with one key
+const EXPLORER_API = process.env.EXPLORER_API_URL || 'https://api.etherscan.io/v2/api';
+// Empty results come back as status '0' with one of these messages; anything else is an error
+const EMPTY_RESULT = /^No (transactions|records|token transfers|internal transactions) found/i;
+
+// Etherscan-compatible explorer API, called with the server's own key
+class ExplorerService {
+  // Run an explorer query, returning the result or null when there is none. Errors the explorer
+  // reports, such as a bad key or a rate limit, are logged rather than passed off as empty.
+  async query(network, params) {
+    const { chainId, hasExplorerApi } = getNetwork(network);
+    if (!hasExplorerApi) return null;
+
+    try {
+      const response = await axios.get(EXPLORER_API, {
+        params: { chainid: chainId, ...params, apikey: process.env.ETHERSCAN_API_KEY },
+        timeout: 15000
+      });
+
+      const { status, message, result } = response.data;
+      if (status === '1') {
+        return result;
+      }
+      if (!EMPTY_RESULT.test(message || '')) {
+        console.warn(`⚠️ Explorer query ${params.module}/${params.action} on ${network} failed: ${message}${typeof result === 'string' ? ` (${result})` : ''}`);
+      }
+
+      return null;
+    } catch (error) {
+      console.warn(`⚠️ Explorer query ${params.module}/${params.action} failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Get verified source code, split into its individual files
+  async getSourceCode(address, network) {
+    const result = await this.query(network, {
+      module: 'contract',
+      action: 'getsourcecode',
+      address
+    });
+
+    const contract = result && result[0];
+    if (!contract || !contract.SourceCode) return null;
+
+    return {
+      contractName: contract.ContractName,
+      compiler: contract.CompilerVersion,
+      files: this.parseSourceFiles(contract.SourceCode, contract.ContractName)
+    };
+  }
+
+  // Get the contract creator and creation transaction
+  async getContractCreation(address, network) {
+    const result = await this.query(network, {
+      module: 'contract',
+      action: 'getcontractcreation',
+      contractaddresses: address
+    });
+
+    const creation = result && result[0];
+    if (!creation) return null;
+
+    return {
+      address: creation.contractCreator,
+      txHash: creation.txHash,
+      blockNumber: creation.blockNumber ? parseInt(creation.blockNumber) : null
+    };
+  }
+
+  // Normal transactions to or from an address
+  async getTransactions(address, network, { sort = 'desc', offset = 100, page = 1 } = {}) {
+    const result = await this.query(network, {
+      module: 'account',
+      action: 'txlist',
+      address,
+      startblock: 0,
+      endblock: 99999999,
+      page,
+      offset,
+      sort
+    });
+
+    return (result || []).map(tx => this.formatTransaction(tx));
+  }
+
+  // Value moved by contracts, e.g. withdrawals from an exchange or mixer
+  async getInternalTransactions(address, network, { sort = 'desc', offset = 100, page = 1 } = {}) {
+    const result = await this.query(network, {
+      module: 'account',
+      action: 'txlistinternal',
+      address,
+      startblock: 0,
+      endblock: 99999999,
+      page,
+      offset,
+      sort
+    });
+
+    return (result || []).map(tx => this.formatTransaction(tx));
+  }
+
+  // Internal calls made within a single transaction
+  async getInternalTransactionsByHash(txHash, network) {
+    const result = await this.query(network, {
+      module: 'account',
+      action: 'txlistinternal',
+      txhash: txHash
+    });
+
+    return (result || []).map(tx => this.formatTransaction({ ...tx, hash: tx.hash || txHash }));
+  }
+
+  // ERC-20 transfers filtered by wallet, token contract or both
+  async getTokenTransfers({ address, contractAddress }, network, { sort = 'desc', offset = 100, page = 1 } = {}) {
+    const result = await this.query(network, {
+      module: 'account',
+      action: 'tokentx',
+      ...(address && { address }),
+      ...(contractAddress && { contractaddress: contractAddress }),
+      page,
+      offset,
+      sort
+    });
+
+    return (result || []).map(tx => ({
+      ...this.formatTransaction(tx),
+      token: tx.contractAddress,
+      tokenName: tx.tokenName,
+      tokenSymbol: tx.tokenSymbol,
+      tokenDecimals: parseInt(tx.tokenDecimal) || 0
+    }));
+  }
+
+  formatTransaction(tx) {
+    return {
+      hash: tx.hash,
+      blockNumber: parseInt(tx.blockNumber),
+      timestamp: parseInt(tx.timeStamp) * 1000,
+      from: tx.from,
+      to: tx.to || tx.contractAddress || null,
+      value: tx.value,
+      // Empty for internal transactions
+      input: tx.input || null,
+      isError: tx.isError === '1'
+    };
+  }
+
+  // Explorers return either flat source or a (double-braced) standard JSON input
+  parseSourceFiles(sourceCode, contractName) {
+    const trimmed = sourceCode.trim();
+
+    if (trimmed.startsWith('{')) {
+      try {
+        const json = JSON.parse(trimmed.startsWith('{{') ? trimmed.slice(1, -1) : trimmed);
+        const sources = json.sources || json;
+        return Object.entries(sources).map(([path, file]) => ({
+          path,
+          content: file.content || ''
+        }));
+      } catch (error) {
+        // Fall through and treat it as a single flat file
+      }
+    }
+
+    return [{ path: `${contractName || 'Contract'}.sol`, content: sourceCode }];
+  }
+}
+
+module.exports = ExplorerService;
@@ -0,0 +1,209 @@
+const { ethers } = require('ethers');
+const { getProvider } = require('./providers');
+const { getLabel } = require('./labels');
+const { getFunders } = require('./funding');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Hops followed back from each wallet towards where its money came from
+const FUNDING_DEPTH = parseInt(process.env.FUNDING_DEPTH) || 2;
+const MAX_FUNDING_DEPTH = 4;
+// Distinct senders followed per wallet, earliest first
+const FUNDERS_PER_WALLET = parseInt(process.env.FUNDERS_PER_WALLET) || 3;
+const LOOKUP_CONCURRENCY = 4;
+
+// Traces where wallets were funded from and clusters the ones that share a source
+class FundingGraph {
+  // nodes: lowercase address -> { address, label, isContract, depth, funders }; funders is null until
+  // the node has been looked up, so a partially built graph can be passed back in to resume
+  async build(roots, network, { depth = FUNDING_DEPTH, nodes = {}, onProgress } = {}) {
+    const provider = getProvider(network);
+    depth = this.resolveDepth(depth);
+
+    let frontier = roots.map(address => this.addNode(nodes, address, network, 0));
+
+    for (let level = 0; level < depth && frontier.length > 0; level++) {
+      await mapWithConcurrency(frontier.filter(node => node.funders === null), LOOKUP_CONCURRENCY, async node => {
+        node.isContract = node.isContract ?? (await provider.getCode(node.address).catch(() => '0x')) !== '0x';
+
+        // Exchanges, routers, mixers and contracts fund everyone; the trail stops there
+        node.funders = this.isLinkable(node)
+          ? (await getFunders(node.address, network, FUNDERS_PER_WALLET).catch(() => [])).map(this.toEdge)
+          : [];
+        if (onProgress) onProgress(nodes);
+      });
+
+      const next = new Map();
+      for (const node of frontier) {
+        for (const edge of node.funders) {
+          const funder = this.addNode(nodes, edge.from, network, level + 1);
+          if (funder.funders === null) next.set(funder.address.toLowerCase(), funder);
+        }
+      }
+      frontier = Array.from(next.values());
+    }
+
+    return nodes;
+  }
+
+  resolveDepth(depth) {
+    return Math.min(Math.max(parseInt(depth) || FUNDING_DEPTH, 1), MAX_FUNDING_DEPTH);
+  }
+
+  addNode(nodes, address, network, depth) {
+    const key = address.toLowerCase();
+    if (!nodes[key]) {
+      nodes[key] = { address: ethers.getAddress(address), label: getLabel(address, network), isContract: null, depth, funders: null };
+    }
+    nodes[key].depth = Math.min(nodes[key].depth, depth);
+    return nodes[key];
+  }
+
+  toEdge(funder) {
+    return {
+      from: funder.address,
+      txHash: funder.txHash,
+      blockNumber: funder.blockNumber,
+      timestamp: funder.timestamp,
+      value: funder.value
+    };
+  }
+
+  // Only unlabeled wallets say anything about who controls the wallets they funded
+  isLinkable(node) {
+    return !node.label && node.isContract !== true;
+  }
+
+  // Every funder reachable from the wallet, with the hops from that funder down to the wallet
+  ancestors(address, nodes) {
+    const start = address.toLowerCase();
+    const paths = new Map([[start, []]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const key = queue.shift();
+      const node = nodes[key];
+      if (!node?.funders) continue;
+
+      for (const edge of node.funders) {
+        const funder = edge.from.toLowerCase();
+        if (paths.has(funder)) continue;
+        paths.set(funder, [{ ...edge, to: node.address }, ...paths.get(key)]);
+        queue.push(funder);
+      }
+    }
+
+    return paths;
+  }
+
+  // Union wallets that share any linkable funder, the deployer included
+  cluster(wallets, nodes, { deployer } = {}) {
+    const members = Array.from(new Set(wallets.filter(Boolean).map(address => address.toLowerCase())));
+    const ancestry = members.map(address => this.ancestors(address, nodes));
+    const parent = members.map((_, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+    const fundedBy = new Map();
+    ancestry.forEach((paths, index) => {
+      for (const funder of paths.keys()) {
+        if (!nodes[funder] || !this.isLinkable(nodes[funder])) continue;
+        if (!fundedBy.has(funder)) fundedBy.set(funder, []);
+        fundedBy.get(funder).push(index);
+      }
+    });
+
+    for (const indexes of fundedBy.values()) {
+      indexes.slice(1).forEach(index => { parent[find(index)] = find(indexes[0]); });
+    }
+
+    const groups = new Map();
+    members.forEach((_, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(index);
+    });
+
+    const deployerKey = deployer?.toLowerCase();
+
+    return Array.from(groups.values())
+      .filter(indexes => indexes.length >= 2)
+      .map((indexes, id) => {
+        const deployerIndex = indexes.find(index => members[index] === deployerKey);
+        const commonFunders = Array.from(fundedBy.entries())
+          .filter(([, funded]) => funded.length >= 2 && indexes.includes(funded[0]))
+          .map(([funder, funded]) => ({ address: nodes[funder].address, wallets: funded.length }));
+
+        return {
+          id: id + 1,
+          includesDeployer: deployerIndex !== undefined,
+          commonFunders,
+          wallets: indexes.map(index => ({
+            address: nodes[members[index]]?.address || ethers.getAddress(members[index]),
+            evidence: this.evidence(index, indexes, deployerIndex, members, ancestry, nodes)
+          }))
+        };
+      });
+  }
+
+  // The shortest funding path tying a wallet to the deployer, or else to another cluster member
+  evidence(index, indexes, deployerIndex, members, ancestry, nodes) {
+    const candidates = deployerIndex !== undefined && deployerIndex !== index
+      ? [deployerIndex]
+      : indexes.filter(other => other !== index);
+
+    let best = null;
+    for (const other of candidates) {
+      for (const [funder, path] of ancestry[index]) {
+        const otherPath = ancestry[other].get(funder);
+        if (!otherPath || !nodes[funder] || !this.isLinkable(nodes[funder])) continue;
+
+        const hops = path.length + otherPath.length;
+        if (!best || hops < best.hops) {
+          best = { hops, commonFunder: nodes[funder].address, path, linkedWallet: nodes[members[other]].address, linkedPath: otherPath };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  describeTeamLink(key, evidence, hops) {
+    if (!evidence) return 'Shares a funding source with the deployer';
+    if (evidence.commonFunder.toLowerCase() === key) return `Funded the deployer within ${evidence.linkedPath.length} hop(s)`;
+    if (evidence.linkedPath.length === 0) return `Funded by the deployer within ${evidence.path.length} hop(s)`;
+    return `Shares a funding source with the deployer (${hops})`;
+  }
+
+  // Verdict for one holder, or null when it shares no funder with anyone
+  classify(address, funding) {
+    const key = address.toLowerCase();
+    for (const cluster of funding?.clusters || []) {
+      const wallet = cluster.wallets.find(candidate => candidate.address.toLowerCase() === key);
+      if (!wallet) continue;
+
+      const { evidence } = wallet;
+      const hops = evidence ? `${evidence.path.length} hop(s) from ${evidence.commonFunder}` : 'a shared funder';
+
+      if (cluster.includesDeployer) {
+        return {
+          type: 'team',
+          reason: this.describeTeamLink(key, evidence, hops),
+          riskLevel: 'high',
+          fundingClusterId: cluster.id,
+          evidence
+        };
+      }
+
+      return {
+        type: 'bundle',
+        reason: `Funding cluster #${cluster.id} with ${cluster.wallets.length - 1} other holder(s) (${hops})`,
+        riskLevel: 'high',
+        fundingClusterId: cluster.id,
+        evidence
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = FundingGraph;
@@ -0,0 +1,160 @@
+const { ethers } = require('ethers');
+const { getProvider } = require('./providers');
+const { getLogsChunked } = require('./logs');
+const { getDeployment } = require('./blocks');
+const JsonStore = require('./JsonStore');
+const { tokenAmount, percentOf } = require('./tokenAmount');
+
+// Blocks replayed between checkpoints, so an interrupted backfill keeps most of its work
+const CHECKPOINT_BLOCKS = parseInt(process.env.HOLDER_CHECKPOINT_BLOCKS) || 50000;
+// Blocks this close to the head can still be reorged away, so they are never checkpointed
+const CONFIRMATIONS = parseInt(process.env.HOLDER_CONFIRMATIONS) || 12;
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const ERC20_ABI = [
+  'function totalSupply() view returns (uint256)',
+  'function decimals() view returns (uint8)'
+];
+
+// Exact holder balances, rebuilt by replaying every Transfer log of the token
+class HolderIndexer {
+  constructor() {
+    this.store = new JsonStore('holders');
+    // Concurrent requests for one token share a single replay
+    this.pending = new Map();
+  }
+
+  async getHolders(token, network, { limit = 100 } = {}) {
+    const contract = new ethers.Contract(token, ERC20_ABI, getProvider(network));
+    const [{ balances, lastBlock, headBlock }, totalSupply, decimals] = await Promise.all([
+      this.refresh(token, network),
+      contract.totalSupply(),
+      contract.decimals().catch(() => 18n)
+    ]);
+
+    const holders = Array.from(balances.entries())
+      .sort(([, a], [, b]) => (b > a ? 1 : b < a ? -1 : 0));
+
+    return {
+      token: ethers.getAddress(token),
+      network,
+      decimals: Number(decimals),
+      totalSupply: tokenAmount(totalSupply, decimals),
+      holderCount: holders.length,
+      indexedBlock: lastBlock,
+      headBlock,
+      holders: holders.slice(0, limit).map(([address, balance]) => ({
+        address: ethers.getAddress(address),
+        balance: balance.toString(),
+        formatted: tokenAmount(balance, decimals).formatted,
+        percentage: percentOf(balance, totalSupply)
+      }))
+    };
+  }
+
+  // Whether the checkpoint is close enough to the head for a request to finish the replay itself
+  async isCurrent(token, network) {
+    const checkpoint = this.store.get(this.id(token, network));
+    if (!checkpoint) return false;
+
+    const headBlock = await getProvider(network).getBlockNumber();
+    return headBlock - checkpoint.lastBlock <= CHECKPOINT_BLOCKS + CONFIRMATIONS;
+  }
+
+  // JobQueue handler that replays a token not indexed yet, or long stale; progress counts blocks
+  async run(job, save) {
+    const { token, network } = job.input;
+    const { lastBlock, headBlock } = await this.refresh(token, network, {
+      onCheckpoint: progress => save({ progress })
+    });
+
+    return { indexedBlock: lastBlock, headBlock };
+  }
+
+  // Balances as of the chain head; returns a Map of lowercase address -> BigInt
+  // A caller that joins a replay already running still gets its later checkpoints
+  refresh(token, network, { onCheckpoint } = {}) {
+    const id = this.id(token, network);
+    if (!this.pending.has(id)) {
+      const listeners = new Set();
+      const replay = this.replay(token, network, progress => listeners.forEach(listener => listener(progress)))
+        .finally(() => this.pending.delete(id));
+      this.pending.set(id, { replay, listeners });
+    }
+
+    const { replay, listeners } = this.pending.get(id);
+    if (onCheckpoint) listeners.add(onCheckpoint);
+    return replay;
+  }
+
+  async replay(token, network, onCheckpoint) {
+    const provider = getProvider(network);
+    const id = this.id(token, network);
+    const headBlock = await provider.getBlockNumber();
+    const safeBlock = headBlock - CONFIRMATIONS;
+
+    let checkpoint = this.store.get(id);
+    if (!checkpoint) {
+      const deployment = await getDeployment(token, network);
+      if (!deployment || deployment.blockNumber === null) {
+        throw Object.assign(new Error('Could not find the token deployment block'), { status: 404 });
+      }
+      checkpoint = { token: ethers.getAddress(token), network, startBlock: deployment.blockNumber, lastBlock: deployment.blockNumber - 1, balances: {} };
+    }
+
+    const balances = new Map(Object.entries(checkpoint.balances).map(([address, balance]) => [address, BigInt(balance)]));
+
+    // Confirmed blocks are replayed in windows and checkpointed after each one
+    while (checkpoint.lastBlock < safeBlock) {
+      const fromBlock = checkpoint.lastBlock + 1;
+      const toBlock = Math.min(fromBlock + CHECKPOINT_BLOCKS - 1, safeBlock);
+
+      this.apply(balances, await this.getTransfers(provider, token, fromBlock, toBlock));
+      checkpoint = this.store.set(id, {
+        ...checkpoint,
+        lastBlock: toBlock,
+        updatedAt: new Date().toISOString(),
+        balances: Object.fromEntries(Array.from(balances, ([address, balance]) => [address, balance.toString()]))
+      });
+      onCheckpoint?.({ total: safeBlock - checkpoint.startBlock + 1, done: toBlock - checkpoint.startBlock + 1 });
+    }
+
+    // The unconfirmed tail is applied on top without being saved
+    if (checkpoint.lastBlock < headBlock) {
+      this.apply(balances, await this.getTransfers(provider, token, checkpoint.lastBlock + 1, headBlock));
+    }
+
+    return { balances, lastBlock: checkpoint.lastBlock, headBlock };
+  }
+
+  getTransfers(provider, token, fromBlock, toBlock) {
+    return getLogsChunked(provider, { address: token, topics: [TRANSFER_TOPIC] }, { fromBlock, toBlock });
+  }
+
+  // Mints come from and burns go to the zero address, which is never counted as a holder
+  apply(balances, logs) {
+    for (const log of logs) {
+      // ERC-721 style logs index the value too and carry no data; they are not token amounts
+      if (log.topics.length !== 3 || log.data === '0x') continue;
+
+      const from = ethers.dataSlice(log.topics[1], 12).toLowerCase();
+      const to = ethers.dataSlice(log.topics[2], 12).toLowerCase();
+      const value = BigInt(log.data);
+
+      if (from !== ethers.ZeroAddress) this.adjust(balances, from, -value);
+      if (to !== ethers.ZeroAddress) this.adjust(balances, to, value);
+    }
+  }
+
+  adjust(balances, address, delta) {
+    const balance = (balances.get(address) || 0n) + delta;
+    if (balance === 0n) balances.delete(address);
+    else balances.set(address, balance);
+  }
+
+  id(token, network) {
+    return `${network}-${token.toLowerCase()}`;
+  }
+}
+
+module.exports = HolderIndexer;
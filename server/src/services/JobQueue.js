@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const JsonStore = require('./JsonStore');
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+const JOB_SAVE_INTERVAL_MS = parseInt(process.env.JOB_SAVE_INTERVAL_MS) || 2000;
+// How long a completed or failed job can still be polled before its file is deleted
+const JOB_RETENTION_MS = (parseInt(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+// Persistent background jobs: state is saved as they run so a restart picks them back up
+class JobQueue {
+  constructor(collection = 'jobs', { concurrency = JOB_CONCURRENCY } = {}) {
+    this.store = new JsonStore(collection);
+    this.concurrency = concurrency;
+    this.handlers = {};
+    this.pending = [];
+    this.running = 0;
+  }
+
+  // handler(job, save) does the work; save(patch) persists progress so it can resume. Saves are
+  // throttled, so a patch must carry the whole of each field it sets
+  register(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  create(type, input) {
+    if (!this.handlers[type]) throw new Error(`Unknown job type: ${type}`);
+
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    this.store.set(id, {
+      id,
+      type,
+      status: 'queued',
+      input,
+      progress: { total: 0, done: 0 },
+      state: {},
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return this.enqueue(id);
+  }
+
+  get(id) {
+    const job = this.store.get(id);
+    return job && this.expire(job) ? null : job;
+  }
+
+  // Every job still kept; expired ones are deleted on the way, so the collection does not grow without bound
+  list() {
+    return this.store.list().filter(job => !this.expire(job));
+  }
+
+  // Deletes a finished job past its retention; true when it did
+  expire(job) {
+    const finished = job.status === 'completed' || job.status === 'failed';
+    if (!finished || Date.now() - new Date(job.updatedAt).getTime() < JOB_RETENTION_MS) return false;
+
+    this.store.delete(job.id);
+    return true;
+  }
+
+  // A queued or running job of this type whose input matches, so the same work is not queued twice
+  findUnfinished(type, matches) {
+    return this.list()
+      .find(job => job.type === type && (job.status === 'queued' || job.status === 'running') && matches(job.input)) || null;
+  }
+
+  // The job as API responses show it; the input and intermediate state stay server-side
+  format({ id, type, status, progress, result, error, createdAt, updatedAt }) {
+    return { id, type, status, progress, result, error, createdAt, updatedAt };
+  }
+
+  // Requeue anything that was queued or running when the process stopped; expired jobs are deleted here too
+  resume() {
+    const unfinished = this.list()
+      .filter(job => job.status === 'queued' || job.status === 'running')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of unfinished) {
+      if (this.handlers[job.type]) this.enqueue(job.id);
+    }
+
+    return unfinished.length;
+  }
+
+  enqueue(id) {
+    this.pending.push(id);
+    setImmediate(() => this.next());
+    return this.get(id);
+  }
+
+  async next() {
+    if (this.running >= this.concurrency || this.pending.length === 0) return;
+
+    const id = this.pending.shift();
+    this.running += 1;
+
+    try {
+      await this.run(id);
+    } finally {
+      this.running -= 1;
+      this.next();
+    }
+  }
+
+  async run(id) {
+    const job = this.update(id, { status: 'running', error: null });
+    const progress = this.throttledSave(id);
+
+    try {
+      const result = await this.handlers[job.type](job, progress.save);
+      progress.flush();
+      this.update(id, { status: 'completed', result });
+    } catch (error) {
+      progress.flush();
+      console.warn(`⚠️ Job ${id} (${job.type}) failed:`, error.message);
+      this.update(id, { status: 'failed', error: error.message });
+    }
+  }
+
+  // Each save rewrites the whole job file, so patches are merged and written at most once per interval
+  throttledSave(id) {
+    let pending = null;
+    let timer = null;
+    let savedAt = 0;
+
+    const flush = () => {
+      clearTimeout(timer);
+      timer = null;
+      if (!pending) return;
+
+      this.update(id, pending);
+      pending = null;
+      savedAt = Date.now();
+    };
+
+    const save = patch => {
+      pending = { ...pending, ...patch };
+      const wait = savedAt + JOB_SAVE_INTERVAL_MS - Date.now();
+      if (wait <= 0) flush();
+      else if (!timer) timer = setTimeout(flush, wait);
+    };
+
+    return { save, flush };
+  }
+
+  update(id, patch) {
+    const job = this.store.get(id);
+    return this.store.set(id, { ...job, ...patch, updatedAt: new Date().toISOString() });
+  }
+}
+
+module.exports = JobQueue;
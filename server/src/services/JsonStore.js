@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+// One JSON file per record, grouped into a directory per collection
+class JsonStore {
+  constructor(collection) {
+    this.dir = path.join(DATA_DIR, collection);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  get(id) {
+    try {
+      return JSON.parse(fs.readFileSync(this.file(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temp file and rename so a crash never leaves half a record
+  set(id, value) {
+    const target = this.file(id);
+    const temp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(value, null, 2));
+    fs.renameSync(temp, target);
+    return value;
+  }
+
+  delete(id) {
+    fs.rmSync(this.file(id), { force: true });
+  }
+
+  list() {
+    return fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => this.get(name.slice(0, -'.json'.length)))
+      .filter(Boolean);
+  }
+
+  file(id) {
+    return path.join(this.dir, `${String(id).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  }
+}
+
+module.exports = JsonStore;
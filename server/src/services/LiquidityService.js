@@ -0,0 +1,270 @@
+const { ethers } = require('ethers');
+const { getProvider } = require('./providers');
+const { getLabelsByCategory } = require('./labels');
+const { getDeployment } = require('./blocks');
+const { findPools } = require('./pairs');
+const { tokenAmount, formatAmount, parseAmount, percentOf, sumAmounts } = require('./tokenAmount');
+
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address account) view returns (uint256)'
+];
+const V2_PAIR_ABI = [
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)'
+];
+const V3_POOL_ABI = [
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function liquidity() view returns (uint128)'
+];
+
+// Trade sizes, in quote token units, that price impact is reported for
+const NATIVE_TRADE_SIZES = ['0.1', '0.5', '1', '5', '10'];
+const STABLE_TRADE_SIZES = ['100', '1000', '5000', '10000', '50000'];
+
+// LP tokens sent here can never be withdrawn
+const BURN_ADDRESSES = ['0x000000000000000000000000000000000000dEaD', ethers.ZeroAddress];
+
+// Share of LP tokens burned or locked above which liquidity counts as locked
+const LOCKED_PERCENT = 95;
+const PARTIALLY_LOCKED_PERCENT = 50;
+
+const Q96 = 2n ** 96n;
+const Q192 = Q96 * Q96;
+
+// Finds a token's pools, reads their reserves and works out who can pull the liquidity
+class LiquidityService {
+  async analyze(token, network, { tradeSizes } = {}) {
+    const provider = getProvider(network);
+    token = ethers.getAddress(token);
+
+    const [pools, decimals, deployment] = await Promise.all([
+      findPools(token, network, provider),
+      new ethers.Contract(token, ERC20_ABI, provider).decimals().then(Number).catch(() => 18),
+      getDeployment(token, network).catch(() => null)
+    ]);
+
+    const context = {
+      provider,
+      token,
+      decimals,
+      deployer: deployment?.address || null,
+      lockers: getLabelsByCategory(network, 'locker'),
+      tradeSizes
+    };
+
+    const analyzed = (await Promise.all(pools.map(async pool => {
+      try {
+        return pool.version === 'v3' ? await this.analyzeV3(pool, context) : await this.analyzeV2(pool, context);
+      } catch (error) {
+        console.warn(`⚠️ Could not read pool ${pool.address} on ${pool.dex}:`, error.message);
+        return null;
+      }
+    }))).filter(Boolean);
+
+    const main = this.getMainPool(analyzed);
+
+    return {
+      token,
+      network,
+      decimals,
+      deployer: context.deployer,
+      totalLiquidity: this.getTotalLiquidity(analyzed),
+      mainPool: main?.address || null,
+      lpLock: main?.lpDistribution ? this.getLockVerdict(main.lpDistribution) : null,
+      priceImpact: main?.priceImpact || [],
+      pools: analyzed
+    };
+  }
+
+  async analyzeV2(pool, context) {
+    const { provider, token, decimals, deployer, lockers } = context;
+    const pair = new ethers.Contract(pool.address, V2_PAIR_ABI, provider);
+
+    const [[reserve0, reserve1], totalSupply] = await Promise.all([pair.getReserves(), pair.totalSupply()]);
+    const tokenReserve = pool.tokenIsToken0 ? reserve0 : reserve1;
+    const quoteReserve = pool.tokenIsToken0 ? reserve1 : reserve0;
+
+    // Constant product with the fee taken from the input
+    const swap = (amountIn, reserveIn, reserveOut) => {
+      const withFee = amountIn * BigInt(10000 - pool.fee);
+      return (withFee * reserveOut) / (reserveIn * 10000n + withFee);
+    };
+
+    return {
+      ...this.describePool(pool),
+      reserves: {
+        token: tokenAmount(tokenReserve, decimals),
+        quote: tokenAmount(quoteReserve, pool.quote.decimals)
+      },
+      liquidity: tokenAmount(quoteReserve * 2n, pool.quote.decimals),
+      price: this.formatPrice(quoteReserve, tokenReserve, decimals, pool.quote.decimals),
+      priceImpact: this.getPriceImpact(pool, context, {
+        tokenPerQuote: [tokenReserve, quoteReserve],
+        buy: amountIn => swap(amountIn, quoteReserve, tokenReserve),
+        sell: amountIn => swap(amountIn, tokenReserve, quoteReserve)
+      }),
+      lpDistribution: await this.getLpDistribution(pair, totalSupply, { deployer, lockers })
+    };
+  }
+
+  // V3 positions are NFTs, so there is no LP supply to split; impact assumes the trade stays in the current tick range
+  async analyzeV3(pool, context) {
+    const { provider, token, decimals } = context;
+    const contract = new ethers.Contract(pool.address, V3_POOL_ABI, provider);
+
+    const [[sqrtPriceX96], liquidity, tokenBalance, quoteBalance] = await Promise.all([
+      contract.slot0(),
+      contract.liquidity(),
+      new ethers.Contract(token, ERC20_ABI, provider).balanceOf(pool.address),
+      new ethers.Contract(pool.quote.address, ERC20_ABI, provider).balanceOf(pool.address)
+    ]);
+
+    // Raw token1 per token0 is sqrtPrice^2 / 2^192; these are the two sides of that ratio
+    const priceSquared = sqrtPriceX96 * sqrtPriceX96;
+    const [quoteRaw, tokenRaw] = pool.tokenIsToken0 ? [priceSquared, Q192] : [Q192, priceSquared];
+
+    const swap = (amountIn, zeroForOne) => {
+      if (liquidity === 0n || sqrtPriceX96 === 0n) return 0n;
+      const afterFee = (amountIn * BigInt(10000 - pool.fee)) / 10000n;
+
+      if (zeroForOne) {
+        const next = (liquidity * Q96 * sqrtPriceX96) / (liquidity * Q96 + afterFee * sqrtPriceX96);
+        return (liquidity * (sqrtPriceX96 - next)) / Q96;
+      }
+      const next = sqrtPriceX96 + (afterFee * Q96) / liquidity;
+      return (liquidity * Q96 * (next - sqrtPriceX96)) / (next * sqrtPriceX96);
+    };
+
+    return {
+      ...this.describePool(pool),
+      reserves: {
+        token: tokenAmount(tokenBalance, decimals),
+        quote: tokenAmount(quoteBalance, pool.quote.decimals)
+      },
+      liquidity: tokenAmount(quoteBalance * 2n, pool.quote.decimals),
+      activeLiquidity: liquidity.toString(),
+      price: this.formatPrice(quoteRaw, tokenRaw, decimals, pool.quote.decimals),
+      priceImpact: this.getPriceImpact(pool, context, {
+        tokenPerQuote: [tokenRaw, quoteRaw],
+        // Buying the token means paying in the quote token
+        buy: amountIn => swap(amountIn, !pool.tokenIsToken0),
+        sell: amountIn => swap(amountIn, pool.tokenIsToken0)
+      }),
+      priceImpactModel: 'current-range',
+      lpDistribution: null
+    };
+  }
+
+  describePool(pool) {
+    return {
+      dex: pool.dex,
+      version: pool.version,
+      address: pool.address,
+      fee: pool.fee,
+      quote: { symbol: pool.quote.symbol, address: ethers.getAddress(pool.quote.address), native: Boolean(pool.quote.native) }
+    };
+  }
+
+  // Quote tokens per whole token, from raw amounts on both sides
+  formatPrice(quoteRaw, tokenRaw, decimals, quoteDecimals) {
+    if (tokenRaw === 0n) return '0.0';
+    return formatAmount((quoteRaw * 10n ** BigInt(decimals) * 10n ** 18n) / (tokenRaw * 10n ** BigInt(quoteDecimals)), 18);
+  }
+
+  // Buying for `size` quote tokens, and selling the tokens that size is worth at the mid price
+  getPriceImpact(pool, context, { tokenPerQuote: [tokenMid, quoteMid], buy, sell }) {
+    const sizes = context.tradeSizes || (pool.quote.native ? NATIVE_TRADE_SIZES : STABLE_TRADE_SIZES);
+    if (tokenMid === 0n || quoteMid === 0n) return [];
+
+    return sizes.map(size => {
+      const quoteIn = parseAmount(size, pool.quote.decimals);
+      const tokensOut = buy(quoteIn);
+      const tokensIn = (quoteIn * tokenMid) / quoteMid;
+      const quoteOut = sell(tokensIn);
+
+      return {
+        size,
+        buy: {
+          tokensOut: formatAmount(tokensOut, context.decimals),
+          priceImpact: quoteIn === 0n ? 0 : this.impact(percentOf(tokensOut * quoteMid, quoteIn * tokenMid, 2))
+        },
+        sell: {
+          tokensIn: formatAmount(tokensIn, context.decimals),
+          quoteOut: formatAmount(quoteOut, pool.quote.decimals),
+          priceImpact: quoteIn === 0n ? 0 : this.impact(percentOf(quoteOut, quoteIn, 2))
+        }
+      };
+    });
+  }
+
+  // Percent lost against the mid price, fee included, from what the trade returned as a percent of mid
+  impact(returnedPercent) {
+    return Math.max(0, Number((100 - returnedPercent).toFixed(2)));
+  }
+
+  // Who holds the pair's LP tokens: burned, known lockers, the deployer, everyone else
+  async getLpDistribution(pair, totalSupply, { deployer, lockers }) {
+    const balanceOf = address => pair.balanceOf(address).catch(() => 0n);
+    const share = amount => ({ amount: amount.toString(), percentage: percentOf(amount, totalSupply, 2) });
+
+    const [burnBalances, lockerBalances, deployerBalance] = await Promise.all([
+      Promise.all(BURN_ADDRESSES.map(balanceOf)),
+      Promise.all(lockers.map(locker => balanceOf(locker.address))),
+      deployer ? balanceOf(deployer) : 0n
+    ]);
+
+    const burned = sumAmounts(burnBalances);
+    const locked = sumAmounts(lockerBalances);
+
+    return {
+      totalSupply: totalSupply.toString(),
+      burned: share(burned),
+      locked: {
+        ...share(locked),
+        lockers: lockers
+          .map((locker, index) => ({ name: locker.name, address: ethers.getAddress(locker.address), ...share(lockerBalances[index]) }))
+          .filter(locker => locker.amount !== '0')
+      },
+      deployer: deployer ? { address: deployer, ...share(deployerBalance) } : null,
+      other: share(totalSupply - burned - locked - deployerBalance)
+    };
+  }
+
+  // The deepest wrapped-native V2 pair, since that is where LP locks are checked
+  getMainPool(pools) {
+    const candidates = pools.filter(pool => pool.lpDistribution);
+    const native = candidates.filter(pool => pool.quote.native);
+    return (native.length ? native : candidates).reduce((best, pool) =>
+      (!best || BigInt(pool.liquidity.raw) > BigInt(best.liquidity.raw) ? pool : best), null);
+  }
+
+  getTotalLiquidity(pools) {
+    const totals = {};
+    for (const pool of pools) {
+      const current = totals[pool.quote.symbol] || tokenAmount(0, pool.liquidity.decimals);
+      totals[pool.quote.symbol] = tokenAmount(sumAmounts([current.raw, pool.liquidity.raw]), pool.liquidity.decimals);
+    }
+    return totals;
+  }
+
+  getLockVerdict(distribution) {
+    const secured = distribution.burned.percentage + distribution.locked.percentage;
+    let status = 'unlocked';
+    if (distribution.burned.percentage >= LOCKED_PERCENT) status = 'burned';
+    else if (secured >= LOCKED_PERCENT) status = 'locked';
+    else if (secured >= PARTIALLY_LOCKED_PERCENT) status = 'partially-locked';
+
+    return {
+      status,
+      isLocked: status === 'burned' || status === 'locked',
+      burnedPercentage: distribution.burned.percentage,
+      lockedPercentage: distribution.locked.percentage,
+      deployerPercentage: distribution.deployer?.percentage || 0,
+      unlockedPercentage: distribution.other.percentage + (distribution.deployer?.percentage || 0)
+    };
+  }
+}
+
+module.exports = LiquidityService;
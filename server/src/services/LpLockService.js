@@ -0,0 +1,300 @@
+const { ethers } = require('ethers');
+const { getProvider } = require('./providers');
+const { getLabel, getLabelsByCategory } = require('./labels');
+const { getLogsChunked } = require('./logs');
+const { getDeployment } = require('./blocks');
+const { findPools } = require('./pairs');
+const { percentOf, sumAmounts } = require('./tokenAmount');
+const LiquidityService = require('./LiquidityService');
+
+// Unlocks closer than this raise an alert
+const UNLOCK_ALERT_DAYS = parseInt(process.env.LP_UNLOCK_ALERT_DAYS) || 7;
+// Locks read per locker and pair; tokens with more are almost always spam locks
+const MAX_LOCKS = 50;
+const DAY_SECONDS = 24 * 60 * 60;
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const DEAD_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+
+const LP_ABI = [
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+];
+
+// Each locker protocol keeps its locks behind its own getters
+const LOCKER_ABIS = {
+  'unicrypt-v2': [
+    'function getNumLocksForToken(address lpToken) view returns (uint256)',
+    'function tokenLocks(address lpToken, uint256 index) view returns (uint256 lockDate, uint256 amount, uint256 initialAmount, uint256 unlockDate, uint256 lockID, address owner)'
+  ],
+  'team-finance': [
+    'function getDepositsByTokenAddress(address token) view returns (uint256[])',
+    'function lockedToken(uint256 id) view returns (address tokenAddress, address withdrawalAddress, uint256 tokenAmount, uint256 unlockTime, bool withdrawn)'
+  ],
+  'pinklock-v2': [
+    'function totalLockCountForToken(address token) view returns (uint256)',
+    'function getLocksForToken(address token, uint256 start, uint256 end) view returns (tuple(uint256 id, address token, address owner, uint256 amount, uint256 lockDate, uint256 tgeDate, uint256 tgeBps, uint256 cycle, uint256 cycleBps, uint256 unlockedAmount, string description)[])'
+  ]
+};
+
+// Normalized to { lockId, owner, amount, lockedAt, unlockAt, withdrawn, vesting } with unix-second dates
+const LOCK_READERS = {
+  'unicrypt-v2': async (locker, lpToken) => {
+    const count = Math.min(Number(await locker.getNumLocksForToken(lpToken)), MAX_LOCKS);
+    const locks = await Promise.all(Array.from({ length: count }, (_, index) => locker.tokenLocks(lpToken, index)));
+    return locks.map(lock => ({
+      lockId: lock.lockID,
+      owner: lock.owner,
+      amount: lock.amount,
+      lockedAt: lock.lockDate,
+      unlockAt: lock.unlockDate,
+      withdrawn: lock.amount === 0n
+    }));
+  },
+
+  'team-finance': async (locker, lpToken) => {
+    const ids = (await locker.getDepositsByTokenAddress(lpToken)).slice(0, MAX_LOCKS);
+    const locks = await Promise.all(ids.map(id => locker.lockedToken(id)));
+    return locks.map((lock, index) => ({
+      lockId: ids[index],
+      owner: lock.withdrawalAddress,
+      amount: lock.tokenAmount,
+      lockedAt: null,
+      unlockAt: lock.unlockTime,
+      withdrawn: lock.withdrawn
+    }));
+  },
+
+  // The first unlock of a vesting lock is its TGE date, so that is what the schedule shows
+  'pinklock-v2': async (locker, lpToken) => {
+    const count = Math.min(Number(await locker.totalLockCountForToken(lpToken)), MAX_LOCKS);
+    if (count === 0) return [];
+    const locks = await locker.getLocksForToken(lpToken, 0, count - 1);
+    return locks.map(lock => ({
+      lockId: lock.id,
+      owner: lock.owner,
+      amount: lock.amount - lock.unlockedAmount,
+      lockedAt: lock.lockDate,
+      unlockAt: lock.tgeDate,
+      withdrawn: lock.unlockedAmount >= lock.amount,
+      vesting: lock.tgeBps < 10000n
+    }));
+  }
+};
+
+// Verifies LP burns and locker deposits and builds the unlock schedule
+class LpLockService {
+  constructor() {
+    this.liquidityService = new LiquidityService();
+  }
+
+  async verify(token, network) {
+    const provider = getProvider(network);
+    const pools = (await findPools(token, network, provider)).filter(pool => pool.version === 'v2');
+    if (pools.length === 0) return null;
+
+    // Chain time rather than wall time, so forks and local nodes agree with their own locks
+    const { timestamp: now } = await provider.getBlock('latest');
+    const lockers = getLabelsByCategory(network, 'locker');
+
+    const pairs = await Promise.all(pools.map(pool => this.verifyPair(provider, network, pool, lockers, now)));
+    const main = this.getMainPair(pairs);
+
+    const schedule = pairs
+      .flatMap(pair => pair.locks
+        .filter(lock => lock.status === 'locked' && lock.unlockAt)
+        .map(lock => ({ pair: pair.pair, dex: pair.dex, ...lock })))
+      .sort((a, b) => a.unlockTimestamp - b.unlockTimestamp);
+
+    const summary = this.summarize(main, now);
+
+    return {
+      token: ethers.getAddress(token),
+      network,
+      checkedAt: new Date(now * 1000).toISOString(),
+      mainPair: main.pair,
+      summary,
+      alert: this.getAlert(main, summary, now),
+      schedule,
+      pairs
+    };
+  }
+
+  async verifyPair(provider, network, pool, lockers, now) {
+    const lp = new ethers.Contract(pool.address, LP_ABI, provider);
+    const [totalSupply, [reserve0, reserve1], deadBalance, zeroBalance] = await Promise.all([
+      lp.totalSupply(),
+      lp.getReserves(),
+      lp.balanceOf(DEAD_ADDRESS),
+      lp.balanceOf(ethers.ZeroAddress)
+    ]);
+
+    const [transfers, lockerLocks] = await Promise.all([
+      this.getLockTransfers(provider, network, pool, lockers, totalSupply),
+      Promise.all(lockers.map(locker => this.readLocks(provider, lp, locker, totalSupply, now)))
+    ]);
+
+    const locks = lockerLocks.flat();
+    const burned = deadBalance + zeroBalance;
+    const locked = sumAmounts(locks.filter(lock => lock.status === 'locked').map(lock => lock.amount));
+
+    return {
+      pair: pool.address,
+      dex: pool.dex,
+      quote: pool.quote.symbol,
+      native: Boolean(pool.quote.native),
+      quoteReserve: (pool.tokenIsToken0 ? reserve1 : reserve0).toString(),
+      totalSupply: totalSupply.toString(),
+      burned: { amount: burned.toString(), percentage: percentOf(burned, totalSupply, 2) },
+      locked: { amount: locked.toString(), percentage: percentOf(locked, totalSupply, 2) },
+      locks,
+      transfers
+    };
+  }
+
+  // LP tokens sent to the dead address or a locker since the pair was created
+  async getLockTransfers(provider, network, pool, lockers, totalSupply) {
+    const deployment = await getDeployment(pool.address, network).catch(() => null);
+    if (!deployment || deployment.blockNumber === null) return [];
+
+    const destinations = [DEAD_ADDRESS, ethers.ZeroAddress, ...lockers.map(locker => locker.address)];
+    const logs = await getLogsChunked(
+      provider,
+      { address: pool.address, topics: [TRANSFER_TOPIC, null, destinations.map(address => ethers.zeroPadValue(address, 32))] },
+      { fromBlock: deployment.blockNumber }
+    );
+
+    const pair = pool.address.toLowerCase();
+
+    return logs
+      .map(log => ({
+        from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+        to: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+        amount: BigInt(log.data),
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber
+      }))
+      // Mints of the minimum liquidity and removals (LP sent back to the pair and burned) are not locks
+      .filter(transfer => transfer.from !== ethers.ZeroAddress && !(transfer.to === ethers.ZeroAddress && transfer.from.toLowerCase() === pair))
+      .map(transfer => {
+        const label = getLabel(transfer.to, network);
+        return {
+          type: label?.category === 'locker' ? 'lock' : 'burn',
+          destination: label?.name || transfer.to,
+          from: transfer.from,
+          to: transfer.to,
+          amount: transfer.amount.toString(),
+          percentage: percentOf(transfer.amount, totalSupply, 2),
+          txHash: transfer.txHash,
+          blockNumber: transfer.blockNumber
+        };
+      });
+  }
+
+  // Locks the locker holds for this pair; falls back to its bare balance when the getters do not decode
+  async readLocks(provider, lp, locker, totalSupply, now) {
+    const balance = await lp.balanceOf(locker.address).catch(() => 0n);
+    if (balance === 0n) return [];
+
+    const reader = LOCK_READERS[locker.protocol];
+    const raw = reader
+      ? await reader(new ethers.Contract(locker.address, LOCKER_ABIS[locker.protocol], provider), lp.target).catch(error => {
+        console.warn(`⚠️ Could not decode ${locker.name} locks for ${lp.target}:`, error.message);
+        return null;
+      })
+      : null;
+
+    if (!raw) {
+      return [this.formatLock(locker, { lockId: null, owner: null, amount: balance, lockedAt: null, unlockAt: null, withdrawn: false }, totalSupply, now)];
+    }
+
+    return raw.filter(lock => lock.amount > 0n).map(lock => this.formatLock(locker, lock, totalSupply, now));
+  }
+
+  formatLock(locker, lock, totalSupply, now) {
+    const unlockAt = lock.unlockAt ? Number(lock.unlockAt) : null;
+    let status = 'unknown';
+    if (lock.withdrawn) status = 'withdrawn';
+    else if (unlockAt !== null) status = unlockAt > now ? 'locked' : 'unlocked';
+
+    return {
+      locker: locker.name,
+      lockerAddress: ethers.getAddress(locker.address),
+      protocol: locker.protocol || null,
+      lockId: lock.lockId === null ? null : lock.lockId.toString(),
+      owner: lock.owner,
+      amount: lock.amount.toString(),
+      percentage: percentOf(lock.amount, totalSupply, 2),
+      lockedAt: lock.lockedAt ? new Date(Number(lock.lockedAt) * 1000).toISOString() : null,
+      unlockAt: unlockAt ? new Date(unlockAt * 1000).toISOString() : null,
+      unlockTimestamp: unlockAt,
+      daysUntilUnlock: unlockAt ? Math.max(0, Math.floor((unlockAt - now) / DAY_SECONDS)) : null,
+      vesting: Boolean(lock.vesting),
+      status
+    };
+  }
+
+  // The deepest wrapped-native pair is the one the lock verdict is about
+  getMainPair(pairs) {
+    const native = pairs.filter(pair => pair.native);
+    return (native.length ? native : pairs).reduce((best, pair) =>
+      (!best || BigInt(pair.quoteReserve) > BigInt(best.quoteReserve) ? pair : best), null);
+  }
+
+  summarize(pair, now) {
+    const lpSupply = BigInt(pair.totalSupply);
+    const released = sumAmounts(pair.locks.filter(lock => lock.status === 'unlocked').map(lock => lock.amount));
+    const next = pair.locks
+      .filter(lock => lock.status === 'locked')
+      .sort((a, b) => a.unlockTimestamp - b.unlockTimestamp)[0];
+
+    const verdict = this.liquidityService.getLockVerdict({
+      burned: pair.burned,
+      locked: pair.locked,
+      deployer: null,
+      other: { percentage: Math.max(0, Number((100 - pair.burned.percentage - pair.locked.percentage).toFixed(2))) }
+    });
+
+    return {
+      ...verdict,
+      // Locks past their unlock date whose LP has not been withdrawn yet
+      expiredLockPercentage: percentOf(released, lpSupply, 2),
+      nextUnlock: next
+        ? { unlockAt: next.unlockAt, daysUntil: Math.floor((next.unlockTimestamp - now) / DAY_SECONDS), percentage: next.percentage, locker: next.locker }
+        : null
+    };
+  }
+
+  getAlert(pair, summary, now) {
+    const timestamp = now * 1000;
+
+    if (summary.expiredLockPercentage > 0) {
+      return {
+        type: 'LP_UNLOCKED',
+        severity: 'high',
+        message: `${summary.expiredLockPercentage}% of the ${pair.dex} LP is past its unlock date and can be withdrawn`,
+        pair: pair.pair,
+        percentage: summary.expiredLockPercentage,
+        timestamp
+      };
+    }
+
+    const next = summary.nextUnlock;
+    if (next && next.daysUntil < UNLOCK_ALERT_DAYS) {
+      return {
+        type: 'LP_UNLOCK',
+        severity: next.daysUntil <= 1 ? 'high' : 'medium',
+        message: `${next.percentage}% of the ${pair.dex} LP unlocks ${next.daysUntil === 0 ? 'within a day' : `in ${next.daysUntil} day(s)`} (${next.unlockAt})`,
+        pair: pair.pair,
+        percentage: next.percentage,
+        unlockAt: next.unlockAt,
+        timestamp
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = LpLockService;
@@ -0,0 +1,92 @@
+const { ethers } = require('ethers');
+const TtlCache = require('./TtlCache');
+const dexscreener = require('./dexscreener');
+
+// Adapters by name; each exposes supports(network) and getPairs(token, network)
+const PROVIDERS = { dexscreener };
+
+const PROVIDER_ORDER = (process.env.MARKET_PROVIDERS || 'dexscreener')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => PROVIDERS[name]);
+
+const CACHE_TTL = (parseInt(process.env.MARKET_CACHE_TTL) || 30) * 1000;
+
+// Price, volume, liquidity and market cap per token, aggregated over all of its pairs
+class MarketDataService {
+  constructor() {
+    this.cache = new TtlCache({ ttl: CACHE_TTL });
+  }
+
+  // Null when no provider lists a pair for the token
+  getMarket(token, network) {
+    return this.cache.wrap(`${network}-${token.toLowerCase()}`, () => this.load(token, network));
+  }
+
+  // Providers are tried in order; a failing one falls through to the next
+  async load(token, network) {
+    let failure = null;
+
+    for (const name of PROVIDER_ORDER) {
+      const provider = PROVIDERS[name];
+      if (!provider.supports(network)) continue;
+
+      try {
+        const pairs = await provider.getPairs(token, network);
+        if (pairs.length > 0) return this.aggregate(token, network, name, pairs);
+      } catch (error) {
+        console.warn(`⚠️ Market data from ${name} failed for ${token}:`, error.message);
+        failure = error;
+      }
+    }
+
+    if (failure) {
+      throw Object.assign(new Error('Market data providers are unavailable'), { status: 502 });
+    }
+    return null;
+  }
+
+  // Price and changes come from the deepest pair; volume, trades and liquidity add up across pairs
+  aggregate(token, network, provider, pairs) {
+    const sorted = [...pairs].sort((a, b) => b.liquidityUsd - a.liquidityUsd);
+    const main = sorted.find(pair => pair.tokenIsBase) || sorted[0];
+    const sum = select => sorted.reduce((total, pair) => total + select(pair), 0);
+    const windows = select => Object.fromEntries(dexscreener.WINDOWS.map(window => [window, select(window)]));
+
+    return {
+      token: ethers.getAddress(token),
+      network,
+      provider,
+      name: main.token.name || 'Unknown Token',
+      symbol: main.token.symbol || 'UNKNOWN',
+      price: main.priceUsd,
+      priceChange: main.priceChange || windows(() => 0),
+      volume: windows(window => sum(pair => pair.volume[window])),
+      txns: windows(window => ({
+        buys: sum(pair => pair.txns[window].buys),
+        sells: sum(pair => pair.txns[window].sells)
+      })),
+      liquidity: sum(pair => pair.liquidityUsd),
+      marketCap: main.marketCap || main.fdv,
+      fdv: main.fdv,
+      mainPair: {
+        dex: main.dex,
+        address: main.address,
+        quote: main.quote.symbol,
+        url: main.url,
+        createdAt: main.createdAt
+      },
+      pairs: sorted.map(pair => ({
+        dex: pair.dex,
+        address: pair.address,
+        quote: pair.quote.symbol,
+        price: pair.priceUsd,
+        liquidity: pair.liquidityUsd,
+        volume24h: pair.volume.h24
+      })),
+      updatedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = MarketDataService;
@@ -0,0 +1,98 @@
+const { ethers } = require('ethers');
+const { getNetwork } = require('../config/networks');
+
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+// Pending transactions fetched at once per network; hashes announced beyond this are skipped
+const MAX_IN_FLIGHT = parseInt(process.env.MEMPOOL_MAX_IN_FLIGHT) || 50;
+
+// Streams the pending transactions of each network's WebSocket node (wsUrl) to the handlers watching
+// that network. A dropped connection is reopened with exponential backoff.
+class MempoolWatcher {
+  constructor() {
+    this.networks = new Map();
+  }
+
+  // False when the network has no WebSocket endpoint configured
+  watch(network, handler) {
+    const { wsUrl } = getNetwork(network);
+    if (!wsUrl) return false;
+
+    if (!this.networks.has(network)) {
+      this.networks.set(network, { wsUrl, handlers: new Set(), connection: null, retryDelay: MIN_RETRY_DELAY, retryTimer: null });
+      this.connect(network);
+    }
+    this.networks.get(network).handlers.add(handler);
+    return true;
+  }
+
+  unwatch(network, handler) {
+    const state = this.networks.get(network);
+    if (!state) return;
+
+    state.handlers.delete(handler);
+    if (state.handlers.size === 0) {
+      clearTimeout(state.retryTimer);
+      this.networks.delete(network);
+      if (state.connection) state.connection.provider.destroy().catch(() => {});
+    }
+  }
+
+  connect(network) {
+    const state = this.networks.get(network);
+    if (!state) return;
+
+    const { chainId } = getNetwork(network);
+    const provider = new ethers.WebSocketProvider(state.wsUrl, chainId, { staticNetwork: ethers.Network.from(chainId) });
+    // Requests still waiting on an old connection never settle, so each connection counts its own
+    const connection = { provider, inFlight: 0 };
+    state.connection = connection;
+
+    const { websocket } = provider;
+    websocket.onerror = (error) => {
+      console.warn(`⚠️ Mempool connection for ${network} failed:`, error.message);
+    };
+    websocket.addEventListener('open', () => {
+      state.retryDelay = MIN_RETRY_DELAY;
+    });
+    websocket.addEventListener('close', () => this.reconnect(network, connection));
+
+    provider.on('pending', hash => this.fetch(state, connection, hash));
+  }
+
+  reconnect(network, connection) {
+    const state = this.networks.get(network);
+    // Unwatched in the meantime, or this connection was already replaced
+    if (!state || state.connection !== connection) return;
+
+    connection.provider.destroy().catch(() => {});
+    console.warn(`⚠️ Mempool connection for ${network} closed, reconnecting in ${state.retryDelay / 1000}s`);
+    state.retryTimer = setTimeout(() => this.connect(network), state.retryDelay);
+    state.retryDelay = Math.min(state.retryDelay * 2, MAX_RETRY_DELAY);
+  }
+
+  async fetch(state, connection, hash) {
+    if (connection.inFlight >= MAX_IN_FLIGHT) return;
+
+    connection.inFlight++;
+    let tx;
+    try {
+      // Null when the transaction was mined or dropped before it could be read
+      tx = await connection.provider.getTransaction(hash);
+    } catch (error) {
+      // Pending transactions routinely disappear between the announcement and the lookup
+    } finally {
+      connection.inFlight--;
+    }
+    if (!tx) return;
+
+    // A handler that throws, synchronously or not, is logged without skipping the others
+    for (const handler of state.handlers) {
+      Promise.resolve().then(() => handler(tx)).catch(error => {
+        console.warn(`⚠️ Pending transaction ${hash} handler failed:`, error.message);
+      });
+    }
+  }
+}
+
+module.exports = MempoolWatcher;
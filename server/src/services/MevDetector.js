@@ -0,0 +1,181 @@
+const { ethers } = require('ethers');
+const { getProvider } = require('./providers');
+const { getLabel } = require('./labels');
+const { mapWithConcurrency } = require('./concurrency');
+const { getLaunch, getSwaps, attachTransactions } = require('./swaps');
+const { getCoinbasePayment } = require('./traces');
+const { formatAmount, sumAmounts } = require('./tokenAmount');
+
+// Buys this many blocks after pair creation or fewer count as sniping
+const SNIPER_BLOCKS = parseInt(process.env.SNIPER_BLOCKS) || 3;
+// Blocks scanned for sandwiches, both after launch and up to the chain head
+const MEV_SCAN_BLOCKS = parseInt(process.env.MEV_SCAN_BLOCKS) || 2000;
+const TX_CONCURRENCY = 8;
+
+const BOT_CATEGORIES = ['mev', 'sniper-bot'];
+
+// Finds snipers, sandwich bots and builder bribes in a token's pair activity
+class MevDetector {
+  // Everything keyed by lowercase address so it survives a JSON round trip in job state
+  async analyzeLaunch(token, network) {
+    const provider = getProvider(network);
+    const pair = await getLaunch(token, network, provider);
+    if (!pair) return null;
+
+    const { launchBlock } = pair;
+    const latest = await provider.getBlockNumber();
+    const swaps = await getSwaps(provider, pair, this.scanRanges(launchBlock, latest));
+
+    const early = swaps.filter(swap => swap.side === 'buy' && swap.blockNumber <= launchBlock + SNIPER_BLOCKS);
+    const crowded = this.groupByBlock(swaps).filter(block => block.length >= 3);
+
+    // Only the swaps that can matter need their transaction fetched
+    await attachTransactions(provider, Array.from(new Set([...early, ...crowded.flat()])));
+
+    const snipers = await this.findSnipers(provider, network, early, launchBlock);
+    const sandwiches = await this.findSandwiches(provider, network, crowded, pair);
+
+    return { pair: pair.pair, dex: pair.dex, launchBlock, sniperBlocks: SNIPER_BLOCKS, snipers, sandwiches };
+  }
+
+  scanRanges(launchBlock, latest) {
+    const launchEnd = Math.min(launchBlock + MEV_SCAN_BLOCKS, latest);
+    const recentStart = Math.max(latest - MEV_SCAN_BLOCKS, launchBlock);
+
+    if (recentStart <= launchEnd + 1) return [{ fromBlock: launchBlock, toBlock: latest }];
+    return [{ fromBlock: launchBlock, toBlock: launchEnd }, { fromBlock: recentStart, toBlock: latest }];
+  }
+
+  groupByBlock(swaps) {
+    const blocks = new Map();
+    for (const swap of swaps) {
+      if (!blocks.has(swap.blockNumber)) blocks.set(swap.blockNumber, []);
+      blocks.get(swap.blockNumber).push(swap);
+    }
+    return Array.from(blocks.values());
+  }
+
+  async findSnipers(provider, network, buys, launchBlock) {
+    const snipers = {};
+
+    await mapWithConcurrency(buys, TX_CONCURRENCY, async swap => {
+      const coinbasePayment = await getCoinbasePayment(provider, network, swap);
+      const botLabel = getLabel(swap.txTo, network);
+
+      const entry = {
+        txHash: swap.txHash,
+        blockNumber: swap.blockNumber,
+        blocksAfterLaunch: swap.blockNumber - launchBlock,
+        spent: swap.quoteAmount,
+        tokens: swap.tokenAmount,
+        coinbasePayment,
+        via: BOT_CATEGORIES.includes(botLabel?.category) ? botLabel.name : null
+      };
+
+      // The token recipient is usually the holder; the signer may be a separate hot wallet
+      for (const key of new Set([swap.recipient, swap.from].filter(Boolean).map(address => address.toLowerCase()))) {
+        const existing = snipers[key];
+        snipers[key] = existing
+          ? {
+            ...(entry.blockNumber < existing.blockNumber ? entry : existing),
+            spent: sumAmounts([existing.spent, entry.spent]).toString(),
+            tokens: sumAmounts([existing.tokens, entry.tokens]).toString(),
+            coinbasePayment: existing.coinbasePayment || entry.coinbasePayment
+          }
+          : entry;
+      }
+    });
+
+    return snipers;
+  }
+
+  // Same actor trades before and after someone else trading the same direction, in one block
+  async findSandwiches(provider, network, blocks, pair) {
+    const sandwiches = {};
+    const routers = new Set([pair.router.toLowerCase()]);
+
+    for (const block of blocks) {
+      const ordered = block
+        .filter(swap => swap.from)
+        .sort((a, b) => a.transactionIndex - b.transactionIndex || a.logIndex - b.logIndex);
+
+      // Bots rotate signers but keep their contract, so prefer the called contract as identity
+      const actor = swap => (swap.txTo && !routers.has(swap.txTo.toLowerCase()) ? swap.txTo : swap.from).toLowerCase();
+
+      for (let i = 0; i < ordered.length; i++) {
+        for (let k = i + 2; k < ordered.length; k++) {
+          const front = ordered[i];
+          const back = ordered[k];
+          if (actor(front) !== actor(back) || front.side === back.side) continue;
+
+          const victim = ordered.slice(i + 1, k).find(swap => actor(swap) !== actor(front) && swap.side === front.side);
+          if (!victim) continue;
+
+          const coinbasePayment = await getCoinbasePayment(provider, network, back);
+          const entry = {
+            blockNumber: front.blockNumber,
+            frontrunTx: front.txHash,
+            victimTx: victim.txHash,
+            backrunTx: back.txHash,
+            coinbasePayment
+          };
+
+          for (const address of new Set([front.from, front.txTo, front.recipient].filter(Boolean))) {
+            const key = address.toLowerCase();
+            if (routers.has(key)) continue;
+            sandwiches[key] = sandwiches[key] || [];
+            sandwiches[key].push(entry);
+          }
+        }
+      }
+    }
+
+    return sandwiches;
+  }
+
+  // Verdict for one holder, or null when none of the signals match
+  classify(address, network, launch) {
+    const key = address.toLowerCase();
+    const label = getLabel(address, network);
+
+    if (BOT_CATEGORIES.includes(label?.category)) {
+      return {
+        type: 'mev',
+        mevType: 'known-bot',
+        reason: `Known ${label.category === 'mev' ? 'MEV bot' : 'sniper bot'}: ${label.name}`,
+        riskLevel: 'high'
+      };
+    }
+
+    const sandwiches = launch?.sandwiches?.[key];
+    if (sandwiches?.length) {
+      return {
+        type: 'mev',
+        mevType: 'sandwich',
+        reason: `Sandwiched ${sandwiches.length} trade(s) on the pair`,
+        riskLevel: 'high',
+        evidence: sandwiches
+      };
+    }
+
+    const sniper = launch?.snipers?.[key];
+    if (sniper) {
+      const bribe = sniper.coinbasePayment ? ` and paid the block builder ${ethers.formatEther(sniper.coinbasePayment)}` : '';
+      const via = sniper.via ? ` via ${sniper.via}` : '';
+
+      return {
+        type: 'mev',
+        mevType: 'sniper',
+        reason: `Bought ${sniper.blocksAfterLaunch} block(s) after pair creation${via}${bribe}`,
+        riskLevel: sniper.blocksAfterLaunch === 0 || sniper.coinbasePayment ? 'high' : 'medium',
+        spent: formatAmount(sniper.spent),
+        tokensBought: sniper.tokens,
+        evidence: [sniper]
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = MevDetector;
@@ -0,0 +1,746 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getProvider } = require('./providers');
+const { getNetwork } = require('../config/networks');
+const JsonStore = require('./JsonStore');
+const AlertStore = require('./AlertStore');
+const MarketDataService = require('./MarketDataService');
+const TtlCache = require('./TtlCache');
+const MempoolWatcher = require('./MempoolWatcher');
+const DumpDetector = require('./DumpDetector');
+const AlertRuleService = require('./AlertRuleService');
+const LpLockService = require('./LpLockService');
+const events = require('./events');
+const { findPools, getQuoteTokens } = require('./pairs');
+const { getTransfers, classifyTransfer } = require('./transfers');
+const { decodeSwapCalldata, decodeSwaps } = require('./swapDecoder');
+const { getLabel, getLabelsByCategory } = require('./labels');
+const { mapWithConcurrency } = require('./concurrency');
+const { tokenAmount, formatAmount, percentOf } = require('./tokenAmount');
+
+const POLL_INTERVAL = (parseInt(process.env.MONITOR_POLL_INTERVAL) || 20) * 1000;
+// Most blocks of Transfer logs one check reads; a monitor that fell behind catches up over several checks
+const MAX_BLOCKS_PER_CHECK = parseInt(process.env.MONITOR_MAX_BLOCKS) || 2000;
+const WALLET_CONCURRENCY = 4;
+const TX_CONCURRENCY = 8;
+const POOL_CACHE_TTL = 10 * 60 * 1000;
+// Minutes a pending sell may stay unmined and unreplaced before it is reported as dropped
+const PENDING_SELL_TIMEOUT = (parseInt(process.env.PENDING_SELL_TIMEOUT) || 30) * 60 * 1000;
+// Prices kept per monitor for price rules, which look back at most this far
+const PRICE_HISTORY_WINDOW = 60 * 60 * 1000;
+// Minutes between re-reads of the LP lock schedule; locks rarely change and reading them scans the pair's history
+const LP_LOCK_INTERVAL = (parseInt(process.env.MONITOR_LP_LOCK_INTERVAL) || 60) * 60 * 1000;
+
+// Outgoing transfers below sellPercent of the wallet's balance are ignored; sells and transfers
+// to exchanges or fresh wallets of at least highPercent are high severity. A coordinated dump is
+// dumpMinWallets linked wallets selling inside dumpWindowBlocks blocks, together at least
+// dumpSupplyPercent of the supply or dumpUsdValue USD; sells within dumpCorrelationBlocks blocks
+// of each other link wallets, as does a shared funder.
+const DEFAULT_THRESHOLDS = {
+  sellPercent: 1,
+  highPercent: 50,
+  dumpWindowBlocks: parseInt(process.env.DUMP_WINDOW_BLOCKS) || 50,
+  dumpMinWallets: parseInt(process.env.DUMP_MIN_WALLETS) || 3,
+  dumpCorrelationBlocks: parseInt(process.env.DUMP_CORRELATION_BLOCKS) || 3,
+  dumpSupplyPercent: parseFloat(process.env.DUMP_SUPPLY_PERCENT) || 1,
+  dumpUsdValue: parseFloat(process.env.DUMP_USD_VALUE) || 10000
+};
+
+// Alert type and message for each kind of wallet activity classifyTransfer reports
+const ACTIVITIES = {
+  sell: {
+    type: 'WALLET_SELL',
+    message: ({ wallet, amount, activity, changePercentage }) => `${wallet.type} sold ${amount.formatted} tokens`
+      + `${activity.quoteAmount ? ` for ${activity.quoteAmount.formatted} ${activity.quoteSymbol}` : ''} on ${activity.dex}`
+      + ` (${changePercentage}% of its balance)`
+  },
+  buy: {
+    type: 'WALLET_BUY',
+    message: ({ wallet, amount, activity }) => `${wallet.type} bought ${amount.formatted} tokens on ${activity.dex}`
+  },
+  lp_removal: {
+    type: 'LP_REMOVAL',
+    message: ({ wallet, amount, activity }) => `${wallet.type} removed liquidity on ${activity.dex} and received ${amount.formatted} tokens`
+  },
+  lp_add: {
+    type: 'LP_ADD',
+    message: ({ wallet, amount, activity }) => `${wallet.type} added ${amount.formatted} tokens of liquidity on ${activity.dex}`
+  },
+  transfer_to_cex: {
+    type: 'TRANSFER_TO_CEX',
+    message: ({ wallet, amount, activity, changePercentage }) => `${wallet.type} sent ${amount.formatted} tokens`
+      + ` (${changePercentage}% of its balance) to ${activity.counterpartyLabel}`
+  },
+  transfer_to_fresh_wallet: {
+    type: 'TRANSFER_TO_FRESH_WALLET',
+    message: ({ wallet, amount, activity, changePercentage }) => `${wallet.type} sent ${amount.formatted} tokens`
+      + ` (${changePercentage}% of its balance) to fresh wallet ${activity.counterparty}`
+  },
+  transfer: {
+    type: 'WALLET_TRANSFER',
+    message: ({ wallet, amount, activity }) => `${wallet.type} transferred ${amount.formatted} tokens to ${activity.counterparty}`
+  }
+};
+
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function totalSupply() view returns (uint256)'
+];
+
+// Watches the token transfers of team and bundle wallets from the server, so monitoring outlives the browser tab.
+// Each check reads the Transfer logs since the last checked block and classifies them against the token's pools.
+// On networks with a WebSocket node, swaps the wallets send to known routers are reported while still pending.
+// Every event is also checked against the token's alert rules, which raise alerts of their own.
+// Monitors are saved after every check, and resume() restarts them after a server restart.
+class MonitorService {
+  constructor() {
+    this.store = new JsonStore('monitors');
+    this.alertStore = new AlertStore();
+    this.marketDataService = new MarketDataService();
+    this.mempool = new MempoolWatcher();
+    this.dumpDetector = new DumpDetector();
+    this.alertRules = new AlertRuleService();
+    this.lpLocks = new LpLockService();
+    this.pools = new TtlCache({ ttl: POOL_CACHE_TTL });
+    this.timers = new Map();
+    // network -> lowercase wallet address -> ids of the monitors watching it, for the mempool handler
+    this.watchedWallets = new Map();
+    this.mempoolHandlers = new Map();
+    this.routers = new Map();
+  }
+
+  create({ token, network, wallets, thresholds = {} }) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const monitor = this.store.set(id, {
+      id,
+      token: ethers.getAddress(token),
+      network,
+      wallets: wallets.map(wallet => ({
+        address: ethers.getAddress(wallet.address),
+        type: wallet.type || 'Wallet'
+      })),
+      thresholds: { ...DEFAULT_THRESHOLDS, ...thresholds },
+      status: 'active',
+      decimals: null,
+      symbol: null,
+      totalSupply: null,
+      price: null,
+      // { at, price } samples of the last hour, oldest first, for price rules
+      priceHistory: [],
+      // Per lowercase wallet address: raw balance as of lastBlock and when it last moved
+      walletState: {},
+      // Per transaction hash: the pending sell alert raised for it, until it is mined or dropped
+      pendingSells: {},
+      // Sells of the wallets inside the coordinated dump window, oldest first
+      recentSells: [],
+      lastBlock: null,
+      lastCheckedAt: null,
+      lastLpLockCheckAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return this.start(monitor);
+  }
+
+  list({ token, network } = {}) {
+    return this.store.list()
+      .filter(monitor => !token || monitor.token.toLowerCase() === token.toLowerCase())
+      .filter(monitor => !network || monitor.network === network)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  delete(id) {
+    const monitor = this.get(id);
+    if (!monitor) return false;
+
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+    this.store.delete(id);
+    this.indexWallets(monitor.network);
+    return true;
+  }
+
+  // Restart every saved monitor; called once when the server boots
+  resume() {
+    const monitors = this.list().filter(monitor => monitor.status === 'active');
+    monitors.forEach(monitor => this.start(monitor));
+    return monitors.length;
+  }
+
+  // The first check runs right away and records the starting block and balances
+  start(monitor) {
+    this.timers.set(monitor.id, setTimeout(() => this.tick(monitor.id), 0));
+    this.indexWallets(monitor.network);
+    return monitor;
+  }
+
+  // Rebuild the wallet index of a network and watch its mempool while any monitor runs on it
+  indexWallets(network) {
+    const wallets = new Map();
+    for (const monitor of this.list({ network }).filter(candidate => this.timers.has(candidate.id))) {
+      for (const wallet of monitor.wallets) {
+        const key = wallet.address.toLowerCase();
+        if (!wallets.has(key)) wallets.set(key, new Set());
+        wallets.get(key).add(monitor.id);
+      }
+    }
+    this.watchedWallets.set(network, wallets);
+
+    const handler = this.mempoolHandlers.get(network);
+    if (wallets.size > 0 && !handler) {
+      const onPending = tx => this.handlePendingTransaction(network, tx);
+      if (this.mempool.watch(network, onPending)) this.mempoolHandlers.set(network, onPending);
+    } else if (wallets.size === 0 && handler) {
+      this.mempool.unwatch(network, handler);
+      this.mempoolHandlers.delete(network);
+    }
+  }
+
+  // Configured V2 routers plus the labelled V3 and Universal routers
+  getRouters(network) {
+    if (!this.routers.has(network)) {
+      this.routers.set(network, new Set(getLabelsByCategory(network, 'dex').map(label => label.address.toLowerCase())));
+    }
+    return this.routers.get(network);
+  }
+
+  // A monitored wallet sending a swap of the monitored token to a known router is a sell on its way
+  handlePendingTransaction(network, tx) {
+    const monitorIds = this.watchedWallets.get(network)?.get(tx.from.toLowerCase());
+    if (!monitorIds || !tx.to || !this.getRouters(network).has(tx.to.toLowerCase())) return;
+
+    const swaps = decodeSwapCalldata(tx.data, tx);
+    for (const id of monitorIds) {
+      const monitor = this.get(id);
+      if (!monitor || monitor.pendingSells?.[tx.hash]) continue;
+
+      const sell = swaps.find(candidate => candidate.tokenIn.toLowerCase() === monitor.token.toLowerCase());
+      if (sell) this.handlePendingSell(monitor, tx, sell);
+    }
+  }
+
+  handlePendingSell(monitor, tx, sell) {
+    const { sellPercent, highPercent } = monitor.thresholds;
+    const wallet = monitor.wallets.find(candidate => candidate.address.toLowerCase() === tx.from.toLowerCase());
+    const balance = BigInt(monitor.walletState[wallet.address.toLowerCase()]?.balance ?? 0);
+    // Exact-output sells only cap what they spend, so the cap stands in for the amount
+    const sold = sell.amountIn ?? sell.amountInMax;
+    const minimumOut = sell.amountOut ?? sell.amountOutMin;
+    if (sold === null) return null;
+    const changePercentage = percentOf(sold, balance, 2);
+
+    const decimals = monitor.decimals ?? 18;
+    const amount = tokenAmount(sold, decimals);
+    const usdValue = monitor.price === null ? null : Number(amount.formatted) * monitor.price;
+    const config = getNetwork(monitor.network);
+    const quote = getQuoteTokens(config).find(candidate => candidate.address.toLowerCase() === sell.tokenOut.toLowerCase());
+    const router = getLabel(tx.to, monitor.network)?.name || tx.to;
+    const message = `${wallet.type} is selling ${amount.formatted} tokens through ${router} (pending)`;
+    const data = {
+      monitorId: monitor.id,
+      walletAddress: wallet.address,
+      walletType: wallet.type,
+      status: 'pending',
+      txHash: tx.hash,
+      nonce: tx.nonce,
+      router: tx.to,
+      routerLabel: router,
+      protocol: sell.protocol,
+      method: sell.method,
+      path: sell.path,
+      tokenAmount: amount,
+      amount: amount.formatted,
+      amountOutMin: minimumOut,
+      minimumOut: quote ? tokenAmount(minimumOut, quote.decimals).formatted : null,
+      quoteSymbol: quote?.symbol || null,
+      usdValue,
+      currentPrice: monitor.price,
+      changePercentage,
+      explorerLink: config.explorerUrl ? `${config.explorerUrl}/tx/${tx.hash}` : null
+    };
+
+    // Rules see every pending sell; sellPercent only keeps small ones out of the monitor's own alerts
+    this.applyRules(monitor, 'pending_sell', {
+      key: tx.hash,
+      wallet,
+      metrics: {
+        supplyPercent: monitor.totalSupply ? percentOf(sold, monitor.totalSupply, 4) : null,
+        balancePercent: balance > 0n ? changePercentage : null,
+        usdValue
+      },
+      message,
+      data
+    });
+    if (balance > 0n && changePercentage < sellPercent) return null;
+
+    const { alert } = this.alertStore.create({
+      id: `${monitor.id}-pending-${tx.hash}`,
+      type: 'PENDING_SELL',
+      severity: changePercentage >= highPercent ? 'high' : 'medium',
+      network: monitor.network,
+      token: monitor.token,
+      wallet: wallet.address,
+      message,
+      data
+    });
+
+    // Re-read so a check saving at the same time keeps this entry
+    const current = this.get(monitor.id);
+    if (current) {
+      this.store.set(monitor.id, {
+        ...current,
+        pendingSells: {
+          ...current.pendingSells,
+          [tx.hash]: { alertId: alert.id, from: tx.from, nonce: tx.nonce, seenAt: Date.now() }
+        }
+      });
+    }
+    return alert;
+  }
+
+  // Mined pending sells are confirmed; reverted, replaced or long vanished ones are dropped.
+  // Returns the hashes that were settled.
+  async resolvePendingSells(monitor, provider) {
+    const resolved = [];
+
+    for (const [hash, pending] of Object.entries(monitor.pendingSells || {})) {
+      const receipt = await provider.getTransactionReceipt(hash).catch(() => null);
+      let outcome = null;
+
+      if (receipt) {
+        outcome = receipt.status === 1
+          ? { status: 'confirmed', ...await this.getSettledSell(monitor, provider, hash, receipt) }
+          : { status: 'dropped', dropReason: 'reverted' };
+      } else {
+        const tx = await provider.getTransaction(hash).catch(() => null);
+        const nonce = tx ? null : await provider.getTransactionCount(pending.from, 'latest').catch(() => null);
+        if (nonce !== null && nonce > pending.nonce) outcome = { status: 'dropped', dropReason: 'replaced' };
+        // One still in the mempool stays pending however long it waits
+        else if (!tx && Date.now() - pending.seenAt > PENDING_SELL_TIMEOUT) outcome = { status: 'dropped', dropReason: 'timeout' };
+      }
+      if (!outcome) continue;
+
+      const alert = this.alertStore.get(pending.alertId);
+      if (alert) {
+        const label = outcome.status === 'confirmed' ? 'confirmed' : `dropped, ${outcome.dropReason}`;
+        this.alertStore.update(alert.id, {
+          severity: outcome.status === 'dropped' ? 'low' : alert.severity,
+          message: alert.message.replace(/ \(pending\)$/, ` (${label})`),
+          data: { ...outcome, blockNumber: receipt?.blockNumber ?? null, resolvedAt: Date.now() }
+        });
+      }
+      resolved.push(hash);
+    }
+
+    return resolved;
+  }
+
+  // What a mined sell actually sold and received, from the pool swaps in its receipt
+  async getSettledSell(monitor, provider, hash, receipt) {
+    const tx = await provider.getTransaction(hash).catch(() => null);
+    const swaps = tx ? await decodeSwaps(provider, tx, receipt).catch(() => []) : [];
+    const sell = swaps.find(swap => swap.tokenIn.toLowerCase() === monitor.token.toLowerCase());
+    if (!sell || sell.amountIn === null || sell.amountOut === null) return {};
+
+    const amount = tokenAmount(sell.amountIn, monitor.decimals ?? 18);
+    const quote = getQuoteTokens(getNetwork(monitor.network))
+      .find(candidate => candidate.address.toLowerCase() === sell.tokenOut.toLowerCase());
+
+    return {
+      tokenAmount: amount,
+      amount: amount.formatted,
+      amountOut: sell.amountOut,
+      receivedAmount: quote ? tokenAmount(sell.amountOut, quote.decimals).formatted : null
+    };
+  }
+
+  // Checks are chained with setTimeout so a slow RPC never runs two checks of one monitor at once
+  async tick(id) {
+    const monitor = this.get(id);
+    if (!monitor || !this.timers.has(id)) return;
+
+    try {
+      await this.check(monitor);
+    } catch (error) {
+      console.warn(`⚠️ Monitor ${id} check failed:`, error.message);
+    }
+
+    if (this.timers.has(id)) {
+      this.timers.set(id, setTimeout(() => this.tick(id), POLL_INTERVAL));
+    }
+  }
+
+  async check(monitor) {
+    const provider = getProvider(monitor.network);
+    const contract = new ethers.Contract(monitor.token, ERC20_ABI, provider);
+    const decimals = monitor.decimals ?? Number(await contract.decimals().catch(() => 18));
+    const symbol = monitor.symbol ?? await contract.symbol().catch(() => null);
+    const price = await this.getPrice(monitor);
+    const totalSupply = await contract.totalSupply().then(String).catch(() => monitor.totalSupply ?? null);
+    const walletState = { ...monitor.walletState };
+    const priceHistory = [...(monitor.priceHistory || []), ...(price === null ? [] : [{ at: Date.now(), price }])]
+      .filter(sample => sample.at > Date.now() - PRICE_HISTORY_WINDOW);
+
+    const latest = await provider.getBlockNumber();
+    const lastBlock = monitor.lastBlock ?? null;
+    const toBlock = lastBlock === null ? latest : Math.min(latest, lastBlock + MAX_BLOCKS_PER_CHECK);
+    // Monitors created before a threshold existed fall back to its default
+    const thresholds = { ...DEFAULT_THRESHOLDS, ...monitor.thresholds };
+
+    let sells = [];
+    if (lastBlock !== null && toBlock > lastBlock) {
+      sells = await this.processTransfers(monitor, { provider, contract, fromBlock: lastBlock + 1, toBlock, decimals, price, totalSupply, walletState });
+    }
+    const recentSells = [...(monitor.recentSells || []), ...sells]
+      .filter(sell => sell.blockNumber > toBlock - thresholds.dumpWindowBlocks);
+    if (sells.length > 0) {
+      await this.checkCoordinatedDump(monitor, { sells: recentSells, decimals, price, totalSupply, thresholds });
+    }
+    if (price !== null) {
+      this.applyRules(monitor, 'price_change', {
+        key: `price-${priceHistory[priceHistory.length - 1].at}`,
+        priceHistory,
+        message: value => `Price moved ${value}% to $${price}`,
+        data: { currentPrice: price }
+      });
+    }
+    const resolved = await this.resolvePendingSells(monitor, provider);
+    const lastLpLockCheckAt = await this.checkLpLocks(monitor);
+
+    // Balances as of toBlock, so the next check replays its transfers from where these leave off
+    await mapWithConcurrency(monitor.wallets, WALLET_CONCURRENCY, async wallet => {
+      const key = wallet.address.toLowerCase();
+      const balance = await contract.balanceOf(wallet.address, { blockTag: toBlock }).catch(error => {
+        console.warn(`⚠️ Balance check for ${wallet.address} failed:`, error.message);
+        return null;
+      });
+      if (balance === null) return;
+
+      walletState[key] = { balance: balance.toString(), lastActivity: walletState[key]?.lastActivity ?? null };
+    });
+
+    // Re-read so a delete that landed during the check is not undone
+    const current = this.get(monitor.id);
+    if (!current) return;
+    const pendingSells = { ...current.pendingSells };
+    resolved.forEach(hash => delete pendingSells[hash]);
+
+    const saved = this.store.set(monitor.id, {
+      ...current,
+      pendingSells,
+      recentSells,
+      decimals,
+      symbol,
+      totalSupply,
+      price,
+      priceHistory,
+      walletState,
+      lastBlock: toBlock,
+      lastLpLockCheckAt,
+      lastCheckedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    const { id, token, network, lastCheckedAt, wallets } = this.describe(saved);
+    events.publish('wallet-update', { monitorId: id, token, network, lastCheckedAt, wallets }, { monitorId: id, token });
+  }
+
+  // Re-reads the LP lock schedule now and then and raises an alert as an unlock comes within
+  // LP_UNLOCK_ALERT_DAYS or passes. Returns when the schedule was last read.
+  async checkLpLocks(monitor) {
+    const last = monitor.lastLpLockCheckAt ?? null;
+    if (last && Date.now() - new Date(last).getTime() < LP_LOCK_INTERVAL) return last;
+
+    let locks;
+    try {
+      locks = await this.lpLocks.verify(monitor.token, monitor.network);
+    } catch (error) {
+      console.warn(`⚠️ LP lock check for monitor ${monitor.id} failed:`, error.message);
+      return last;
+    }
+
+    const lpAlert = locks?.alert;
+    if (lpAlert) {
+      // One alert per pair, unlock and severity, so an unlock drawing closer is reported again as it turns high
+      const key = `lp-${lpAlert.pair.toLowerCase()}-${lpAlert.type}-${lpAlert.unlockAt || 'now'}-${lpAlert.severity}`;
+      const data = { ...lpAlert, monitorId: monitor.id };
+
+      this.alertStore.create({
+        id: `${monitor.id}-${key}`,
+        type: lpAlert.type,
+        severity: lpAlert.severity,
+        network: monitor.network,
+        token: monitor.token,
+        message: lpAlert.message,
+        timestamp: lpAlert.timestamp,
+        data
+      });
+      this.applyRules(monitor, 'lp_unlock', {
+        key,
+        metrics: { liquidityPercent: lpAlert.percentage },
+        message: lpAlert.message,
+        timestamp: lpAlert.timestamp,
+        data
+      });
+    }
+
+    return new Date().toISOString();
+  }
+
+  // Replays the wallets' transfers in chain order, so each one is measured against the balance right before it.
+  // Returns the sells, however small, for the coordinated dump check.
+  async processTransfers(monitor, { provider, contract, fromBlock, toBlock, decimals, price, totalSupply, walletState }) {
+    const wallets = new Map(monitor.wallets.map(wallet => [wallet.address.toLowerCase(), wallet]));
+    const transfers = await getTransfers(provider, monitor.token, Array.from(wallets.values()).map(wallet => wallet.address), { fromBlock, toBlock });
+    const sells = [];
+    if (transfers.length === 0) return sells;
+
+    const pools = await this.pools.wrap(`${monitor.network}:${monitor.token}`, () => findPools(monitor.token, monitor.network, provider));
+    const receipts = new Map();
+    const timestamps = new Map();
+
+    await mapWithConcurrency(Array.from(new Set(transfers.map(transfer => transfer.txHash))), TX_CONCURRENCY, async hash => {
+      receipts.set(hash, await provider.getTransactionReceipt(hash).catch(() => null));
+    });
+    await mapWithConcurrency(Array.from(new Set(transfers.map(transfer => transfer.blockNumber))), TX_CONCURRENCY, async number => {
+      const block = await provider.getBlock(number).catch(() => null);
+      timestamps.set(number, block ? block.timestamp * 1000 : Date.now());
+    });
+
+    for (const transfer of transfers) {
+      for (const address of [transfer.from, transfer.to]) {
+        const wallet = wallets.get(address.toLowerCase());
+        if (!wallet) continue;
+
+        const key = wallet.address.toLowerCase();
+        const outgoing = address === transfer.from;
+        const before = BigInt(walletState[key]?.balance ?? 0);
+        const after = outgoing ? before - transfer.value : before + transfer.value;
+        const timestamp = timestamps.get(transfer.blockNumber);
+        walletState[key] = { balance: (after < 0n ? 0n : after).toString(), lastActivity: timestamp };
+
+        const activity = await classifyTransfer(provider, transfer, {
+          wallet: wallet.address,
+          pools,
+          receipt: receipts.get(transfer.txHash),
+          network: monitor.network
+        });
+        if (activity) {
+          const liquidityPercent = ['lp_removal', 'lp_add'].includes(activity.action)
+            ? await this.getLiquidityPercent(contract, activity.pool, transfer)
+            : null;
+          this.handleActivity(monitor, wallet, transfer, activity, { before, decimals, price, totalSupply, liquidityPercent, timestamp });
+        }
+        if (activity?.action === 'sell') {
+          sells.push({
+            wallet: wallet.address,
+            type: wallet.type,
+            blockNumber: transfer.blockNumber,
+            timestamp,
+            txHash: transfer.txHash,
+            amount: transfer.value.toString()
+          });
+        }
+      }
+    }
+
+    return sells;
+  }
+
+  // A new sell can complete a dump together with the earlier sells in the window
+  async checkCoordinatedDump(monitor, { sells, decimals, price, totalSupply, thresholds }) {
+    const dump = await this.dumpDetector.detect(sells, { network: monitor.network, decimals, totalSupply, price, thresholds });
+    if (!dump) return null;
+
+    const { lastSell, ...summary } = dump;
+    const { explorerUrl } = getNetwork(monitor.network);
+    const weight = [
+      summary.supplyPercent !== null ? `${summary.supplyPercent}% of supply` : null,
+      summary.totalValue !== null ? `$${summary.totalValue.toFixed(2)}` : null
+    ].filter(Boolean).join(', ');
+    const message = `${summary.walletCount} linked wallets sold ${summary.totalAmount.formatted} tokens`
+      + `${weight ? ` (${weight})` : ''} between blocks ${summary.fromBlock} and ${summary.toBlock}`;
+    const data = {
+      monitorId: monitor.id,
+      ...summary,
+      tokenAmount: summary.totalAmount,
+      totalAmount: summary.totalAmount.formatted,
+      currentPrice: price,
+      txHash: lastSell.txHash,
+      explorerLink: explorerUrl ? `${explorerUrl}/tx/${lastSell.txHash}` : null
+    };
+
+    this.applyRules(monitor, 'coordinated_dump', {
+      key: lastSell.txHash,
+      metrics: { walletCount: summary.walletCount, supplyPercent: summary.supplyPercent, usdValue: summary.totalValue },
+      message,
+      timestamp: lastSell.timestamp,
+      data
+    });
+
+    const { alert } = this.alertStore.create({
+      // Named after the newest linked sell, so a dump that keeps growing is reported again with its new totals
+      id: `${monitor.id}-dump-${lastSell.txHash}`,
+      type: 'COORDINATED_DUMP',
+      severity: 'high',
+      network: monitor.network,
+      token: monitor.token,
+      message,
+      timestamp: lastSell.timestamp,
+      data
+    });
+    return alert;
+  }
+
+  handleActivity(monitor, wallet, transfer, activity, { before, decimals, price, totalSupply, liquidityPercent, timestamp }) {
+    const { sellPercent, highPercent } = monitor.thresholds;
+    const changePercentage = percentOf(transfer.value, before, 2);
+    const amount = tokenAmount(transfer.value, decimals);
+    const { type, message } = ACTIVITIES[activity.action];
+    const balanceAfter = activity.direction === 'out' ? before - transfer.value : before + transfer.value;
+    const usdValue = price === null ? null : Number(formatAmount(transfer.value, decimals)) * price;
+    const { explorerUrl } = getNetwork(monitor.network);
+    const text = message({ wallet, amount, activity, changePercentage });
+    const data = {
+      monitorId: monitor.id,
+      walletAddress: wallet.address,
+      walletType: wallet.type,
+      ...activity,
+      txHash: transfer.txHash,
+      blockNumber: transfer.blockNumber,
+      logIndex: transfer.logIndex,
+      explorerLink: explorerUrl ? `${explorerUrl}/tx/${transfer.txHash}` : null,
+      tokenAmount: amount,
+      amount: amount.formatted,
+      usdValue,
+      currentPrice: price,
+      previousBalance: tokenAmount(before, decimals),
+      newBalance: tokenAmount(balanceAfter < 0n ? 0n : balanceAfter, decimals),
+      changePercentage,
+      liquidityPercent
+    };
+
+    // Rules see every transfer; sellPercent only keeps small ones out of the monitor's own alerts
+    this.applyRules(monitor, activity.action, {
+      key: `${transfer.txHash}-${transfer.logIndex}-${wallet.address.toLowerCase()}`,
+      wallet,
+      metrics: {
+        supplyPercent: totalSupply ? percentOf(transfer.value, totalSupply, 4) : null,
+        balancePercent: before > 0n ? changePercentage : null,
+        usdValue,
+        liquidityPercent
+      },
+      message: text,
+      timestamp,
+      data
+    });
+    if (activity.direction === 'out' && before > 0n && changePercentage < sellPercent) return null;
+
+    let severity = 'low';
+    if (activity.action === 'lp_removal') severity = 'high';
+    if (['sell', 'transfer_to_cex', 'transfer_to_fresh_wallet'].includes(activity.action)) {
+      severity = changePercentage >= highPercent ? 'high' : 'medium';
+    }
+
+    const { alert } = this.alertStore.create({
+      // One alert per transfer and wallet, however often the block range is re-read
+      id: `${monitor.id}-${transfer.txHash}-${transfer.logIndex}-${wallet.address.toLowerCase()}`,
+      type,
+      severity,
+      network: monitor.network,
+      token: monitor.token,
+      wallet: wallet.address,
+      message: text,
+      timestamp,
+      data
+    });
+    return alert;
+  }
+
+  // Share of the pool's tokens a liquidity change moved, against the pool's balance in the block before
+  async getLiquidityPercent(contract, pool, transfer) {
+    if (!pool) return null;
+    const reserve = await contract.balanceOf(pool, { blockTag: transfer.blockNumber - 1 }).catch(() => null);
+    return reserve ? percentOf(transfer.value, reserve, 2) : null;
+  }
+
+  // Raises an alert for each of the token's rules the event sets off. key names the event, so a
+  // re-read block range or a retried check never reports it twice; message may take the measured value.
+  applyRules(monitor, event, { key, wallet = null, metrics = {}, priceHistory, message, timestamp, data }) {
+    const matches = this.alertRules.match({
+      kind: event,
+      token: monitor.token,
+      network: monitor.network,
+      walletType: wallet?.type,
+      metrics,
+      priceHistory
+    });
+
+    return matches.flatMap(({ rule, measured }) => {
+      const text = typeof message === 'function' ? message(measured) : message;
+      const { alert, created } = this.alertStore.create({
+        id: `${monitor.id}-rule-${rule.id}-${key}`,
+        type: 'RULE_TRIGGERED',
+        severity: rule.severity,
+        network: monitor.network,
+        token: monitor.token,
+        wallet: wallet?.address || null,
+        message: `${rule.name}: ${text}`,
+        timestamp,
+        data: {
+          ...data,
+          monitorId: monitor.id,
+          ruleId: rule.id,
+          ruleName: rule.name,
+          event,
+          metric: rule.metric,
+          metricValue: measured,
+          channels: rule.channels
+        }
+      });
+
+      // Already reported by an earlier pass over the same event, so neither delivered again nor cooling down anew
+      if (!created) return [];
+
+      this.alertRules.trigger(rule, monitor.token);
+      this.alertRules.deliver(rule, alert, { tokenSymbol: monitor.symbol || undefined });
+      return [alert];
+    });
+  }
+
+  async getPrice(monitor) {
+    try {
+      const market = await this.marketDataService.getMarket(monitor.token, monitor.network);
+      return market?.price ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Wallets with their last seen balance, for API responses
+  describe({ walletState, pendingSells, recentSells, priceHistory, ...monitor }) {
+    return {
+      ...monitor,
+      wallets: monitor.wallets.map(wallet => {
+        const state = walletState[wallet.address.toLowerCase()];
+        const balance = state ? tokenAmount(state.balance, monitor.decimals ?? 18) : null;
+        return {
+          ...wallet,
+          balance,
+          usdValue: balance && monitor.price !== null ? Number(balance.formatted) * monitor.price : null,
+          lastActivity: state?.lastActivity ?? null
+        };
+      })
+    };
+  }
+}
+
+module.exports = MonitorService;
@@ -0,0 +1,217 @@
+const { ethers } = require('ethers');
+const { getProvider } = require('./providers');
+const { getLogsChunked } = require('./logs');
+const { getDeployment } = require('./blocks');
+const BytecodeScanner = require('./BytecodeScanner');
+
+// EIP-1967 slots are keccak256(label) - 1; the older standards use keccak256(label)
+const eip1967Slot = label => ethers.toBeHex(BigInt(ethers.id(label)) - 1n, 32);
+
+const SLOTS = {
+  implementation: eip1967Slot('eip1967.proxy.implementation'),
+  admin: eip1967Slot('eip1967.proxy.admin'),
+  beacon: eip1967Slot('eip1967.proxy.beacon'),
+  zeppelinosImplementation: ethers.id('org.zeppelinos.proxy.implementation'),
+  zeppelinosAdmin: ethers.id('org.zeppelinos.proxy.admin'),
+  proxiable: ethers.id('PROXIABLE')
+};
+
+const EVENTS = {
+  Upgraded: ethers.id('Upgraded(address)'),
+  BeaconUpgraded: ethers.id('BeaconUpgraded(address)'),
+  AdminChanged: ethers.id('AdminChanged(address,address)')
+};
+
+// EIP-1167 clones: 363d3d373d3d3d363d73 <implementation> 5af43d82803e903d91602b57fd5bf3
+const MINIMAL_PROXY = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+const UUPS_SELECTORS = ['upgradeTo(address)', 'upgradeToAndCall(address,bytes)', 'proxiableUUID()']
+  .map(signature => ethers.id(signature).slice(0, 10));
+
+// Blocks searched for upgrades when the deployment block is unknown, instead of the whole chain
+const UNKNOWN_DEPLOYMENT_HISTORY_BLOCKS = parseInt(process.env.PROXY_HISTORY_BLOCKS) || 50000;
+
+const BEACON_ABI = ['function implementation() view returns (address)'];
+const OWNABLE_ABI = ['function owner() view returns (address)'];
+
+// Detects EIP-1967, transparent, UUPS, beacon and minimal proxies
+class ProxyDetector {
+  constructor() {
+    this.bytecodeScanner = new BytecodeScanner();
+  }
+
+  async detect(address, network, { history = false } = {}) {
+    const provider = getProvider(network);
+    const code = await provider.getCode(address);
+
+    const minimal = code.match(MINIMAL_PROXY);
+    if (minimal) {
+      return {
+        type: 'minimal',
+        upgradeable: false,
+        implementation: ethers.getAddress(`0x${minimal[1]}`),
+        admin: null,
+        controller: null,
+        history: []
+      };
+    }
+
+    const slots = await this.readSlots(provider, address);
+    const proxy = await this.classify(provider, address, slots);
+    if (!proxy) return null;
+
+    proxy.controller = await this.resolveController(provider, address, proxy);
+    proxy.history = history ? await this.getUpgradeHistory(provider, address, network) : [];
+
+    return proxy;
+  }
+
+  async readSlots(provider, address) {
+    const entries = await Promise.all(
+      Object.entries(SLOTS).map(async ([name, slot]) => {
+        const value = await provider.getStorage(address, slot).catch(() => '0x');
+        return [name, this.slotToAddress(value)];
+      })
+    );
+
+    return Object.fromEntries(entries);
+  }
+
+  async classify(provider, address, slots) {
+    if (slots.beacon) {
+      const beacon = new ethers.Contract(slots.beacon, BEACON_ABI, provider);
+      const implementation = await beacon.implementation().catch(() => null);
+      return { type: 'beacon', upgradeable: true, beacon: slots.beacon, implementation, admin: slots.admin };
+    }
+
+    if (slots.implementation) {
+      if (slots.admin) {
+        return { type: 'transparent', upgradeable: true, implementation: slots.implementation, admin: slots.admin };
+      }
+
+      // UUPS keeps the upgrade function in the implementation itself
+      const implementationSelectors = this.bytecodeScanner.getSelectors(await provider.getCode(slots.implementation));
+      const isUups = UUPS_SELECTORS.some(selector => implementationSelectors.has(selector));
+
+      return {
+        type: isUups ? 'uups' : 'eip1967',
+        upgradeable: true,
+        implementation: slots.implementation,
+        admin: null
+      };
+    }
+
+    if (slots.zeppelinosImplementation) {
+      return {
+        type: 'transparent',
+        upgradeable: true,
+        implementation: slots.zeppelinosImplementation,
+        admin: slots.zeppelinosAdmin
+      };
+    }
+
+    if (slots.proxiable) {
+      return { type: 'uups', upgradeable: true, implementation: slots.proxiable, admin: null };
+    }
+
+    return null;
+  }
+
+  // Follow the admin (or beacon/UUPS owner) down to whoever can actually upgrade
+  async resolveController(provider, address, proxy) {
+    let controller = proxy.admin;
+
+    if (proxy.type === 'beacon') {
+      controller = await this.readOwner(provider, proxy.beacon);
+    } else if (!controller) {
+      // UUPS and plain EIP-1967 proxies are usually guarded by the implementation's owner()
+      controller = await this.readOwner(provider, address);
+    }
+
+    if (!controller) return null;
+
+    let isContract = (await provider.getCode(controller)) !== '0x';
+    let owner = null;
+
+    // A ProxyAdmin contract is only as safe as its own owner
+    if (isContract) {
+      owner = await this.readOwner(provider, controller);
+      if (owner && (await provider.getCode(owner)) === '0x') {
+        return { address: controller, isContract, owner, isEOA: true };
+      }
+    }
+
+    return { address: controller, isContract, owner, isEOA: !isContract };
+  }
+
+  async readOwner(provider, address) {
+    const contract = new ethers.Contract(address, OWNABLE_ABI, provider);
+    const owner = await contract.owner().catch(() => null);
+    return owner && owner !== ethers.ZeroAddress ? owner : null;
+  }
+
+  // Past Upgraded, BeaconUpgraded and AdminChanged events, oldest first. Without a known deployment
+  // block only the recent blocks are searched, so older upgrades may be missing.
+  async getUpgradeHistory(provider, address, network) {
+    try {
+      const deployment = await getDeployment(address, network);
+      const fromBlock = deployment?.blockNumber ??
+        Math.max(0, await provider.getBlockNumber() - UNKNOWN_DEPLOYMENT_HISTORY_BLOCKS);
+      const logs = await getLogsChunked(provider, { address, topics: [Object.values(EVENTS)] }, { fromBlock });
+
+      return logs.map(log => {
+        const event = Object.keys(EVENTS).find(name => EVENTS[name] === log.topics[0]);
+        const entry = { event, blockNumber: log.blockNumber, txHash: log.transactionHash };
+
+        if (event === 'AdminChanged') {
+          const [previousAdmin, newAdmin] = ethers.AbiCoder.defaultAbiCoder().decode(['address', 'address'], log.data);
+          return { ...entry, previousAdmin, newAdmin };
+        }
+
+        return { ...entry, implementation: this.slotToAddress(log.topics[1]) };
+      });
+    } catch (error) {
+      console.warn(`⚠️ Upgrade history unavailable for ${address}:`, error.message);
+      return [];
+    }
+  }
+
+  // Risk findings in the same shape as the source analyzer's
+  getFindings(proxy) {
+    if (!proxy || !proxy.upgradeable) return [];
+
+    const controller = proxy.controller;
+    const evidence = `${proxy.type} proxy, implementation ${proxy.implementation}` +
+      (controller ? `, upgradeable by ${controller.owner || controller.address}` : '');
+
+    if (controller?.isEOA) {
+      return [{
+        id: 'upgradeable-eoa',
+        title: 'Upgradeable by EOA',
+        severity: 'high',
+        description: 'A single externally owned account can replace the token logic at any time',
+        file: null,
+        line: null,
+        evidence
+      }];
+    }
+
+    return [{
+      id: 'upgradeable',
+      title: 'Upgradeable Proxy',
+      severity: 'medium',
+      description: 'Token logic can be replaced by the proxy admin',
+      file: null,
+      line: null,
+      evidence
+    }];
+  }
+
+  // Addresses are stored right-aligned in a 32-byte word; some nodes return '0x' for empty slots
+  slotToAddress(value) {
+    if (!value || value === '0x' || BigInt(value) === 0n) return null;
+    return ethers.getAddress(ethers.dataSlice(ethers.zeroPadValue(value, 32), 12));
+  }
+}
+
+module.exports = ProxyDetector;
@@ -0,0 +1,416 @@
+const { ethers } = require('ethers');
+
+// Score deduction per severity, applied once per kind of finding
+const SEVERITY_PENALTY = {
+  critical: 40,
+  high: 20,
+  medium: 10,
+  low: 3,
+  info: 0
+};
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low', 'info'];
+
+const OWNER_MODIFIER = /\b(onlyOwner|onlyRole|onlyAdmin|onlyOperator|onlyDev|onlyAuthorized|authorized)\b/;
+const OWNER_CHECK = /(require\s*\(\s*(msg\.sender|_msgSender\(\))\s*==\s*(owner\(\)|_owner|owner)\b|_checkOwner\s*\()/;
+const TRANSFER_FUNCTION = /^(_transfer|_update|transfer|transferFrom|_beforeTokenTransfer|_tokenTransfer)$/;
+// Names of address => bool mappings that mark wallets as blocked
+const BLACKLIST_NAME = /(black|bot|block|ban|deny|frozen|freeze)/i;
+
+class SecurityAnalyzer {
+  // Run every detector over the verified source files
+  analyzeSource(files, { owner } = {}) {
+    const findings = [];
+    let privilegedFunctions = 0;
+
+    for (const file of files) {
+      const parsed = this.parseFile(file);
+
+      for (const unit of parsed.units) {
+        findings.push(...this.detectBlacklist(parsed, unit));
+        findings.push(...this.detectDangerousCalls(parsed, unit));
+
+        for (const fn of unit.functions) {
+          if (fn.ownerOnly) privilegedFunctions++;
+
+          findings.push(
+            ...this.detectAdjustableFees(parsed, fn),
+            ...this.detectTransactionLimits(parsed, fn),
+            ...this.detectPausableTransfers(parsed, fn),
+            ...this.detectHiddenMint(parsed, fn),
+            ...this.detectFakeRenounce(parsed, fn)
+          );
+        }
+      }
+    }
+
+    findings.push(...this.checkOwnership(owner, privilegedFunctions));
+
+    return this.summarize(findings);
+  }
+
+  // Turn findings into a score and risk level
+  summarize(findings) {
+    const sorted = [...findings].sort(
+      (a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+    );
+
+    const penalties = new Map();
+    for (const finding of sorted) {
+      const penalty = SEVERITY_PENALTY[finding.severity] || 0;
+      penalties.set(finding.id, Math.max(penalties.get(finding.id) || 0, penalty));
+    }
+
+    const totalPenalty = Array.from(penalties.values()).reduce((sum, p) => sum + p, 0);
+    const securityScore = Math.max(0, 100 - totalPenalty);
+
+    return {
+      securityScore,
+      riskLevel: this.getRiskLevel(securityScore),
+      risks: sorted
+    };
+  }
+
+  getRiskLevel(score) {
+    if (score >= 80) return 'low';
+    if (score >= 60) return 'medium';
+    if (score >= 40) return 'high';
+    return 'critical';
+  }
+
+  // Split a file into contracts and their functions, ignoring comments and strings
+  parseFile(file) {
+    const original = file.content || '';
+    const code = this.stripComments(original);
+    const lines = original.split('\n');
+    const lineStarts = [0];
+    for (let i = 0; i < original.length; i++) {
+      if (original[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    const parsed = { path: file.path, code, lines, lineStarts, units: [] };
+    const unitPattern = /\b(abstract\s+contract|contract|library|interface)\s+(\w+)[^{;]*\{/g;
+    let match;
+
+    while ((match = unitPattern.exec(code)) !== null) {
+      const open = match.index + match[0].length - 1;
+      const close = this.findClosingBrace(code, open);
+      const kind = match[1].replace(/\s+/g, ' ');
+
+      // Libraries and interfaces cannot hold token state or privileges
+      if (kind !== 'library' && kind !== 'interface') {
+        parsed.units.push({
+          kind,
+          name: match[2],
+          start: match.index,
+          end: close,
+          functions: this.parseFunctions(code, open + 1, close)
+        });
+      }
+
+      unitPattern.lastIndex = close;
+    }
+
+    return parsed;
+  }
+
+  parseFunctions(code, start, end) {
+    const functions = [];
+    const fnPattern = /\b(?:function\s+(\w+)|(constructor|receive|fallback))\s*\(/g;
+    fnPattern.lastIndex = start;
+    let match;
+
+    while ((match = fnPattern.exec(code)) !== null && match.index < end) {
+      const bodyStart = this.findHeaderEnd(code, fnPattern.lastIndex);
+      const header = code.slice(match.index, bodyStart);
+      const hasBody = code[bodyStart] === '{';
+      const bodyEnd = hasBody ? this.findClosingBrace(code, bodyStart) : bodyStart;
+      const body = hasBody ? code.slice(bodyStart + 1, bodyEnd) : '';
+
+      functions.push({
+        name: match[1] || match[2],
+        isConstructor: match[2] === 'constructor',
+        index: match.index,
+        bodyStart,
+        header,
+        body,
+        external: /\b(external|public)\b/.test(header),
+        ownerOnly: OWNER_MODIFIER.test(header) || OWNER_CHECK.test(body.slice(0, 300))
+      });
+
+      fnPattern.lastIndex = bodyEnd;
+    }
+
+    return functions;
+  }
+
+  // Header runs up to the opening brace or the terminating semicolon
+  findHeaderEnd(code, from) {
+    for (let i = from; i < code.length; i++) {
+      if (code[i] === '{' || code[i] === ';') return i;
+    }
+    return code.length;
+  }
+
+  findClosingBrace(code, open) {
+    let depth = 0;
+    for (let i = open; i < code.length; i++) {
+      if (code[i] === '{') depth++;
+      if (code[i] === '}') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return code.length;
+  }
+
+  // Blank out comments and string contents, preserving offsets and newlines
+  stripComments(source) {
+    const out = source.split('');
+    let i = 0;
+
+    while (i < source.length) {
+      const two = source.slice(i, i + 2);
+
+      if (two === '//') {
+        while (i < source.length && source[i] !== '\n') out[i++] = ' ';
+      } else if (two === '/*') {
+        while (i < source.length && source.slice(i, i + 2) !== '*/') {
+          if (source[i] !== '\n') out[i] = ' ';
+          i++;
+        }
+        if (i < source.length) {
+          out[i] = ' ';
+          out[i + 1] = ' ';
+          i += 2;
+        }
+      } else if (source[i] === '"' || source[i] === "'") {
+        const quote = source[i++];
+        while (i < source.length && source[i] !== quote && source[i] !== '\n') {
+          if (source[i] === '\\') out[i++] = ' ';
+          out[i++] = ' ';
+        }
+        i++;
+      } else {
+        i++;
+      }
+    }
+
+    return out.join('');
+  }
+
+  lineAt(parsed, index) {
+    let low = 0;
+    let high = parsed.lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (parsed.lineStarts[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  }
+
+  finding(parsed, index, { id, title, severity, description }) {
+    const line = this.lineAt(parsed, index);
+    return {
+      id,
+      title,
+      severity,
+      description,
+      file: parsed.path,
+      line,
+      evidence: (parsed.lines[line - 1] || '').trim().slice(0, 200)
+    };
+  }
+
+  detectBlacklist(parsed, unit) {
+    const findings = [];
+    const code = parsed.code.slice(unit.start, unit.end);
+    // Only the declared name is captured and checked, so the scan stays linear on any input
+    const mappingPattern = /mapping\s*\(\s*address\s*=>\s*bool\s*\)\s*(?:(?:public|private|internal)\s+)?(\w+)/gi;
+    let match;
+
+    while ((match = mappingPattern.exec(code)) !== null) {
+      if (!BLACKLIST_NAME.test(match[1])) continue;
+      findings.push(this.finding(parsed, unit.start + match.index, {
+        id: 'blacklist',
+        title: 'Blacklist Mapping',
+        severity: 'high',
+        description: `Address mapping "${match[1]}" can be used to block wallets from trading`
+      }));
+    }
+
+    for (const fn of unit.functions) {
+      if (fn.ownerOnly && /(black|bot|block|ban|freeze)/i.test(fn.name)) {
+        findings.push(this.finding(parsed, fn.index, {
+          id: 'blacklist',
+          title: 'Owner Can Blacklist',
+          severity: 'high',
+          description: `Owner-only ${fn.name}() can stop selected wallets from transferring`
+        }));
+      }
+    }
+
+    return findings;
+  }
+
+  detectDangerousCalls(parsed, unit) {
+    const findings = [];
+    const code = parsed.code.slice(unit.start, unit.end);
+    const patterns = [
+      {
+        pattern: /\b(selfdestruct|suicide)\s*\(/g,
+        id: 'selfdestruct',
+        title: 'Self-Destruct',
+        severity: 'critical',
+        description: 'Contract can destroy itself and take its balance with it'
+      },
+      {
+        pattern: /\bdelegatecall\s*\(/g,
+        id: 'delegatecall',
+        title: 'Delegatecall',
+        severity: 'high',
+        description: 'Delegatecall runs external code against this contract\'s storage'
+      }
+    ];
+
+    for (const { pattern, ...details } of patterns) {
+      let match;
+      while ((match = pattern.exec(code)) !== null) {
+        findings.push(this.finding(parsed, unit.start + match.index, details));
+      }
+    }
+
+    return findings;
+  }
+
+  detectAdjustableFees(parsed, fn) {
+    if (!fn.ownerOnly || !/^(set|update|change|adjust)\w*(fee|tax)/i.test(fn.name)) return [];
+
+    // A hard-coded upper bound limits how far the owner can raise the fee
+    const capped = /require\s*\([^;]*<=?\s*\d+/.test(fn.body);
+
+    return [this.finding(parsed, fn.index, {
+      id: 'adjustable-fee',
+      title: capped ? 'Capped Adjustable Fee' : 'Owner Can Change Fees',
+      severity: capped ? 'medium' : 'high',
+      description: capped
+        ? `Owner-only ${fn.name}() changes fees within a fixed limit`
+        : `Owner-only ${fn.name}() can raise fees without a limit, including to 100%`
+    })];
+  }
+
+  detectTransactionLimits(parsed, fn) {
+    if (!/max\w*(tx|transaction|wallet|sell|buy)/i.test(fn.name)) return [];
+    if (!fn.ownerOnly) return [];
+
+    return [this.finding(parsed, fn.index, {
+      id: 'transaction-limit',
+      title: 'Adjustable Transaction Limit',
+      severity: 'medium',
+      description: `Owner-only ${fn.name}() can shrink max transaction or wallet size to block sells`
+    })];
+  }
+
+  detectPausableTransfers(parsed, fn) {
+    if (TRANSFER_FUNCTION.test(fn.name)) {
+      const gated = /\bwhenNotPaused\b/.test(fn.header) ||
+        /require\s*\([^;]*\b(tradingOpen|tradingEnabled|tradingActive|!paused|!_paused|paused\(\))/.test(fn.body);
+
+      if (gated) {
+        return [this.finding(parsed, fn.index, {
+          id: 'pausable-transfer',
+          title: 'Pausable Transfers',
+          severity: 'high',
+          description: `${fn.name}() refuses transfers while trading is paused or disabled`
+        })];
+      }
+    }
+
+    if (fn.ownerOnly && /^(pause|unpause|setPaused|setTrading|toggleTrading|stopTrading|disableTrading)/i.test(fn.name)) {
+      return [this.finding(parsed, fn.index, {
+        id: 'pausable-transfer',
+        title: 'Owner Can Pause Trading',
+        severity: 'high',
+        description: `Owner-only ${fn.name}() can halt trading at any time`
+      })];
+    }
+
+    return [];
+  }
+
+  detectHiddenMint(parsed, fn) {
+    // The constructor's initial mint and the internal _mint itself are expected
+    if (fn.isConstructor || fn.name === '_mint') return [];
+
+    const findings = [];
+    const mints = /\b_mint\s*\(|\b_?t?[tT]otal(Supply)?\s*\+=/.test(fn.body);
+
+    if (mints && fn.ownerOnly) {
+      const hidden = !/mint/i.test(fn.name);
+      findings.push(this.finding(parsed, fn.index, {
+        id: hidden ? 'hidden-mint' : 'owner-mint',
+        title: hidden ? 'Hidden Mint' : 'Owner Can Mint',
+        severity: hidden ? 'critical' : 'high',
+        description: hidden
+          ? `${fn.name}() increases total supply without being named as a mint function`
+          : `Owner-only ${fn.name}() can create new tokens and dilute holders`
+      }));
+    }
+
+    // Writing balances directly, outside a mint, is a classic honeypot backdoor
+    if (fn.ownerOnly && !mints && /\b_?(balances|balanceOf|_rOwned|_tOwned)\s*\[[^\]]+\]\s*(=|\+=)/.test(fn.body)) {
+      findings.push(this.finding(parsed, fn.index, {
+        id: 'balance-manipulation',
+        title: 'Owner Can Modify Balances',
+        severity: 'critical',
+        description: `Owner-only ${fn.name}() writes account balances directly`
+      }));
+    }
+
+    return findings;
+  }
+
+  detectFakeRenounce(parsed, fn) {
+    if (fn.name !== 'renounceOwnership' || !fn.body.trim()) return [];
+    if (/address\s*\(\s*0\s*\)|ZeroAddress|_transferOwnership\s*\(\s*address\s*\(\s*0/.test(fn.body)) return [];
+
+    return [this.finding(parsed, fn.index, {
+      id: 'fake-renounce',
+      title: 'Fake Renounce',
+      severity: 'high',
+      description: 'renounceOwnership() does not hand ownership to the zero address'
+    })];
+  }
+
+  // Ownership status comes from the chain rather than the source
+  checkOwnership(owner, privilegedFunctions) {
+    if (owner === undefined || owner === null) return [];
+
+    if (owner === ethers.ZeroAddress) {
+      return [{
+        id: 'ownership-renounced',
+        title: 'Ownership Renounced',
+        severity: 'info',
+        description: 'owner() is the zero address, owner-only functions can no longer be called',
+        file: null,
+        line: null,
+        evidence: `owner() = ${owner}`
+      }];
+    }
+
+    if (privilegedFunctions === 0) return [];
+
+    return [{
+      id: 'ownership-active',
+      title: 'Ownership Not Renounced',
+      severity: 'medium',
+      description: `Owner still controls ${privilegedFunctions} privileged function(s)`,
+      file: null,
+      line: null,
+      evidence: `owner() = ${owner}`
+    }];
+  }
+}
+
+module.exports = SecurityAnalyzer;
@@ -0,0 +1,93 @@
+const axios = require('axios');
+
+const SEND_TIMEOUT = 10000;
+
+const SEVERITY_EMOJI = { high: '🚨', medium: '⚠️', low: 'ℹ️' };
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Sends alerts to the Telegram chat the server is configured with, so each alert goes out once
+// however many browser tabs are open, and also while none are
+class TelegramService {
+  constructor() {
+    this.botToken = process.env.TELEGRAM_BOT_TOKEN;
+    this.chatId = process.env.TELEGRAM_CHAT_ID;
+  }
+
+  get isEnabled() {
+    return Boolean(this.botToken && this.chatId);
+  }
+
+  // Resolves to whether Telegram accepted the message; failures are logged, never thrown
+  async sendAlert(alert, { tokenSymbol = 'tokens' } = {}) {
+    if (!this.isEnabled) {
+      console.warn('⚠️ Telegram alerts are not configured (TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID)');
+      return false;
+    }
+
+    const emoji = SEVERITY_EMOJI[alert.severity] || '📢';
+    const text = `${emoji} *WALLET ALERT*\n\n${this.formatAlert(alert, tokenSymbol)}\n\n_Time: ${new Date(alert.timestamp || Date.now()).toISOString()}_`;
+
+    try {
+      await axios.post(`https://api.telegram.org/bot${this.botToken}/sendMessage`, {
+        chat_id: this.chatId,
+        text,
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      }, { timeout: SEND_TIMEOUT });
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Telegram alert failed:', error.response?.data?.description || error.message);
+      return false;
+    }
+  }
+
+  // Monitor alerts carry the transaction, counterparty and DEX of the transfer that raised them
+  formatAlert(alert, tokenSymbol) {
+    const details = alert.data || {};
+    if (alert.type === 'COORDINATED_DUMP' || details.event === 'coordinated_dump') return this.formatDumpAlert(details, tokenSymbol);
+
+    // Alerts raised by a rule are headed by the rule's name
+    const lines = [`*${details.ruleName || alert.type.replace(/_/g, ' ')}*`, '', alert.message];
+
+    if (details.walletAddress) lines.push(`Wallet: \`${details.walletAddress}\``);
+    if (details.counterparty) {
+      lines.push(`Counterparty: \`${details.counterparty}\`${details.counterpartyLabel ? ` (${details.counterpartyLabel})` : ''}`);
+    }
+    if (details.dex) lines.push(`DEX: ${details.dex}`);
+    if (details.usdValue != null) lines.push(`Value: $${details.usdValue.toFixed(2)}`);
+    if (details.txHash) {
+      lines.push(details.explorerLink ? `[View transaction](${details.explorerLink})` : `Tx: \`${details.txHash}\``);
+    }
+
+    return lines.join('\n');
+  }
+
+  // The wallets of a coordinated dump and what linked them
+  formatDumpAlert(details, tokenSymbol) {
+    const lines = [
+      '🚨 *COORDINATED DUMP ALERT*',
+      '',
+      `${details.walletCount} wallets selling simultaneously`,
+      `Total Amount: ${details.totalAmount} ${tokenSymbol}`,
+      `Total Value: $${details.totalValue != null ? details.totalValue.toFixed(2) : 'N/A'}`
+    ];
+
+    if (details.supplyPercent != null) lines.push(`Supply: ${details.supplyPercent}%`);
+    lines.push(`Blocks: ${details.fromBlock} - ${details.toBlock}`);
+    (details.correlation?.funding || []).forEach(cluster => {
+      lines.push(`Funded by \`${cluster.funder}\`: ${cluster.wallets.length} wallets`);
+    });
+    if (details.correlation?.timing) {
+      lines.push(`${details.correlation.timing.wallets.length} wallets sold within ${details.correlation.timing.withinBlocks} blocks`);
+    }
+    (details.wallets || []).forEach(wallet => {
+      lines.push(`• ${wallet.type} \`${shortAddress(wallet.address)}\`: ${wallet.amount} ${tokenSymbol}`);
+    });
+    if (details.explorerLink) lines.push(`[Latest sell](${details.explorerLink})`);
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = TelegramService;
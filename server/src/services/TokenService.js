@@ -0,0 +1,86 @@
+const { ethers } = require('ethers');
+const { getProvider } = require('./providers');
+const ProxyDetector = require('./ProxyDetector');
+
+const ERC20_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)',
+  'function owner() view returns (address)'
+];
+
+// Some older tokens (e.g. MKR) return name/symbol as bytes32
+const BYTES32_ABI = [
+  'function name() view returns (bytes32)',
+  'function symbol() view returns (bytes32)'
+];
+
+class TokenService {
+  constructor() {
+    this.proxyDetector = new ProxyDetector();
+  }
+
+  // Read token facts straight from the chain
+  async getTokenInfo(address, network) {
+    const provider = getProvider(network);
+    const code = await provider.getCode(address);
+
+    if (code === '0x') {
+      const error = new Error('Address is not a contract');
+      error.status = 404;
+      throw error;
+    }
+
+    const contract = new ethers.Contract(address, ERC20_ABI, provider);
+
+    const [name, symbol, decimals, totalSupply, owner, proxy] = await Promise.all([
+      this.readString(address, 'name', provider),
+      this.readString(address, 'symbol', provider),
+      this.tryCall(() => contract.decimals()),
+      this.tryCall(() => contract.totalSupply()),
+      this.tryCall(() => contract.owner()),
+      this.tryCall(() => this.proxyDetector.detect(address, network))
+    ]);
+
+    return {
+      address: ethers.getAddress(address),
+      network,
+      name,
+      symbol,
+      decimals: decimals !== null ? Number(decimals) : null,
+      totalSupply: totalSupply !== null ? totalSupply.toString() : null,
+      owner,
+      ownershipRenounced: owner !== null && owner === ethers.ZeroAddress,
+      proxy
+    };
+  }
+
+  // Read a string getter, falling back to the bytes32 variant
+  async readString(address, method, provider) {
+    const contract = new ethers.Contract(address, ERC20_ABI, provider);
+    const value = await this.tryCall(() => contract[method]());
+    if (value !== null) return value;
+
+    const legacy = new ethers.Contract(address, BYTES32_ABI, provider);
+    const raw = await this.tryCall(() => legacy[method]());
+    if (raw === null) return null;
+
+    try {
+      return ethers.decodeBytes32String(raw);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Optional getters revert on tokens that don't implement them
+  async tryCall(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = TokenService;
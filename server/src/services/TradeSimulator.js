@@ -0,0 +1,275 @@
+const { ethers } = require('ethers');
+const { getNetwork } = require('../config/networks');
+const { getForkProvider } = require('./providers');
+const { decodeSwaps } = require('./swapDecoder');
+
+const ROUTER_ABI = [
+  'function factory() view returns (address)',
+  'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+];
+
+const FACTORY_ABI = [
+  'function getPair(address tokenA, address tokenB) view returns (address)'
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+];
+
+// A token that keeps more than this share of a sale is treated as a honeypot
+const HONEYPOT_SELL_TAX = 50;
+
+// network -> the last simulation queued on its fork. Every simulation of a network shares one fork
+// and undoes its work with evm_revert, so two at once would revert each other's trades halfway through.
+const forkQueues = new Map();
+
+const runOnFork = (network, task) => {
+  const run = (forkQueues.get(network) || Promise.resolve()).then(task);
+  // A failed simulation must not hold up the ones queued behind it
+  const tail = run.catch(() => {});
+  forkQueues.set(network, tail);
+  tail.then(() => {
+    if (forkQueues.get(network) === tail) forkQueues.delete(network);
+  });
+  return run;
+};
+
+// Runs a real buy, transfer and sell against a fork and measures what was lost
+class TradeSimulator {
+  async simulate({ token, network, router, amountIn = '0.1' }) {
+    const config = getNetwork(network);
+    const provider = getForkProvider(network);
+
+    if (!config.wrappedNative) {
+      const error = new Error(`No wrapped native token configured for ${config.name}`);
+      error.status = 400;
+      throw error;
+    }
+
+    return runOnFork(network, () => this.run(provider, config, { token, network, router, amountIn }));
+  }
+
+  async run(provider, config, { token, network, router, amountIn }) {
+    const route = await this.findRoute(provider, config, token, router);
+    const snapshot = await provider.send('evm_snapshot', []);
+    const trader = ethers.Wallet.createRandom().address;
+
+    try {
+      const value = ethers.parseEther(String(amountIn));
+      await this.fundAccount(provider, trader, value * 10n + ethers.parseEther('1'));
+      await this.cheat(provider, 'impersonateAccount', [trader]);
+
+      const signer = new ethers.JsonRpcSigner(provider, trader);
+      const routerContract = new ethers.Contract(route.router, ROUTER_ABI, signer);
+      const tokenContract = new ethers.Contract(token, ERC20_ABI, signer);
+
+      const buy = await this.simulateBuy(provider, routerContract, tokenContract, config.wrappedNative, token, trader, value);
+      const transfer = buy.reverted ? null : await this.simulateTransfer(tokenContract, trader, BigInt(buy.receivedAmount));
+      const sell = buy.reverted ? null : await this.simulateSell(provider, routerContract, tokenContract, config.wrappedNative, token, trader);
+
+      return {
+        network,
+        token: ethers.getAddress(token),
+        dex: route.name,
+        router: route.router,
+        pair: route.pair,
+        amountIn: String(amountIn),
+        buy,
+        transfer,
+        sell,
+        buyTax: buy.tax,
+        transferTax: transfer?.tax ?? null,
+        sellTax: sell?.tax ?? null,
+        sellReverted: sell ? sell.reverted : null,
+        isHoneypot: buy.reverted || !sell || sell.reverted || sell.tax >= HONEYPOT_SELL_TAX
+      };
+    } finally {
+      await this.cheat(provider, 'stopImpersonatingAccount', [trader]).catch(() => {});
+      await provider.send('evm_revert', [snapshot]);
+    }
+  }
+
+  // Use the requested router, or the first configured V2 router with a WETH pair
+  async findRoute(provider, config, token, router) {
+    const candidates = router
+      ? [{ name: 'Custom Router', router }]
+      : config.dexes.filter(dex => dex.version === 'v2');
+
+    for (const candidate of candidates) {
+      try {
+        const routerContract = new ethers.Contract(candidate.router, ROUTER_ABI, provider);
+        const factory = new ethers.Contract(await routerContract.factory(), FACTORY_ABI, provider);
+        const pair = await factory.getPair(config.wrappedNative, token);
+
+        if (pair !== ethers.ZeroAddress) {
+          return { name: candidate.name, router: ethers.getAddress(candidate.router), pair };
+        }
+      } catch (error) {
+        console.warn(`⚠️ Router ${candidate.router} unusable:`, error.message);
+      }
+    }
+
+    const error = new Error(`No ${config.nativeSymbol} pair found for this token on a supported router`);
+    error.status = 404;
+    throw error;
+  }
+
+  async simulateBuy(provider, router, token, wrappedNative, tokenAddress, trader, value) {
+    const path = [wrappedNative, tokenAddress];
+    const quote = await this.quote(router, value, path);
+    if (quote.reverted) return { expectedAmount: null, ...quote, tax: null };
+
+    const { expected } = quote;
+    const result = await this.execute(() =>
+      router.swapExactETHForTokensSupportingFeeOnTransferTokens(0, path, trader, this.deadline(), { value })
+    );
+    if (result.reverted) return { expectedAmount: expected.toString(), ...result, tax: null };
+
+    const received = await this.balanceChange(result, blockTag => token.balanceOf(trader, { blockTag }));
+
+    return {
+      expectedAmount: expected.toString(),
+      receivedAmount: received.toString(),
+      swap: await this.getSwap(provider, result.txHash),
+      ...result,
+      tax: this.lossPercentage(expected, received)
+    };
+  }
+
+  // Wallet-to-wallet transfers catch fee-on-transfer traps that only tax non-DEX moves
+  async simulateTransfer(token, trader, amount) {
+    const recipient = ethers.Wallet.createRandom().address;
+    const sent = amount / 10n;
+    if (sent === 0n) return null;
+
+    const result = await this.execute(() => token.transfer(recipient, sent));
+    if (result.reverted) return { sentAmount: sent.toString(), ...result, tax: null };
+
+    const received = await token.balanceOf(recipient, { blockTag: result.blockNumber });
+
+    return {
+      sentAmount: sent.toString(),
+      receivedAmount: received.toString(),
+      ...result,
+      tax: this.lossPercentage(sent, received)
+    };
+  }
+
+  async simulateSell(provider, router, token, wrappedNative, tokenAddress, trader) {
+    const path = [tokenAddress, wrappedNative];
+    const amount = await token.balanceOf(trader);
+    const quote = await this.quote(router, amount, path);
+    if (quote.reverted) return { soldAmount: amount.toString(), expectedAmount: null, ...quote, tax: null };
+
+    const { expected } = quote;
+
+    const approval = await this.execute(() => token.approve(router.target, amount));
+    if (approval.reverted) {
+      return { soldAmount: amount.toString(), expectedAmount: expected.toString(), ...approval, tax: null };
+    }
+
+    const result = await this.execute(() =>
+      router.swapExactTokensForETHSupportingFeeOnTransferTokens(amount, 0, path, trader, this.deadline())
+    );
+    if (result.reverted) {
+      return { soldAmount: amount.toString(), expectedAmount: expected.toString(), ...result, tax: null };
+    }
+
+    // Add gas back so only the swap output counts
+    const received = await this.balanceChange(result, blockTag => provider.getBalance(trader, blockTag)) +
+      BigInt(result.gasCost);
+
+    return {
+      soldAmount: amount.toString(),
+      expectedAmount: expected.toString(),
+      receivedAmount: received.toString(),
+      swap: await this.getSwap(provider, result.txHash),
+      ...result,
+      tax: this.lossPercentage(expected, received)
+    };
+  }
+
+  // What the router expects to pay out; a token whose quote reverts cannot be traded, which is
+  // reported like a reverted swap
+  async quote(router, amount, path) {
+    try {
+      const amounts = await router.getAmountsOut(amount, path);
+      return { reverted: false, expected: amounts[amounts.length - 1] };
+    } catch (error) {
+      return this.reverted(error);
+    }
+  }
+
+  // Send a transaction and capture gas or the revert reason instead of throwing
+  async execute(send) {
+    try {
+      const tx = await send();
+      const receipt = await tx.wait();
+      return {
+        reverted: false,
+        gasUsed: Number(receipt.gasUsed),
+        gasCost: (receipt.gasUsed * (receipt.gasPrice || 0n)).toString(),
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      };
+    } catch (error) {
+      return this.reverted(error);
+    }
+  }
+
+  reverted(error) {
+    return {
+      reverted: true,
+      revertReason: error.reason || error.shortMessage || error.message,
+      gasUsed: null,
+      gasCost: '0'
+    };
+  }
+
+  // The swap as the pool settled it; next to the received amount it shows what the token's tax took
+  async getSwap(provider, txHash) {
+    try {
+      const [tx, receipt] = await Promise.all([provider.getTransaction(txHash), provider.getTransactionReceipt(txHash)]);
+      const [swap] = await decodeSwaps(provider, tx, receipt);
+      return swap || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Fork nodes automine one block per transaction, so compare either side of it
+  async balanceChange(result, readBalance) {
+    const before = await readBalance(result.blockNumber - 1);
+    const after = await readBalance(result.blockNumber);
+    return after - before;
+  }
+
+  async fundAccount(provider, address, amount) {
+    await this.cheat(provider, 'setBalance', [address, ethers.toQuantity(amount)]);
+  }
+
+  // Anvil and Hardhat expose the same cheat codes under different prefixes
+  async cheat(provider, method, params) {
+    try {
+      return await provider.send(`anvil_${method}`, params);
+    } catch (error) {
+      return await provider.send(`hardhat_${method}`, params);
+    }
+  }
+
+  lossPercentage(expected, received) {
+    if (expected === 0n) return null;
+    const loss = expected > received ? expected - received : 0n;
+    return Number((loss * 10000n) / expected) / 100;
+  }
+
+  deadline() {
+    return Math.floor(Date.now() / 1000) + 600;
+  }
+}
+
+module.exports = TradeSimulator;
@@ -0,0 +1,49 @@
+// In-memory cache whose entries expire after `ttl` ms; concurrent misses for one key share a single load
+class TtlCache {
+  constructor({ ttl = 30000, max = 1000 } = {}) {
+    this.ttl = ttl;
+    this.max = max;
+    this.entries = new Map();
+    this.pending = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value, ttl = this.ttl) {
+    // Maps keep insertion order, so the first key is the oldest entry
+    this.entries.delete(key);
+    if (this.entries.size >= this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+    return value;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Cached value for key, or the result of load(); failed loads are not cached
+  async wrap(key, load, ttl = this.ttl) {
+    const cached = this.get(key);
+    if (cached !== undefined) return cached;
+
+    if (!this.pending.has(key)) {
+      this.pending.set(key, Promise.resolve()
+        .then(load)
+        .then(value => this.set(key, value, ttl))
+        .finally(() => this.pending.delete(key)));
+    }
+    return this.pending.get(key);
+  }
+}
+
+module.exports = TtlCache;
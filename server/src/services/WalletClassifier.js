@@ -0,0 +1,221 @@
+const { ethers } = require('ethers');
+const ExplorerService = require('./ExplorerService');
+const MevDetector = require('./MevDetector');
+const BundleDetector = require('./BundleDetector');
+const FundingGraph = require('./FundingGraph');
+const LpLockService = require('./LpLockService');
+const { mapWithConcurrency } = require('./concurrency');
+const { formatAmount, parseAmount } = require('./tokenAmount');
+
+const CLASSIFY_CONCURRENCY = parseInt(process.env.CLASSIFY_CONCURRENCY) || 4;
+
+// Share of supply above which a holder is treated as a team wallet
+const TEAM_HOLDING_PERCENT = 0.5;
+
+// Sorts token holders into team, bundle, MEV and regular wallets
+class WalletClassifier {
+  constructor() {
+    this.explorerService = new ExplorerService();
+    this.mevDetector = new MevDetector();
+    this.bundleDetector = new BundleDetector();
+    this.fundingGraph = new FundingGraph();
+    this.lpLockService = new LpLockService();
+  }
+
+  // JobQueue handler; holders already in job.state.results are skipped on resume
+  async run(job, save) {
+    const { token, network, holders, fundingDepth, teamThreshold = TEAM_HOLDING_PERCENT } = job.input;
+
+    const deployer = job.state.deployer !== undefined
+      ? job.state.deployer
+      : job.input.deployer || (token ? await this.getDeployer(token, network) : null);
+
+    const launch = job.state.launch !== undefined
+      ? job.state.launch
+      : token ? await this.analyzeLaunch(token, network) : null;
+
+    const bundles = job.state.bundles !== undefined
+      ? job.state.bundles
+      : token ? await this.analyzeBundles(token, network) : null;
+
+    const lpLocks = job.state.lpLocks !== undefined
+      ? job.state.lpLocks
+      : token ? await this.verifyLpLocks(token, network) : null;
+
+    const results = { ...(job.state.results || {}) };
+    const remaining = holders.filter(holder => !results[holder.address.toLowerCase()]);
+    const progress = () => ({ total: holders.length, done: Object.keys(results).length });
+
+    // The graph is saved as it grows, so a restart only looks up the wallets it had not reached
+    const funding = job.state.funding?.clusters
+      ? job.state.funding
+      : await this.analyzeFunding(holders, deployer, network, fundingDepth, job.state.funding, partial =>
+        save({ state: { deployer, launch, bundles, lpLocks, funding: partial, results } }));
+
+    save({ state: { deployer, launch, bundles, lpLocks, funding, results }, progress: progress() });
+
+    await mapWithConcurrency(remaining, CLASSIFY_CONCURRENCY, async holder => {
+      results[holder.address.toLowerCase()] = await this.classifyWallet(holder, network, { teamThreshold, launch, bundles, funding });
+      save({ state: { deployer, launch, bundles, lpLocks, funding, results }, progress: progress() });
+    });
+
+    return {
+      deployer,
+      launch: launch && { pair: launch.pair, dex: launch.dex, launchBlock: launch.launchBlock },
+      bundles: bundles && { launchBlock: bundles.launchBlock, clusters: bundles.clusters, summary: bundles.summary },
+      funding: funding && { depth: funding.depth, clusters: funding.clusters },
+      lpLocks: lpLocks && { mainPair: lpLocks.mainPair, summary: lpLocks.summary, alert: lpLocks.alert, schedule: lpLocks.schedule },
+      ...this.group(holders, results, lpLocks)
+    };
+  }
+
+  async analyzeLaunch(token, network) {
+    try {
+      return await this.mevDetector.analyzeLaunch(token, network);
+    } catch (error) {
+      console.warn(`⚠️ Launch analysis failed for ${token}:`, error.message);
+      return null;
+    }
+  }
+
+  async analyzeBundles(token, network) {
+    try {
+      return await this.bundleDetector.analyze(token, network);
+    } catch (error) {
+      console.warn(`⚠️ Bundle analysis failed for ${token}:`, error.message);
+      return null;
+    }
+  }
+
+  async verifyLpLocks(token, network) {
+    try {
+      return await this.lpLockService.verify(token, network);
+    } catch (error) {
+      console.warn(`⚠️ LP lock check failed for ${token}:`, error.message);
+      return null;
+    }
+  }
+
+  async analyzeFunding(holders, deployer, network, depth, previous, onProgress) {
+    const roots = [deployer, ...holders.map(holder => holder.address)].filter(Boolean);
+    const nodes = previous?.nodes || {};
+    depth = this.fundingGraph.resolveDepth(depth);
+
+    try {
+      await this.fundingGraph.build(roots, network, {
+        depth,
+        nodes,
+        onProgress: () => onProgress({ depth, nodes })
+      });
+      return { depth, nodes, clusters: this.fundingGraph.cluster(roots, nodes, { deployer }) };
+    } catch (error) {
+      console.warn('⚠️ Funding graph failed:', error.message);
+      return null;
+    }
+  }
+
+  async getDeployer(token, network) {
+    const creation = await this.explorerService.getContractCreation(token, network);
+    return creation?.address || null;
+  }
+
+  async classifyWallet(holder, network, { teamThreshold, launch, bundles, funding }) {
+    try {
+      const { address, percentage } = holder;
+
+      // Bundled, sniping and bot wallets often hold enough to pass for team wallets, so check them
+      // first; a coordinated launch bundle says more than any single wallet sniping
+      const mev = this.mevDetector.classify(address, network, launch);
+      if (mev?.mevType === 'known-bot') return mev;
+
+      const bundle = this.bundleDetector.classify(address, bundles);
+      if (bundle) return bundle;
+      if (mev) return mev;
+
+      // Sharing a funding source with the deployer or other holders outweighs the size of the holding
+      const funded = this.fundingGraph.classify(address, funding);
+      if (funded) return funded;
+
+      if (percentage > teamThreshold) {
+        return {
+          type: 'team',
+          reason: `Holds ${percentage.toFixed(2)}% of total supply`,
+          riskLevel: percentage > 10 ? 'high' : 'medium'
+        };
+      }
+
+      return {
+        type: 'regular',
+        reason: 'Normal wallet activity',
+        riskLevel: 'low'
+      };
+    } catch (error) {
+      console.warn(`⚠️ Failed to classify wallet ${holder.address}:`, error.message);
+      return { type: 'unknown', reason: 'Classification failed', riskLevel: 'low' };
+    }
+  }
+
+  group(holders, results, lpLocks = null) {
+    const buckets = { team: [], bundle: [], mev: [], regular: [] };
+
+    for (const holder of holders) {
+      const classification = results[holder.address.toLowerCase()];
+      const bucket = buckets[classification.type] || buckets.regular;
+      bucket.push({ ...holder, ...classification });
+    }
+
+    return {
+      teamWallets: buckets.team,
+      bundleWallets: buckets.bundle,
+      mevWallets: buckets.mev,
+      regularWallets: buckets.regular,
+      riskAssessment: this.assessRisk(buckets.team, buckets.bundle, buckets.mev, lpLocks)
+    };
+  }
+
+  assessRisk(teamWallets, bundleWallets, mevWallets = [], lpLocks = null) {
+    const teamSupply = teamWallets.reduce((sum, wallet) => sum + (wallet.percentage || 0), 0);
+    const bundleSupply = bundleWallets.reduce((sum, wallet) => sum + (wallet.percentage || 0), 0);
+    const mevSupply = mevWallets.reduce((sum, wallet) => sum + (wallet.percentage || 0), 0);
+    const mevSpent = mevWallets.reduce((sum, wallet) => sum + (wallet.spent ? parseAmount(wallet.spent) : 0n), 0n);
+
+    const lpSecured = lpLocks ? lpLocks.summary.burnedPercentage + lpLocks.summary.lockedPercentage : null;
+
+    let riskLevel = 'low';
+    let recommendation = 'Token appears to have low risk factors.';
+
+    if (teamSupply > 20) {
+      riskLevel = 'high';
+      recommendation = 'HIGH RISK: Team controls significant portion of supply.';
+    } else if (bundleSupply > 15) {
+      riskLevel = 'high';
+      recommendation = 'HIGH RISK: Large bundle wallet presence detected.';
+    } else if (mevSupply > 15) {
+      riskLevel = 'high';
+      recommendation = 'HIGH RISK: Snipers and MEV bots hold a large share of supply.';
+    } else if (lpLocks && !lpLocks.summary.isLocked && lpSecured < 50) {
+      riskLevel = 'high';
+      recommendation = 'HIGH RISK: Liquidity is not locked or burned.';
+    } else if (lpLocks?.alert) {
+      riskLevel = lpLocks.alert.severity;
+      recommendation = `${lpLocks.alert.severity.toUpperCase()} RISK: ${lpLocks.alert.message}.`;
+    } else if (teamSupply > 10 || bundleSupply > 10 || mevSupply > 10) {
+      riskLevel = 'medium';
+      recommendation = 'MEDIUM RISK: Monitor team, bundle and MEV wallet activity.';
+    }
+
+    return {
+      riskLevel,
+      recommendation,
+      teamSupplyPercentage: teamSupply,
+      bundleSupplyPercentage: bundleSupply,
+      mevSupplyPercentage: mevSupply,
+      mevSpent: formatAmount(mevSpent),
+      totalRiskySupply: teamSupply + bundleSupply + mevSupply,
+      lpSecuredPercentage: lpSecured,
+      nextLpUnlock: lpLocks?.summary.nextUnlock || null
+    };
+  }
+}
+
+module.exports = WalletClassifier;
@@ -0,0 +1,139 @@
+const { ethers } = require('ethers');
+const { getProvider } = require('./providers');
+const { getLabel } = require('./labels');
+const { findFirstFunding } = require('./funding');
+const ExplorerService = require('./ExplorerService');
+
+const ERC20_ABI = ['function balanceOf(address account) view returns (uint256)'];
+
+// How much history is pulled from the explorer for counterparties and tokens
+const HISTORY_SIZE = 1000;
+const MAX_TOKENS = 50;
+const TOP_COUNTERPARTIES = 10;
+const FRESH_WALLET_MS = 24 * 60 * 60 * 1000;
+
+// Builds a wallet profile from on-chain state and explorer history
+class WalletService {
+  constructor() {
+    this.explorerService = new ExplorerService();
+  }
+
+  async analyze(address, network) {
+    const provider = getProvider(network);
+    address = ethers.getAddress(address);
+
+    const [code, nativeBalance, nonce, firstTxs, firstInternal, recentTxs, tokenTransfers] = await Promise.all([
+      provider.getCode(address),
+      provider.getBalance(address),
+      provider.getTransactionCount(address),
+      this.explorerService.getTransactions(address, network, { sort: 'asc', offset: 100 }),
+      this.explorerService.getInternalTransactions(address, network, { sort: 'asc', offset: 100 }),
+      this.explorerService.getTransactions(address, network, { sort: 'desc', offset: HISTORY_SIZE }),
+      this.explorerService.getTokenTransfers({ address }, network, { sort: 'desc', offset: HISTORY_SIZE })
+    ]);
+
+    const firstSeen = this.getFirstSeen([firstTxs[0], firstInternal[0]]);
+    const fundedBy = findFirstFunding(address, [...firstTxs, ...firstInternal], network);
+    const counterparties = this.getTopCounterparties(address, recentTxs, network);
+    const tokenBalances = await this.getTokenBalances(provider, address, tokenTransfers);
+    const label = getLabel(address, network);
+
+    const profile = {
+      address,
+      network,
+      isContract: code !== '0x',
+      label,
+      nativeBalance: ethers.formatEther(nativeBalance),
+      // The nonce only counts transactions the wallet sent itself
+      txCount: nonce,
+      firstSeen: firstSeen ? new Date(firstSeen).toISOString() : null,
+      ageDays: firstSeen ? Math.floor((Date.now() - firstSeen) / 86400000) : null,
+      fundedBy,
+      counterparties,
+      tokenBalances
+    };
+
+    const flags = this.getFlags(profile);
+    return { ...profile, flags, riskLevel: this.getRiskLevel(flags) };
+  }
+
+  getFirstSeen(candidates) {
+    const timestamps = candidates.filter(Boolean).map(tx => tx.timestamp);
+    return timestamps.length ? Math.min(...timestamps) : null;
+  }
+
+  getTopCounterparties(address, transactions, network) {
+    const self = address.toLowerCase();
+    const counts = new Map();
+
+    for (const tx of transactions) {
+      const outgoing = tx.from.toLowerCase() === self;
+      const other = outgoing ? tx.to : tx.from;
+      if (!other || other.toLowerCase() === self) continue;
+
+      const key = other.toLowerCase();
+      const entry = counts.get(key) || { address: ethers.getAddress(other), interactions: 0, sent: 0, received: 0 };
+      entry.interactions += 1;
+      entry[outgoing ? 'sent' : 'received'] += 1;
+      counts.set(key, entry);
+    }
+
+    return Array.from(counts.values())
+      .sort((a, b) => b.interactions - a.interactions)
+      .slice(0, TOP_COUNTERPARTIES)
+      .map(entry => ({ ...entry, label: getLabel(entry.address, network) }));
+  }
+
+  // Tokens the wallet has touched, with their current on-chain balance
+  async getTokenBalances(provider, address, transfers) {
+    const tokens = new Map();
+    for (const transfer of transfers) {
+      const key = transfer.token.toLowerCase();
+      if (!tokens.has(key) && tokens.size < MAX_TOKENS) {
+        tokens.set(key, {
+          token: ethers.getAddress(transfer.token),
+          name: transfer.tokenName,
+          symbol: transfer.tokenSymbol,
+          decimals: transfer.tokenDecimals
+        });
+      }
+    }
+
+    const balances = await Promise.all(
+      Array.from(tokens.values()).map(async token => {
+        const contract = new ethers.Contract(token.token, ERC20_ABI, provider);
+        const balance = await contract.balanceOf(address).catch(() => null);
+        return balance ? { ...token, balance: balance.toString(), formatted: ethers.formatUnits(balance, token.decimals) } : null;
+      })
+    );
+
+    return balances.filter(Boolean);
+  }
+
+  getFlags(profile) {
+    const flags = [];
+
+    if (profile.fundedBy?.label?.category === 'mixer') {
+      flags.push({ id: 'mixer-funded', severity: 'high', description: `First funded by ${profile.fundedBy.label.name}` });
+    }
+
+    const mixer = profile.counterparties.find(counterparty => counterparty.label?.category === 'mixer');
+    if (mixer) {
+      flags.push({ id: 'mixer-interaction', severity: 'medium', description: `Interacted with ${mixer.label.name}` });
+    }
+
+    if (profile.firstSeen && Date.now() - new Date(profile.firstSeen).getTime() < FRESH_WALLET_MS) {
+      flags.push({ id: 'fresh-wallet', severity: 'medium', description: 'First activity less than a day ago' });
+    }
+
+    return flags;
+  }
+
+  getRiskLevel(flags) {
+    if (flags.some(flag => flag.severity === 'high')) return 'high';
+    if (flags.some(flag => flag.severity === 'medium')) return 'medium';
+    return 'low';
+  }
+}
+
+module.exports = WalletService;
@@ -0,0 +1,84 @@
+const BundleDetector = require('../BundleDetector');
+
+const address = (n) => `0x${n.toString(16).padStart(40, '0')}`;
+const FUNDER = address(0xf0);
+const BUILDER = address(0xb0);
+
+const buyer = (n, { block = 100, funder = null, bribeRecipients = [], gas = [] } = {}) => ({
+  address: address(n),
+  blocks: new Set([block]),
+  txHashes: [],
+  gasFingerprints: new Set(gas),
+  funder,
+  bribeRecipients: new Set(bribeRecipients),
+  spent: 10n ** 17n,
+  tokens: 1000n
+});
+
+const members = (clusters) => clusters.map(cluster => cluster.wallets.map(wallet => wallet.address));
+
+describe('BundleDetector', () => {
+  const detector = new BundleDetector();
+
+  describe('gasFingerprint', () => {
+    it('keys EIP-1559 transactions by their fee pair', () => {
+      expect(detector.gasFingerprint({ maxFeePerGas: '30000000000', maxPriorityFeePerGas: '2000000000' })).toBe('30000000000/2000000000');
+    });
+
+    it('ignores whole gwei legacy prices that wallets use by default', () => {
+      expect(detector.gasFingerprint({ gasPrice: '3000000000', maxPriorityFeePerGas: null })).toBeNull();
+      expect(detector.gasFingerprint({ gasPrice: '3000000123', maxPriorityFeePerGas: null })).toBe('legacy:3000000123');
+    });
+  });
+
+  describe('cluster', () => {
+    it('keeps unrelated buyers of the same block apart', () => {
+      const buyers = [1, 2, 3, 4, 5, 6, 7, 8].map(n => buyer(n, { funder: { address: address(0x100 + n) } }));
+
+      expect(detector.cluster(buyers)).toEqual([]);
+    });
+
+    it('links buyers sharing a funder and reports their shared block as evidence', () => {
+      const buyers = [
+        buyer(1, { funder: { address: FUNDER } }),
+        buyer(2, { funder: { address: FUNDER } }),
+        buyer(3, { funder: { address: address(0x103) } })
+      ];
+
+      const [cluster] = detector.cluster(buyers);
+      expect(members([cluster])).toEqual([[address(1), address(2)]]);
+      expect(cluster.links.map(link => link.type)).toEqual(['funder', 'same-block']);
+    });
+
+    it('does not link through an exchange that funded both buyers', () => {
+      const exchange = { address: FUNDER, label: { category: 'exchange' } };
+
+      expect(detector.cluster([buyer(1, { funder: exchange }), buyer(2, { funder: exchange })])).toEqual([]);
+    });
+
+    it('links buyers paying the same bribe recipient across blocks', () => {
+      const buyers = [buyer(1, { block: 100, bribeRecipients: [BUILDER] }), buyer(2, { block: 103, bribeRecipients: [BUILDER] })];
+
+      expect(members(detector.cluster(buyers))).toEqual([[address(1), address(2)]]);
+    });
+
+    it('treats a fee setting most of a busy launch shares as the going rate', () => {
+      const common = [1, 2, 3, 4, 5, 6, 7].map(n => buyer(n, { gas: ['30000000000/1000000000'] }));
+      const bundled = [8, 9].map(n => buyer(n, { gas: ['31234567890/2345678901'] }));
+
+      expect(members(detector.cluster([...common, ...bundled]))).toEqual([[address(8), address(9)]]);
+    });
+  });
+
+  it('classify explains why a holder was bundled', () => {
+    const clusters = detector.cluster([buyer(1, { funder: { address: FUNDER } }), buyer(2, { funder: { address: FUNDER } })]);
+
+    expect(detector.classify(address(2), { clusters })).toEqual({
+      type: 'bundle',
+      reason: 'Launch bundle #1 with 1 other wallet(s): funder, same-block',
+      riskLevel: 'high',
+      bundleId: 1
+    });
+    expect(detector.classify(address(3), { clusters })).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+const { ethers } = require('ethers');
+const BytecodeScanner = require('../BytecodeScanner');
+
+const PUSH4 = '63';
+const EQ = '14';
+const SELFDESTRUCT = 'ff';
+
+// A dispatcher comparing calldata against each signature's selector
+const dispatcher = (...signatures) => `0x${signatures.map(signature => `${PUSH4}${ethers.id(signature).slice(2, 10)}${EQ}`).join('')}`;
+
+describe('BytecodeScanner', () => {
+  const scanner = new BytecodeScanner();
+
+  it('counts only owner-callable selectors as privileged functions', () => {
+    const scan = scanner.scan(`${dispatcher(
+      'mint(address,uint256)',
+      'setFee(uint256)',
+      'isBlacklisted(address)',
+      'implementation()',
+      'transferOwnership(address)',
+      'balanceOf(address)'
+    )}${SELFDESTRUCT}`);
+
+    expect(scan.privilegedFunctions).toBe(2);
+    expect(scan.findings.map(finding => finding.id)).toEqual([
+      'selector-mint',
+      'selector-fee',
+      'selector-blacklist',
+      'selector-upgrade',
+      'selfdestruct'
+    ]);
+  });
+
+  it('finds no privileged functions in a plain ERC-20', () => {
+    const scan = scanner.scan(dispatcher('transfer(address,uint256)', 'approve(address,uint256)', 'owner()'));
+
+    expect(scan.privilegedFunctions).toBe(0);
+    expect(scan.findings).toEqual([]);
+  });
+});
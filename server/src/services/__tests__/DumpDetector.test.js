@@ -0,0 +1,139 @@
+jest.mock('../funding', () => ({ getFirstFunder: jest.fn() }));
+
+const { getFirstFunder } = require('../funding');
+const DumpDetector = require('../DumpDetector');
+
+const wallet = (n) => `0x${n.toString(16).padStart(40, '0')}`;
+const WALLETS = [1, 2, 3, 4, 5].map(wallet);
+const FUNDER = '0x00000000000000000000000000000000000000F0';
+const EXCHANGE = '0x00000000000000000000000000000000000000e0';
+
+const DECIMALS = 18;
+const TOTAL_SUPPLY = 1000n * 10n ** 18n;
+const tokens = (amount) => (BigInt(amount) * 10n ** 18n).toString();
+const sell = (address, blockNumber, amount) => ({ wallet: address, type: 'Team', blockNumber, txHash: `0x${blockNumber}${address.slice(-1)}`, amount: tokens(amount) });
+
+const THRESHOLDS = { dumpMinWallets: 2, dumpCorrelationBlocks: 3, dumpSupplyPercent: 5, dumpUsdValue: 10000 };
+const options = (overrides = {}) => ({ network: 'ethereum', decimals: DECIMALS, totalSupply: TOTAL_SUPPLY, price: null, thresholds: THRESHOLDS, ...overrides });
+
+describe('DumpDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new DumpDetector();
+    getFirstFunder.mockReset();
+    getFirstFunder.mockResolvedValue(null);
+  });
+
+  describe('findTimingClusters', () => {
+    it('groups the wallets of each run of sells inside the block window', () => {
+      const sells = [sell(WALLETS[0], 100, 1), sell(WALLETS[1], 102, 1), sell(WALLETS[2], 110, 1), sell(WALLETS[3], 113, 1)];
+
+      expect(detector.findTimingClusters(sells, 3)).toEqual([
+        [WALLETS[0], WALLETS[1]],
+        [WALLETS[2], WALLETS[3]]
+      ]);
+    });
+
+    it('does not pair a wallet with its own repeated sells', () => {
+      expect(detector.findTimingClusters([sell(WALLETS[0], 100, 1), sell(WALLETS[0], 101, 1)], 3)).toEqual([]);
+    });
+
+    it('keeps only the longest runs, none wider than the window', () => {
+      const sells = [sell(WALLETS[0], 100, 1), sell(WALLETS[1], 101, 1), sell(WALLETS[2], 103, 1), sell(WALLETS[3], 106, 1)];
+
+      expect(detector.findTimingClusters(sells, 3)).toEqual([
+        [WALLETS[0], WALLETS[1], WALLETS[2]],
+        [WALLETS[2], WALLETS[3]]
+      ]);
+    });
+  });
+
+  it('linkClusters joins timing runs to the funding groups of their wallets but not to each other', () => {
+    const funding = { funder: 'f', wallets: ['c', 'd'] };
+    const clusters = detector.linkClusters([['a', 'b'], ['b', 'c']], [funding]);
+
+    expect(clusters.map(cluster => Array.from(cluster.wallets).sort())).toEqual([['c', 'd'], ['a', 'b'], ['b', 'c', 'd']]);
+    expect(clusters.map(cluster => cluster.funding)).toEqual([[funding], [], [funding]]);
+  });
+
+  describe('detect', () => {
+    it('reports wallets selling within the correlation window past the supply threshold', async () => {
+      const dump = await detector.detect([sell(WALLETS[0], 100, 30), sell(WALLETS[1], 102, 25)], options());
+
+      expect(dump).toMatchObject({
+        walletCount: 2,
+        totalAmount: { raw: tokens(55), formatted: '55.0' },
+        supplyPercent: 5.5,
+        totalValue: null,
+        fromBlock: 100,
+        toBlock: 102,
+        correlation: { timing: { withinBlocks: 3, wallets: [WALLETS[0], WALLETS[1]] }, funding: [] }
+      });
+      expect(dump.wallets.map(entry => [entry.address, entry.supplyPercent])).toEqual([[WALLETS[0], 3], [WALLETS[1], 2.5]]);
+      expect(dump.lastSell.blockNumber).toBe(102);
+    });
+
+    it('ignores sells that are neither close in time nor funded alike', async () => {
+      expect(await detector.detect([sell(WALLETS[0], 100, 30), sell(WALLETS[1], 120, 30)], options())).toBeNull();
+    });
+
+    it('links far apart sellers through a shared funder, but not through an exchange', async () => {
+      getFirstFunder.mockImplementation(async address => {
+        if (address === WALLETS[0] || address === WALLETS[1]) return { address: FUNDER };
+        return { address: EXCHANGE, label: { category: 'exchange' } };
+      });
+
+      const dump = await detector.detect([
+        sell(WALLETS[0], 100, 30), sell(WALLETS[1], 150, 30), sell(WALLETS[2], 200, 30), sell(WALLETS[3], 250, 30)
+      ], options());
+
+      expect(dump.walletCount).toBe(2);
+      expect(dump.correlation).toEqual({ timing: null, funding: [{ funder: FUNDER, wallets: [WALLETS[0], WALLETS[1]] }] });
+    });
+
+    it('does not chain overlapping runs into sells far apart', async () => {
+      const sells = [sell(WALLETS[0], 100, 30), sell(WALLETS[1], 103, 30), sell(WALLETS[2], 106, 30), sell(WALLETS[3], 109, 30)];
+
+      expect(await detector.detect(sells, options({ thresholds: { ...THRESHOLDS, dumpMinWallets: 3 } }))).toBeNull();
+    });
+
+    it('judges each cluster on its own, so two small pairs do not add up to a dump', async () => {
+      const sells = [sell(WALLETS[0], 100, 15), sell(WALLETS[1], 101, 15), sell(WALLETS[2], 200, 15), sell(WALLETS[3], 201, 15)];
+
+      expect(await detector.detect(sells, options())).toBeNull();
+    });
+
+    it('reports the heaviest qualifying cluster', async () => {
+      const sells = [sell(WALLETS[0], 100, 30), sell(WALLETS[1], 101, 30), sell(WALLETS[2], 200, 50), sell(WALLETS[3], 201, 50)];
+      const dump = await detector.detect(sells, options());
+
+      expect(dump.wallets.map(entry => entry.address).sort()).toEqual([WALLETS[2], WALLETS[3]]);
+      expect(dump.supplyPercent).toBe(10);
+    });
+
+    it('counts a dump by USD value when the supply share is small', async () => {
+      const dump = await detector.detect([sell(WALLETS[0], 100, 10), sell(WALLETS[1], 101, 10)], options({ price: 600 }));
+
+      expect(dump.supplyPercent).toBe(2);
+      expect(dump.totalValue).toBe(12000);
+    });
+
+    it('needs dumpMinWallets distinct sellers', async () => {
+      const sells = [sell(WALLETS[0], 100, 30), sell(WALLETS[1], 101, 30)];
+
+      expect(await detector.detect(sells, options({ thresholds: { ...THRESHOLDS, dumpMinWallets: 3 } }))).toBeNull();
+      expect(getFirstFunder).not.toHaveBeenCalled();
+    });
+
+    it('remembers funders but retries a failed lookup', async () => {
+      getFirstFunder.mockRejectedValueOnce(new Error('explorer down'));
+      const sells = [sell(WALLETS[0], 100, 1), sell(WALLETS[1], 200, 1)];
+
+      await detector.detect(sells, options());
+      await detector.detect(sells, options());
+
+      expect(getFirstFunder).toHaveBeenCalledTimes(3);
+    });
+  });
+});
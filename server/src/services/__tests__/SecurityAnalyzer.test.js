@@ -0,0 +1,35 @@
+const SecurityAnalyzer = require('../SecurityAnalyzer');
+
+const analyze = (content) => new SecurityAnalyzer().analyzeSource([{ path: 'Token.sol', content }]);
+const ids = (report) => report.risks.map(finding => finding.id);
+
+describe('SecurityAnalyzer', () => {
+  describe('blacklist mappings', () => {
+    it('flags address => bool mappings named after blocking wallets', () => {
+      const report = analyze(`contract Token {
+        mapping(address => bool) private _isBlacklisted;
+        mapping (address=>bool) public bots;
+        mapping(address => bool) isExcludedFromFee;
+      }`);
+
+      const blacklist = report.risks.filter(finding => finding.id === 'blacklist');
+      expect(blacklist.map(finding => finding.description)).toEqual([
+        'Address mapping "_isBlacklisted" can be used to block wallets from trading',
+        'Address mapping "bots" can be used to block wallets from trading'
+      ]);
+      expect(blacklist.map(finding => finding.line)).toEqual([2, 3]);
+    });
+
+    it('leaves other mappings alone', () => {
+      expect(ids(analyze('contract Token { mapping(address => bool) isExcludedFromFee; }'))).not.toContain('blacklist');
+    });
+
+    it('stays fast on a mapping followed by a long run of word characters', () => {
+      const content = `contract Token { mapping(address => bool) ${'a'.repeat(2 * 1024 * 1024)} }`;
+
+      const started = Date.now();
+      analyze(content);
+      expect(Date.now() - started).toBeLessThan(2000);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const { ethers } = require('ethers');
+const { V2_SWAP_TOPIC, decodeSwapCalldata, decodeSwapLog, matchReceiptSwaps, decodeV3Path } = require('../swapDecoder');
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const UNI = '0x1f9840a85d5aF5bf1D1762F925BDADdC4201F984';
+const TRADER = '0x00000000000000000000000000000000000000aa';
+const V2_ROUTER = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D';
+const V3_ROUTER = '0xE592427A0AEce92De3Edee1F18E0157C05861564';
+const SWAP_ROUTER_02 = '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45';
+const UNIVERSAL_ROUTER = '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD';
+const DEADLINE = 1700000000;
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+const trader = ethers.getAddress(TRADER);
+
+// Calldata as the deployed routers take it; the selector is checked against the one seen on mainnet
+const encode = (signature, selector, args) => {
+  const iface = new ethers.Interface([`function ${signature}`]);
+  const data = iface.encodeFunctionData(iface.fragments[0], args);
+  expect(data.slice(0, 10)).toBe(selector);
+  return data;
+};
+
+const v3Path = (...parts) => ethers.solidityPacked(
+  parts.map((_, index) => (index % 2 === 0 ? 'address' : 'uint24')),
+  parts
+);
+
+describe('swapDecoder', () => {
+  describe('Uniswap V2 router', () => {
+    it('decodes an exact-input token sell', () => {
+      const data = encode('swapExactTokensForTokens(uint256,uint256,address[],address,uint256)', '0x38ed1739',
+        [1000n, 900n, [UNI, WETH, USDC], TRADER, DEADLINE]);
+
+      expect(decodeSwapCalldata(data, { from: TRADER, to: V2_ROUTER })).toEqual([{
+        protocol: 'v2',
+        method: 'swapExactTokensForTokens',
+        tokenIn: UNI,
+        tokenOut: USDC,
+        path: [UNI, WETH, USDC],
+        amountIn: '1000',
+        amountOut: null,
+        amountOutMin: '900',
+        amountInMax: null,
+        recipient: trader
+      }]);
+    });
+
+    it('takes the native amount of an ETH buy from the transaction value', () => {
+      const data = encode('swapExactETHForTokens(uint256,address[],address,uint256)', '0x7ff36ab5',
+        [500n, [WETH, UNI], TRADER, DEADLINE]);
+
+      const [swap] = decodeSwapCalldata(data, { from: TRADER, to: V2_ROUTER, value: 10n ** 18n });
+      expect(swap).toMatchObject({ tokenIn: WETH, tokenOut: UNI, amountIn: '1000000000000000000', amountOutMin: '500' });
+    });
+
+    it('decodes fee-on-transfer sells and exact-output buys', () => {
+      const sell = encode('swapExactTokensForETHSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)', '0x791ac947',
+        [7n, 1n, [UNI, WETH], TRADER, DEADLINE]);
+      const buy = encode('swapETHForExactTokens(uint256,address[],address,uint256)', '0xfb3bdb41',
+        [42n, [WETH, UNI], TRADER, DEADLINE]);
+
+      expect(decodeSwapCalldata(sell, { to: V2_ROUTER })[0]).toMatchObject({ amountIn: '7', amountOutMin: '1', tokenOut: WETH });
+      expect(decodeSwapCalldata(buy, { to: V2_ROUTER, value: 50n })[0]).toMatchObject({ amountIn: null, amountOut: '42', amountInMax: '50' });
+    });
+  });
+
+  describe('Uniswap V3 routers', () => {
+    it('decodes exactInputSingle on the first SwapRouter', () => {
+      const data = encode('exactInputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))', '0x414bf389',
+        [[UNI, WETH, 3000, TRADER, DEADLINE, 2000n, 1n, 0n]]);
+
+      expect(decodeSwapCalldata(data, { to: V3_ROUTER })[0]).toMatchObject({
+        protocol: 'v3', method: 'exactInputSingle', tokenIn: UNI, tokenOut: WETH, amountIn: '2000', amountOutMin: '1', recipient: trader
+      });
+    });
+
+    it('decodes SwapRouter02 params without a deadline', () => {
+      const data = encode('exactInputSingle((address,address,uint24,address,uint256,uint256,uint160))', '0x04e45aaf',
+        [[UNI, USDC, 500, TRADER, 3n, 2n, 0n]]);
+
+      expect(decodeSwapCalldata(data, { to: SWAP_ROUTER_02 })[0]).toMatchObject({ tokenIn: UNI, tokenOut: USDC, amountIn: '3' });
+    });
+
+    it('reads multi-hop paths and reverses exact-output ones', () => {
+      const path = v3Path(UNI, 3000, WETH, 500, USDC);
+      const exactIn = encode('exactInput((bytes,address,uint256,uint256,uint256))', '0xc04b8d59',
+        [[path, TRADER, DEADLINE, 10n, 9n]]);
+      const exactOut = encode('exactOutput((bytes,address,uint256,uint256,uint256))', '0xf28c0498',
+        [[v3Path(USDC, 500, WETH, 3000, UNI), TRADER, DEADLINE, 10n, 11n]]);
+
+      expect(decodeV3Path(path)).toEqual([UNI, WETH, USDC]);
+      expect(decodeSwapCalldata(exactIn, { to: V3_ROUTER })[0]).toMatchObject({ path: [UNI, WETH, USDC], amountIn: '10', amountOutMin: '9' });
+      expect(decodeSwapCalldata(exactOut, { to: V3_ROUTER })[0]).toMatchObject({ path: [UNI, WETH, USDC], amountOut: '10', amountInMax: '11' });
+    });
+
+    it('sends a sell to ETH through multicall to the unwrap recipient', () => {
+      const swap = encode('exactInputSingle((address,address,uint24,address,uint256,uint256,uint160))', '0x04e45aaf',
+        [[UNI, WETH, 3000, '0x0000000000000000000000000000000000000002', 100n, 1n, 0n]]);
+      const unwrap = encode('unwrapWETH9(uint256,address)', '0x49404b7c', [1n, TRADER]);
+      const data = encode('multicall(uint256,bytes[])', '0x5ae401dc', [DEADLINE, [swap, unwrap]]);
+
+      expect(decodeSwapCalldata(data, { from: TRADER, to: SWAP_ROUTER_02 })).toEqual([
+        expect.objectContaining({ tokenIn: UNI, tokenOut: WETH, amountIn: '100', recipient: trader })
+      ]);
+    });
+  });
+
+  describe('Universal Router', () => {
+    const execute = (commands, inputs) => encode('execute(bytes,bytes[],uint256)', '0x3593564c', [commands, inputs, DEADLINE]);
+
+    it('decodes V2 and V3 swap commands and resolves the caller placeholder', () => {
+      const v3 = abiCoder.encode(['address', 'uint256', 'uint256', 'bytes', 'bool'],
+        ['0x0000000000000000000000000000000000000001', 100n, 90n, v3Path(UNI, 3000, WETH), true]);
+      const v2 = abiCoder.encode(['address', 'uint256', 'uint256', 'address[]', 'bool'],
+        [TRADER, 5n, 6n, [WETH, USDC], false]);
+
+      expect(decodeSwapCalldata(execute('0x0008', [v3, v2]), { from: TRADER, to: UNIVERSAL_ROUTER })).toEqual([
+        expect.objectContaining({ protocol: 'v3', method: 'V3_SWAP_EXACT_IN', tokenIn: UNI, tokenOut: WETH, amountIn: '100', recipient: trader }),
+        expect.objectContaining({ protocol: 'v2', method: 'V2_SWAP_EXACT_IN', tokenIn: WETH, tokenOut: USDC, amountIn: '5', amountOutMin: '6' })
+      ]);
+    });
+
+    it('leaves an amount the router only knows once it runs unset and follows the unwrap', () => {
+      const sell = abiCoder.encode(['address', 'uint256', 'uint256', 'address[]', 'bool'],
+        ['0x0000000000000000000000000000000000000002', 1n << 255n, 1n, [UNI, WETH], true]);
+      const unwrap = abiCoder.encode(['address', 'uint256'], [TRADER, 1n]);
+
+      // 0x88 is V2_SWAP_EXACT_IN with the allow-revert flag set
+      expect(decodeSwapCalldata(execute('0x880c', [sell, unwrap]), { from: TRADER, to: UNIVERSAL_ROUTER })).toEqual([
+        expect.objectContaining({ tokenIn: UNI, tokenOut: WETH, amountIn: null, recipient: trader })
+      ]);
+    });
+
+    it('ignores commands it does not know and calldata that is not a swap', () => {
+      expect(decodeSwapCalldata(execute('0x0b', [abiCoder.encode(['address', 'uint256'], [TRADER, 1n])]), { to: UNIVERSAL_ROUTER })).toEqual([]);
+      expect(decodeSwapCalldata('0xdeadbeef', { to: UNIVERSAL_ROUTER })).toEqual([]);
+      expect(decodeSwapCalldata('0x', {})).toEqual([]);
+    });
+  });
+
+  describe('decodeSwapLog', () => {
+    const pool = '0x0d4a11d5EEaaC28EC3F61d100daF4d40471f1852';
+    const topic = (address) => ethers.zeroPadValue(address, 32);
+
+    it('reads V2 swap amounts', () => {
+      const log = {
+        address: pool,
+        index: 3,
+        topics: [V2_SWAP_TOPIC, topic(V2_ROUTER), topic(TRADER)],
+        data: abiCoder.encode(['uint256', 'uint256', 'uint256', 'uint256'], [0n, 100n, 7n, 0n])
+      };
+
+      expect(decodeSwapLog(log)).toEqual({
+        protocol: 'v2', pool, logIndex: 3, amount0In: 0n, amount1In: 100n, amount0Out: 7n, amount1Out: 0n, recipient: trader
+      });
+    });
+
+    it('splits signed V3 amounts into what went in and out', () => {
+      const log = {
+        address: pool,
+        index: 1,
+        topics: [ethers.id('Swap(address,address,int256,int256,uint160,uint128,int24)'), topic(V3_ROUTER), topic(TRADER)],
+        data: abiCoder.encode(['int256', 'int256', 'uint160', 'uint128', 'int24'], [-50n, 80n, 1n, 1n, 0])
+      };
+
+      expect(decodeSwapLog(log)).toMatchObject({ protocol: 'v3', amount0In: 0n, amount1In: 80n, amount0Out: 50n, amount1Out: 0n });
+    });
+
+    it('returns null for other logs', () => {
+      expect(decodeSwapLog({ address: pool, topics: [ethers.id('Transfer(address,address,uint256)')], data: '0x' })).toBeNull();
+    });
+  });
+
+  describe('matchReceiptSwaps', () => {
+    const poolSwap = (tokenIn, tokenOut, amountIn, amountOut) => ({
+      protocol: 'v2', pool: V2_ROUTER, tokenIn, tokenOut, amountIn, amountOut, recipient: trader, logIndex: 0
+    });
+
+    it('settles a multi-hop swap from its first and last pool swaps', () => {
+      const [swap] = decodeSwapCalldata(
+        encode('swapExactTokensForTokens(uint256,uint256,address[],address,uint256)', '0x38ed1739', [1000n, 1n, [UNI, WETH, USDC], TRADER, DEADLINE]),
+        { to: V2_ROUTER }
+      );
+
+      expect(matchReceiptSwaps([swap], [poolSwap(UNI, WETH, '950', '20'), poolSwap(WETH, USDC, '20', '60000')]))
+        .toEqual([{ ...swap, amountIn: '950', amountOut: '60000' }]);
+    });
+
+    it('falls back to the pool swaps when no router call was decoded', () => {
+      expect(matchReceiptSwaps([], [poolSwap(UNI, WETH, '1', '2')])).toEqual([
+        expect.objectContaining({ method: null, tokenIn: UNI, tokenOut: WETH, amountIn: '1', amountOut: '2', path: [UNI, WETH] })
+      ]);
+    });
+  });
+});
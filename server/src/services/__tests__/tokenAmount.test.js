@@ -0,0 +1,88 @@
+const { toBigInt, isRawAmount, tokenAmount, formatAmount, parseAmount, percentOf, sumAmounts } = require('../tokenAmount');
+
+describe('tokenAmount', () => {
+  describe('toBigInt', () => {
+    it('accepts bigints, safe integers, integer strings and amount objects', () => {
+      expect(toBigInt(5n)).toBe(5n);
+      expect(toBigInt(42)).toBe(42n);
+      expect(toBigInt('1000000000000000000000000000')).toBe(10n ** 27n);
+      expect(toBigInt({ raw: '7' })).toBe(7n);
+    });
+
+    it('treats missing values as zero', () => {
+      expect(toBigInt(null)).toBe(0n);
+      expect(toBigInt(undefined)).toBe(0n);
+      expect(toBigInt('')).toBe(0n);
+    });
+
+    it('refuses numbers that are not exact integers', () => {
+      expect(() => toBigInt(1.5)).toThrow('not an exact integer');
+      expect(() => toBigInt(1e27)).toThrow('not an exact integer');
+    });
+  });
+
+  it('isRawAmount only accepts non-negative integers', () => {
+    expect(isRawAmount('123')).toBe(true);
+    expect(isRawAmount(10n)).toBe(true);
+    expect(isRawAmount('-1')).toBe(false);
+    expect(isRawAmount('1.5')).toBe(false);
+    expect(isRawAmount('1e18')).toBe(false);
+    expect(isRawAmount(undefined)).toBe(false);
+  });
+
+  describe('formatAmount', () => {
+    it('keeps every digit of a supply a float would round', () => {
+      expect(formatAmount('1000000000000000000000000001', 18)).toBe('1000000000.000000000000000001');
+    });
+
+    it('formats tokens with few or no decimals', () => {
+      expect(formatAmount('123456', 6)).toBe('0.123456');
+      expect(formatAmount('42', 0)).toBe('42');
+    });
+
+    it('defaults to 18 decimals and treats bad decimals as zero', () => {
+      expect(formatAmount(10n ** 18n)).toBe('1.0');
+      expect(formatAmount('5', 'abc')).toBe('5');
+    });
+  });
+
+  describe('parseAmount', () => {
+    it('is the inverse of formatAmount', () => {
+      expect(parseAmount('1000000000.000000000000000001', 18)).toBe(10n ** 27n + 1n);
+      expect(parseAmount(formatAmount('123456', 6), 6)).toBe(123456n);
+    });
+
+    it('refuses more decimals than the token has', () => {
+      expect(() => parseAmount('0.1234567', 6)).toThrow();
+    });
+  });
+
+  it('tokenAmount returns JSON safe parts', () => {
+    expect(tokenAmount(1500000n, 6)).toEqual({ raw: '1500000', decimals: 6, formatted: '1.5' });
+    expect(JSON.parse(JSON.stringify(tokenAmount(10n ** 30n)))).toEqual({ raw: (10n ** 30n).toString(), decimals: 18, formatted: '1000000000000.0' });
+  });
+
+  describe('percentOf', () => {
+    it('computes shares of supplies past Number.MAX_SAFE_INTEGER exactly', () => {
+      const supply = 10n ** 27n;
+      expect(percentOf(supply / 4n, supply)).toBe(25);
+      expect(percentOf(1n, 3n)).toBe(33.3333);
+    });
+
+    it('truncates past the requested digits rather than rounding', () => {
+      expect(percentOf(2n, 3n)).toBe(66.6666);
+      expect(percentOf(2n, 3n, 2)).toBe(66.66);
+      expect(percentOf(2n, 3n, 0)).toBe(66);
+    });
+
+    it('is zero for a zero or missing whole', () => {
+      expect(percentOf(5n, 0n)).toBe(0);
+      expect(percentOf(5n, null)).toBe(0);
+    });
+  });
+
+  it('sumAmounts adds mixed inputs without losing precision', () => {
+    expect(sumAmounts(['9007199254740993', 1, 1n, { raw: '5' }])).toBe(9007199254741000n);
+    expect(sumAmounts([])).toBe(0n);
+  });
+});
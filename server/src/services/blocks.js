@@ -0,0 +1,64 @@
+const { getProvider } = require('./providers');
+const ExplorerService = require('./ExplorerService');
+
+const explorerService = new ExplorerService();
+
+// Binary search for the first block where the address has code (needs an archive node)
+const findDeploymentBlock = async (provider, address) => {
+  const latest = await provider.getBlockNumber();
+  if ((await provider.getCode(address, latest)) === '0x') return null;
+
+  let low = 0;
+  let high = latest;
+
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const code = await provider.getCode(address, mid);
+    if (code === '0x') low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+};
+
+// Last block mined at or before a unix timestamp in seconds
+const findBlockByTimestamp = async (provider, timestamp) => {
+  const latest = await provider.getBlock('latest');
+  if (timestamp >= latest.timestamp) return latest.number;
+
+  let low = 0;
+  let high = latest.number;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    const block = await provider.getBlock(mid);
+    if (block.timestamp <= timestamp) low = mid;
+    else high = mid - 1;
+  }
+
+  return low;
+};
+
+// Deployer and deployment block, from the explorer first and the chain second
+const getDeployment = async (address, network) => {
+  const provider = getProvider(network);
+  const creation = await explorerService.getContractCreation(address, network);
+
+  if (creation) {
+    if (creation.blockNumber === null && creation.txHash) {
+      const receipt = await provider.getTransactionReceipt(creation.txHash);
+      creation.blockNumber = receipt ? receipt.blockNumber : null;
+    }
+    return creation;
+  }
+
+  try {
+    const blockNumber = await findDeploymentBlock(provider, address);
+    return blockNumber === null ? null : { address: null, txHash: null, blockNumber };
+  } catch (error) {
+    console.warn(`⚠️ Could not locate deployment block for ${address}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = { findDeploymentBlock, findBlockByTimestamp, getDeployment };
@@ -0,0 +1,67 @@
+const axios = require('axios');
+
+// DexScreener market data adapter; pairs come back normalized for MarketDataService
+const API_URL = 'https://api.dexscreener.com';
+
+// DexScreener's chain ids for the networks it covers
+const CHAINS = {
+  ethereum: 'ethereum',
+  bsc: 'bsc',
+  base: 'base',
+  polygon: 'polygon',
+  arbitrum: 'arbitrum'
+};
+
+const WINDOWS = ['m5', 'h1', 'h6', 'h24'];
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const byWindow = (values, map = toNumber) =>
+  Object.fromEntries(WINDOWS.map(window => [window, map(values?.[window])]));
+
+const supports = (network) => Boolean(CHAINS[network]);
+
+// Every pair trading the token on the network, in either position
+const getPairs = async (token, network) => {
+  const response = await axios.get(`${API_URL}/token-pairs/v1/${CHAINS[network]}/${token}`, { timeout: 10000 });
+  const pairs = Array.isArray(response.data) ? response.data : response.data?.pairs || [];
+
+  return pairs
+    .filter(pair => pair.chainId === CHAINS[network])
+    .map(pair => normalizePair(pair, token));
+};
+
+// Prices are quoted for the base token, so they are inverted when the token is the quote side
+const normalizePair = (pair, token) => {
+  const tokenIsBase = pair.baseToken.address.toLowerCase() === token.toLowerCase();
+  const basePriceUsd = toNumber(pair.priceUsd);
+  const basePriceNative = toNumber(pair.priceNative);
+  const [tokenInfo, counterpart] = tokenIsBase ? [pair.baseToken, pair.quoteToken] : [pair.quoteToken, pair.baseToken];
+
+  return {
+    provider: 'dexscreener',
+    dex: pair.dexId,
+    address: pair.pairAddress,
+    url: pair.url,
+    token: { address: tokenInfo.address, name: tokenInfo.name, symbol: tokenInfo.symbol },
+    quote: { address: counterpart.address, symbol: counterpart.symbol },
+    tokenIsBase,
+    priceUsd: tokenIsBase ? basePriceUsd : (basePriceNative ? basePriceUsd / basePriceNative : 0),
+    // Changes are of the base token's price, so they only describe the token when it is the base
+    priceChange: tokenIsBase ? byWindow(pair.priceChange) : null,
+    volume: byWindow(pair.volume),
+    // A buy of the base token is a sell of the quote token
+    txns: byWindow(pair.txns, txns => tokenIsBase
+      ? { buys: toNumber(txns?.buys), sells: toNumber(txns?.sells) }
+      : { buys: toNumber(txns?.sells), sells: toNumber(txns?.buys) }),
+    liquidityUsd: toNumber(pair.liquidity?.usd),
+    marketCap: tokenIsBase ? toNumber(pair.marketCap) : 0,
+    fdv: tokenIsBase ? toNumber(pair.fdv) : 0,
+    createdAt: pair.pairCreatedAt || null
+  };
+};
+
+module.exports = { name: 'dexscreener', supports, getPairs, WINDOWS };
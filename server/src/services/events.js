@@ -0,0 +1,41 @@
+const { EventEmitter } = require('events');
+
+// Recent events kept so a client that reconnects can pick up what it missed
+const MAX_BUFFERED_EVENTS = parseInt(process.env.STREAM_BUFFER_SIZE) || 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffer = [];
+// Ids start at the boot time, so an id a client kept from before a restart is always older than new events
+let lastId = Date.now();
+
+// Broadcast an event to every stream; monitorId and token are what streams filter on
+function publish(type, data, { monitorId = null, token = null } = {}) {
+  const event = {
+    id: ++lastId,
+    type,
+    monitorId,
+    token: token?.toLowerCase() || null,
+    data
+  };
+
+  buffer.push(event);
+  if (buffer.length > MAX_BUFFERED_EVENTS) buffer.shift();
+
+  emitter.emit('event', event);
+  return event;
+}
+
+// Returns the unsubscribe function
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+// Buffered events published after the given id, oldest first
+function since(id) {
+  return buffer.filter(event => event.id > id);
+}
+
+module.exports = { publish, subscribe, since };
@@ -0,0 +1,49 @@
+const { ethers } = require('ethers');
+const { getLabel } = require('./labels');
+const ExplorerService = require('./ExplorerService');
+
+const explorerService = new ExplorerService();
+
+// The earliest transfer of native value from each distinct sender, normal or internal
+const findFunders = (address, transactions, network, limit = Infinity) => {
+  const self = address.toLowerCase();
+  const seen = new Set();
+  const funders = [];
+
+  const incoming = transactions
+    .filter(tx => !tx.isError && tx.to?.toLowerCase() === self && tx.from && BigInt(tx.value || 0) > 0n)
+    .sort((a, b) => a.blockNumber - b.blockNumber);
+
+  for (const funding of incoming) {
+    const key = funding.from.toLowerCase();
+    if (key === self || seen.has(key)) continue;
+    seen.add(key);
+
+    funders.push({
+      address: ethers.getAddress(funding.from),
+      label: getLabel(funding.from, network),
+      txHash: funding.hash,
+      blockNumber: funding.blockNumber,
+      timestamp: new Date(funding.timestamp).toISOString(),
+      value: ethers.formatEther(funding.value)
+    });
+    if (funders.length >= limit) break;
+  }
+
+  return funders;
+};
+
+const findFirstFunding = (address, transactions, network) => findFunders(address, transactions, network, 1)[0] || null;
+
+const getFunders = async (address, network, limit) => {
+  const [transactions, internal] = await Promise.all([
+    explorerService.getTransactions(address, network, { sort: 'asc', offset: 100 }),
+    explorerService.getInternalTransactions(address, network, { sort: 'asc', offset: 100 })
+  ]);
+
+  return findFunders(address, [...transactions, ...internal], network, limit);
+};
+
+const getFirstFunder = async (address, network) => (await getFunders(address, network, 1))[0] || null;
+
+module.exports = { findFunders, findFirstFunding, getFunders, getFirstFunder };
@@ -0,0 +1,38 @@
+const labelGroups = require('../data/labels.json');
+const { networks } = require('../config/networks');
+
+// network -> lowercase address -> { name, category }
+const LABELS = {};
+
+const addLabel = (network, address, label) => {
+  LABELS[network] = LABELS[network] || {};
+  LABELS[network][address.toLowerCase()] = label;
+};
+
+for (const [network, labels] of Object.entries(labelGroups)) {
+  for (const [address, label] of Object.entries(labels)) {
+    addLabel(network, address, label);
+  }
+}
+
+// The configured DEX routers are known counterparties too
+for (const [network, config] of Object.entries(networks)) {
+  for (const dex of config.dexes || []) {
+    if (dex.router) addLabel(network, dex.router, { name: `${dex.name} Router`, category: 'dex' });
+  }
+}
+
+const getLabel = (address, network) => {
+  if (!address) return null;
+  const key = address.toLowerCase();
+  return LABELS[network]?.[key] || LABELS['*'][key] || null;
+};
+
+// Every labelled address in a category, e.g. the known LP lockers on a network
+const getLabelsByCategory = (network, category) => [LABELS[network], LABELS['*']]
+  .filter(Boolean)
+  .flatMap(labels => Object.entries(labels))
+  .filter(([, label]) => label.category === category)
+  .map(([address, label]) => ({ address, ...label }));
+
+module.exports = { getLabel, getLabelsByCategory };
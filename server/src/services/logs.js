@@ -0,0 +1,28 @@
+// Most RPC providers cap eth_getLogs by block range or result count
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.LOGS_CHUNK_SIZE || '10000');
+const MIN_CHUNK_SIZE = 100;
+
+// Fetch logs across a block range in chunks, halving the chunk whenever the node refuses one
+const getLogsChunked = async (provider, filter, { fromBlock, toBlock, chunkSize = DEFAULT_CHUNK_SIZE } = {}) => {
+  const end = toBlock ?? await provider.getBlockNumber();
+  const logs = [];
+  let start = fromBlock ?? 0;
+  let size = chunkSize;
+
+  while (start <= end) {
+    const chunkEnd = Math.min(start + size - 1, end);
+
+    try {
+      const chunk = await provider.getLogs({ ...filter, fromBlock: start, toBlock: chunkEnd });
+      logs.push(...chunk);
+      start = chunkEnd + 1;
+    } catch (error) {
+      if (size <= MIN_CHUNK_SIZE) throw error;
+      size = Math.max(MIN_CHUNK_SIZE, Math.floor(size / 2));
+    }
+  }
+
+  return logs;
+};
+
+module.exports = { getLogsChunked, DEFAULT_CHUNK_SIZE };
@@ -0,0 +1,102 @@
+const { ethers } = require('ethers');
+const { getNetwork } = require('../config/networks');
+const { getProvider } = require('./providers');
+
+const ROUTER_ABI = ['function factory() view returns (address)'];
+const FACTORY_ABI = ['function getPair(address tokenA, address tokenB) view returns (address)'];
+const V3_FACTORY_ABI = ['function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)'];
+const PAIR_ABI = ['function token0() view returns (address)'];
+
+// Uniswap V3 fee tiers in hundredths of a basis point; forks can override them per DEX
+const V3_FEE_TIERS = [100, 500, 3000, 10000];
+
+// The wrapped native coin first, then the configured stablecoins
+const getQuoteTokens = (config) => [
+  ...(config.wrappedNative ? [{ symbol: `W${config.nativeSymbol}`, address: config.wrappedNative, decimals: 18, native: true }] : []),
+  ...(config.quoteTokens || [])
+];
+
+// Every configured V2 pair between the token and the wrapped native coin
+const findPairs = async (token, network, provider = getProvider(network)) => {
+  const config = getNetwork(network);
+  if (!config.wrappedNative) return [];
+
+  const pairs = await Promise.all(
+    config.dexes.filter(dex => dex.version === 'v2' && dex.router).map(async dex => {
+      try {
+        const router = new ethers.Contract(dex.router, ROUTER_ABI, provider);
+        const factory = await router.factory();
+        const pair = await new ethers.Contract(factory, FACTORY_ABI, provider).getPair(config.wrappedNative, token);
+        if (pair === ethers.ZeroAddress) return null;
+
+        const token0 = await new ethers.Contract(pair, PAIR_ABI, provider).token0();
+
+        return {
+          dex: dex.name,
+          router: ethers.getAddress(dex.router),
+          factory,
+          pair,
+          quote: ethers.getAddress(config.wrappedNative),
+          // Which side of the pair's reserves and Swap amounts holds the token
+          tokenIsToken0: token0.toLowerCase() === token.toLowerCase()
+        };
+      } catch (error) {
+        console.warn(`⚠️ Pair lookup on ${dex.name} failed:`, error.message);
+        return null;
+      }
+    })
+  );
+
+  return pairs.filter(Boolean);
+};
+
+// Every V2 pair and V3 pool between the token and any quote token, on every configured DEX
+const findPools = async (token, network, provider = getProvider(network)) => {
+  const config = getNetwork(network);
+  const quotes = getQuoteTokens(config).filter(quote => quote.address.toLowerCase() !== token.toLowerCase());
+
+  const lookups = config.dexes.flatMap(dex => quotes.flatMap(quote => (
+    dex.version === 'v3'
+      ? (dex.feeTiers || V3_FEE_TIERS).map(feeTier => ({ dex, quote, feeTier }))
+      : [{ dex, quote }]
+  )));
+
+  // One factory() call per V2 router, shared by all its quote lookups
+  const factories = new Map();
+  const getFactory = (dex) => {
+    if (dex.factory) return dex.factory;
+    if (!factories.has(dex.router)) factories.set(dex.router, new ethers.Contract(dex.router, ROUTER_ABI, provider).factory());
+    return factories.get(dex.router);
+  };
+
+  const pools = await Promise.all(lookups.map(async ({ dex, quote, feeTier }) => {
+    try {
+      const factory = await getFactory(dex);
+      const address = dex.version === 'v3'
+        ? await new ethers.Contract(factory, V3_FACTORY_ABI, provider).getPool(token, quote.address, feeTier)
+        : await new ethers.Contract(factory, FACTORY_ABI, provider).getPair(token, quote.address);
+      if (address === ethers.ZeroAddress) return null;
+
+      const token0 = await new ethers.Contract(address, PAIR_ABI, provider).token0();
+
+      return {
+        dex: dex.name,
+        version: dex.version,
+        address,
+        factory,
+        router: dex.router ? ethers.getAddress(dex.router) : null,
+        // Swap fee in basis points
+        fee: dex.version === 'v3' ? feeTier / 100 : dex.fee ?? 30,
+        quote,
+        tokenIsToken0: token0.toLowerCase() === token.toLowerCase()
+      };
+    } catch (error) {
+      console.warn(`⚠️ Pool lookup on ${dex.name} (${quote.symbol}) failed:`, error.message);
+      return null;
+    }
+  }));
+
+  return pools.filter(Boolean);
+};
+
+module.exports = { findPairs, findPools, getQuoteTokens };
@@ -0,0 +1,37 @@
+const { ethers } = require('ethers');
+const { getNetwork } = require('../config/networks');
+
+// One JSON-RPC provider per endpoint, created on first use
+const providers = new Map();
+
+const createProvider = (url, chainId) => {
+  if (!providers.has(url)) {
+    providers.set(url, new ethers.JsonRpcProvider(
+      url,
+      chainId,
+      { staticNetwork: ethers.Network.from(chainId) }
+    ));
+  }
+
+  return providers.get(url);
+};
+
+const getProvider = (networkId) => {
+  const network = getNetwork(networkId);
+  return createProvider(network.rpcUrl, network.chainId);
+};
+
+// Fork node (Anvil/Hardhat) used for state-changing simulations
+const getForkProvider = (networkId) => {
+  const network = getNetwork(networkId);
+
+  if (!network.forkRpcUrl) {
+    const error = new Error(`No fork RPC endpoint configured for ${network.name}`);
+    error.status = 503;
+    throw error;
+  }
+
+  return createProvider(network.forkRpcUrl, network.chainId);
+};
+
+module.exports = { getProvider, getForkProvider };
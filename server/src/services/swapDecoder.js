@@ -0,0 +1,340 @@
+const { ethers } = require('ethers');
+
+const ROUTER_ABI = [
+  // Uniswap V2 style routers; SushiSwap, PancakeSwap and most forks share the interface
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+  'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+  'function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+  'function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline) payable',
+  // SwapRouter02 and PancakeSwap's SmartRouter route V2 pools without a deadline
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to) payable',
+  'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to) payable',
+  // Uniswap V3 SwapRouter, with a deadline in the params
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+  'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)',
+  'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)',
+  'function exactOutput((bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params)',
+  // SwapRouter02 and its forks dropped the deadline from the params
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+  'function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params)',
+  'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)',
+  'function exactOutput((bytes path, address recipient, uint256 amountOut, uint256 amountInMaximum) params)',
+  // Pays out wrapped native coin a swap left in the router
+  'function unwrapWETH9(uint256 amountMinimum, address recipient)',
+  'function unwrapWETH9(uint256 amountMinimum)',
+  'function multicall(bytes[] data)',
+  'function multicall(uint256 deadline, bytes[] data)',
+  'function multicall(bytes32 previousBlockhash, bytes[] data)',
+  // Universal Router
+  'function execute(bytes commands, bytes[] inputs)',
+  'function execute(bytes commands, bytes[] inputs, uint256 deadline)'
+];
+
+const POOL_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)'
+];
+
+const routerInterface = new ethers.Interface(ROUTER_ABI);
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+const V2_SWAP_TOPIC = ethers.id('Swap(address,uint256,uint256,uint256,uint256,address)');
+const V3_SWAP_TOPIC = ethers.id('Swap(address,address,int256,int256,uint160,uint128,int24)');
+// PancakeSwap V3 pools also log the protocol fees taken from each swap
+const PANCAKE_V3_SWAP_TOPIC = ethers.id('Swap(address,address,int256,int256,uint160,uint128,int24,uint128,uint128)');
+
+// Universal Router command ids, shared by PancakeSwap's; the top bits of a command byte are flags
+const V3_SWAP_EXACT_IN = 0x00;
+const V3_SWAP_EXACT_OUT = 0x01;
+const V2_SWAP_EXACT_IN = 0x08;
+const V2_SWAP_EXACT_OUT = 0x09;
+const UNWRAP_WETH = 0x0c;
+const COMMAND_MASK = 0x3f;
+
+// Universal Router amount meaning "whatever the router holds", only known once the swap ran
+const CONTRACT_BALANCE = 1n << 255n;
+const MSG_SENDER = '0x0000000000000000000000000000000000000001';
+
+// A pool's tokens never change, so they are read once per provider
+const poolTokens = new WeakMap();
+
+// A V3 path is token (20 bytes), fee (3 bytes), token, ... and always starts and ends with a token
+const decodeV3Path = (path) => {
+  const bytes = ethers.getBytes(path);
+  const tokens = [];
+  for (let offset = 0; offset + 20 <= bytes.length; offset += 23) {
+    tokens.push(ethers.getAddress(ethers.hexlify(bytes.slice(offset, offset + 20))));
+  }
+  return tokens;
+};
+
+const topicAddress = (topic) => ethers.getAddress(ethers.dataSlice(topic, 12));
+
+// Routers take address(1) for the caller and address(2) for themselves; the first V3 router
+// also keeps the output itself when the recipient is zero
+const resolveRecipient = (recipient, { from, to } = {}) => {
+  const value = BigInt(recipient);
+  if (value === 1n) return from ? ethers.getAddress(from) : null;
+  if (value === 0n || value === 2n) return to ? ethers.getAddress(to) : null;
+  return ethers.getAddress(recipient);
+};
+
+const toAmount = (amount) => (amount === null || amount === undefined || amount === CONTRACT_BALANCE ? null : amount.toString());
+
+const swapEntry = (protocol, method, { path, amountIn = null, amountOut = null, amountOutMin = null, amountInMax = null, recipient }, context) => ({
+  kind: 'swap',
+  swap: {
+    protocol,
+    method,
+    tokenIn: path[0],
+    tokenOut: path[path.length - 1],
+    path,
+    amountIn: toAmount(amountIn),
+    amountOut: toAmount(amountOut),
+    amountOutMin: toAmount(amountOutMin),
+    amountInMax: toAmount(amountInMax),
+    recipient: resolveRecipient(recipient, context)
+  }
+});
+
+const unwrapEntry = (recipient, context) => ({ kind: 'unwrap', recipient: resolveRecipient(recipient, context) });
+
+const addresses = (path) => path.map(address => ethers.getAddress(address));
+
+const decodeUniversalCommands = (commands, inputs, context) => Array.from(ethers.getBytes(commands)).flatMap((command, index) => {
+  const input = inputs[index];
+  switch (command & COMMAND_MASK) {
+    case V3_SWAP_EXACT_IN: {
+      const [recipient, amountIn, amountOutMin, path] = abiCoder.decode(['address', 'uint256', 'uint256', 'bytes', 'bool'], input);
+      return [swapEntry('v3', 'V3_SWAP_EXACT_IN', { path: decodeV3Path(path), amountIn, amountOutMin, recipient }, context)];
+    }
+    case V3_SWAP_EXACT_OUT: {
+      // Exact-output V3 paths run from the output token back to the input
+      const [recipient, amountOut, amountInMax, path] = abiCoder.decode(['address', 'uint256', 'uint256', 'bytes', 'bool'], input);
+      return [swapEntry('v3', 'V3_SWAP_EXACT_OUT', { path: decodeV3Path(path).reverse(), amountOut, amountInMax, recipient }, context)];
+    }
+    case V2_SWAP_EXACT_IN: {
+      const [recipient, amountIn, amountOutMin, path] = abiCoder.decode(['address', 'uint256', 'uint256', 'address[]', 'bool'], input);
+      return [swapEntry('v2', 'V2_SWAP_EXACT_IN', { path: addresses(path), amountIn, amountOutMin, recipient }, context)];
+    }
+    case V2_SWAP_EXACT_OUT: {
+      const [recipient, amountOut, amountInMax, path] = abiCoder.decode(['address', 'uint256', 'uint256', 'address[]', 'bool'], input);
+      return [swapEntry('v2', 'V2_SWAP_EXACT_OUT', { path: addresses(path), amountOut, amountInMax, recipient }, context)];
+    }
+    case UNWRAP_WETH: {
+      const [recipient] = abiCoder.decode(['address', 'uint256'], input);
+      return [unwrapEntry(recipient, context)];
+    }
+    default:
+      return [];
+  }
+});
+
+const decodeCall = (data, context) => {
+  let call;
+  try {
+    call = routerInterface.parseTransaction({ data });
+  } catch (error) {
+    return [];
+  }
+  if (!call) return [];
+
+  const { name, args, fragment } = call;
+  switch (name) {
+    case 'swapExactTokensForTokens':
+    case 'swapExactTokensForTokensSupportingFeeOnTransferTokens':
+    case 'swapExactTokensForETH':
+    case 'swapExactTokensForETHSupportingFeeOnTransferTokens':
+      return [swapEntry('v2', name, { path: addresses(args.path), amountIn: args.amountIn, amountOutMin: args.amountOutMin, recipient: args.to }, context)];
+    case 'swapExactETHForTokens':
+    case 'swapExactETHForTokensSupportingFeeOnTransferTokens':
+      return [swapEntry('v2', name, { path: addresses(args.path), amountIn: context.value, amountOutMin: args.amountOutMin, recipient: args.to }, context)];
+    case 'swapTokensForExactTokens':
+    case 'swapTokensForExactETH':
+      return [swapEntry('v2', name, { path: addresses(args.path), amountOut: args.amountOut, amountInMax: args.amountInMax, recipient: args.to }, context)];
+    case 'swapETHForExactTokens':
+      return [swapEntry('v2', name, { path: addresses(args.path), amountOut: args.amountOut, amountInMax: context.value, recipient: args.to }, context)];
+    case 'exactInputSingle':
+      return [swapEntry('v3', name, {
+        path: addresses([args.params.tokenIn, args.params.tokenOut]),
+        amountIn: args.params.amountIn,
+        amountOutMin: args.params.amountOutMinimum,
+        recipient: args.params.recipient
+      }, context)];
+    case 'exactInput':
+      return [swapEntry('v3', name, {
+        path: decodeV3Path(args.params.path),
+        amountIn: args.params.amountIn,
+        amountOutMin: args.params.amountOutMinimum,
+        recipient: args.params.recipient
+      }, context)];
+    case 'exactOutputSingle':
+      return [swapEntry('v3', name, {
+        path: addresses([args.params.tokenIn, args.params.tokenOut]),
+        amountOut: args.params.amountOut,
+        amountInMax: args.params.amountInMaximum,
+        recipient: args.params.recipient
+      }, context)];
+    case 'exactOutput':
+      return [swapEntry('v3', name, {
+        path: decodeV3Path(args.params.path).reverse(),
+        amountOut: args.params.amountOut,
+        amountInMax: args.params.amountInMaximum,
+        recipient: args.params.recipient
+      }, context)];
+    case 'unwrapWETH9':
+      return [unwrapEntry(fragment.inputs.length > 1 ? args.recipient : MSG_SENDER, context)];
+    case 'multicall':
+      return args.data.flatMap(inner => decodeCall(inner, context));
+    case 'execute':
+      try {
+        return decodeUniversalCommands(args.commands, args.inputs, context);
+      } catch (error) {
+        return [];
+      }
+    default:
+      return [];
+  }
+};
+
+// Swaps in router calldata, in call order: { protocol, method, tokenIn, tokenOut, path, amountIn,
+// amountOut, amountOutMin, amountInMax, recipient } with amounts as raw integer strings. Exact-input
+// swaps leave amountOut null and exact-output ones amountIn, until a receipt settles them.
+// context is the transaction (from, to, value), used for native coin amounts and the routers'
+// placeholder recipients. Calldata that is not a known swap, e.g. adding liquidity, gives an empty list.
+const decodeSwapCalldata = (data, context = {}) => {
+  const entries = decodeCall(data, context);
+  const router = context.to?.toLowerCase();
+
+  // Output left in the router and unwrapped later in the same call goes to the unwrap's recipient
+  return entries.flatMap((entry, index) => {
+    if (entry.kind !== 'swap') return [];
+    if (!router || entry.swap.recipient?.toLowerCase() !== router) return [entry.swap];
+
+    const unwrap = entries.slice(index + 1).find(next => next.kind === 'unwrap');
+    return [unwrap ? { ...entry.swap, recipient: unwrap.recipient } : entry.swap];
+  });
+};
+
+// A V2 or V3 pool's Swap log as the raw amounts paid in and out on each side; null for other logs
+const decodeSwapLog = (log) => {
+  const [topic] = log.topics;
+
+  if (topic === V2_SWAP_TOPIC) {
+    const [amount0In, amount1In, amount0Out, amount1Out] = abiCoder.decode(['uint256', 'uint256', 'uint256', 'uint256'], log.data);
+    return { protocol: 'v2', pool: ethers.getAddress(log.address), logIndex: log.index, amount0In, amount1In, amount0Out, amount1Out, recipient: topicAddress(log.topics[2]) };
+  }
+
+  if (topic === V3_SWAP_TOPIC || topic === PANCAKE_V3_SWAP_TOPIC) {
+    // Positive amounts were paid into the pool, negative ones out of it
+    const [amount0, amount1] = abiCoder.decode(['int256', 'int256'], log.data);
+    return {
+      protocol: 'v3',
+      pool: ethers.getAddress(log.address),
+      logIndex: log.index,
+      amount0In: amount0 > 0n ? amount0 : 0n,
+      amount1In: amount1 > 0n ? amount1 : 0n,
+      amount0Out: amount0 < 0n ? -amount0 : 0n,
+      amount1Out: amount1 < 0n ? -amount1 : 0n,
+      recipient: topicAddress(log.topics[2])
+    };
+  }
+
+  return null;
+};
+
+const getPoolTokens = (provider, pool) => {
+  if (!poolTokens.has(provider)) poolTokens.set(provider, new Map());
+  const cache = poolTokens.get(provider);
+
+  if (!cache.has(pool)) {
+    const contract = new ethers.Contract(pool, POOL_ABI, provider);
+    cache.set(pool, Promise.all([contract.token0(), contract.token1()]).catch(error => {
+      cache.delete(pool);
+      throw error;
+    }));
+  }
+  return cache.get(pool);
+};
+
+// Every pool swap in a receipt, in log order: { protocol, pool, tokenIn, tokenOut, amountIn, amountOut,
+// recipient, logIndex }. Amounts are what the pool received and paid, so token taxes are not in them.
+// Logs that only look like swaps, from contracts that are not pools, are skipped.
+const getReceiptSwaps = async (provider, receipt) => {
+  const swaps = [];
+
+  for (const log of receipt?.logs || []) {
+    const decoded = decodeSwapLog(log);
+    if (!decoded) continue;
+
+    const tokens = await getPoolTokens(provider, decoded.pool).catch(() => null);
+    if (!tokens) continue;
+
+    const [token0, token1] = addresses(tokens);
+    const zeroForOne = decoded.amount0In > 0n;
+    swaps.push({
+      protocol: decoded.protocol,
+      pool: decoded.pool,
+      tokenIn: zeroForOne ? token0 : token1,
+      tokenOut: zeroForOne ? token1 : token0,
+      amountIn: (zeroForOne ? decoded.amount0In : decoded.amount1In).toString(),
+      amountOut: (zeroForOne ? decoded.amount1Out : decoded.amount0Out).toString(),
+      recipient: decoded.recipient,
+      logIndex: decoded.logIndex
+    });
+  }
+
+  return swaps;
+};
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Settles decoded swaps with the pool swaps that carried them out: the first pool swap selling a
+// swap's tokenIn starts its route and the first one from there buying its tokenOut ends it. With
+// nothing decoded, e.g. a call through an aggregator or a bot contract, the pool swaps are the swaps.
+const matchReceiptSwaps = (swaps, poolSwaps) => {
+  if (swaps.length === 0) {
+    return poolSwaps.map(poolSwap => ({
+      protocol: poolSwap.protocol,
+      method: null,
+      tokenIn: poolSwap.tokenIn,
+      tokenOut: poolSwap.tokenOut,
+      path: [poolSwap.tokenIn, poolSwap.tokenOut],
+      amountIn: poolSwap.amountIn,
+      amountOut: poolSwap.amountOut,
+      amountOutMin: null,
+      amountInMax: null,
+      recipient: poolSwap.recipient
+    }));
+  }
+
+  let next = 0;
+  return swaps.map(swap => {
+    const start = poolSwaps.findIndex((poolSwap, index) => index >= next && sameAddress(poolSwap.tokenIn, swap.tokenIn));
+    const end = start === -1 ? -1 : poolSwaps.findIndex((poolSwap, index) => index >= start && sameAddress(poolSwap.tokenOut, swap.tokenOut));
+    if (end === -1) return swap;
+
+    next = end + 1;
+    return { ...swap, amountIn: poolSwaps[start].amountIn, amountOut: poolSwaps[end].amountOut };
+  });
+};
+
+// Swaps a mined transaction made, with the amounts its receipt settled on
+const decodeSwaps = async (provider, tx, receipt) => {
+  return matchReceiptSwaps(decodeSwapCalldata(tx.data, tx), await getReceiptSwaps(provider, receipt));
+};
+
+module.exports = {
+  V2_SWAP_TOPIC,
+  decodeSwapCalldata,
+  decodeSwapLog,
+  getReceiptSwaps,
+  matchReceiptSwaps,
+  decodeSwaps,
+  decodeV3Path
+};
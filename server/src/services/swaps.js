@@ -0,0 +1,77 @@
+const { getLogsChunked } = require('./logs');
+const { getDeployment } = require('./blocks');
+const { findPairs } = require('./pairs');
+const { mapWithConcurrency } = require('./concurrency');
+const { V2_SWAP_TOPIC: SWAP_TOPIC, decodeSwapLog } = require('./swapDecoder');
+
+const TX_CONCURRENCY = 8;
+
+// The token's main pair and the block it was created in
+const getLaunch = async (token, network, provider) => {
+  const [pair] = await findPairs(token, network, provider);
+  if (!pair) return null;
+
+  const deployment = await getDeployment(pair.pair, network);
+  if (!deployment?.blockNumber) return null;
+
+  return { ...pair, launchBlock: deployment.blockNumber };
+};
+
+// A buy sends the token out of the pair; quote amounts are what was paid or received
+const decodeSwap = (log, pair) => {
+  const { amount0In, amount1In, amount0Out, amount1Out, recipient } = decodeSwapLog(log);
+
+  const [tokenIn, tokenOut, quoteIn, quoteOut] = pair.tokenIsToken0
+    ? [amount0In, amount0Out, amount1In, amount1Out]
+    : [amount1In, amount1Out, amount0In, amount0Out];
+
+  const side = tokenOut > 0n ? 'buy' : 'sell';
+
+  return {
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    txHash: log.transactionHash,
+    recipient,
+    side,
+    tokenAmount: (side === 'buy' ? tokenOut : tokenIn).toString(),
+    quoteAmount: (side === 'buy' ? quoteIn : quoteOut).toString()
+  };
+};
+
+const getSwaps = async (provider, pair, ranges) => {
+  const logs = [];
+  for (const range of ranges) {
+    logs.push(...await getLogsChunked(provider, { address: pair.pair, topics: [SWAP_TOPIC] }, range));
+  }
+
+  return logs.map(log => decodeSwap(log, pair));
+};
+
+// Copy the signer, called contract, position and gas settings of each swap's transaction onto it
+const attachTransactions = async (provider, swaps) => {
+  const transactions = new Map();
+  const hashes = Array.from(new Set(swaps.map(swap => swap.txHash)));
+
+  await mapWithConcurrency(hashes, TX_CONCURRENCY, async hash => {
+    const tx = await provider.getTransaction(hash).catch(() => null);
+    if (tx) transactions.set(hash, tx);
+  });
+
+  for (const swap of swaps) {
+    const tx = transactions.get(swap.txHash);
+    if (!tx) continue;
+
+    Object.assign(swap, {
+      from: tx.from,
+      txTo: tx.to,
+      transactionIndex: tx.index,
+      gasPrice: tx.gasPrice?.toString() ?? null,
+      maxFeePerGas: tx.maxFeePerGas?.toString() ?? null,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas?.toString() ?? null
+    });
+  }
+
+  return swaps;
+};
+
+module.exports = { SWAP_TOPIC, getLaunch, decodeSwap, getSwaps, attachTransactions };
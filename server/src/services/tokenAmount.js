@@ -0,0 +1,41 @@
+const { ethers } = require('ethers');
+
+// Token amounts are kept as integer strings in the token's smallest unit and only turned into
+// BigInt for arithmetic; a 1e27 supply does not survive a trip through a float
+
+// Raw amount from a BigInt, a safe integer or an integer string
+const toBigInt = (value) => {
+  if (value === null || value === undefined || value === '') return 0n;
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'object' && 'raw' in value) return toBigInt(value.raw);
+  if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+    throw new Error(`Token amount ${value} is not an exact integer`);
+  }
+  return BigInt(value);
+};
+
+const isRawAmount = (value) => typeof value === 'bigint' || /^\d+$/.test(String(value ?? ''));
+
+// { raw, decimals, formatted } with raw as an integer string, safe to JSON encode
+const tokenAmount = (raw, decimals = 18) => {
+  const value = toBigInt(raw);
+  const places = Number(decimals) || 0;
+  return { raw: value.toString(), decimals: places, formatted: ethers.formatUnits(value, places) };
+};
+
+const formatAmount = (raw, decimals = 18) => ethers.formatUnits(toBigInt(raw), Number(decimals) || 0);
+
+// Decimal string to raw amount, e.g. a formatted ETH figure coming back from a client
+const parseAmount = (formatted, decimals = 18) => ethers.parseUnits(String(formatted), Number(decimals) || 0);
+
+// Share of whole as a number with up to `digits` decimals, computed without floats
+const percentOf = (part, whole, digits = 4) => {
+  const total = toBigInt(whole);
+  if (total === 0n) return 0;
+  const scale = 10n ** BigInt(digits);
+  return Number((toBigInt(part) * 100n * scale) / total) / Number(scale);
+};
+
+const sumAmounts = (values) => values.reduce((sum, value) => sum + toBigInt(value), 0n);
+
+module.exports = { toBigInt, isRawAmount, tokenAmount, formatAmount, parseAmount, percentOf, sumAmounts };
@@ -0,0 +1,72 @@
+const ExplorerService = require('./ExplorerService');
+const { decodeSwapCalldata, getReceiptSwaps, matchReceiptSwaps } = require('./swapDecoder');
+
+const explorerService = new ExplorerService();
+
+// Value-carrying calls inside a transaction: a callTracer trace when the node
+// supports it, the explorer's internal transactions otherwise. Only traced calls carry their input.
+const getInternalCalls = async (provider, network, txHash) => {
+  try {
+    const trace = await provider.send('debug_traceTransaction', [txHash, { tracer: 'callTracer' }]);
+    const calls = [];
+    const walk = call => {
+      for (const child of call.calls || []) {
+        calls.push({ from: child.from, to: child.to, value: child.value ? BigInt(child.value) : 0n, input: child.input || null });
+        walk(child);
+      }
+    };
+    walk(trace);
+    return calls;
+  } catch (error) {
+    const internal = await explorerService.getInternalTransactionsByHash(txHash, network);
+    return internal.map(call => ({ from: call.from, to: call.to, value: BigInt(call.value || 0), input: null }));
+  }
+};
+
+// Native value the transaction sent straight to the block's fee recipient
+const getCoinbasePayment = async (provider, network, { blockNumber, txHash }) => {
+  try {
+    const block = await provider.getBlock(blockNumber);
+    const miner = block.miner.toLowerCase();
+    let paid = 0n;
+
+    const tx = await provider.getTransaction(txHash);
+    if (tx.to?.toLowerCase() === miner) paid += tx.value;
+
+    for (const call of await getInternalCalls(provider, network, txHash)) {
+      if (call.to?.toLowerCase() === miner) paid += call.value;
+    }
+
+    return paid > 0n ? paid.toString() : null;
+  } catch (error) {
+    console.warn(`⚠️ Coinbase payment check failed for ${txHash}:`, error.message);
+    return null;
+  }
+};
+
+// Swaps a mined transaction made, with the amounts its receipt settled on. When the transaction
+// itself is not a router call, e.g. it went through an aggregator or a bot contract, the router
+// calls inside it are decoded instead. Null when the transaction is not mined.
+const getTransactionSwaps = async (provider, network, txHash) => {
+  const [tx, receipt] = await Promise.all([provider.getTransaction(txHash), provider.getTransactionReceipt(txHash)]);
+  if (!tx || !receipt) return null;
+
+  let swaps = decodeSwapCalldata(tx.data, tx);
+  if (swaps.length === 0) {
+    const calls = await getInternalCalls(provider, network, txHash).catch(() => []);
+    swaps = calls
+      .filter(call => call.input)
+      .flatMap(call => decodeSwapCalldata(call.input, call));
+  }
+
+  return {
+    txHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    from: tx.from,
+    to: tx.to,
+    status: receipt.status === 1 ? 'success' : 'reverted',
+    swaps: matchReceiptSwaps(swaps, await getReceiptSwaps(provider, receipt))
+  };
+};
+
+module.exports = { getInternalCalls, getCoinbasePayment, getTransactionSwaps };
@@ -0,0 +1,105 @@
+const { ethers } = require('ethers');
+const { getLogsChunked } = require('./logs');
+const { getLabel } = require('./labels');
+const { decodeSwapLog } = require('./swapDecoder');
+const { tokenAmount } = require('./tokenAmount');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const V2_MINT_TOPIC = ethers.id('Mint(address,uint256,uint256)');
+const V2_BURN_TOPIC = ethers.id('Burn(address,uint256,uint256,address)');
+const V3_MINT_TOPIC = ethers.id('Mint(address,address,int24,int24,uint128,uint256,uint256)');
+const V3_BURN_TOPIC = ethers.id('Burn(address,int24,int24,uint128,uint256,uint256)');
+
+const MINT_TOPICS = [V2_MINT_TOPIC, V3_MINT_TOPIC];
+const BURN_TOPICS = [V2_BURN_TOPIC, V3_BURN_TOPIC];
+
+const decodeTransfer = (log) => ({
+  blockNumber: log.blockNumber,
+  logIndex: log.index,
+  txHash: log.transactionHash,
+  from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+  to: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+  value: BigInt(log.data)
+});
+
+// Token transfers sent or received by any of the wallets, in chain order
+const getTransfers = async (provider, token, wallets, range) => {
+  const walletTopics = wallets.map(address => ethers.zeroPadValue(address, 32));
+  const [sent, received] = await Promise.all([
+    getLogsChunked(provider, { address: token, topics: [TRANSFER_TOPIC, walletTopics] }, range),
+    getLogsChunked(provider, { address: token, topics: [TRANSFER_TOPIC, null, walletTopics] }, range)
+  ]);
+
+  // A transfer between two of the wallets comes back from both queries
+  const unique = new Map([...sent, ...received].map(log => [`${log.transactionHash}-${log.index}`, log]));
+
+  return Array.from(unique.values())
+    .map(decodeTransfer)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+};
+
+const logsOf = (receipt, pool) => (receipt?.logs || [])
+  .filter(log => log.address.toLowerCase() === pool.address.toLowerCase());
+
+// Quote tokens paid or received by the pool's swap in the same transaction
+const findQuoteAmount = (logs, pool) => {
+  for (const log of logs) {
+    const swap = decodeSwapLog(log);
+    if (!swap) continue;
+
+    const [quoteIn, quoteOut] = pool.tokenIsToken0 ? [swap.amount1In, swap.amount1Out] : [swap.amount0In, swap.amount0Out];
+    return quoteIn > 0n ? quoteIn : quoteOut;
+  }
+  return null;
+};
+
+// Never sent a transaction and has no code as of the transfer's block
+const isFreshWallet = async (provider, address, blockNumber) => {
+  const [nonce, code] = await Promise.all([
+    provider.getTransactionCount(address, blockNumber),
+    provider.getCode(address, blockNumber)
+  ]);
+  return nonce === 0 && code === '0x';
+};
+
+// What a transfer means for one wallet: sell, buy, lp_removal, lp_add, transfer_to_cex,
+// transfer_to_fresh_wallet or transfer. Null for incoming transfers that are none of these.
+// pools come from findPools and receipt is the transfer's transaction receipt.
+const classifyTransfer = async (provider, transfer, { wallet, pools, receipt, network }) => {
+  const outgoing = transfer.from.toLowerCase() === wallet.toLowerCase();
+  const counterparty = outgoing ? transfer.to : transfer.from;
+  const counterpartyPool = pools.find(pool => pool.address.toLowerCase() === counterparty.toLowerCase());
+
+  const activity = (action, pool = counterpartyPool, quoteRaw = null) => ({
+    action,
+    direction: outgoing ? 'out' : 'in',
+    counterparty,
+    counterpartyLabel: pool ? `${pool.dex} pool` : getLabel(counterparty, network)?.name || null,
+    dex: pool?.dex || null,
+    pool: pool?.address || null,
+    quoteAmount: quoteRaw === null ? null : tokenAmount(quoteRaw, pool.quote.decimals),
+    quoteSymbol: pool?.quote.symbol || null
+  });
+
+  // Removing liquidity through a router pays the tokens out via the router, so look for the burn itself
+  if (!outgoing) {
+    const burned = pools.find(pool => logsOf(receipt, pool).some(log => BURN_TOPICS.includes(log.topics[0])));
+    if (burned) return activity('lp_removal', burned);
+  }
+
+  if (counterpartyPool) {
+    const logs = logsOf(receipt, counterpartyPool);
+    if (outgoing && logs.some(log => MINT_TOPICS.includes(log.topics[0]))) return activity('lp_add');
+    return activity(outgoing ? 'sell' : 'buy', counterpartyPool, findQuoteAmount(logs, counterpartyPool));
+  }
+
+  if (!outgoing) return null;
+
+  if (getLabel(counterparty, network)?.category === 'exchange') return activity('transfer_to_cex');
+  if (await isFreshWallet(provider, counterparty, transfer.blockNumber).catch(() => false)) {
+    return activity('transfer_to_fresh_wallet');
+  }
+  return activity('transfer');
+};
+
+module.exports = { TRANSFER_TOPIC, decodeTransfer, getTransfers, classifyTransfer };